@@ -1,8 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useWebSocket } from './hooks/useWebSocket';
+import { PendingSessions } from './components/PendingSessions';
+import { SenderRules } from './components/SenderRules';
+import { DeadLetters } from './components/DeadLetters';
 
 const WS_URL = 'ws://localhost:3001';
 const API_URL = 'http://localhost:3000';
+const ADDRESS_PARTS = ['house', 'street', 'locality', 'city', 'district', 'state', 'pincode'];
 
 function App() {
     const [contacts, setContacts] = useState([]);
@@ -10,10 +14,21 @@ function App() {
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [statusFilter, setStatusFilter] = useState('');
+    const [stateFilter, setStateFilter] = useState('');
+    const [cityFilter, setCityFilter] = useState('');
+    const [pincodeFilter, setPincodeFilter] = useState('');
+    const [validationFilter, setValidationFilter] = useState('');
+    const [accountFilter, setAccountFilter] = useState('');
+    const [sortBy, setSortBy] = useState('');
+    const [facets, setFacets] = useState({ states: [], cities: [] });
     const [selectedContact, setSelectedContact] = useState(null);
     const [toasts, setToasts] = useState([]);
+    const [pending, setPending] = useState([]);
+    const [accounts, setAccounts] = useState([]);
 
-    const { isConnected, newContacts, whatsappConnected, clearNewContacts } = useWebSocket(WS_URL);
+    const {
+        isConnected, newContacts, whatsappAccounts, pendingSessions, messageUpdate, clearNewContacts,
+    } = useWebSocket(WS_URL);
 
     // Fetch contacts from API
     const fetchContacts = async () => {
@@ -21,6 +36,12 @@ function App() {
             const params = new URLSearchParams();
             if (searchTerm) params.append('search', searchTerm);
             if (statusFilter) params.append('status', statusFilter);
+            if (stateFilter) params.append('state', stateFilter);
+            if (cityFilter) params.append('city', cityFilter);
+            if (pincodeFilter) params.append('pincode', pincodeFilter);
+            if (validationFilter) params.append('validation', validationFilter);
+            if (accountFilter) params.append('account', accountFilter);
+            if (sortBy) params.append('sort', sortBy);
 
             const response = await fetch(`${API_URL}/api/contacts?${params}`);
             const data = await response.json();
@@ -37,26 +58,102 @@ function App() {
         }
     };
 
+    // Fetch state/city options for the address filters
+    const fetchFacets = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/contacts/facets`);
+            const data = await response.json();
+
+            if (data.success) {
+                setFacets(data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch address filters:', error);
+        }
+    };
+
+    // Fetch sessions still collecting messages
+    const fetchPending = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/pending-sessions`);
+            const data = await response.json();
+
+            if (data.success) {
+                setPending(data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch pending sessions:', error);
+        }
+    };
+
+    // Connection status of each WhatsApp account (later updates arrive over the WebSocket)
+    const fetchAccounts = async () => {
+        try {
+            const response = await fetch(`${API_URL}/api/stats`);
+            const data = await response.json();
+
+            if (data.success) {
+                setAccounts(data.data.whatsapp.accounts || []);
+            }
+        } catch (error) {
+            console.error('Failed to fetch WhatsApp accounts:', error);
+        }
+    };
+
     // Initial load and search/filter changes
     useEffect(() => {
         fetchContacts();
-    }, [searchTerm, statusFilter]);
+    }, [searchTerm, statusFilter, stateFilter, cityFilter, pincodeFilter, validationFilter, accountFilter, sortBy]);
+
+    useEffect(() => {
+        fetchFacets();
+        fetchPending();
+        fetchAccounts();
+    }, []);
+
+    // Live account status pushed over the WebSocket
+    useEffect(() => {
+        if (whatsappAccounts) {
+            setAccounts(whatsappAccounts);
+        }
+    }, [whatsappAccounts]);
+
+    // Live pending-session updates pushed over the WebSocket
+    useEffect(() => {
+        if (pendingSessions) {
+            setPending(pendingSessions);
+        }
+    }, [pendingSessions]);
+
+    // An earlier message was edited or deleted by the sender
+    useEffect(() => {
+        if (!messageUpdate) return;
+
+        addToast(
+            messageUpdate.sessionId
+                ? `Message ${messageUpdate.action}, re-extracting contact`
+                : `Pending message ${messageUpdate.action}`,
+            'info'
+        );
+        if (messageUpdate.sessionId) {
+            fetchContacts();
+        }
+    }, [messageUpdate]);
 
     // Handle new contacts from WebSocket
     useEffect(() => {
         if (newContacts.length > 0) {
             setContacts(prev => {
-                // Create a Set of existing identifiers (session_id and sender_number)
-                const existingSessionIds = new Set(prev.map(c => c.session_id || c.sessionId));
+                // Create a Set of existing identifiers (session_id + contact_index and sender_number)
+                const existingKeys = new Set(prev.map(getContactKey));
                 const existingSenderNumbers = new Set(prev.map(c => c.sender_number || c.senderNumber));
 
                 // Filter new contacts that are truly unique (not already in the list)
                 const uniqueNew = newContacts.filter(c => {
-                    const sessionId = c.session_id || c.sessionId;
                     const senderNumber = c.sender_number || c.senderNumber;
 
-                    // Skip if session ID already exists
-                    if (existingSessionIds.has(sessionId)) {
+                    // Skip if this contact of the session already exists
+                    if (existingKeys.has(getContactKey(c))) {
                         return false;
                     }
 
@@ -74,6 +171,7 @@ function App() {
 
             // Only update stats for truly new contacts (we'll refetch to be accurate)
             fetchContacts();
+            fetchFacets();
 
             // Show toast notification for first new contact only
             if (newContacts.length > 0) {
@@ -114,16 +212,84 @@ function App() {
         return 'confidence-low';
     };
 
+    // Structured address component from a DB row or a live WebSocket contact
+    const getAddressPart = (contact, part) =>
+        contact[`address_${part}`] || contact.extracted?.addressParts?.[part] || null;
+
+    // Normalized phone from a DB row or a live WebSocket contact
+    const getPhone = (contact) => {
+        if (contact.extracted?.phone) return contact.extracted.phone;
+        return {
+            e164: contact.mobile_e164 || null,
+            type: contact.mobile_type || null,
+            valid: contact.mobile_valid === null || contact.mobile_valid === undefined ? null : !!contact.mobile_valid,
+            reason: null,
+        };
+    };
+
+    // Result of the pincode dataset check (valid, enriched, mismatch, ...)
+    const getValidation = (contact) => contact.address_validation || contact.addressValidation?.status || null;
+
+    // Latin transliteration of a Devanagari/Gujarati name or address (null when already Latin)
+    const getLatin = (contact, field) => contact[`extracted_${field}_latin`] || contact.extracted?.latin?.[field] || null;
+
+    // Shared location pin from a DB row or a live WebSocket contact
+    const getLocation = (contact) => {
+        if (contact.location) {
+            const { latitude, longitude, name, address } = contact.location;
+            return { latitude, longitude, name: [name, address].filter(Boolean).join(', ') };
+        }
+        if (contact.location_latitude === null || contact.location_latitude === undefined) return null;
+        return { latitude: contact.location_latitude, longitude: contact.location_longitude, name: contact.location_name };
+    };
+
+    // Group chat the contact was sent in (null for direct chats)
+    const getGroup = (contact) => {
+        if (contact.group) return contact.group;
+        return contact.group_id ? { id: contact.group_id, name: contact.group_name } : null;
+    };
+
+    // WhatsApp account that received the contact's messages
+    const getAccount = (contact) => contact.account || 'default';
+    const hasAccounts = accounts.length > 1;
+
+    // Which extractor produced the row (llm or rules)
+    const getSource = (contact) => contact.extraction_source || contact.extractionSource || 'unknown';
+
+    // Position of the contact within its session (a session can hold several people)
+    const getContactIndex = (contact) => contact.contact_index ?? contact.contactIndex ?? 0;
+
+    // Unique row key: one session can produce several contacts
+    const getContactKey = (contact) => `${contact.session_id || contact.sessionId}:${getContactIndex(contact)}`;
+
+    // Number of contacts per session among the loaded rows
+    const sessionSizes = contacts.reduce((sizes, contact) => {
+        const sessionId = contact.session_id || contact.sessionId;
+        sizes[sessionId] = (sizes[sessionId] || 0) + 1;
+        return sizes;
+    }, {});
+    const getSessionSize = (contact) =>
+        Math.max(contact.contactCount || 0, sessionSizes[contact.session_id || contact.sessionId] || 1);
+
     return (
         <div className="app">
             {/* Header */}
             <header className="header">
                 <div className="header-left">
                     <h1 className="logo">📱 WhatsApp Pipeline</h1>
-                    <div className="connection-status">
-                        <span className={`status-dot ${whatsappConnected ? 'connected' : 'disconnected'}`}></span>
-                        <span>WhatsApp: {whatsappConnected ? 'Connected' : 'Disconnected'}</span>
-                    </div>
+                    {hasAccounts ? (
+                        accounts.map((account) => (
+                            <div key={account.account} className="connection-status">
+                                <span className={`status-dot ${account.isConnected ? 'connected' : 'disconnected'}`}></span>
+                                <span>{account.account}: {account.isConnected ? 'Connected' : 'Disconnected'}</span>
+                            </div>
+                        ))
+                    ) : (
+                        <div className="connection-status">
+                            <span className={`status-dot ${accounts[0]?.isConnected ? 'connected' : 'disconnected'}`}></span>
+                            <span>WhatsApp: {accounts[0]?.isConnected ? 'Connected' : 'Disconnected'}</span>
+                        </div>
+                    )}
                     <div className="connection-status">
                         <span className={`status-dot ${isConnected ? 'connected' : 'disconnected'}`}></span>
                         <span>Dashboard: {isConnected ? 'Live' : 'Offline'}</span>
@@ -151,6 +317,10 @@ function App() {
                         <div className="stat-label">Today</div>
                         <div className="stat-value">{stats.today}</div>
                     </div>
+                    <div className="stat-card" title="Messages ignored by the sender rules and group filters">
+                        <div className="stat-label">Filtered</div>
+                        <div className="stat-value">{stats.filtered?.total ?? 0}</div>
+                    </div>
                 </div>
 
                 {/* Search & Filter */}
@@ -171,9 +341,108 @@ function App() {
                         <option value="processed">Processed</option>
                         <option value="failed">Failed</option>
                         <option value="low_confidence">Low Confidence</option>
+                        <option value="invalid_mobile">Invalid Mobile</option>
+                        <option value="revoked">Revoked</option>
+                    </select>
+                    {hasAccounts && (
+                        <select
+                            className="filter-select"
+                            value={accountFilter}
+                            onChange={(e) => setAccountFilter(e.target.value)}
+                        >
+                            <option value="">All Accounts</option>
+                            {accounts.map((account) => (
+                                <option key={account.account} value={account.account}>
+                                    {account.account} ({stats.byAccount?.[account.account]?.total ?? 0})
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+
+                {/* Address Filters */}
+                <div className="search-bar">
+                    <select
+                        className="filter-select"
+                        value={stateFilter}
+                        onChange={(e) => {
+                            setStateFilter(e.target.value);
+                            setCityFilter('');
+                        }}
+                    >
+                        <option value="">All States</option>
+                        {facets.states.map((s) => (
+                            <option key={s.value} value={s.value}>{s.value} ({s.count})</option>
+                        ))}
+                    </select>
+                    <select
+                        className="filter-select"
+                        value={cityFilter}
+                        onChange={(e) => setCityFilter(e.target.value)}
+                    >
+                        <option value="">All Cities</option>
+                        {facets.cities
+                            .filter((c) => !stateFilter || (c.state || '').toLowerCase() === stateFilter.toLowerCase())
+                            .map((c) => (
+                                <option key={c.value} value={c.value}>{c.value} ({c.count})</option>
+                            ))}
+                    </select>
+                    <input
+                        type="text"
+                        className="search-input pincode-input"
+                        placeholder="Pincode"
+                        inputMode="numeric"
+                        maxLength={6}
+                        value={pincodeFilter}
+                        onChange={(e) => setPincodeFilter(e.target.value.replace(/\D/g, ''))}
+                    />
+                    <select
+                        className="filter-select"
+                        value={validationFilter}
+                        onChange={(e) => setValidationFilter(e.target.value)}
+                    >
+                        <option value="">All Address Checks</option>
+                        <option value="valid">Valid</option>
+                        <option value="enriched">Enriched</option>
+                        <option value="mismatch">Mismatch</option>
+                        <option value="unknown_pincode">Unknown Pincode</option>
+                        <option value="no_pincode">No Pincode</option>
+                    </select>
+                    <select
+                        className="filter-select"
+                        value={sortBy}
+                        onChange={(e) => setSortBy(e.target.value)}
+                    >
+                        <option value="">Newest First</option>
+                        <option value="state">Sort by State</option>
+                        <option value="city">Sort by City</option>
+                        <option value="pincode">Sort by Pincode</option>
                     </select>
                 </div>
 
+                {/* Pending Sessions */}
+                <PendingSessions
+                    sessions={pending}
+                    apiUrl={API_URL}
+                    onChange={fetchPending}
+                    addToast={addToast}
+                />
+
+                {/* Sender allow/block lists */}
+                <SenderRules
+                    apiUrl={API_URL}
+                    accounts={hasAccounts ? accounts.map((account) => account.account) : []}
+                    addToast={addToast}
+                    onChange={fetchContacts}
+                />
+
+                {/* Failed messages: inspect, fix and replay */}
+                <DeadLetters
+                    apiUrl={API_URL}
+                    addToast={addToast}
+                    onChange={fetchContacts}
+                />
+
                 {/* Contacts Table */}
                 <section className="contacts-section">
                     <div className="section-header">
@@ -200,8 +469,11 @@ function App() {
                                 <tr>
                                     <th>Name</th>
                                     <th>Address</th>
+                                    <th>City</th>
+                                    <th>Pincode</th>
                                     <th>Mobile</th>
                                     <th>Confidence</th>
+                                    <th>Source</th>
                                     <th>Status</th>
                                     <th>Time</th>
                                     <th>Action</th>
@@ -210,23 +482,61 @@ function App() {
                             <tbody>
                                 {contacts.map((contact) => (
                                     <tr
-                                        key={contact.session_id || contact.sessionId}
+                                        key={getContactKey(contact)}
                                         className={contact.isNew ? 'new-contact' : ''}
                                     >
                                         <td className="contact-name">
                                             {contact.extracted_name || contact.extracted?.name || 'N/A'}
+                                            {getSessionSize(contact) > 1 && (
+                                                <span className="session-index" title="Contact within the same session">
+                                                    {getContactIndex(contact) + 1}/{getSessionSize(contact)}
+                                                </span>
+                                            )}
+                                            {getLatin(contact, 'name') && (
+                                                <div className="latin-text">{getLatin(contact, 'name')}</div>
+                                            )}
+                                            {getGroup(contact) && (
+                                                <div className="group-text" title={getGroup(contact).id}>
+                                                    👥 {getGroup(contact).name || 'Group chat'}
+                                                </div>
+                                            )}
+                                            {hasAccounts && (
+                                                <div className="group-text">📞 {getAccount(contact)}</div>
+                                            )}
                                         </td>
                                         <td className="contact-address">
                                             {contact.extracted_address || contact.extracted?.address || 'N/A'}
+                                            {getLatin(contact, 'address') && (
+                                                <div className="latin-text">{getLatin(contact, 'address')}</div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            {getAddressPart(contact, 'city') || '—'}
                                         </td>
                                         <td className="contact-mobile">
-                                            {contact.extracted_mobile || contact.extracted?.mobile || 'N/A'}
+                                            {getAddressPart(contact, 'pincode') || '—'}
+                                            {getValidation(contact) && (
+                                                <span className={`validation-badge validation-${getValidation(contact)}`}>
+                                                    {getValidation(contact).replace('_', ' ')}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className={`contact-mobile ${getPhone(contact).valid === false ? 'mobile-invalid' : ''}`}>
+                                            {getPhone(contact).e164 || contact.extracted_mobile || contact.extracted?.mobile || 'N/A'}
+                                            {getPhone(contact).type && getPhone(contact).type !== 'mobile' && (
+                                                <span className="mobile-type">{getPhone(contact).type}</span>
+                                            )}
                                         </td>
                                         <td>
                                             <span className={`confidence-badge ${getConfidenceClass(contact.confidence || contact.extracted?.confidence || 0)}`}>
                                                 {Math.round((contact.confidence || contact.extracted?.confidence || 0) * 100)}%
                                             </span>
                                         </td>
+                                        <td>
+                                            <span className={`source-badge source-${getSource(contact)}`}>
+                                                {getSource(contact)}
+                                            </span>
+                                        </td>
                                         <td>
                                             <span className={`status-badge status-${contact.status}`}>
                                                 {contact.status || 'unknown'}
@@ -268,30 +578,131 @@ function App() {
                                     {selectedContact.extracted_name || selectedContact.extracted?.name || 'Not extracted'}
                                 </div>
                             </div>
+                            {getLatin(selectedContact, 'name') && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Name (Latin)</div>
+                                    <div className="detail-value">{getLatin(selectedContact, 'name')}</div>
+                                </div>
+                            )}
                             <div className="detail-group">
                                 <div className="detail-label">Address</div>
                                 <div className="detail-value">
                                     {selectedContact.extracted_address || selectedContact.extracted?.address || 'Not extracted'}
                                 </div>
                             </div>
+                            {getLatin(selectedContact, 'address') && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Address (Latin)</div>
+                                    <div className="detail-value">{getLatin(selectedContact, 'address')}</div>
+                                </div>
+                            )}
+                            {getLocation(selectedContact) && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Location Pin</div>
+                                    <div className="detail-value">
+                                        {getLocation(selectedContact).name && <div>{getLocation(selectedContact).name}</div>}
+                                        <a
+                                            className="media-link"
+                                            href={`https://www.openstreetmap.org/?mlat=${getLocation(selectedContact).latitude}&mlon=${getLocation(selectedContact).longitude}#map=17/${getLocation(selectedContact).latitude}/${getLocation(selectedContact).longitude}`}
+                                            target="_blank"
+                                            rel="noreferrer"
+                                        >
+                                            📍 {Number(getLocation(selectedContact).latitude).toFixed(6)}, {Number(getLocation(selectedContact).longitude).toFixed(6)}
+                                        </a>
+                                    </div>
+                                </div>
+                            )}
+                            {getValidation(selectedContact) && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Address Check</div>
+                                    <div className="detail-value">
+                                        <span className={`validation-badge validation-${getValidation(selectedContact)}`}>
+                                            {getValidation(selectedContact).replace('_', ' ')}
+                                        </span>
+                                    </div>
+                                </div>
+                            )}
+                            <div className="detail-group">
+                                <div className="detail-label">Address Components</div>
+                                <div className="address-parts">
+                                    {ADDRESS_PARTS.map((part) => (
+                                        <div key={part} className="address-part">
+                                            <span className="address-part-label">{part}</span>
+                                            <span className="detail-value">{getAddressPart(selectedContact, part) || '—'}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            </div>
                             <div className="detail-group">
                                 <div className="detail-label">Mobile</div>
                                 <div className="detail-value">
                                     {selectedContact.extracted_mobile || selectedContact.extracted?.mobile || 'Not extracted'}
                                 </div>
                             </div>
+                            {(selectedContact.extracted_mobile || selectedContact.extracted?.mobile) && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Normalized Mobile</div>
+                                    <div className={`detail-value ${getPhone(selectedContact).valid === false ? 'mobile-invalid' : ''}`}>
+                                        {getPhone(selectedContact).valid === false
+                                            ? `Invalid number${getPhone(selectedContact).reason ? `: ${getPhone(selectedContact).reason}` : ''}`
+                                            : `${getPhone(selectedContact).e164} (${getPhone(selectedContact).type})`}
+                                    </div>
+                                </div>
+                            )}
                             <div className="detail-group">
                                 <div className="detail-label">WhatsApp Sender</div>
                                 <div className="detail-value">
                                     {selectedContact.push_name || selectedContact.pushName} ({selectedContact.sender_number || selectedContact.senderNumber})
                                 </div>
                             </div>
+                            {hasAccounts && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Account</div>
+                                    <div className="detail-value">{getAccount(selectedContact)}</div>
+                                </div>
+                            )}
+                            {getGroup(selectedContact) && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Group</div>
+                                    <div className="detail-value">
+                                        {getGroup(selectedContact).name || 'Unnamed group'} ({getGroup(selectedContact).id})
+                                    </div>
+                                </div>
+                            )}
+                            {getSessionSize(selectedContact) > 1 && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Session</div>
+                                    <div className="detail-value">
+                                        Contact {getContactIndex(selectedContact) + 1} of {getSessionSize(selectedContact)} extracted from the same messages
+                                    </div>
+                                </div>
+                            )}
+                            <div className="detail-group">
+                                <div className="detail-label">Extracted By</div>
+                                <div className="detail-value">
+                                    <span className={`source-badge source-${getSource(selectedContact)}`}>
+                                        {getSource(selectedContact)}
+                                    </span>
+                                </div>
+                            </div>
                             <div className="detail-group">
                                 <div className="detail-label">LLM Notes</div>
                                 <div className="detail-value">
                                     {selectedContact.notes || selectedContact.extracted?.notes || 'None'}
                                 </div>
                             </div>
+                            {(selectedContact.extractionErrors || selectedContact.validationErrors || []).length > 0 && (
+                                <div className="detail-group">
+                                    <div className="detail-label">Validation Errors</div>
+                                    <div className="raw-messages">
+                                        {(selectedContact.extractionErrors || selectedContact.validationErrors).map((err, idx) => (
+                                            <div key={idx} className="raw-message validation-error">
+                                                <strong>{err.field}</strong>: {err.message}
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
                             <div className="detail-group">
                                 <div className="detail-label">Raw Messages</div>
                                 <div className="raw-messages">
@@ -301,7 +712,28 @@ function App() {
                                             : (selectedContact.rawMessages || [])
                                         ).map((msg, idx) => (
                                             <div key={idx} className="raw-message">
-                                                {msg.text || msg}
+                                                {msg.media && (
+                                                    msg.media.stored ? (
+                                                        <a
+                                                            className="media-link"
+                                                            href={`${API_URL}/api/media/${encodeURIComponent(msg.id)}`}
+                                                            target="_blank"
+                                                            rel="noreferrer"
+                                                        >
+                                                            📎 {msg.media.fileName || msg.media.type}
+                                                        </a>
+                                                    ) : (
+                                                        <span className="media-link">📎 {msg.media.type}</span>
+                                                    )
+                                                )}
+                                                {msg.replyTo && (
+                                                    <span className="reply-quote">↩ {msg.replyTo.text || 'Reply to an earlier message'}</span>
+                                                )}
+                                                {msg.card && <span className="media-link">📇 Contact card</span>}
+                                                {msg.location && !msg.text && (
+                                                    <span>📍 {msg.location.latitude}, {msg.location.longitude}</span>
+                                                )}
+                                                {typeof msg === 'string' ? msg : msg.text}
                                             </div>
                                         ))
                                     ) : selectedContact.combined_text || selectedContact.combinedText ? (
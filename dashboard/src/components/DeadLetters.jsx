@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Messages whose processing failed. Operators can inspect the error and
+ * payload, fix the payload, replay it to its source topic, or purge it.
+ */
+export function DeadLetters({ apiUrl, addToast, onChange }) {
+    const [letters, setLetters] = useState([]);
+    const [counts, setCounts] = useState({ pending: 0, replayed: 0 });
+    const [statusFilter, setStatusFilter] = useState('pending');
+    const [expanded, setExpanded] = useState(null);
+    const [draft, setDraft] = useState('');
+
+    const fetchLetters = async () => {
+        try {
+            const params = new URLSearchParams();
+            if (statusFilter) params.append('status', statusFilter);
+
+            const response = await fetch(`${apiUrl}/api/dead-letters?${params}`);
+            const data = await response.json();
+
+            if (data.success) {
+                setLetters(data.data);
+                setCounts({ pending: data.meta.pending, replayed: data.meta.replayed });
+            }
+        } catch (error) {
+            console.error('Failed to fetch dead letters:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchLetters();
+    }, [statusFilter]);
+
+    // Call an endpoint, report the result and reload the list
+    const runAction = async (path, options, successMessage) => {
+        try {
+            const response = await fetch(`${apiUrl}/api/dead-letters${path}`, {
+                headers: { 'Content-Type': 'application/json' },
+                ...options,
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                addToast(typeof successMessage === 'function' ? successMessage(data.data) : successMessage, 'success');
+                return true;
+            }
+            addToast(data.error || 'Action failed', 'error');
+        } catch (error) {
+            console.error('Dead letter action failed:', error);
+            addToast('Action failed', 'error');
+        } finally {
+            fetchLetters();
+            onChange();
+        }
+        return false;
+    };
+
+    const toggle = (letter) => {
+        if (expanded === letter.id) {
+            setExpanded(null);
+            return;
+        }
+        setExpanded(letter.id);
+        setDraft(JSON.stringify(letter.payload, null, 2));
+    };
+
+    const save = async (letter) => {
+        let payload;
+        try {
+            payload = JSON.parse(draft);
+        } catch (error) {
+            addToast(`Invalid JSON: ${error.message}`, 'error');
+            return;
+        }
+
+        await runAction(`/${letter.id}`, { method: 'PUT', body: JSON.stringify({ payload }) }, 'Payload saved');
+    };
+
+    const replay = (letter) =>
+        runAction(`/${letter.id}/replay`, { method: 'POST' }, 'Sent back for processing');
+
+    const remove = (letter) => {
+        if (!window.confirm('Delete this dead letter?')) return;
+        runAction(`/${letter.id}`, { method: 'DELETE' }, 'Dead letter removed');
+    };
+
+    const replayAll = () => {
+        if (!window.confirm(`Replay ${counts.pending} dead letter(s)?`)) return;
+        runAction('/replay', { method: 'POST' }, (result) =>
+            `${result.replayed} replayed${result.failed.length > 0 ? `, ${result.failed.length} failed` : ''}`);
+    };
+
+    const purge = (status) => {
+        if (!window.confirm(status ? `Delete all ${status} dead letters?` : 'Delete ALL dead letters?')) return;
+        runAction(status ? `?status=${status}` : '?all=true', { method: 'DELETE' }, (result) => `${result.removed} removed`);
+    };
+
+    // Short description of the failed message (enveloped messages carry it in `payload`)
+    const describe = (message) => {
+        if (!message || typeof message !== 'object') return String(message).substring(0, 80);
+        const payload = 'schemaVersion' in message && message.payload ? message.payload : message;
+        const sender = payload.pushName || payload.senderNumber || 'Unknown sender';
+        const text = payload.combinedText || '';
+        return `${sender}${text ? ` · ${text.substring(0, 60)}${text.length > 60 ? '…' : ''}` : ''}`;
+    };
+
+    return (
+        <section className="contacts-section dead-letters-section">
+            <div className="section-header">
+                <h2 className="section-title">Dead Letters ({counts.pending})</h2>
+                <div className="pending-actions">
+                    <select
+                        className="filter-select"
+                        value={statusFilter}
+                        onChange={(e) => setStatusFilter(e.target.value)}
+                    >
+                        <option value="pending">Pending ({counts.pending})</option>
+                        <option value="replayed">Replayed ({counts.replayed})</option>
+                        <option value="">All</option>
+                    </select>
+                    {counts.pending > 0 && (
+                        <button className="view-btn" onClick={replayAll}>Replay all</button>
+                    )}
+                    {counts.replayed > 0 && (
+                        <button className="view-btn danger-btn" onClick={() => purge('replayed')}>Purge replayed</button>
+                    )}
+                    {counts.pending + counts.replayed > 0 && (
+                        <button className="view-btn danger-btn" onClick={() => purge(null)}>Purge all</button>
+                    )}
+                </div>
+            </div>
+
+            {letters.length === 0 ? (
+                <p className="pending-empty">No failed messages.</p>
+            ) : (
+                <div className="pending-list">
+                    {letters.map((letter) => (
+                        <div key={letter.id} className="pending-card">
+                            <div className="pending-header">
+                                <div>
+                                    <div className="contact-name">{describe(letter.payload)}</div>
+                                    <div className="timestamp">
+                                        {letter.source_topic} · {letter.attempts} attempt(s) · {letter.status}
+                                        {letter.edited_at && ' · edited'}
+                                        {' '}· {new Date(letter.updated_at).toLocaleString()}
+                                    </div>
+                                    <div className="dead-letter-error">{letter.error}</div>
+                                </div>
+                            </div>
+
+                            {expanded === letter.id && (
+                                <div className="raw-messages dead-letter-detail">
+                                    {letter.stack && <pre className="dead-letter-stack">{letter.stack}</pre>}
+                                    <textarea
+                                        className="dead-letter-payload"
+                                        value={draft}
+                                        onChange={(e) => setDraft(e.target.value)}
+                                        spellCheck={false}
+                                    />
+                                </div>
+                            )}
+
+                            <div className="pending-actions">
+                                <button className="view-btn" onClick={() => toggle(letter)}>
+                                    {expanded === letter.id ? 'Hide' : 'Inspect'}
+                                </button>
+                                {expanded === letter.id && (
+                                    <button className="view-btn" onClick={() => save(letter)}>Save payload</button>
+                                )}
+                                <button className="view-btn" onClick={() => replay(letter)}>Replay</button>
+                                <button className="view-btn danger-btn" onClick={() => remove(letter)}>Delete</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react';
+
+const SLOTS = ['name', 'mobile', 'address'];
+
+/**
+ * Live panel of correlation sessions still collecting messages.
+ * Operators can process a session now, discard it, merge it into another
+ * sender's session, or split it before a message.
+ */
+export function PendingSessions({ sessions, apiUrl, onChange, addToast }) {
+    const [now, setNow] = useState(Date.now());
+    const [expanded, setExpanded] = useState(null);
+
+    // Tick once a second for the "due in" countdowns
+    useEffect(() => {
+        if (sessions.length === 0) return undefined;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [sessions.length]);
+
+    // Call an admin endpoint and report the result
+    const runAction = async (path, options, successMessage) => {
+        try {
+            const response = await fetch(`${apiUrl}/api/pending-sessions${path}`, {
+                headers: { 'Content-Type': 'application/json' },
+                ...options,
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                addToast(successMessage, 'success');
+            } else {
+                addToast(data.error || 'Action failed', 'error');
+            }
+        } catch (error) {
+            console.error('Pending session action failed:', error);
+            addToast('Action failed', 'error');
+        } finally {
+            onChange();
+        }
+    };
+
+    const senderPath = (senderId) => `/${encodeURIComponent(senderId)}`;
+
+    const flush = (session) =>
+        runAction(`${senderPath(session.senderId)}/flush`, { method: 'POST' }, `Processing session from ${session.senderNumber}`);
+
+    const discard = (session) => {
+        if (!window.confirm(`Discard ${session.messageCount} message(s) from ${session.senderNumber}?`)) return;
+        runAction(senderPath(session.senderId), { method: 'DELETE' }, 'Session discarded');
+    };
+
+    const merge = (session, targetSenderId) =>
+        runAction('/merge', {
+            method: 'POST',
+            body: JSON.stringify({ targetSenderId, sourceSenderId: session.senderId }),
+        }, 'Sessions merged');
+
+    const split = (session, messageId) =>
+        runAction(`${senderPath(session.senderId)}/split`, {
+            method: 'POST',
+            body: JSON.stringify({ messageId }),
+        }, 'Session split, earlier messages sent for processing');
+
+    const formatDue = (expiresAt) => {
+        if (!expiresAt) return '—';
+        const seconds = Math.max(0, Math.round((expiresAt - now) / 1000));
+        return `${seconds}s`;
+    };
+
+    return (
+        <section className="contacts-section pending-section">
+            <div className="section-header">
+                <h2 className="section-title">Pending Sessions ({sessions.length})</h2>
+                <div className="live-badge">
+                    <span className="live-dot"></span>
+                    Collecting
+                </div>
+            </div>
+
+            {sessions.length === 0 ? (
+                <p className="pending-empty">No sessions waiting for more messages.</p>
+            ) : (
+                <div className="pending-list">
+                    {sessions.map((session) => (
+                        <div key={session.senderId} className="pending-card">
+                            <div className="pending-header">
+                                <div>
+                                    <div className="contact-name">{session.pushName || session.senderNumber}</div>
+                                    <div className="timestamp">
+                                        {session.senderNumber}
+                                        {session.group && ` · 👥 ${session.group.name || 'Group chat'}`}
+                                        {session.account && session.account !== 'default' && ` · 📞 ${session.account}`}
+                                        {' '}· {session.messageCount} message(s) · due in {formatDue(session.expiresAt)}
+                                    </div>
+                                </div>
+                                <div className="pending-slots">
+                                    {SLOTS.map((slot) => (
+                                        <span key={slot} className={`slot-badge ${session.slots?.[slot] ? 'slot-filled' : ''}`}>
+                                            {slot}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {expanded === session.senderId && (
+                                <div className="raw-messages">
+                                    {session.messages.map((msg, idx) => (
+                                        <div key={msg.id} className="raw-message pending-message">
+                                            <span>{msg.text}</span>
+                                            {idx > 0 && (
+                                                <button className="view-btn" onClick={() => split(session, msg.id)}>
+                                                    ✂ Split here
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            <div className="pending-actions">
+                                <button
+                                    className="view-btn"
+                                    onClick={() => setExpanded(expanded === session.senderId ? null : session.senderId)}
+                                >
+                                    {expanded === session.senderId ? 'Hide' : 'Messages'}
+                                </button>
+                                <button className="view-btn" onClick={() => flush(session)}>
+                                    Process now
+                                </button>
+                                <button className="view-btn danger-btn" onClick={() => discard(session)}>
+                                    Discard
+                                </button>
+                                {sessions.length > 1 && (
+                                    <select
+                                        className="filter-select"
+                                        value=""
+                                        onChange={(e) => e.target.value && merge(session, e.target.value)}
+                                    >
+                                        <option value="">Merge into…</option>
+                                        {sessions
+                                            .filter((other) => other.senderId !== session.senderId)
+                                            .map((other) => (
+                                                <option key={other.senderId} value={other.senderId}>
+                                                    {other.pushName || other.senderNumber}
+                                                </option>
+                                            ))}
+                                    </select>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+}
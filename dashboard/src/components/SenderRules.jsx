@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+
+const TYPE_LABELS = {
+    number: 'Number',
+    prefix: 'Prefix / country',
+    group: 'Group JID',
+};
+
+const PLACEHOLDERS = {
+    number: '919876543210',
+    prefix: '91',
+    group: '120363012345678901@g.us',
+};
+
+const REASON_LABELS = {
+    blocked: 'blocked',
+    not_allowed: 'not on allow list',
+    group_filtered: 'group filtered',
+};
+
+/**
+ * Allow/block list editor. Block rules always win; once any allow rule
+ * exists, only matching senders are processed.
+ * With several WhatsApp accounts a rule can be limited to one of them.
+ */
+export function SenderRules({ apiUrl, accounts = [], addToast, onChange }) {
+    const [rules, setRules] = useState([]);
+    const [form, setForm] = useState({ list: 'block', type: 'number', value: '', account: '', note: '' });
+    const [filtered, setFiltered] = useState(null);
+
+    const fetchRules = async () => {
+        try {
+            const response = await fetch(`${apiUrl}/api/sender-rules`);
+            const data = await response.json();
+
+            if (data.success) {
+                setRules(data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch sender rules:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    // Call an endpoint, report the result and reload the rules
+    const runAction = async (path, options, successMessage) => {
+        try {
+            const response = await fetch(`${apiUrl}/api/sender-rules${path}`, {
+                headers: { 'Content-Type': 'application/json' },
+                ...options,
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                addToast(successMessage, 'success');
+                return true;
+            }
+            addToast(data.error || 'Action failed', 'error');
+        } catch (error) {
+            console.error('Sender rule action failed:', error);
+            addToast('Action failed', 'error');
+        } finally {
+            fetchRules();
+            onChange();
+        }
+        return false;
+    };
+
+    const addRule = async (e) => {
+        e.preventDefault();
+        if (!form.value.trim()) return;
+
+        const added = await runAction('', { method: 'POST', body: JSON.stringify(form) }, `Added to ${form.list} list`);
+        if (added) {
+            setForm({ ...form, value: '', note: '' });
+        }
+    };
+
+    const removeRule = (rule) => {
+        if (!window.confirm(`Remove ${rule.value} from the ${rule.list} list?`)) return;
+        runAction(`/${rule.id}`, { method: 'DELETE' }, 'Rule removed');
+    };
+
+    // Toggle the list of recently ignored messages
+    const toggleFiltered = async () => {
+        if (filtered) {
+            setFiltered(null);
+            return;
+        }
+
+        try {
+            const response = await fetch(`${apiUrl}/api/filtered-messages?limit=20`);
+            const data = await response.json();
+
+            if (data.success) {
+                setFiltered(data.data);
+            }
+        } catch (error) {
+            console.error('Failed to fetch filtered messages:', error);
+        }
+    };
+
+    const allowCount = rules.filter((r) => r.list === 'allow').length;
+
+    return (
+        <section className="contacts-section sender-rules-section">
+            <div className="section-header">
+                <h2 className="section-title">Sender Rules ({rules.length})</h2>
+                <button className="view-btn" onClick={toggleFiltered}>
+                    {filtered ? 'Hide ignored' : 'Recently ignored'}
+                </button>
+            </div>
+
+            <p className="pending-empty">
+                {allowCount > 0
+                    ? 'Only senders on the allow list are processed; the block list always wins.'
+                    : 'All senders are processed except those on the block list.'}
+            </p>
+
+            <form className="search-bar" onSubmit={addRule}>
+                <select
+                    className="filter-select"
+                    value={form.list}
+                    onChange={(e) => setForm({ ...form, list: e.target.value })}
+                >
+                    <option value="block">Block</option>
+                    <option value="allow">Allow</option>
+                </select>
+                <select
+                    className="filter-select"
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                >
+                    {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                        <option key={type} value={type}>{label}</option>
+                    ))}
+                </select>
+                {accounts.length > 0 && (
+                    <select
+                        className="filter-select"
+                        value={form.account}
+                        onChange={(e) => setForm({ ...form, account: e.target.value })}
+                    >
+                        <option value="">All accounts</option>
+                        {accounts.map((account) => (
+                            <option key={account} value={account}>{account}</option>
+                        ))}
+                    </select>
+                )}
+                <input
+                    type="text"
+                    className="search-input"
+                    placeholder={PLACEHOLDERS[form.type]}
+                    value={form.value}
+                    onChange={(e) => setForm({ ...form, value: e.target.value })}
+                />
+                <input
+                    type="text"
+                    className="search-input"
+                    placeholder="Note (optional)"
+                    value={form.note}
+                    onChange={(e) => setForm({ ...form, note: e.target.value })}
+                />
+                <button type="submit" className="view-btn">Add</button>
+            </form>
+
+            {rules.length > 0 && (
+                <div className="pending-list">
+                    {rules.map((rule) => (
+                        <div key={`${rule.list}-${rule.type}-${rule.value}-${rule.account}`} className="pending-card sender-rule">
+                            <div>
+                                <span className={`rule-badge rule-${rule.list}`}>{rule.list}</span>
+                                <span className="contact-mobile">{rule.value}</span>
+                                <div className="timestamp">
+                                    {TYPE_LABELS[rule.type]}
+                                    {accounts.length > 0 && ` · ${rule.account ? `📞 ${rule.account}` : 'all accounts'}`}
+                                    {rule.note && ` · ${rule.note}`}
+                                    {rule.hits !== null && ` · ${rule.hits} message(s) filtered`}
+                                </div>
+                            </div>
+                            {rule.source === 'config' ? (
+                                <span className="timestamp">from .env</span>
+                            ) : (
+                                <button className="view-btn danger-btn" onClick={() => removeRule(rule)}>
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {filtered && (
+                <div className="raw-messages">
+                    {filtered.length === 0 && <p className="pending-empty">No messages ignored yet.</p>}
+                    {filtered.map((msg) => (
+                        <div key={msg.id} className="raw-message">
+                            {msg.push_name || 'Unknown'} ({msg.sender_number}) · {REASON_LABELS[msg.reason] || msg.reason}
+                            {msg.group_id && ` · 👥 ${msg.group_id}`}
+                            {accounts.length > 0 && ` · 📞 ${msg.account}`}
+                            <span className="timestamp"> · {new Date(msg.received_at).toLocaleString()}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </section>
+    );
+}
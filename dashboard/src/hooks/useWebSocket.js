@@ -10,6 +10,9 @@ export function useWebSocket(url) {
     const [lastMessage, setLastMessage] = useState(null);
     const [newContacts, setNewContacts] = useState([]);
     const [whatsappConnected, setWhatsappConnected] = useState(false);
+    const [whatsappAccounts, setWhatsappAccounts] = useState(null);
+    const [pendingSessions, setPendingSessions] = useState(null);
+    const [messageUpdate, setMessageUpdate] = useState(null);
     const wsRef = useRef(null);
     const reconnectTimeoutRef = useRef(null);
 
@@ -47,8 +50,15 @@ export function useWebSocket(url) {
                         case 'new_contact':
                             setNewContacts(prev => [message.data, ...prev]);
                             break;
+                        case 'pending_sessions':
+                            setPendingSessions(message.data);
+                            break;
+                        case 'message_update':
+                            setMessageUpdate(message.data);
+                            break;
                         case 'whatsapp_status':
                             setWhatsappConnected(message.data.connected);
+                            setWhatsappAccounts(message.data.accounts || null);
                             break;
                         case 'connected':
                             console.log('WebSocket welcome:', message.message);
@@ -88,6 +98,9 @@ export function useWebSocket(url) {
         lastMessage,
         newContacts,
         whatsappConnected,
+        whatsappAccounts,
+        pendingSessions,
+        messageUpdate,
         clearNewContacts,
     };
 }
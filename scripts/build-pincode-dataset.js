@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Build the bundled pincode dataset from an India Post pincode directory export.
+ *
+ * Usage:
+ *   node scripts/build-pincode-dataset.js <pincodes.json> [output.csv.gz]
+ *
+ * Input is a JSON array of post offices with `pincode`, `districtName`,
+ * `stateName` and `taluk` (the format published by india-pincode-lookup).
+ * Output is a gzipped CSV with one row per (pincode, district, state):
+ *   pincode,district,state,taluk1|taluk2|...
+ *
+ * State names are canonicalised (see src/address/states.js) and pre-2019
+ * boundaries are corrected: 50xxxx pincodes -> Telangana, 194xxx -> Ladakh.
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { gzipSync } from 'zlib';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { normalizeState } from '../src/address/states.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const [inputPath, outputPath = join(__dirname, '..', 'src', 'address', 'data', 'pincodes.csv.gz')] = process.argv.slice(2);
+
+if (!inputPath) {
+    console.error('Usage: node scripts/build-pincode-dataset.js <pincodes.json> [output.csv.gz]');
+    process.exit(1);
+}
+
+/**
+ * Resolve the current state for a pincode, fixing state splits
+ */
+function resolveState(pincode, stateName) {
+    if (pincode.startsWith('50')) return 'Telangana';
+    if (pincode.startsWith('194')) return 'Ladakh';
+
+    const state = normalizeState(stateName);
+    if (!state) {
+        throw new Error(`Unknown state "${stateName}" for pincode ${pincode}`);
+    }
+    return state;
+}
+
+// Clean up a CSV field (no commas / pipes inside values)
+const clean = (value) => String(value || '').replace(/[,|]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const offices = JSON.parse(readFileSync(inputPath, 'utf-8'));
+const rows = new Map(); // "pincode,district,state" -> Set(taluks)
+
+for (const office of offices) {
+    const pincode = String(office.pincode);
+    if (!/^[1-9]\d{5}$/.test(pincode)) continue;
+
+    const key = [pincode, clean(office.districtName), resolveState(pincode, office.stateName)].join(',');
+    if (!rows.has(key)) rows.set(key, new Set());
+
+    const taluk = clean(office.taluk);
+    if (taluk && taluk.toUpperCase() !== 'NA') {
+        rows.get(key).add(taluk);
+    }
+}
+
+const lines = ['pincode,district,state,taluks'];
+for (const key of [...rows.keys()].sort()) {
+    lines.push(`${key},${[...rows.get(key)].join('|')}`);
+}
+
+writeFileSync(outputPath, gzipSync(lines.join('\n') + '\n', { level: 9 }));
+console.log(`Wrote ${lines.length - 1} rows from ${offices.length} post offices to ${outputPath}`);
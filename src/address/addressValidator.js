@@ -0,0 +1,211 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import pincodeDirectory from './pincodeDirectory.js';
+import { normalizeState } from './states.js';
+import { PINCODE_PATTERN } from '../utils/patterns.js';
+import { ADDRESS_PARTS } from '../llm/extractionSchema.js';
+import { normalizeDigits } from '../utils/indic.js';
+
+/**
+ * Validates and enriches extracted addresses against the offline pincode directory.
+ * Runs after extraction and before the contact is saved.
+ *
+ * Validation statuses (contacts.address_validation):
+ * - valid: pincode found and consistent with city/state
+ * - enriched: as valid, but district/state was filled in or the city spelling corrected
+ * - mismatch: pincode belongs to a different state/city than the one written
+ * - unknown_pincode: pincode not in the India Post directory
+ * - no_pincode: address without a pincode (nothing to check against)
+ */
+class AddressValidator {
+    constructor() {
+        this.enabled = config.address.validate;
+        this.maxCityDistance = 2; // Edit distance tolerated when correcting a misspelled city
+    }
+
+    /**
+     * Load the pincode dataset at startup. With validation enabled a missing or empty
+     * dataset is a configuration error, not something to skip silently.
+     */
+    init() {
+        if (!this.enabled) return;
+
+        if (!pincodeDirectory.isAvailable()) {
+            throw new Error(`Pincode dataset not found or empty at ${config.address.pincodeDatasetPath}. `
+                + 'Restore src/address/data/pincodes.csv.gz (node scripts/build-pincode-dataset.js), '
+                + 'set PINCODE_DATASET_PATH, or set ADDRESS_VALIDATION=false');
+        }
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     * @param {string} a
+     * @param {string} b
+     */
+    editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(
+                    row[j] + 1,
+                    row[j - 1] + 1,
+                    previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                previous = current;
+            }
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Compare the written city with the pincode's district/taluks
+     * @param {string} city - City as extracted
+     * @param {Array} entries - Directory entries for the pincode
+     * @returns {{ match: 'exact'|'fuzzy'|null, name?: string, district?: string }}
+     */
+    matchCity(city, entries) {
+        const key = pincodeDirectory.normalizePlace(city);
+        let best = null;
+
+        for (const entry of entries) {
+            for (const place of [entry.district, ...entry.taluks]) {
+                const placeKey = pincodeDirectory.normalizePlace(place);
+                if (placeKey === key) {
+                    return { match: 'exact', name: place, district: entry.district };
+                }
+
+                const distance = this.editDistance(key, placeKey);
+                if (key.length >= 4 && distance <= this.maxCityDistance && (!best || distance < best.distance)) {
+                    best = { match: 'fuzzy', name: place, district: entry.district, distance };
+                }
+            }
+        }
+
+        return best || { match: null };
+    }
+
+    /**
+     * Validate and enrich the address of a parsed contact in place
+     * @param {object} parsedData - Extraction result
+     * @returns {object} The same parsedData with addressValidation set
+     */
+    validate(parsedData) {
+        const extracted = parsedData.extracted;
+        if (!this.enabled || !extracted || !pincodeDirectory.isAvailable()) {
+            return parsedData;
+        }
+
+        if (!extracted.addressParts) {
+            extracted.addressParts = Object.fromEntries(ADDRESS_PARTS.map(part => [part, null]));
+        }
+        const parts = extracted.addressParts;
+
+        // Nothing address-like extracted
+        if (!extracted.address && ADDRESS_PARTS.every(part => !parts[part])) {
+            return parsedData;
+        }
+
+        const issues = [];
+        const enrichments = [];
+
+        // Take the pincode from the free-text address when it wasn't split out
+        if (!parts.pincode && extracted.address) {
+            const found = normalizeDigits(extracted.address).match(PINCODE_PATTERN);
+            if (found) {
+                parts.pincode = found[0].replace(/\s/g, '');
+                enrichments.push(`pincode ${parts.pincode} taken from address`);
+            }
+        }
+
+        let status;
+
+        if (!parts.pincode) {
+            // No pincode: at least fill a missing state from an unambiguous city
+            const place = parts.city && pincodeDirectory.findPlace(parts.city);
+            if (!parts.state && place && place.states.size === 1) {
+                parts.state = [...place.states][0];
+                enrichments.push(`state ${parts.state} inferred from city`);
+            }
+            status = 'no_pincode';
+        } else {
+            const entries = pincodeDirectory.lookup(parts.pincode);
+
+            if (!entries) {
+                issues.push(`pincode ${parts.pincode} not found in India Post directory`);
+                status = 'unknown_pincode';
+            } else {
+                const pinStates = [...new Set(entries.map(e => e.state))];
+                const pinDistricts = [...new Set(entries.map(e => e.district))];
+                const pinLabel = `${pinDistricts.join('/')}, ${pinStates.join('/')}`;
+
+                // State: normalise spelling, flag if different
+                if (parts.state) {
+                    const state = normalizeState(parts.state);
+                    if (state && !pinStates.includes(state)) {
+                        issues.push(`pincode ${parts.pincode} is in ${pinLabel} but state is "${parts.state}"`);
+                    } else if (state && state !== parts.state) {
+                        parts.state = state;
+                    }
+                }
+
+                // City: accept exact, correct near-misses, flag cities known to be elsewhere
+                let cityDistrict = null;
+                if (parts.city) {
+                    const cityMatch = this.matchCity(parts.city, entries);
+
+                    if (cityMatch.match === 'exact') {
+                        cityDistrict = cityMatch.district;
+                    } else if (cityMatch.match === 'fuzzy') {
+                        enrichments.push(`city "${parts.city}" corrected to ${cityMatch.name}`);
+                        parts.city = cityMatch.name;
+                        cityDistrict = cityMatch.district;
+                    } else {
+                        const place = pincodeDirectory.findPlace(parts.city);
+                        if (place && !pinStates.some(state => place.states.has(state))) {
+                            issues.push(`pincode ${parts.pincode} is in ${pinLabel} but city "${parts.city}" is in ${[...place.states].join('/')}`);
+                        }
+                    }
+                }
+
+                // Fill missing state/district only when the pincode is trusted
+                if (issues.length === 0) {
+                    if (!parts.state && pinStates.length === 1) {
+                        parts.state = pinStates[0];
+                        enrichments.push(`state ${parts.state} filled from pincode`);
+                    }
+
+                    if (!parts.district && (cityDistrict || pinDistricts.length === 1)) {
+                        parts.district = cityDistrict || pinDistricts[0];
+                        enrichments.push(`district ${parts.district} filled from pincode`);
+                    }
+                }
+
+                status = issues.length > 0 ? 'mismatch' : enrichments.length > 0 ? 'enriched' : 'valid';
+            }
+        }
+
+        parsedData.addressValidation = { status, issues, enrichments };
+
+        // Surface the findings in the notes shown on the dashboard
+        const findings = [...issues, ...enrichments];
+        if (findings.length > 0) {
+            const note = `Address check (${status}): ${findings.join('; ')}`;
+            extracted.notes = extracted.notes ? `${extracted.notes}. ${note}` : note;
+        }
+
+        if (status === 'mismatch' || status === 'unknown_pincode') {
+            logger.warn('⚠️ Address validation issue', { sessionId: parsedData.sessionId, status, issues });
+        } else {
+            logger.debug('Address validated', { sessionId: parsedData.sessionId, status, enrichments });
+        }
+
+        return parsedData;
+    }
+}
+
+export default new AddressValidator();
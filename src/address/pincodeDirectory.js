@@ -0,0 +1,140 @@
+import { readFileSync, existsSync } from 'fs';
+import { gunzipSync } from 'zlib';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Current / colloquial city names -> names used in the India Post directory
+const PLACE_ALIASES = {
+    'ahmadabad': 'ahmedabad',
+    'amdavad': 'ahmedabad',
+    'bengaluru': 'bangalore',
+    'bombay': 'mumbai',
+    'calcutta': 'kolkata',
+    'madras': 'chennai',
+    'poona': 'pune',
+    'baroda': 'vadodara',
+    'gurugram': 'gurgaon',
+    'prayagraj': 'allahabad',
+    'mysuru': 'mysore',
+    'mangaluru': 'mangalore',
+    'belagavi': 'belgaum',
+    'trivandrum': 'thiruvananthapuram',
+    'kochi': 'ernakulam',
+    'cochin': 'ernakulam',
+    'vizag': 'visakhapatnam',
+    'noida': 'gautam buddha nagar',
+};
+
+/**
+ * Offline India Post pincode directory.
+ * Loads the bundled pincode -> district/state dataset once into memory
+ * (~20k rows) and answers lookups without any network calls.
+ *
+ * Dataset rows: pincode,district,state,taluk1|taluk2|...
+ * Regenerate with `node scripts/build-pincode-dataset.js`.
+ */
+class PincodeDirectory {
+    constructor() {
+        this.pincodes = new Map(); // pincode -> [{ district, state, taluks }]
+        this.places = new Map(); // normalized district/taluk name -> { name, states: Set }
+        this.isLoaded = false;
+    }
+
+    /**
+     * Normalize a place name for comparison ("Ahmadabad City" -> "ahmedabad")
+     * @param {string} name
+     */
+    normalizePlace(name) {
+        const key = String(name || '')
+            .toLowerCase()
+            .replace(/\(.*?\)/g, ' ')
+            .replace(/[^a-z\s]/g, ' ')
+            .replace(/\b(city|town)\b/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return PLACE_ALIASES[key] || key;
+    }
+
+    /**
+     * Load the dataset (no-op if already loaded)
+     */
+    load() {
+        if (this.isLoaded) return;
+
+        const path = config.address.pincodeDatasetPath;
+        if (!existsSync(path)) {
+            logger.warn('Pincode dataset not found, address validation disabled', { path });
+            this.isLoaded = true;
+            return;
+        }
+
+        const raw = readFileSync(path);
+        const text = path.endsWith('.gz') ? gunzipSync(raw).toString('utf-8') : raw.toString('utf-8');
+        const lines = text.split('\n');
+
+        // Skip header row
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+
+            const [pincode, district, state, taluks = ''] = line.split(',');
+            const entry = { district, state, taluks: taluks ? taluks.split('|') : [] };
+
+            if (!this.pincodes.has(pincode)) this.pincodes.set(pincode, []);
+            this.pincodes.get(pincode).push(entry);
+
+            for (const place of [district, ...entry.taluks]) {
+                this.addPlace(place, state);
+            }
+        }
+
+        this.isLoaded = true;
+        logger.info('✅ Pincode dataset loaded', { pincodes: this.pincodes.size, places: this.places.size });
+    }
+
+    /**
+     * Index a district/taluk name under its state
+     * @param {string} name
+     * @param {string} state
+     */
+    addPlace(name, state) {
+        const key = this.normalizePlace(name);
+        if (!key) return;
+
+        if (!this.places.has(key)) {
+            this.places.set(key, { name, states: new Set() });
+        }
+        this.places.get(key).states.add(state);
+    }
+
+    /**
+     * Look up a pincode
+     * @param {string} pincode - 6-digit pincode
+     * @returns {Array<{district: string, state: string, taluks: string[]}>|null}
+     */
+    lookup(pincode) {
+        this.load();
+        return this.pincodes.get(String(pincode)) || null;
+    }
+
+    /**
+     * Look up a district/taluk/city name
+     * @param {string} name
+     * @returns {{ name: string, states: Set<string> }|null}
+     */
+    findPlace(name) {
+        this.load();
+        return this.places.get(this.normalizePlace(name)) || null;
+    }
+
+    /**
+     * Whether a dataset is available
+     */
+    isAvailable() {
+        this.load();
+        return this.pincodes.size > 0;
+    }
+}
+
+export default new PincodeDirectory();
@@ -0,0 +1,117 @@
+/**
+ * Canonical Indian state / union territory names with common aliases.
+ * Used to compare the state a sender typed with the state a pincode belongs to.
+ */
+
+export const STATES = [
+    'Andaman & Nicobar Islands',
+    'Andhra Pradesh',
+    'Arunachal Pradesh',
+    'Assam',
+    'Bihar',
+    'Chandigarh',
+    'Chhattisgarh',
+    'Dadra & Nagar Haveli and Daman & Diu',
+    'Delhi',
+    'Goa',
+    'Gujarat',
+    'Haryana',
+    'Himachal Pradesh',
+    'Jammu & Kashmir',
+    'Jharkhand',
+    'Karnataka',
+    'Kerala',
+    'Ladakh',
+    'Lakshadweep',
+    'Madhya Pradesh',
+    'Maharashtra',
+    'Manipur',
+    'Meghalaya',
+    'Mizoram',
+    'Nagaland',
+    'Odisha',
+    'Puducherry',
+    'Punjab',
+    'Rajasthan',
+    'Sikkim',
+    'Tamil Nadu',
+    'Telangana',
+    'Tripura',
+    'Uttar Pradesh',
+    'Uttarakhand',
+    'West Bengal',
+];
+
+// Old names, abbreviations and spellings seen in messages and older India Post data
+const ALIASES = {
+    'andaman and nicobar': 'Andaman & Nicobar Islands',
+    'andaman': 'Andaman & Nicobar Islands',
+    'an': 'Andaman & Nicobar Islands',
+    'ap': 'Andhra Pradesh',
+    'ar': 'Arunachal Pradesh',
+    'as': 'Assam',
+    'br': 'Bihar',
+    'ch': 'Chandigarh',
+    'chattisgarh': 'Chhattisgarh',
+    'chhatisgarh': 'Chhattisgarh',
+    'cg': 'Chhattisgarh',
+    'dadra and nagar haveli': 'Dadra & Nagar Haveli and Daman & Diu',
+    'dadra & nagar haveli': 'Dadra & Nagar Haveli and Daman & Diu',
+    'daman and diu': 'Dadra & Nagar Haveli and Daman & Diu',
+    'daman & diu': 'Dadra & Nagar Haveli and Daman & Diu',
+    'dnh': 'Dadra & Nagar Haveli and Daman & Diu',
+    'dl': 'Delhi',
+    'new delhi': 'Delhi',
+    'nct of delhi': 'Delhi',
+    'ga': 'Goa',
+    'gj': 'Gujarat',
+    'gujrat': 'Gujarat',
+    'hr': 'Haryana',
+    'hp': 'Himachal Pradesh',
+    'jammu and kashmir': 'Jammu & Kashmir',
+    'j&k': 'Jammu & Kashmir',
+    'jk': 'Jammu & Kashmir',
+    'jh': 'Jharkhand',
+    'ka': 'Karnataka',
+    'kl': 'Kerala',
+    'la': 'Ladakh',
+    'ld': 'Lakshadweep',
+    'mp': 'Madhya Pradesh',
+    'mh': 'Maharashtra',
+    'maharastra': 'Maharashtra',
+    'mn': 'Manipur',
+    'ml': 'Meghalaya',
+    'mz': 'Mizoram',
+    'nl': 'Nagaland',
+    'orissa': 'Odisha',
+    'od': 'Odisha',
+    'or': 'Odisha',
+    'pondicherry': 'Puducherry',
+    'py': 'Puducherry',
+    'pb': 'Punjab',
+    'rj': 'Rajasthan',
+    'sk': 'Sikkim',
+    'tn': 'Tamil Nadu',
+    'tamilnadu': 'Tamil Nadu',
+    'ts': 'Telangana',
+    'tg': 'Telangana',
+    'tr': 'Tripura',
+    'up': 'Uttar Pradesh',
+    'uk': 'Uttarakhand',
+    'uttaranchal': 'Uttarakhand',
+    'wb': 'West Bengal',
+};
+
+const BY_KEY = new Map(STATES.map(state => [state.toLowerCase(), state]));
+
+/**
+ * Map a free-text state name to its canonical form
+ * @param {string} name - State as written (e.g. "MH", "orissa", "TAMIL NADU")
+ * @returns {string|null} Canonical state name, or null if not recognised
+ */
+export function normalizeState(name) {
+    if (!name) return null;
+
+    const key = name.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    return BY_KEY.get(key) || ALIASES[key] || null;
+}
@@ -3,9 +3,18 @@ import cors from 'cors';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import database from '../database/sqlite.js';
-import whatsappClient from '../whatsapp/client.js';
+import whatsappAccounts from '../whatsapp/accountManager.js';
+import { parseSenderId } from '../whatsapp/senderKey.js';
 import sessionCorrelator from '../correlation/sessionCorrelator.js';
+import correlationRules from '../correlation/correlationRules.js';
 import kafkaClient from '../kafka/client.js';
+import contactExtractor from '../llm/index.js';
+import mediaStore from '../media/mediaStore.js';
+import mediaRecognition from '../media/recognition.js';
+import autoResponder from '../whatsapp/autoResponder.js';
+import senderFilter, { SenderRuleError } from '../whatsapp/senderFilter.js';
+import deadLetters, { DeadLetterError } from '../kafka/deadLetters.js';
+import messageProcessor from '../kafka/processor.js';
 
 const router = express.Router();
 
@@ -37,7 +46,6 @@ class APIServer {
     setupRoutes() {
         // Health check endpoint
         this.app.get('/health', (req, res) => {
-            const whatsappStatus = whatsappClient.getConnectionStatus();
             const kafkaStatus = kafkaClient.getStatus();
             const correlatorStats = sessionCorrelator.getStats();
 
@@ -46,11 +54,15 @@ class APIServer {
                 timestamp: Date.now(),
                 services: {
                     whatsapp: {
-                        connected: whatsappStatus.isConnected,
-                        reconnectAttempts: whatsappStatus.reconnectAttempts,
+                        connected: whatsappAccounts.isConnected(),
+                        accounts: whatsappAccounts.getStatus(),
                     },
                     kafka: kafkaStatus,
+                    processor: messageProcessor.getStatus(),
+                    llm: contactExtractor.getInfo(),
                     correlator: correlatorStats,
+                    mediaRecognizers: mediaRecognition.getInfo(),
+                    autoReply: autoResponder.getInfo(),
                 },
             });
         });
@@ -58,13 +70,19 @@ class APIServer {
         // Get all contacts with filtering and pagination
         this.app.get('/api/contacts', (req, res) => {
             try {
-                const { limit = 50, offset = 0, status, search } = req.query;
+                const { limit = 50, offset = 0, status, search, state, city, pincode, validation, account, sort } = req.query;
 
                 const contacts = database.getContacts({
                     limit: parseInt(limit, 10),
                     offset: parseInt(offset, 10),
                     status,
                     search,
+                    state,
+                    city,
+                    pincode,
+                    validation,
+                    account,
+                    sort,
                 });
 
                 const stats = database.getStats();
@@ -87,10 +105,27 @@ class APIServer {
             }
         });
 
-        // Get a specific contact
+        // Get distinct states/cities for address filters
+        this.app.get('/api/contacts/facets', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: database.getAddressFacets(),
+                });
+            } catch (error) {
+                logger.error('Error fetching address facets', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Get a specific contact (?index=N for the Nth person of a multi-contact session)
         this.app.get('/api/contacts/:sessionId', (req, res) => {
             try {
-                const contact = database.getContactBySessionId(req.params.sessionId);
+                const contactIndex = parseInt(req.query.index) || 0;
+                const contact = database.getContactBySessionId(req.params.sessionId, contactIndex);
 
                 if (!contact) {
                     return res.status(404).json({
@@ -112,10 +147,35 @@ class APIServer {
             }
         });
 
-        // Update contact status
+        // Get every contact extracted from a session
+        this.app.get('/api/sessions/:sessionId/contacts', (req, res) => {
+            try {
+                const contacts = database.getContactsBySessionId(req.params.sessionId);
+
+                if (contacts.length === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Session not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: contacts,
+                });
+            } catch (error) {
+                logger.error('Error fetching session contacts', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Update contact status (all contacts of the session not yet reviewed, unless contactIndex is given)
         this.app.patch('/api/contacts/:sessionId/status', (req, res) => {
             try {
-                const { status } = req.body;
+                const { status, contactIndex = null } = req.body;
 
                 if (!['processed', 'reviewed', 'failed', 'archived'].includes(status)) {
                     return res.status(400).json({
@@ -124,7 +184,7 @@ class APIServer {
                     });
                 }
 
-                database.updateContactStatus(req.params.sessionId, status);
+                database.updateContactStatus(req.params.sessionId, status, contactIndex);
 
                 res.json({
                     success: true,
@@ -139,19 +199,522 @@ class APIServer {
             }
         });
 
+        // List pending (still collecting) correlation sessions
+        this.app.get('/api/pending-sessions', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: sessionCorrelator.getPendingSessions(),
+                });
+            } catch (error) {
+                logger.error('Error fetching pending sessions', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Merge one pending session into another
+        this.app.post('/api/pending-sessions/merge', (req, res) => {
+            try {
+                const { targetSenderId, sourceSenderId } = req.body;
+
+                if (!targetSenderId || !sourceSenderId || targetSenderId === sourceSenderId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'targetSenderId and sourceSenderId must be two different sessions',
+                    });
+                }
+
+                if (parseSenderId(targetSenderId).account !== parseSenderId(sourceSenderId).account) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Sessions received on different WhatsApp accounts cannot be merged',
+                    });
+                }
+
+                const merged = sessionCorrelator.mergeSessions(targetSenderId, sourceSenderId);
+
+                if (!merged) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Pending session not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: merged,
+                });
+            } catch (error) {
+                logger.error('Error merging pending sessions', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Process a pending session now
+        this.app.post('/api/pending-sessions/:senderId/flush', (req, res) => {
+            try {
+                const session = sessionCorrelator.flushSession(req.params.senderId);
+
+                if (!session) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Pending session not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: { sessionId: session.sessionId, messageCount: session.messageCount },
+                });
+            } catch (error) {
+                logger.error('Error flushing pending session', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Split a pending session before a message (earlier messages are processed now)
+        this.app.post('/api/pending-sessions/:senderId/split', (req, res) => {
+            try {
+                const { messageId } = req.body;
+
+                if (!messageId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'messageId is required',
+                    });
+                }
+
+                const result = sessionCorrelator.splitSession(req.params.senderId, messageId);
+
+                if (!result) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Pending session not found, or messageId is not a later message of it',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: {
+                        processed: { sessionId: result.processed.sessionId, messageCount: result.processed.messageCount },
+                        pending: result.pending,
+                    },
+                });
+            } catch (error) {
+                logger.error('Error splitting pending session', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Discard a pending session without processing it
+        this.app.delete('/api/pending-sessions/:senderId', (req, res) => {
+            try {
+                if (!sessionCorrelator.discardSession(req.params.senderId)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Pending session not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Session discarded',
+                });
+            } catch (error) {
+                logger.error('Error discarding pending session', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Download the media file of a raw message (image, video, document, voice note)
+        this.app.get('/api/media/:messageId', (req, res) => {
+            try {
+                const message = database.getRawMessage(req.params.messageId);
+                const filePath = mediaStore.resolve(message?.media_path);
+
+                if (!filePath) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Media not found',
+                    });
+                }
+
+                if (message.media_mime_type) {
+                    res.type(message.media_mime_type);
+                }
+                res.sendFile(filePath, (error) => {
+                    if (error && !res.headersSent) {
+                        res.status(404).json({
+                            success: false,
+                            error: 'Media file missing from store',
+                        });
+                    }
+                });
+            } catch (error) {
+                logger.error('Error fetching media', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Effective per-sender correlation rules (edit the rules file to change them)
+        this.app.get('/api/correlation-rules', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: correlationRules.describe(),
+                });
+            } catch (error) {
+                logger.error('Error fetching correlation rules', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Sender allow/block rules with how many messages each filtered
+        this.app.get('/api/sender-rules', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: senderFilter.describe(),
+                });
+            } catch (error) {
+                logger.error('Error fetching sender rules', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Add an allow/block rule ({ list: allow|block, type: number|prefix|group, value, note })
+        this.app.post('/api/sender-rules', (req, res) => {
+            try {
+                const rule = senderFilter.addRule(req.body);
+
+                res.status(201).json({
+                    success: true,
+                    data: rule,
+                });
+            } catch (error) {
+                if (error instanceof SenderRuleError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                    });
+                }
+
+                logger.error('Error adding sender rule', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Remove an allow/block rule
+        this.app.delete('/api/sender-rules/:id', (req, res) => {
+            try {
+                const removed = senderFilter.removeRule(parseInt(req.params.id, 10));
+
+                if (!removed) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Sender rule not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Sender rule removed',
+                });
+            } catch (error) {
+                logger.error('Error removing sender rule', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Messages ignored by the allow/block lists and group filters, newest first
+        this.app.get('/api/filtered-messages', (req, res) => {
+            try {
+                const { limit = 50, offset = 0, reason } = req.query;
+
+                res.json({
+                    success: true,
+                    data: database.getFilteredMessages({
+                        limit: parseInt(limit, 10),
+                        offset: parseInt(offset, 10),
+                        reason,
+                    }),
+                    meta: {
+                        limit: parseInt(limit, 10),
+                        offset: parseInt(offset, 10),
+                    },
+                });
+            } catch (error) {
+                logger.error('Error fetching filtered messages', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Automated replies sent (or rate limited / failed), newest first
+        this.app.get('/api/outbound-messages', (req, res) => {
+            try {
+                const { limit = 50, offset = 0, status, sessionId } = req.query;
+
+                const messages = database.getOutboundMessages({
+                    limit: parseInt(limit, 10),
+                    offset: parseInt(offset, 10),
+                    status,
+                    sessionId,
+                });
+
+                res.json({
+                    success: true,
+                    data: messages,
+                    meta: {
+                        limit: parseInt(limit, 10),
+                        offset: parseInt(offset, 10),
+                    },
+                });
+            } catch (error) {
+                logger.error('Error fetching outbound messages', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Messages whose processing failed, most recently failed first
+        this.app.get('/api/dead-letters', (req, res) => {
+            try {
+                const { limit = 50, offset = 0, status, topic } = req.query;
+
+                res.json({
+                    success: true,
+                    data: deadLetters.list({
+                        limit: parseInt(limit, 10),
+                        offset: parseInt(offset, 10),
+                        status,
+                        sourceTopic: topic,
+                    }),
+                    meta: {
+                        limit: parseInt(limit, 10),
+                        offset: parseInt(offset, 10),
+                        ...deadLetters.getStats(),
+                    },
+                });
+            } catch (error) {
+                if (error instanceof DeadLetterError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                    });
+                }
+
+                logger.error('Error fetching dead letters', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Send every pending dead letter back to its source topic
+        this.app.post('/api/dead-letters/replay', async (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: await deadLetters.replayAll(),
+                });
+            } catch (error) {
+                logger.error('Error replaying dead letters', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Purge dead letters (?status=replayed for the replayed ones only)
+        this.app.delete('/api/dead-letters', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: { removed: deadLetters.purge({ status: req.query.status, all: req.query.all === 'true' }) },
+                });
+            } catch (error) {
+                if (error instanceof DeadLetterError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                    });
+                }
+
+                logger.error('Error purging dead letters', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // One dead letter with its payload, error and stack
+        this.app.get('/api/dead-letters/:id', (req, res) => {
+            try {
+                const deadLetter = deadLetters.get(parseInt(req.params.id, 10));
+
+                if (!deadLetter) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Dead letter not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: deadLetter,
+                });
+            } catch (error) {
+                logger.error('Error fetching dead letter', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Fix the payload before replaying ({ payload })
+        this.app.put('/api/dead-letters/:id', (req, res) => {
+            try {
+                const deadLetter = deadLetters.edit(parseInt(req.params.id, 10), req.body?.payload);
+
+                if (!deadLetter) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Dead letter not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: deadLetter,
+                });
+            } catch (error) {
+                if (error instanceof DeadLetterError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                    });
+                }
+
+                logger.error('Error editing dead letter', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Send one dead letter back to its source topic
+        this.app.post('/api/dead-letters/:id/replay', async (req, res) => {
+            try {
+                const deadLetter = await deadLetters.replay(parseInt(req.params.id, 10));
+
+                if (!deadLetter) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Dead letter not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: deadLetter,
+                });
+            } catch (error) {
+                if (error instanceof DeadLetterError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                    });
+                }
+
+                logger.error('Error replaying dead letter', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
+        // Remove one dead letter
+        this.app.delete('/api/dead-letters/:id', (req, res) => {
+            try {
+                const removed = deadLetters.purge({ id: parseInt(req.params.id, 10) });
+
+                if (!removed) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Dead letter not found',
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Dead letter removed',
+                });
+            } catch (error) {
+                logger.error('Error removing dead letter', { error: error.message });
+                res.status(500).json({
+                    success: false,
+                    error: error.message,
+                });
+            }
+        });
+
         // Get statistics
         this.app.get('/api/stats', (req, res) => {
             try {
                 const stats = database.getStats();
-                const whatsappStatus = whatsappClient.getConnectionStatus();
                 const correlatorStats = sessionCorrelator.getStats();
 
                 res.json({
                     success: true,
                     data: {
                         contacts: stats,
-                        whatsapp: whatsappStatus,
+                        whatsapp: {
+                            connected: whatsappAccounts.isConnected(),
+                            accounts: whatsappAccounts.getStatus(),
+                        },
                         correlator: correlatorStats,
+                        deadLetters: deadLetters.getStats(),
                     },
                 });
             } catch (error) {
@@ -86,12 +86,29 @@ class WebSocketManager {
     }
 
     /**
-     * Broadcast WhatsApp connection status
-     * @param {boolean} isConnected
+     * Broadcast an edit or revoke of an earlier WhatsApp message
+     * @param {object} update - { action: 'edited'|'revoked'|'recognized', senderId, messageId, sessionId, text? }
      */
-    broadcastWhatsAppStatus(isConnected) {
+    broadcastMessageUpdate(update) {
+        this.broadcast('message_update', update);
+    }
+
+    /**
+     * Broadcast the current list of pending correlation sessions
+     * @param {Array<object>} sessions - From sessionCorrelator.getPendingSessions()
+     */
+    broadcastPendingSessions(sessions) {
+        this.broadcast('pending_sessions', sessions);
+    }
+
+    /**
+     * Broadcast WhatsApp connection status of every account
+     * @param {Array<object>} accounts - From whatsappAccounts.getStatus()
+     */
+    broadcastWhatsAppStatus(accounts) {
         this.broadcast('whatsapp_status', {
-            connected: isConnected,
+            connected: accounts.some(a => a.isConnected),
+            accounts,
             timestamp: Date.now(),
         });
     }
@@ -8,40 +8,152 @@ const rootDir = join(__dirname, '..', '..');
 
 dotenv.config({ path: join(rootDir, '.env') });
 
+/**
+ * Comma-separated list from the environment
+ * @param {string|undefined} value
+ */
+const parseList = (value) => (value || '').split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * WhatsApp accounts from WHATSAPP_ACCOUNTS ("sales,support"). Each account has its own
+ * auth directory (sessions/<name>) and can override the sender/group filters with
+ * WHATSAPP_<NAME>_ALLOWED_SENDER, _GROUPS, _GROUP_ALLOWLIST and _GROUP_DENYLIST.
+ * Without WHATSAPP_ACCOUNTS there is one account, "default", using sessions/ itself.
+ */
+function loadWhatsAppAccounts(sessionPath, defaults) {
+  const names = parseList(process.env.WHATSAPP_ACCOUNTS);
+
+  return (names.length > 0 ? names : ['default']).map((name) => {
+    const env = (key) => process.env[`WHATSAPP_${name.toUpperCase().replace(/-/g, '_')}_${key}`];
+
+    return {
+      name,
+      sessionPath: name === 'default' ? sessionPath : join(sessionPath, name),
+      allowedSender: env('ALLOWED_SENDER') ?? defaults.allowedSender,
+      groups: {
+        enabled: env('GROUPS') !== undefined ? env('GROUPS') !== 'false' : defaults.groups.enabled,
+        allow: env('GROUP_ALLOWLIST') !== undefined ? parseList(env('GROUP_ALLOWLIST')) : defaults.groups.allow,
+        deny: env('GROUP_DENYLIST') !== undefined ? parseList(env('GROUP_DENYLIST')) : defaults.groups.deny,
+      },
+    };
+  });
+}
+
 const config = {
+  // LLM Provider Selection
+  llm: {
+    provider: (process.env.LLM_PROVIDER || 'groq').toLowerCase(), // groq | openai | none
+    fallbackToRules: process.env.LLM_RULES_FALLBACK !== 'false', // Rule-based extraction when the LLM fails
+    rulesMaxConfidence: 0.5, // Cap for rule-based results so they are never treated as LLM-grade
+  },
+
   // Groq LLM Configuration
   groq: {
     apiKey: process.env.GROQ_API_KEY,
-    model: 'llama-3.3-70b-versatile', // Best for multilingual extraction
+    model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile', // Best for multilingual extraction
     maxTokens: 1024,
     temperature: 0.1, // Low temperature for consistent extraction
+    maxRetries: parseInt(process.env.GROQ_MAX_RETRIES, 10) || 3,
+    retryDelayMs: 2000, // Backoff base: 2s, 4s, ...
+    timeoutMs: parseInt(process.env.GROQ_TIMEOUT_MS, 10) || 30000,
+    rateLimit: {
+      requestsPerMinute: parseInt(process.env.GROQ_RPM ?? '30', 10) || 0, // Free tier; 0 = no limit
+      tokensPerMinute: parseInt(process.env.GROQ_TPM, 10) || 0, // Prompt + max_tokens per call; 0 = no limit
+    },
+  },
+
+  // OpenAI-compatible LLM Configuration (Ollama, llama.cpp server, vLLM, ...)
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1', // Ollama default
+    apiKey: process.env.OPENAI_API_KEY || null, // Not needed for local servers
+    model: process.env.OPENAI_MODEL || 'llama3.1:8b',
+    maxTokens: 1024,
+    temperature: 0.1,
+    jsonMode: process.env.OPENAI_JSON_MODE !== 'false', // Send response_format: json_object
+    maxRetries: parseInt(process.env.OPENAI_MAX_RETRIES, 10) || 2,
+    retryDelayMs: 1000,
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120000, // Local models can be slow
+    rateLimit: {
+      requestsPerMinute: parseInt(process.env.OPENAI_RPM, 10) || 0, // Hosted endpoints; 0 = no limit
+      tokensPerMinute: parseInt(process.env.OPENAI_TPM, 10) || 0,
+    },
   },
 
   // WhatsApp Configuration
   whatsapp: {
     allowedSender: process.env.WHATSAPP_ALLOWED_SENDER || null, // null = accept all
+    groups: {
+      enabled: process.env.WHATSAPP_GROUPS !== 'false', // false = ignore all group chats
+      // Group JIDs (1203...@g.us), their numeric ids or group names; deny wins over allow
+      allow: parseList(process.env.WHATSAPP_GROUP_ALLOWLIST), // empty = all groups
+      deny: parseList(process.env.WHATSAPP_GROUP_DENYLIST),
+    },
     sessionPath: join(rootDir, 'sessions'),
     sessionHours: parseInt(process.env.WHATSAPP_SESSION_HOURS, 10) || 15,
     reconnectInterval: 5000, // 5 seconds
     maxReconnectAttempts: 10,
   },
 
-  // Kafka Configuration
+  // Kafka Configuration (also names the topics of the local queue)
   kafka: {
+    transport: (process.env.MESSAGE_TRANSPORT || 'kafka').toLowerCase(), // kafka | local (SQLite queue, no broker)
     brokers: (process.env.KAFKA_BROKERS || 'localhost:9092').split(','),
     clientId: process.env.KAFKA_CLIENT_ID || 'whatsapp-pipeline',
     groupId: process.env.KAFKA_GROUP_ID || 'message-processors',
+    partitionsConsumedConcurrently: parseInt(process.env.KAFKA_PARTITIONS_CONCURRENTLY, 10) || 3, // Up to the topic's 3 partitions
     topics: {
       rawMessages: 'raw-messages',
       parsedMessages: 'parsed-messages',
       deadLetter: 'dead-letter-queue',
     },
+    localQueue: {
+      pollIntervalMs: parseInt(process.env.LOCAL_QUEUE_POLL_MS, 10) || 1000, // Retry interval for failed deliveries
+      retentionHours: parseInt(process.env.LOCAL_QUEUE_RETENTION_HOURS, 10) || 168, // Consumed messages kept 7 days, like Kafka
+    },
+  },
+
+  // Session processing (consumer side)
+  processing: {
+    concurrency: parseInt(process.env.PROCESSING_CONCURRENCY, 10) || 3, // Sessions extracted at once (one worker pool, on Kafka shared by the partitions)
+  },
+
+  // Address validation against the bundled India Post pincode dataset
+  address: {
+    validate: process.env.ADDRESS_VALIDATION !== 'false',
+    pincodeDatasetPath: process.env.PINCODE_DATASET_PATH || join(rootDir, 'src', 'address', 'data', 'pincodes.csv.gz'),
+  },
+
+  // Media messages (images, videos, documents, voice notes)
+  media: {
+    download: process.env.MEDIA_DOWNLOAD !== 'false', // Save media files to the local store
+    storePath: process.env.MEDIA_STORE_PATH || join(rootDir, 'data', 'media'),
+    maxBytes: (parseInt(process.env.MEDIA_MAX_MB, 10) || 16) * 1024 * 1024, // Larger files keep only their caption
+    // Local OCR/ASR commands; {file} is replaced with the media path, stdout is the recognized text
+    ocrCommand: process.env.MEDIA_OCR_COMMAND || null, // e.g. "tesseract {file} stdout -l eng+hin+guj"
+    asrCommand: process.env.MEDIA_ASR_COMMAND || null, // e.g. "whisper-cli -m models/ggml-base.bin -nt -f {file}"
+    recognizeTimeoutMs: parseInt(process.env.MEDIA_RECOGNIZE_TIMEOUT_MS, 10) || 60000,
+  },
+
+  // Automated WhatsApp replies asking for missing details or confirming what was extracted
+  responder: {
+    enabled: process.env.AUTO_REPLY_ENABLED === 'true', // Off by default: the pipeline is receive-only
+    templatesPath: process.env.AUTO_REPLY_TEMPLATES_PATH || join(rootDir, 'reply-templates.json'), // Overrides (hot-reloaded)
+    minConfidence: parseFloat(process.env.AUTO_REPLY_MIN_CONFIDENCE) || 0.6, // Below this, ask the sender to check the details
+    confirm: process.env.AUTO_REPLY_CONFIRM !== 'false', // Send a summary when everything was extracted
+    groups: process.env.AUTO_REPLY_GROUPS === 'true', // Reply in group chats (mentioning the participant)
+    // Rate limits
+    maxPerMinute: parseInt(process.env.AUTO_REPLY_MAX_PER_MINUTE, 10) || 10, // All chats together
+    maxPerSenderPerDay: parseInt(process.env.AUTO_REPLY_MAX_PER_SENDER_PER_DAY, 10) || 5,
+    cooldownMinutes: parseInt(process.env.AUTO_REPLY_COOLDOWN_MINUTES, 10) || 30, // Same template to the same sender
   },
 
   // Message Correlation
   correlation: {
     timeoutSeconds: parseInt(process.env.MESSAGE_CORRELATION_TIMEOUT_SECONDS, 10) || 120,
-    maxMessagesPerSession: 10, // Force processing after 10 messages
+    maxMessagesPerSession: parseInt(process.env.MAX_MESSAGES_PER_SESSION, 10) || 10, // Force processing after N messages
+    rulesPath: process.env.CORRELATION_RULES_PATH || join(rootDir, 'correlation-rules.json'), // Per-sender overrides (hot-reloaded)
+    persistSessions: process.env.PERSIST_PENDING_SESSIONS !== 'false', // Keep in-flight sessions across restarts
+    unsentRetrySeconds: parseInt(process.env.UNSENT_SESSION_RETRY_SECONDS, 10) || 60, // Retry completed sessions that could not be queued
   },
 
   // API Server
@@ -64,12 +176,25 @@ const config = {
   rootDir,
 };
 
+// One entry per WhatsApp connection (filters default to the global settings above)
+config.whatsapp.accounts = loadWhatsAppAccounts(config.whatsapp.sessionPath, config.whatsapp);
+
 // Validate required configuration
 function validateConfig() {
   const errors = [];
 
-  if (!config.groq.apiKey) {
-    errors.push('GROQ_API_KEY is required');
+  // A missing GROQ_API_KEY is not fatal: extraction falls back to rules only
+  if (!['groq', 'openai', 'none'].includes(config.llm.provider)) {
+    errors.push(`LLM_PROVIDER must be "groq", "openai" or "none" (got "${config.llm.provider}")`);
+  }
+
+  const accountNames = config.whatsapp.accounts.map(a => a.name);
+  const badName = accountNames.find(name => !/^[A-Za-z0-9_-]+$/.test(name));
+  if (badName) {
+    errors.push(`WHATSAPP_ACCOUNTS: "${badName}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (new Set(accountNames).size !== accountNames.length) {
+    errors.push('WHATSAPP_ACCOUNTS: account names must be unique');
   }
 
   if (errors.length > 0) {
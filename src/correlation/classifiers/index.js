@@ -0,0 +1,88 @@
+import SlotClassifier from './slotClassifier.js';
+import LatinClassifier from './latinClassifier.js';
+import IndicClassifier from './indicClassifier.js';
+import { normalizeDigits } from '../../utils/indic.js';
+import {
+    DEVANAGARI_ADDRESS_KEYWORDS,
+    DEVANAGARI_NAME_LABEL_PATTERN,
+    DEVANAGARI_ADDRESS_LABEL_PATTERN,
+    GUJARATI_ADDRESS_KEYWORDS,
+    GUJARATI_NAME_LABEL_PATTERN,
+    GUJARATI_ADDRESS_LABEL_PATTERN,
+} from '../../utils/patterns.js';
+
+/**
+ * Classifier that routes each message to the classifiers of the scripts it
+ * is written in, most-used script first. Mixed messages ("Flat 4, गांधी नगर")
+ * get a second opinion from the other scripts before falling back to 'unknown'.
+ */
+class ScriptAwareClassifier extends SlotClassifier {
+    /**
+     * @param {SlotClassifier[]} classifiers - First one is the fallback for text without letters
+     */
+    constructor(classifiers) {
+        super({ name: 'script-aware' });
+        this.classifiers = classifiers;
+    }
+
+    /**
+     * Classifiers that can read the text, most letters first
+     * @param {string} text
+     */
+    rank(text) {
+        const ranked = this.classifiers
+            .map(classifier => ({ classifier, score: classifier.score(text) }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.classifier);
+
+        return ranked.length > 0 ? ranked : [this.classifiers[0]];
+    }
+
+    score(text) {
+        return Math.max(...this.classifiers.map(classifier => classifier.score(text)));
+    }
+
+    detectSlot(text) {
+        for (const classifier of this.rank(text)) {
+            const slot = classifier.detectSlot(text);
+            if (slot !== 'unknown') return slot;
+        }
+        return 'unknown';
+    }
+
+    isNoise(text, noisePattern) {
+        if (!text || text.trim().length < 2) return true;
+        return this.rank(normalizeDigits(text))[0].isNoise(text, noisePattern);
+    }
+}
+
+/**
+ * Create the default classifier (Latin, Devanagari, Gujarati)
+ * @returns {ScriptAwareClassifier}
+ */
+export function createClassifier() {
+    return new ScriptAwareClassifier([
+        new LatinClassifier(),
+        new IndicClassifier({
+            name: 'devanagari',
+            script: 'Devanagari',
+            addressKeywords: DEVANAGARI_ADDRESS_KEYWORDS,
+            nameLabel: DEVANAGARI_NAME_LABEL_PATTERN,
+            addressLabel: DEVANAGARI_ADDRESS_LABEL_PATTERN,
+            stopWords: ['क्या', 'है', 'हैं', 'हो', 'का', 'की', 'के', 'को', 'में', 'से', 'और', 'मेरा', 'मेरी', 'मेरे',
+                'आप', 'आपका', 'हम', 'यह', 'वह', 'नहीं', 'हाल', 'कैसे', 'भेजो', 'भेज', 'दो', 'करो', 'ठीक'],
+        }),
+        new IndicClassifier({
+            name: 'gujarati',
+            script: 'Gujarati',
+            addressKeywords: GUJARATI_ADDRESS_KEYWORDS,
+            nameLabel: GUJARATI_NAME_LABEL_PATTERN,
+            addressLabel: GUJARATI_ADDRESS_LABEL_PATTERN,
+            stopWords: ['શું', 'છે', 'છો', 'નું', 'ની', 'નો', 'ને', 'માં', 'થી', 'અને', 'મારું', 'મારો', 'મારી',
+                'તમે', 'તમારું', 'આ', 'તે', 'નથી', 'કેમ', 'મોકલો', 'આપો', 'કરો'],
+        }),
+    ]);
+}
+
+export { SlotClassifier, LatinClassifier, IndicClassifier, ScriptAwareClassifier };
@@ -0,0 +1,47 @@
+import SlotClassifier from './slotClassifier.js';
+import { PINCODE_PATTERN } from '../../utils/patterns.js';
+
+/**
+ * Classifier for messages written in an Indic script (Devanagari, Gujarati).
+ * Indic scripts have no letter case, so names are recognised as 2-3 words
+ * made only of the script's letters, without address keywords or common
+ * sentence words ("क्या हाल" is a question, not a name).
+ *
+ * Options:
+ * - script: Unicode script name
+ * - addressKeywords: RegExp of address words in that script
+ * - nameLabel / addressLabel: RegExp for "नाम: ..." style labels
+ * - stopWords: words that never appear in a name
+ */
+class IndicClassifier extends SlotClassifier {
+    constructor({ name, script, addressKeywords, nameLabel, addressLabel, stopWords = [] }) {
+        // Vowel signs count as characters, so the same greeting is longer than in Latin
+        super({ name, script, noiseMaxLength: 20 });
+        this.addressKeywords = addressKeywords;
+        this.nameLabel = nameLabel;
+        this.addressLabel = addressLabel;
+        this.stopWords = new Set(stopWords);
+        this.nameWord = new RegExp(`^[\\p{Script=${script}}\\p{M}]{2,}[.,]?$`, 'u');
+    }
+
+    detectSlot(text) {
+        const trimmed = text.trim();
+
+        if (this.nameLabel.test(trimmed)) return 'name';
+        if (this.addressLabel.test(trimmed)) return 'address';
+
+        if (this.addressKeywords.test(trimmed) || PINCODE_PATTERN.test(trimmed)) return 'address';
+
+        const words = trimmed.split(/\s+/);
+        if (words.length > 5) return 'address';
+
+        const isNameWord = (word) => this.nameWord.test(word) && !this.stopWords.has(word.replace(/[.,]$/, ''));
+        if (words.length >= 2 && words.length <= 3 && words.every(isNameWord)) {
+            return 'name';
+        }
+
+        return 'unknown';
+    }
+}
+
+export default IndicClassifier;
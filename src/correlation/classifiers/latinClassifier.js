@@ -0,0 +1,24 @@
+import SlotClassifier from './slotClassifier.js';
+import { NAME_PATTERN, SLOT_ADDRESS_KEYWORDS } from '../../utils/patterns.js';
+
+/**
+ * Classifier for English / romanized Hindi ("Hinglish") messages
+ */
+class LatinClassifier extends SlotClassifier {
+    constructor() {
+        super({ name: 'latin', script: 'Latin' });
+    }
+
+    detectSlot(text) {
+        // Name pattern: 2-3 capitalized words, or specific format
+        // This is a heuristic and can be improved
+        if (NAME_PATTERN.test(text.trim())) return 'name';
+
+        // Address pattern: Contains keywords or is longer
+        if (SLOT_ADDRESS_KEYWORDS.test(text) || text.split(/\s+/).length > 5) return 'address';
+
+        return 'unknown';
+    }
+}
+
+export default LatinClassifier;
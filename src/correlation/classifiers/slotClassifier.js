@@ -0,0 +1,68 @@
+import { MOBILE_PATTERN } from '../../utils/patterns.js';
+import { normalizeDigits, countScriptLetters } from '../../utils/indic.js';
+
+/**
+ * Base class for message classifiers used by the session correlator.
+ * A classifier decides which contact slot (name / mobile / address) a single
+ * message fills and whether it is a greeting to ignore. Each subclass handles
+ * one writing system; the ScriptAwareClassifier picks between them.
+ *
+ * Subclasses implement `detectSlot()` and may set:
+ * - script: Unicode script whose letters the classifier reads (e.g. 'Devanagari')
+ * - noiseMaxLength: messages longer than this are never treated as noise
+ */
+class SlotClassifier {
+    constructor({ name, script, noiseMaxLength = 15 }) {
+        this.name = name;
+        this.script = script;
+        this.noiseMaxLength = noiseMaxLength;
+    }
+
+    /**
+     * Number of letters in the text this classifier can read
+     * @param {string} text
+     */
+    score(text) {
+        return countScriptLetters(text, this.script);
+    }
+
+    /**
+     * Identify the slot of a message (digits already normalized)
+     * @param {string} text
+     * @returns {'name'|'address'|'unknown'}
+     */
+    detectSlot(text) {
+        throw new Error(`Classifier "${this.name}" does not implement detectSlot()`);
+    }
+
+    /**
+     * Identify which slot a message likely fills
+     * @param {string} text
+     * @returns {'name'|'mobile'|'address'|'unknown'}
+     */
+    identifySlot(text) {
+        const normalized = normalizeDigits(text);
+
+        // Mobile pattern: 10 digits, optional +91 or 0 prefix
+        if (MOBILE_PATTERN.test(normalized)) return 'mobile';
+
+        return this.detectSlot(normalized);
+    }
+
+    /**
+     * Check if a message is purely noise/greeting
+     * @param {string} text
+     * @param {RegExp} noisePattern - Greeting words for the sender (from correlation rules)
+     */
+    isNoise(text, noisePattern) {
+        if (!text || text.trim().length < 2) return true;
+        const cleanText = text.trim().toLowerCase();
+        // If message is very short and matches a noise pattern
+        if (cleanText.length < this.noiseMaxLength) {
+            return noisePattern.test(cleanText);
+        }
+        return false;
+    }
+}
+
+export default SlotClassifier;
@@ -0,0 +1,226 @@
+import { readFileSync, existsSync, watchFile, unwatchFile } from 'fs';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Greetings and filler seen on their own in Indian WhatsApp chats
+const DEFAULT_NOISE = [
+    'hi', 'hello', 'hey', 'gm', 'morning', 'thx', 'thanks',
+    'namaste', 'pranam', 'shubh prabhat', 'kaise ho',
+    'jay mataji', 'ram ram', 'sakti', 'om',
+    'suno', 'bhai', 'ji', 'ok', 'okay', 'tike',
+    // Devanagari
+    'नमस्ते', 'नमस्कार', 'प्रणाम', 'राम राम', 'जय श्री कृष्ण', 'जय माता जी', 'जय माताजी',
+    'धन्यवाद', 'शुक्रिया', 'ठीक है', 'हाँ', 'हां', 'सुनो',
+    // Gujarati
+    'નમસ્તે', 'જય શ્રી કૃષ્ણ', 'જય માતાજી', 'રામ રામ', 'આભાર', 'કેમ છો', 'બરાબર', 'હા',
+];
+
+const TIMEOUT_PROFILES = ['complete', 'partial', 'empty'];
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Per-sender correlation rules, loaded from a JSON file and hot-reloaded on change.
+ *
+ * File format (see correlation-rules.example.json):
+ * {
+ *   "defaults": { "timeouts": {...}, "maxMessages": 10, "noise": [...], "aggregatorMode": true },
+ *   "senders": [{ "match": "919876543210" | "1203...@g.us" | [...], ...overrides }]
+ * }
+ *
+ * - timeouts (seconds): complete = name + mobile seen, partial = any slot seen, empty = nothing yet
+ * - maxMessages: force processing after this many messages
+ * - noise: extra greeting/filler words ignored when sent on their own (added to the built-ins)
+ * - aggregatorMode: a second name/mobile/address starts a new session (one sender forwarding
+ *   many people's details); when false the newer value replaces the old one in the same session
+ *
+ * An invalid file is rejected as a whole and the previous rules stay in effect.
+ */
+class CorrelationRules {
+    constructor() {
+        this.path = config.correlation.rulesPath;
+        this.defaults = this.buildRule(this.baseRule(), {});
+        this.senders = [];
+        this.loadedAt = null;
+        this.lastError = null;
+        this.isWatching = false;
+    }
+
+    /**
+     * Built-in rule from environment config
+     */
+    baseRule() {
+        const { timeoutSeconds, maxMessagesPerSession } = config.correlation;
+
+        return {
+            timeouts: { complete: 10, partial: 30, empty: timeoutSeconds },
+            maxMessages: maxMessagesPerSession,
+            noise: DEFAULT_NOISE,
+            aggregatorMode: true,
+        };
+    }
+
+    /**
+     * Check a rule object from the file
+     * @param {object} rule
+     * @param {string} label - Where the rule is, for error messages
+     */
+    validateRule(rule, label) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new Error(`${label}: expected an object`);
+        }
+
+        if (rule.timeouts !== undefined) {
+            for (const [profile, seconds] of Object.entries(rule.timeouts)) {
+                if (!TIMEOUT_PROFILES.includes(profile)) {
+                    throw new Error(`${label}.timeouts: unknown profile "${profile}" (use ${TIMEOUT_PROFILES.join(', ')})`);
+                }
+                if (typeof seconds !== 'number' || seconds <= 0) {
+                    throw new Error(`${label}.timeouts.${profile}: expected a positive number of seconds`);
+                }
+            }
+        }
+
+        if (rule.maxMessages !== undefined && (!Number.isInteger(rule.maxMessages) || rule.maxMessages < 1)) {
+            throw new Error(`${label}.maxMessages: expected a positive integer`);
+        }
+
+        if (rule.noise !== undefined && (!Array.isArray(rule.noise) || !rule.noise.every(w => typeof w === 'string'))) {
+            throw new Error(`${label}.noise: expected an array of strings`);
+        }
+
+        if (rule.aggregatorMode !== undefined && typeof rule.aggregatorMode !== 'boolean') {
+            throw new Error(`${label}.aggregatorMode: expected true or false`);
+        }
+    }
+
+    /**
+     * Layer overrides on top of a rule and compile its noise pattern
+     * @param {object} base - Effective parent rule
+     * @param {object} overrides - Rule from the file
+     */
+    buildRule(base, overrides) {
+        const noise = [...new Set([...base.noise, ...(overrides.noise || []).map(w => w.toLowerCase().trim())])];
+
+        return {
+            timeouts: { ...base.timeouts, ...overrides.timeouts },
+            maxMessages: overrides.maxMessages ?? base.maxMessages,
+            noise,
+            aggregatorMode: overrides.aggregatorMode ?? base.aggregatorMode,
+            // Unicode-aware word boundaries (\b only knows ASCII letters)
+            noisePattern: new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(${noise.map(escapeRegExp).join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'iu'),
+        };
+    }
+
+    /**
+     * Load (or reload) the rules file
+     * @returns {boolean} Whether the file was applied
+     */
+    load() {
+        if (!existsSync(this.path)) {
+            if (this.loadedAt) {
+                logger.info('Correlation rules file removed, using defaults', { path: this.path });
+            }
+            this.defaults = this.buildRule(this.baseRule(), {});
+            this.senders = [];
+            this.loadedAt = null;
+            return false;
+        }
+
+        try {
+            const file = JSON.parse(readFileSync(this.path, 'utf-8'));
+            if (!file || typeof file !== 'object' || Array.isArray(file)) {
+                throw new Error('expected a JSON object with "defaults" and "senders"');
+            }
+            this.validateRule(file.defaults || {}, 'defaults');
+
+            if (file.senders !== undefined && !Array.isArray(file.senders)) {
+                throw new Error('senders: expected an array');
+            }
+
+            const defaults = this.buildRule(this.baseRule(), file.defaults || {});
+            const senders = (file.senders || []).map((rule, i) => {
+                this.validateRule(rule, `senders[${i}]`);
+
+                const match = [].concat(rule.match || []);
+                if (match.length === 0 || !match.every(m => typeof m === 'string' && m.trim())) {
+                    throw new Error(`senders[${i}].match: expected a sender number, JID or list of them`);
+                }
+
+                return { match: match.map(m => m.trim()), rule: this.buildRule(defaults, rule) };
+            });
+
+            this.defaults = defaults;
+            this.senders = senders;
+            this.loadedAt = Date.now();
+            this.lastError = null;
+
+            logger.info('🔁 Correlation rules loaded', { path: this.path, senderRules: senders.length });
+            return true;
+        } catch (error) {
+            this.lastError = error.message;
+            logger.error('Invalid correlation rules, keeping previous rules', { path: this.path, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Load the file and reload it whenever it changes
+     */
+    watch() {
+        this.load();
+        if (this.isWatching) return;
+
+        // watchFile (polling) survives editors that replace the file on save
+        watchFile(this.path, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.load();
+            }
+        });
+        this.isWatching = true;
+    }
+
+    /**
+     * Stop watching the rules file
+     */
+    unwatch() {
+        if (!this.isWatching) return;
+        unwatchFile(this.path);
+        this.isWatching = false;
+    }
+
+    /**
+     * Effective rule for a sender (first matching sender rule, else defaults)
+     * @param {string} senderId - WhatsApp JID (e.g. 9198...@s.whatsapp.net), or "<group JID>/<participant JID>"
+     * @param {string} senderNumber - Sender's number (the participant's, in groups)
+     * @param {string|null} [groupId] - Group JID (1203...@g.us), so a rule can cover a whole group
+     */
+    forSender(senderId, senderNumber, groupId = null) {
+        const entry = this.senders.find(({ match }) =>
+            match.some(m => m === senderId || m === senderNumber || m.replace(/\D/g, '') === senderNumber || (groupId && m === groupId))
+        );
+
+        return entry ? entry.rule : this.defaults;
+    }
+
+    /**
+     * Rules as loaded, for the API
+     */
+    describe() {
+        const strip = ({ noisePattern, ...rule }) => rule;
+
+        return {
+            path: this.path,
+            loadedAt: this.loadedAt,
+            error: this.lastError,
+            defaults: strip(this.defaults),
+            senders: this.senders.map(({ match, rule }) => ({ match, ...strip(rule) })),
+        };
+    }
+}
+
+export default new CorrelationRules();
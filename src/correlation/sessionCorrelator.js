@@ -1,6 +1,9 @@
 import { EventEmitter } from 'events';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import database from '../database/sqlite.js';
+import correlationRules from './correlationRules.js';
+import { createClassifier } from './classifiers/index.js';
 
 /**
  * Session Correlator for grouping multi-message conversations.
@@ -10,40 +13,72 @@ import logger from '../utils/logger.js';
  * Features:
  * - Groups messages from same sender within configurable time window
  * - Triggers processing on timeout or message count threshold
+ * - Timeouts, message caps, noise words and aggregator mode per sender (correlationRules)
+ * - Shared contact cards and location pins fill slots from their fields, not from text heuristics
+ * - Script-aware slot detection and noise filtering (Latin, Devanagari, Gujarati) via a pluggable classifier
  * - Thread-safe message buffering
  * - Handles late-arriving messages gracefully
+ * - Persists in-flight sessions to SQLite and resumes them after a restart
+ * - Admin operations on pending sessions (flush, discard, merge, split)
+ * - Edits and revokes: applied to the buffer, or re-emit an already processed session
+ * - Quoted replies join the session of the message they quote (even one already processed)
+ * - Sessions are tagged with the receiving WhatsApp account and never mix accounts
+ *
+ * Events:
+ * - 'session': a completed session, ready for extraction
+ * - 'pending': the list of pending sessions changed (for the dashboard)
  */
-class SessionCorrelator extends EventEmitter {
-    constructor() {
+export class SessionCorrelator extends EventEmitter {
+    /**
+     * @param {SlotClassifier} classifier - Decides message slots and noise (see classifiers/)
+     */
+    constructor(classifier = createClassifier()) {
         super();
+        this.classifier = classifier;
         this.sessions = new Map(); // senderId -> session data
         this.timers = new Map(); // senderId -> timeout timer
         this.processedSessions = new Set(); // Track processed session IDs to prevent duplicates
         this.processedMessageIds = new Set(); // Track processed message IDs
         this.timeoutMs = config.correlation.timeoutSeconds * 1000;
-        this.maxMessages = config.correlation.maxMessagesPerSession;
-
-        // Common greetings and noise words to filter
-        this.noisePatterns = [
-            /\b(hi|hello|hey|gm|morning|hey|thx|thanks)\b/i,
-            /\b(namaste|pranam|shubh prabhat|kaise ho)\b/i,
-            /\b(jay mataji|ram ram|sakti|om)\b/i,
-            /\b(suno|bhai|ji|ok|okay|tike)\b/i
-        ];
+        this.persist = config.correlation.persistSessions;
+        this.unsentRetryMs = config.correlation.unsentRetrySeconds * 1000;
+        this.emittedAt = new Map(); // sessionId -> last emit of a session not acknowledged yet
+        this.retryTimer = null;
     }
 
     /**
      * Check if a message is purely noise/greeting
      * @param {string} text 
+     * @param {object} rule - Correlation rule for the sender
      */
-    isNoise(text) {
-        if (!text || text.length < 2) return true;
-        const cleanText = text.trim().toLowerCase();
-        // If message is very short and matches a noise pattern
-        if (cleanText.length < 15) {
-            return this.noisePatterns.some(pattern => pattern.test(cleanText));
-        }
-        return false;
+    isNoise(text, rule = correlationRules.defaults) {
+        return this.classifier.isNoise(text, rule.noisePattern);
+    }
+
+    /**
+     * Replace the message classifier (e.g. to add another script)
+     * @param {SlotClassifier} classifier
+     */
+    setClassifier(classifier) {
+        this.classifier = classifier;
+    }
+
+    /**
+     * Timeout for a session from its sender's rule and the slots filled so far
+     * (shorter once name + mobile are in, since the rest rarely follows)
+     * @param {object} session
+     * @returns {number} Timeout in ms
+     */
+    timeoutFor(session) {
+        const { timeouts } = correlationRules.forSender(session.senderId, session.senderNumber, session.group?.id);
+        const filledSlots = Object.values(session.slots).filter(v => v !== null).length;
+        const isHighlyComplete = session.slots.name && session.slots.mobile;
+
+        const seconds = isHighlyComplete ? timeouts.complete :
+            filledSlots >= 1 ? timeouts.partial :
+                timeouts.empty;
+
+        return seconds * 1000;
     }
 
     /**
@@ -51,20 +86,89 @@ class SessionCorrelator extends EventEmitter {
      * @param {string} text 
      */
     identifySlot(text) {
-        // Mobile pattern: 10 digits, optional +91 or 0 prefix
-        const mobilePattern = /(\+91|0)?[6-9]\d{9}/;
-        if (mobilePattern.test(text)) return 'mobile';
+        return this.classifier.identifySlot(text);
+    }
+
+    /**
+     * Slots a message fills, with their values
+     * @param {object} message - { text, card?, location? }
+     * @returns {object} e.g. { name: 'Ramesh', mobile: '+91...' }
+     */
+    messageSlots(message) {
+        if (message.card) {
+            return Object.fromEntries(
+                [['name', message.card.name], ['mobile', message.card.mobile], ['address', message.card.address]]
+                    .filter(([, value]) => value)
+            );
+        }
+
+        if (message.location) {
+            const { latitude, longitude } = message.location;
+            return { address: message.text || `${latitude}, ${longitude}` };
+        }
+
+        const slot = this.identifySlot(message.text);
+        return slot === 'unknown' ? {} : { [slot]: message.text };
+    }
+
+    /**
+     * Id a session gets when it is emitted
+     * @param {string} senderId
+     * @param {object} session
+     */
+    sessionIdOf(senderId, session) {
+        return `${senderId}_${session.startedAt}`;
+    }
+
+    /**
+     * Session a message sent to this chat now belongs to: the one still collecting,
+     * else the sender's last processed session
+     * @param {string} senderId
+     * @param {string} senderNumber
+     * @param {string|null} groupId - Group JID for a participant in a group chat
+     * @param {string} account - Receiving WhatsApp account
+     * @returns {string|null}
+     */
+    currentSessionId(senderId, senderNumber, groupId = null, account = 'default') {
+        const session = this.sessions.get(senderId);
+        return session ? this.sessionIdOf(senderId, session) : database.getLatestSessionId(senderNumber, groupId, account);
+    }
 
-        // Name pattern: 2-3 capitalized words, or specific format
-        // This is a heuristic and can be improved
-        const namePattern = /^[A-Z][a-z]+(\s[A-Z][a-z]+){1,2}$/;
-        if (namePattern.test(text.trim())) return 'name';
+    /**
+     * Where a quoted reply belongs
+     * @param {string} senderId
+     * @param {string} quotedId - Id of the quoted message (theirs or ours)
+     * @returns {{ pending: boolean, sessionId: string|null }|null} null when the quoted message is unknown
+     */
+    resolveReplyTarget(senderId, quotedId) {
+        const session = this.sessions.get(senderId);
+        if (session?.messages.some(m => m.id === quotedId)) {
+            return { pending: true, sessionId: null };
+        }
 
-        // Address pattern: Contains keywords or is longer
-        const addressKeywords = /\b(road|st|street|apt|apartment|flat|city|dist|nagar|society|colony|landmark|near|opposite)\b/i;
-        if (addressKeywords.test(text) || text.split(/\s+/).length > 5) return 'address';
+        const sessionId = database.findSessionIdForMessage(quotedId);
+        if (!sessionId) return null;
 
-        return 'unknown';
+        return session && sessionId === this.sessionIdOf(senderId, session)
+            ? { pending: true, sessionId: null }
+            : { pending: false, sessionId };
+    }
+
+    /**
+     * Session buffer entry for a message
+     * @param {object} message - Message from WhatsApp
+     */
+    toSessionMessage({ id, text, timestamp, media, card, location, replyTo }) {
+        return {
+            id,
+            text,
+            timestamp,
+            receivedAt: Date.now(),
+            ...(media && { media: { type: media.type, fileName: media.fileName, stored: !!media.path } }),
+            ...(card && { card }),
+            ...(location && { location }),
+            ...(replyTo && { replyTo: { id: replyTo.id, text: replyTo.text } }),
+        };
     }
 
     /**
@@ -72,7 +176,7 @@ class SessionCorrelator extends EventEmitter {
      * @param {object} message - Message from WhatsApp
      */
     addMessage(message) {
-        const { senderId, senderNumber, pushName, text, timestamp, id } = message;
+        const { senderId, senderNumber, pushName, group, account, text, id, card, location, replyTo } = message;
 
         // Skip if message already processed (deduplication)
         if (this.processedMessageIds.has(id)) {
@@ -88,29 +192,46 @@ class SessionCorrelator extends EventEmitter {
             oldest.forEach(id => this.processedMessageIds.delete(id));
         }
 
-        // Noise Filter: Ignore greetings
-        if (this.isNoise(text)) {
+        const rule = correlationRules.forSender(senderId, senderNumber, group?.id);
+
+        // Noise Filter: Ignore greetings (cards, pins and media still being recognized are never noise)
+        if (!card && !location && !message.pendingRecognition && this.isNoise(text, rule)) {
             logger.info('Ignoring noise/greeting message', { sender: senderNumber, text });
             return;
         }
 
-        // Identify slot
-        const slot = this.identifySlot(text);
+        // Quoted reply: a late answer to a processed session amends it instead of starting a new one
+        const replyTarget = replyTo ? this.resolveReplyTarget(senderId, replyTo.id) : null;
+        if (replyTarget?.sessionId) {
+            const entry = this.toSessionMessage(message);
+            const amended = this.amendProcessedSession(senderId, replyTo.id, (messages) => [...messages, entry], 'reply');
+            if (amended) {
+                logger.info('↩️ Reply attached to processed session', { sender: senderNumber, sessionId: amended.sessionId });
+                return;
+            }
+        }
+
+        // Identify slot(s)
+        const filled = this.messageSlots(message);
+        const slot = Object.keys(filled).join('+') || 'unknown';
 
         // Get or create session for this sender
         let session = this.sessions.get(senderId);
 
         // Aggregator/Boundary Detection: Check for slot collision
-        if (session && slot !== 'unknown' && session.slots && session.slots[slot]) {
+        // (outside aggregator mode the newer value simply replaces the old one;
+        // a reply within the pending session is a correction, not a new person)
+        const collision = session?.slots && Object.keys(filled).find(s => session.slots[s]);
+        if (rule.aggregatorMode && collision && !replyTarget?.pending) {
             // We already have a high-confidence value for this slot. 
             // This is likely a new person (Aggregator scenario).
             logger.info('Slot collision detected (Aggregator), flushing old session', {
                 sender: senderNumber,
-                slot,
-                oldValue: session.slots[slot],
-                newValue: text
+                slot: collision,
+                oldValue: session.slots[collision],
+                newValue: filled[collision]
             });
-            this.processSession(senderId);
+            this.emitSession(senderId);
             session = null; // Force create new session below
         }
 
@@ -119,27 +240,22 @@ class SessionCorrelator extends EventEmitter {
                 senderId,
                 senderNumber,
                 pushName,
+                group: group || null,
+                account: account || 'default',
                 messages: [],
                 slots: { name: null, mobile: null, address: null },
                 startedAt: Date.now(),
                 lastMessageAt: Date.now(),
             };
             this.sessions.set(senderId, session);
-            logger.info('📋 New message session started', { sender: pushName, number: senderNumber });
+            logger.info('📋 New message session started', { sender: pushName, number: senderNumber, group: group?.name || group?.id });
         }
 
         // Update slots
-        if (slot !== 'unknown') {
-            session.slots[slot] = text;
-        }
+        Object.assign(session.slots, filled);
 
         // Add message to session
-        session.messages.push({
-            id,
-            text,
-            timestamp,
-            receivedAt: Date.now(),
-        });
+        session.messages.push(this.toSessionMessage(message));
         session.lastMessageAt = Date.now();
 
         logger.debug('Message added to session', {
@@ -149,33 +265,28 @@ class SessionCorrelator extends EventEmitter {
             text: text.substring(0, 30) + '...',
         });
 
-        // Check for Adaptive Timeout
-        // If we have at least 2 slots filled (e.g. Name + Mobile), use shorter timeout
-        const filledSlots = Object.values(session.slots).filter(v => v !== null).length;
-        const isHighlyComplete = session.slots.name && session.slots.mobile;
-
-        const adaptiveTimeoutMs = isHighlyComplete ? 10000 : // 10s if complete
-            filledSlots >= 1 ? 30000 : // 30s if partial
-                this.timeoutMs; // Default (120s)
-
         // Reset the timeout timer with adaptive logic
-        this.resetTimer(senderId, adaptiveTimeoutMs);
+        this.resetTimer(senderId, this.timeoutFor(session));
+        this.saveSession(senderId);
 
         // Check if we've hit the message limit
-        if (session.messages.length >= this.maxMessages) {
+        if (session.messages.length >= rule.maxMessages) {
             logger.info('Message limit reached, processing session', { sender: senderNumber });
-            this.processSession(senderId);
+            this.emitSession(senderId);
         }
+
+        this.notifyPending();
     }
 
     /**
      * Remove a message from buffer (for Revoke/Delete)
      * @param {string} senderId 
      * @param {string} messageId 
+     * @returns {boolean} Whether the message was still buffered
      */
     removeMessage(senderId, messageId) {
         const session = this.sessions.get(senderId);
-        if (!session) return;
+        if (!session) return false;
 
         const initialCount = session.messages.length;
         session.messages = session.messages.filter(m => m.id !== messageId);
@@ -186,14 +297,92 @@ class SessionCorrelator extends EventEmitter {
             // If session is now empty, delete it
             if (session.messages.length === 0) {
                 this.sessions.delete(senderId);
+                this.forgetSession(senderId);
                 if (this.timers.has(senderId)) {
                     clearTimeout(this.timers.get(senderId));
                     this.timers.delete(senderId);
                 }
             } else {
-                // Re-evaluate slots if needed (optional optimization)
+                session.slots = this.computeSlots(session.messages);
+                this.saveSession(senderId);
             }
+
+            this.notifyPending();
+            return true;
         }
+
+        return false;
+    }
+
+    /**
+     * Replace the text of a buffered message (sender edited it, or its media was recognized)
+     * @param {string} senderId
+     * @param {string} messageId
+     * @param {string} text - New message text
+     * @param {object} [options] - { edited: false } when the sender did not change the message
+     * @returns {boolean} Whether the message was still buffered
+     */
+    editMessage(senderId, messageId, text, { edited = true } = {}) {
+        const message = this.sessions.get(senderId)?.messages.find(m => m.id === messageId);
+        if (!message) return false;
+
+        const session = this.sessions.get(senderId);
+        message.text = text;
+        if (edited) message.editedAt = Date.now();
+        session.slots = this.computeSlots(session.messages);
+        this.saveSession(senderId);
+
+        logger.info(edited ? '✏️ Buffered message edited' : '🔎 Buffered message recognized', { senderId, messageId });
+        this.notifyPending();
+        return true;
+    }
+
+    /**
+     * Re-emit an already processed session after one of its messages was edited or
+     * revoked, so its contacts are extracted again under the same session id.
+     * A session left with no messages has its contacts marked 'revoked' instead.
+     * @param {string} senderId
+     * @param {string} messageId
+     * @param {function(Array<object>): Array<object>} change - Returns the updated message list
+     * @param {string} reason - 'edit', 'revoke', 'reply' or 'recognition'
+     * @returns {{ sessionId: string, reprocessed: boolean }|null} null when no processed session changed
+     */
+    amendProcessedSession(senderId, messageId, change, reason) {
+        const sessionId = database.findSessionIdForMessage(messageId);
+        const [contact] = sessionId ? database.getContactsBySessionId(sessionId) : [];
+        if (!contact) return null;
+
+        const messages = change(contact.rawMessages);
+        if (JSON.stringify(messages) === JSON.stringify(contact.rawMessages)) {
+            return null; // Already applied (edits can arrive twice)
+        }
+
+        if (messages.length === 0) {
+            database.updateContactStatus(sessionId, 'revoked');
+            logger.info('All messages of processed session revoked', { sessionId, messageId });
+            return { sessionId, reprocessed: false };
+        }
+
+        const sessionData = {
+            sessionId,
+            senderId,
+            senderNumber: contact.sender_number,
+            pushName: contact.push_name,
+            group: contact.group_id ? { id: contact.group_id, name: contact.group_name } : null,
+            account: contact.account || 'default',
+            messageCount: messages.length,
+            combinedText: messages.map(m => m.text).join('\n'),
+            messages,
+            slots: this.computeSlots(messages),
+            startedAt: messages[0].receivedAt,
+            completedAt: Date.now(),
+            amended: { reason, messageId, at: Date.now() },
+        };
+
+        logger.info('♻️ Processed session amended, re-extracting', { sessionId, reason, messageId });
+        this.release(sessionData);
+
+        return { sessionId, reprocessed: true };
     }
 
     /**
@@ -207,6 +396,12 @@ class SessionCorrelator extends EventEmitter {
             clearTimeout(this.timers.get(senderId));
         }
 
+        // Remember when the session is due so a restart can re-arm the remaining time
+        const session = this.sessions.get(senderId);
+        if (session) {
+            session.expiresAt = Date.now() + timeoutMs;
+        }
+
         // Set new timer
         const timer = setTimeout(() => {
             logger.info('Session timeout reached, processing', { senderId });
@@ -221,6 +416,17 @@ class SessionCorrelator extends EventEmitter {
      * @param {string} senderId 
      */
     processSession(senderId) {
+        const result = this.emitSession(senderId);
+        this.notifyPending();
+        return result;
+    }
+
+    /**
+     * Emit a session for processing and remove it from the buffer
+     * @param {string} senderId
+     * @returns {object|undefined} Emitted session data
+     */
+    emitSession(senderId) {
         const session = this.sessions.get(senderId);
 
         if (!session || session.messages.length === 0) {
@@ -229,12 +435,13 @@ class SessionCorrelator extends EventEmitter {
         }
 
         // Generate session ID
-        const sessionId = `${senderId}_${session.startedAt}`;
+        const sessionId = this.sessionIdOf(senderId, session);
 
         // Check if already processed (prevent duplicate processing)
         if (this.processedSessions.has(sessionId)) {
             logger.debug('Session already processed, skipping', { sessionId });
             this.sessions.delete(senderId);
+            this.forgetSession(senderId);
             return;
         }
 
@@ -262,6 +469,8 @@ class SessionCorrelator extends EventEmitter {
             senderId: session.senderId,
             senderNumber: session.senderNumber,
             pushName: session.pushName,
+            group: session.group || null,
+            account: session.account || 'default',
             messageCount: session.messages.length,
             combinedText,
             messages: session.messages,
@@ -278,11 +487,322 @@ class SessionCorrelator extends EventEmitter {
             preview: combinedText.substring(0, 100) + (combinedText.length > 100 ? '...' : ''),
         });
 
-        // Emit session for processing
+        // Clean up session and emit it for processing
+        this.sessions.delete(senderId);
+        this.release(sessionData, senderId);
+
+        return sessionData;
+    }
+
+    /**
+     * Emit a completed session. With persistence it is kept (as unsent) until the
+     * listener calls acknowledge(), so a session that could not be queued is not lost.
+     * @param {object} sessionData
+     * @param {string|null} senderId - Sender whose pending session it was
+     */
+    release(sessionData, senderId = null) {
+        if (this.persist) {
+            try {
+                database.saveUnsentSession(sessionData, senderId);
+                this.emittedAt.set(sessionData.sessionId, Date.now());
+            } catch (error) {
+                logger.warn('Failed to persist completed session', { sessionId: sessionData.sessionId, error: error.message });
+            }
+        }
+
         this.emit('session', sessionData);
+    }
 
-        // Clean up session
+    /**
+     * Confirm a session emitted with 'session' was queued for processing
+     * @param {string} sessionId
+     */
+    acknowledge(sessionId) {
+        if (!this.persist) return;
+
+        this.emittedAt.delete(sessionId);
+        try {
+            database.deleteUnsentSession(sessionId);
+        } catch (error) {
+            logger.warn('Failed to remove unsent session', { sessionId, error: error.message });
+        }
+    }
+
+    /**
+     * Emit again the completed sessions the listener has not acknowledged (the send
+     * failed, or the app stopped first). Sessions emitted less than `olderThanMs` ago
+     * may still be sending and are left alone; a duplicate is skipped by the processor.
+     * @param {number} olderThanMs
+     * @returns {number} Sessions emitted again
+     */
+    retryUnsent(olderThanMs = 0) {
+        if (!this.persist) return 0;
+
+        const now = Date.now();
+        const due = database.getUnsentSessions()
+            .filter(({ sessionId }) => now - (this.emittedAt.get(sessionId) ?? 0) >= olderThanMs);
+
+        for (const sessionData of due) {
+            this.emittedAt.set(sessionData.sessionId, now);
+            this.emit('session', sessionData);
+        }
+        if (due.length > 0) {
+            logger.info('♻️ Unsent sessions queued again', { count: due.length });
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Work out the slots filled by a list of messages (later messages win)
+     * @param {Array<object>} messages
+     */
+    computeSlots(messages) {
+        const slots = { name: null, mobile: null, address: null };
+
+        for (const message of messages) {
+            Object.assign(slots, this.messageSlots(message));
+        }
+
+        return slots;
+    }
+
+    /**
+     * Tell listeners (dashboard) that the pending sessions changed
+     */
+    notifyPending() {
+        this.emit('pending', this.getPendingSessions());
+    }
+
+    /**
+     * List pending sessions with their messages and detected slots
+     */
+    getPendingSessions() {
+        const now = Date.now();
+
+        return [...this.sessions.values()]
+            .map(session => ({
+                senderId: session.senderId,
+                senderNumber: session.senderNumber,
+                pushName: session.pushName,
+                group: session.group || null,
+                account: session.account || 'default',
+                messageCount: session.messages.length,
+                messages: session.messages,
+                slots: session.slots,
+                startedAt: session.startedAt,
+                lastMessageAt: session.lastMessageAt,
+                expiresAt: session.expiresAt,
+                ageMs: now - session.startedAt,
+            }))
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    /**
+     * Process a pending session now instead of waiting for its timeout
+     * @param {string} senderId
+     * @returns {object|null} Emitted session data, or null if there is no such session
+     */
+    flushSession(senderId) {
+        if (!this.sessions.has(senderId)) return null;
+
+        logger.info('Pending session flushed by operator', { senderId });
+        return this.processSession(senderId) || null;
+    }
+
+    /**
+     * Drop a pending session without processing it
+     * @param {string} senderId
+     * @returns {boolean} Whether a session was discarded
+     */
+    discardSession(senderId) {
+        const session = this.sessions.get(senderId);
+        if (!session) return false;
+
+        if (this.timers.has(senderId)) {
+            clearTimeout(this.timers.get(senderId));
+            this.timers.delete(senderId);
+        }
         this.sessions.delete(senderId);
+        this.forgetSession(senderId);
+
+        logger.info('Pending session discarded by operator', { senderId, messageCount: session.messages.length });
+        this.notifyPending();
+        return true;
+    }
+
+    /**
+     * Move all messages of one pending session into another
+     * (e.g. someone sent their name from one number and the address from another)
+     * @param {string} targetSenderId - Session that is kept
+     * @param {string} sourceSenderId - Session that is absorbed and removed
+     * @returns {object|null} The merged session, or null if either session is missing
+     * or they were received on different WhatsApp accounts
+     */
+    mergeSessions(targetSenderId, sourceSenderId) {
+        const target = this.sessions.get(targetSenderId);
+        const source = this.sessions.get(sourceSenderId);
+        if (!target || !source || target === source) return null;
+        if ((target.account || 'default') !== (source.account || 'default')) return null;
+
+        target.messages = [...target.messages, ...source.messages].sort((a, b) => a.timestamp - b.timestamp);
+        target.slots = this.computeSlots(target.messages);
+        target.startedAt = Math.min(target.startedAt, source.startedAt);
+        target.lastMessageAt = Math.max(target.lastMessageAt, source.lastMessageAt);
+
+        if (this.timers.has(sourceSenderId)) {
+            clearTimeout(this.timers.get(sourceSenderId));
+            this.timers.delete(sourceSenderId);
+        }
+        this.sessions.delete(sourceSenderId);
+        this.forgetSession(sourceSenderId);
+
+        // Give the merged session a fresh window before it is processed
+        this.resetTimer(targetSenderId, this.timeoutFor(target));
+        this.saveSession(targetSenderId);
+
+        logger.info('Pending sessions merged by operator', {
+            target: targetSenderId,
+            source: sourceSenderId,
+            messageCount: target.messages.length,
+        });
+
+        this.notifyPending();
+        return target;
+    }
+
+    /**
+     * Split a pending session before the given message.
+     * Messages before it are processed now as their own session; the message
+     * and everything after it stay pending as a new session.
+     * @param {string} senderId
+     * @param {string} messageId - First message of the new session
+     * @returns {{ processed: object, pending: object }|null} Null if the session or message is not found,
+     * or the message is the first one (nothing to split off)
+     */
+    splitSession(senderId, messageId) {
+        const session = this.sessions.get(senderId);
+        if (!session) return null;
+
+        const index = session.messages.findIndex(m => m.id === messageId);
+        if (index <= 0) return null;
+
+        const remaining = session.messages.slice(index);
+        session.messages = session.messages.slice(0, index);
+        session.slots = this.computeSlots(session.messages);
+
+        const processed = this.emitSession(senderId);
+
+        const pending = {
+            senderId,
+            senderNumber: session.senderNumber,
+            pushName: session.pushName,
+            group: session.group || null,
+            account: session.account || 'default',
+            messages: remaining,
+            slots: this.computeSlots(remaining),
+            startedAt: Date.now(),
+            lastMessageAt: remaining[remaining.length - 1].receivedAt,
+        };
+        this.sessions.set(senderId, pending);
+        this.resetTimer(senderId, this.timeoutFor(pending));
+        this.saveSession(senderId);
+
+        logger.info('Pending session split by operator', {
+            senderId,
+            processedCount: session.messages.length,
+            pendingCount: remaining.length,
+        });
+
+        this.notifyPending();
+        return { processed, pending };
+    }
+
+    /**
+     * Write a pending session to SQLite (no-op when persistence is disabled)
+     * @param {string} senderId
+     */
+    saveSession(senderId) {
+        const session = this.sessions.get(senderId);
+        if (!this.persist || !session) return;
+
+        try {
+            database.savePendingSession(senderId, session);
+        } catch (error) {
+            // Keep collecting in memory; only a restart would lose this session
+            logger.warn('Failed to persist pending session', { senderId, error: error.message });
+        }
+    }
+
+    /**
+     * Remove a pending session from SQLite
+     * @param {string} senderId
+     */
+    forgetSession(senderId) {
+        if (!this.persist) return;
+
+        try {
+            database.deletePendingSession(senderId);
+        } catch (error) {
+            logger.warn('Failed to remove pending session', { senderId, error: error.message });
+        }
+    }
+
+    /**
+     * Restore sessions saved before the last shutdown/crash.
+     * Timers are re-armed with the time that was left; sessions whose
+     * timeout passed while the app was down are processed right away.
+     * Sessions never queued are emitted again, now and then periodically.
+     * Call after the 'session' listener is attached.
+     */
+    restore() {
+        if (!this.persist) return;
+
+        // Completed before the shutdown but never queued (e.g. the broker was down),
+        // then every unsentRetrySeconds for sessions whose send fails while running
+        this.retryUnsent();
+        if (!this.retryTimer) {
+            this.retryTimer = setInterval(() => this.retryUnsent(this.unsentRetryMs), this.unsentRetryMs);
+        }
+
+        const saved = database.getPendingSessions();
+        if (saved.length === 0) return;
+
+        let expired = 0;
+
+        for (const session of saved) {
+            const { senderId } = session;
+            this.sessions.set(senderId, session);
+
+            // WhatsApp may redeliver these after reconnecting
+            session.messages.forEach(m => this.processedMessageIds.add(m.id));
+
+            const remainingMs = session.expiresAt - Date.now();
+            if (remainingMs <= 0) {
+                expired++;
+                this.emitSession(senderId);
+            } else {
+                this.resetTimer(senderId, remainingMs);
+            }
+        }
+
+        logger.info('♻️ Pending sessions restored', { restored: saved.length - expired, expired });
+        this.notifyPending();
+    }
+
+    /**
+     * Stop the correlator on shutdown.
+     * With persistence, pending sessions stay in SQLite to be resumed on the next start;
+     * without it they are processed now, complete or not.
+     */
+    stop() {
+        if (!this.persist) {
+            this.flushAll();
+            return;
+        }
+
+        logger.info('Keeping pending sessions for next start', { count: this.sessions.size });
+        this.destroy();
     }
 
     /**
@@ -293,8 +813,10 @@ class SessionCorrelator extends EventEmitter {
         logger.info('Flushing all pending sessions', { count: this.sessions.size });
 
         for (const senderId of this.sessions.keys()) {
-            this.processSession(senderId);
+            this.emitSession(senderId);
         }
+
+        this.notifyPending();
     }
 
     /**
@@ -325,6 +847,8 @@ class SessionCorrelator extends EventEmitter {
             clearTimeout(timer);
         }
         this.timers.clear();
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
         this.sessions.clear();
     }
 }
@@ -3,6 +3,8 @@ import { mkdirSync, existsSync } from 'fs';
 import { dirname } from 'path';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { parsePhoneNumber } from '../utils/phone.js';
+import { transliterate, hasIndicScript } from '../utils/transliterate.js';
 
 /**
  * SQLite database for persistent storage of messages and contacts.
@@ -30,6 +32,7 @@ class DatabaseClient {
 
             // Create tables
             this.createTables();
+            this.migrateTables();
 
             logger.info('✅ Database initialized', { path: config.database.path });
         } catch (error) {
@@ -39,35 +42,76 @@ class DatabaseClient {
     }
 
     /**
-     * Create required tables if they don't exist
+     * Create the contacts table - one row per person extracted from a session
      */
-    createTables() {
-        // Contacts table - stores extracted contact information
+    createContactsTable() {
         this.db.exec(`
       CREATE TABLE IF NOT EXISTS contacts (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT UNIQUE NOT NULL,
+        session_id TEXT NOT NULL,
+        contact_index INTEGER NOT NULL DEFAULT 0,
         sender_number TEXT NOT NULL,
         push_name TEXT,
+        group_id TEXT,
+        group_name TEXT,
+        account TEXT NOT NULL DEFAULT 'default',
         extracted_name TEXT,
         extracted_address TEXT,
+        extracted_name_latin TEXT,
+        extracted_address_latin TEXT,
+        address_house TEXT,
+        address_street TEXT,
+        address_locality TEXT,
+        address_city TEXT,
+        address_district TEXT,
+        address_state TEXT,
+        address_pincode TEXT,
+        address_validation TEXT,
+        location_latitude REAL,
+        location_longitude REAL,
+        location_name TEXT,
         extracted_mobile TEXT,
+        mobile_e164 TEXT,
+        mobile_type TEXT,
+        mobile_valid INTEGER,
         confidence REAL DEFAULT 0,
         notes TEXT,
         status TEXT DEFAULT 'processed',
+        extraction_source TEXT,
+        extraction_errors TEXT,
         raw_messages TEXT,
         combined_text TEXT,
         created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL
+        updated_at INTEGER NOT NULL,
+        UNIQUE (session_id, contact_index)
       )
     `);
+    }
 
-        // Create index for faster lookups
+    /**
+     * Create the sender_rules table - allow/block rules, for every account (account NULL) or one
+     */
+    createSenderRulesTable() {
         this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_contacts_sender ON contacts(sender_number);
-      CREATE INDEX IF NOT EXISTS idx_contacts_status ON contacts(status);
-      CREATE INDEX IF NOT EXISTS idx_contacts_created ON contacts(created_at);
+      CREATE TABLE IF NOT EXISTS sender_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        list TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        account TEXT,
+        note TEXT,
+        created_at INTEGER NOT NULL,
+        UNIQUE (list, type, value, account)
+      )
     `);
+    }
+
+    /**
+     * Create required tables if they don't exist
+     */
+    createTables() {
+        // Contacts table - stores extracted contact information
+        this.createContactsTable();
 
         // Raw messages table - stores all incoming messages
         this.db.exec(`
@@ -77,7 +121,20 @@ class DatabaseClient {
         session_id TEXT,
         sender_number TEXT NOT NULL,
         push_name TEXT,
+        group_id TEXT,
+        account TEXT NOT NULL DEFAULT 'default',
         message_text TEXT NOT NULL,
+        from_me INTEGER NOT NULL DEFAULT 0,
+        quoted_message_id TEXT,
+        media_type TEXT,
+        media_mime_type TEXT,
+        media_file_name TEXT,
+        media_path TEXT,
+        media_caption TEXT,
+        media_text TEXT,
+        original_text TEXT,
+        edited_at INTEGER,
+        deleted_at INTEGER,
         timestamp INTEGER NOT NULL,
         received_at INTEGER NOT NULL
       )
@@ -88,47 +145,411 @@ class DatabaseClient {
       CREATE INDEX IF NOT EXISTS idx_messages_session ON raw_messages(session_id);
     `);
 
+        // Pending sessions table - correlator sessions still collecting messages
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_sessions (
+        sender_id TEXT PRIMARY KEY,
+        session TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+
+        // Completed sessions handed to the 'session' listener, until it confirms they were queued
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS unsent_sessions (
+        session_id TEXT PRIMARY KEY,
+        session TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `);
+
+        // Processed-session ledger - content hash of the last successful processing of each session,
+        // and the contacts saved by it that are not published yet
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS processed_sessions (
+        session_id TEXT PRIMARY KEY,
+        content_hash TEXT NOT NULL,
+        trace_id TEXT,
+        contact_count INTEGER NOT NULL DEFAULT 0,
+        revisions INTEGER NOT NULL DEFAULT 1,
+        unpublished TEXT,
+        first_processed_at INTEGER NOT NULL,
+        processed_at INTEGER NOT NULL,
+        published_at INTEGER
+      )
+    `);
+
+        // Outbound messages - every automated reply, including ones not sent (rate limited/failed)
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS outbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT,
+        session_id TEXT,
+        sender_id TEXT NOT NULL,
+        account TEXT NOT NULL DEFAULT 'default',
+        recipient TEXT NOT NULL,
+        template TEXT NOT NULL,
+        message_text TEXT NOT NULL,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at INTEGER NOT NULL
+      )
+    `);
+
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_outbound_sender ON outbound_messages(sender_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_outbound_created ON outbound_messages(created_at);
+    `);
+
+        // Sender allow/block lists and the messages they filtered out
+        this.createSenderRulesTable();
+
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS filtered_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT,
+        sender_number TEXT,
+        group_id TEXT,
+        account TEXT NOT NULL DEFAULT 'default',
+        push_name TEXT,
+        reason TEXT NOT NULL,
+        rule_id INTEGER,
+        received_at INTEGER NOT NULL
+      )
+    `);
+
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_filtered_received ON filtered_messages(received_at);
+    `);
+
+        // Local queue transport (MESSAGE_TRANSPORT=local) - one row per message of a topic
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS queue_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        topic TEXT NOT NULL,
+        message_key TEXT,
+        value TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        consumed_at INTEGER
+      )
+    `);
+
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_queue_pending ON queue_messages(topic, consumed_at, id);
+      CREATE INDEX IF NOT EXISTS idx_queue_created ON queue_messages(created_at);
+    `);
+
+        // Dead letters - messages whose processing failed, kept for inspection and replay
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_topic TEXT NOT NULL,
+        message_key TEXT,
+        ref_id TEXT,
+        payload TEXT NOT NULL,
+        error TEXT,
+        stack TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        edited_at INTEGER,
+        replayed_at INTEGER
+      )
+    `);
+
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_ref ON dead_letters(source_topic, ref_id);
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_status ON dead_letters(status, updated_at);
+    `);
+
         logger.debug('Database tables created/verified');
     }
 
     /**
-     * Save a processed contact
+     * Add columns introduced after the initial schema to existing databases
+     */
+    migrateTables() {
+        const migrations = {
+            contacts: {
+                extraction_source: 'TEXT',
+                extraction_errors: 'TEXT',
+                // Structured address; rows extracted before this keep only extracted_address
+                address_house: 'TEXT',
+                address_street: 'TEXT',
+                address_locality: 'TEXT',
+                address_city: 'TEXT',
+                address_district: 'TEXT',
+                address_state: 'TEXT',
+                address_pincode: 'TEXT',
+                address_validation: 'TEXT',
+                mobile_e164: 'TEXT',
+                mobile_type: 'TEXT',
+                mobile_valid: 'INTEGER',
+                // Latin transliteration of Devanagari/Gujarati name and address
+                extracted_name_latin: 'TEXT',
+                extracted_address_latin: 'TEXT',
+                // Shared location pin
+                location_latitude: 'REAL',
+                location_longitude: 'REAL',
+                location_name: 'TEXT',
+                // Group chat the contact was sent in (sender_number is then the participant)
+                group_id: 'TEXT',
+                group_name: 'TEXT',
+                // Receiving WhatsApp account (rows from before multiple accounts are 'default')
+                account: "TEXT NOT NULL DEFAULT 'default'",
+            },
+            raw_messages: {
+                // Media messages: file in the media store (path relative to it) and OCR/ASR text
+                media_type: 'TEXT',
+                media_mime_type: 'TEXT',
+                media_file_name: 'TEXT',
+                media_path: 'TEXT',
+                media_caption: 'TEXT',
+                media_text: 'TEXT',
+                // Edits keep the first version in original_text; revokes set deleted_at
+                original_text: 'TEXT',
+                edited_at: 'INTEGER',
+                deleted_at: 'INTEGER',
+                // Our own outgoing messages and reply references
+                from_me: 'INTEGER NOT NULL DEFAULT 0',
+                quoted_message_id: 'TEXT',
+                group_id: 'TEXT',
+                account: "TEXT NOT NULL DEFAULT 'default'",
+            },
+            outbound_messages: {
+                account: "TEXT NOT NULL DEFAULT 'default'",
+            },
+            filtered_messages: {
+                account: "TEXT NOT NULL DEFAULT 'default'",
+            },
+        };
+        const added = new Set();
+
+        for (const [table, columns] of Object.entries(migrations)) {
+            const existing = new Set(this.db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+
+            for (const [column, definition] of Object.entries(columns)) {
+                if (!existing.has(column)) {
+                    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                    added.add(`${table}.${column}`);
+                    logger.info('Database column added', { table, column });
+                }
+            }
+        }
+
+        if (added.has('contacts.mobile_e164')) {
+            this.backfillMobileNumbers();
+        }
+
+        if (added.has('contacts.extracted_name_latin')) {
+            this.backfillTransliterations();
+        }
+
+        // Sender rules from before accounts: the unique key has to include the account
+        const ruleColumns = this.db.prepare('PRAGMA table_info(sender_rules)').all().map(c => c.name);
+        if (!ruleColumns.includes('account')) {
+            this.rebuildSenderRulesTable(ruleColumns);
+        }
+
+        const contactColumns = this.db.prepare('PRAGMA table_info(contacts)').all().map(c => c.name);
+        if (!contactColumns.includes('contact_index')) {
+            this.rebuildContactsTable(contactColumns);
+        }
+
+        // Contact indexes (after the rebuild, which drops the old table's indexes)
+        this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_contacts_sender ON contacts(sender_number);
+      CREATE INDEX IF NOT EXISTS idx_contacts_status ON contacts(status);
+      CREATE INDEX IF NOT EXISTS idx_contacts_created ON contacts(created_at);
+      CREATE INDEX IF NOT EXISTS idx_contacts_city ON contacts(address_city);
+      CREATE INDEX IF NOT EXISTS idx_contacts_state ON contacts(address_state);
+      CREATE INDEX IF NOT EXISTS idx_contacts_pincode ON contacts(address_pincode);
+      CREATE INDEX IF NOT EXISTS idx_contacts_mobile_e164 ON contacts(mobile_e164);
+      CREATE INDEX IF NOT EXISTS idx_contacts_group ON contacts(group_id);
+      CREATE INDEX IF NOT EXISTS idx_contacts_account ON contacts(account);
+    `);
+    }
+
+    /**
+     * Recreate sender_rules with UNIQUE (list, type, value, account); existing
+     * rules keep applying to every account
+     * @param {string[]} columns - Columns of the existing table
+     */
+    rebuildSenderRulesTable(columns) {
+        const list = columns.join(', ');
+
+        const rebuild = this.db.transaction(() => {
+            this.db.exec('ALTER TABLE sender_rules RENAME TO sender_rules_legacy');
+            this.createSenderRulesTable();
+            this.db.exec(`INSERT INTO sender_rules (${list}) SELECT ${list} FROM sender_rules_legacy`);
+            this.db.exec('DROP TABLE sender_rules_legacy');
+        });
+        rebuild();
+
+        logger.info('Sender rules table rebuilt for per-account rules');
+    }
+
+    /**
+     * Replace the old UNIQUE(session_id) contacts table with one keyed by
+     * (session_id, contact_index). SQLite can't drop a constraint in place,
+     * so rows are copied into a new table; existing rows become index 0.
+     * @param {string[]} columns - Columns of the existing table
+     */
+    rebuildContactsTable(columns) {
+        const list = columns.join(', ');
+
+        const rebuild = this.db.transaction(() => {
+            this.db.exec('ALTER TABLE contacts RENAME TO contacts_legacy');
+            this.createContactsTable();
+            this.db.exec(`INSERT INTO contacts (${list}) SELECT ${list} FROM contacts_legacy`);
+            this.db.exec('DROP TABLE contacts_legacy');
+        });
+        rebuild();
+
+        logger.info('Contacts table rebuilt for multiple contacts per session');
+    }
+
+    /**
+     * Parse extracted_mobile of rows saved before mobile_e164 existed
+     */
+    backfillMobileNumbers() {
+        const rows = this.db.prepare('SELECT id, extracted_mobile FROM contacts WHERE extracted_mobile IS NOT NULL').all();
+        const update = this.db.prepare('UPDATE contacts SET mobile_e164 = ?, mobile_type = ?, mobile_valid = ? WHERE id = ?');
+
+        const backfill = this.db.transaction(() => {
+            for (const row of rows) {
+                const phone = parsePhoneNumber(row.extracted_mobile);
+                update.run(phone?.e164 || null, phone?.type || null, phone ? Number(phone.valid) : null, row.id);
+            }
+        });
+        backfill();
+
+        logger.info('Backfilled normalized mobile numbers', { rows: rows.length });
+    }
+
+    /**
+     * Transliterate names/addresses of rows saved before the Latin columns existed
+     */
+    backfillTransliterations() {
+        const rows = this.db.prepare('SELECT id, extracted_name, extracted_address FROM contacts').all()
+            .filter(row => hasIndicScript(row.extracted_name) || hasIndicScript(row.extracted_address));
+        const update = this.db.prepare('UPDATE contacts SET extracted_name_latin = ?, extracted_address_latin = ? WHERE id = ?');
+
+        const backfill = this.db.transaction(() => {
+            for (const row of rows) {
+                update.run(transliterate(row.extracted_name), transliterate(row.extracted_address), row.id);
+            }
+        });
+        backfill();
+
+        logger.info('Backfilled Latin names and addresses', { rows: rows.length });
+    }
+
+    /**
+     * Save a processed contact. A contact already marked `reviewed` is never overwritten.
      * @param {object} parsedData - LLM-parsed contact data
+     * @returns {number|null} Contact id, or null when a reviewed contact was kept
      */
     saveContact(parsedData) {
+        const columns = [
+            'session_id', 'contact_index', 'sender_number', 'push_name', 'group_id', 'group_name', 'account',
+            'extracted_name', 'extracted_address', 'extracted_name_latin', 'extracted_address_latin',
+            'address_house', 'address_street', 'address_locality', 'address_city',
+            'address_district', 'address_state', 'address_pincode', 'address_validation',
+            'location_latitude', 'location_longitude', 'location_name',
+            'extracted_mobile', 'mobile_e164', 'mobile_type', 'mobile_valid',
+            'confidence', 'notes', 'status', 'extraction_source', 'extraction_errors',
+            'raw_messages', 'combined_text',
+            'created_at', 'updated_at',
+        ];
+        // Re-extraction updates the row in place (same id and created_at) unless it was reviewed
+        const updated = columns.filter(c => !['session_id', 'contact_index', 'created_at'].includes(c));
+
         const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO contacts (
-        session_id, sender_number, push_name,
-        extracted_name, extracted_address, extracted_mobile,
-        confidence, notes, status,
-        raw_messages, combined_text,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO contacts (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT (session_id, contact_index) DO UPDATE SET
+        ${updated.map(c => `${c} = excluded.${c}`).join(', ')}
+      WHERE contacts.status IS NOT 'reviewed'
     `);
 
         const now = Date.now();
+        const addressParts = parsedData.extracted?.addressParts || {};
+        const phone = parsedData.extracted?.phone;
+        const latin = parsedData.extracted?.latin || {};
+        const location = parsedData.location;
         const result = stmt.run(
             parsedData.sessionId,
+            parsedData.contactIndex || 0,
             parsedData.senderNumber,
             parsedData.pushName,
+            parsedData.group?.id || null,
+            parsedData.group?.name || null,
+            parsedData.account || 'default',
             parsedData.extracted?.name,
             parsedData.extracted?.address,
+            latin.name || null,
+            latin.address || null,
+            addressParts.house || null,
+            addressParts.street || null,
+            addressParts.locality || null,
+            addressParts.city || null,
+            addressParts.district || null,
+            addressParts.state || null,
+            addressParts.pincode || null,
+            parsedData.addressValidation?.status || null,
+            location?.latitude ?? null,
+            location?.longitude ?? null,
+            location ? [location.name, location.address].filter(Boolean).join(', ') || null : null,
             parsedData.extracted?.mobile,
+            phone?.e164 || null,
+            phone?.type || null,
+            phone ? Number(phone.valid) : null,
             parsedData.extracted?.confidence || 0,
             parsedData.extracted?.notes,
             parsedData.status || 'processed',
+            parsedData.extractionSource || null,
+            parsedData.validationErrors ? JSON.stringify(parsedData.validationErrors) : null,
             JSON.stringify(parsedData.rawMessages),
             parsedData.combinedText,
             parsedData.processedAt || now,
             now
         );
 
+        if (result.changes === 0) {
+            logger.debug('Reviewed contact kept', { sessionId: parsedData.sessionId, contactIndex: parsedData.contactIndex || 0 });
+            return null;
+        }
+
+        // lastInsertRowid is not set when the upsert updates an existing row
+        const { id } = this.db.prepare('SELECT id FROM contacts WHERE session_id = ? AND contact_index = ?')
+            .get(parsedData.sessionId, parsedData.contactIndex || 0);
+
         logger.debug('Contact saved to database', {
-            id: result.lastInsertRowid,
+            id,
             sender: parsedData.senderNumber,
         });
 
-        return result.lastInsertRowid;
+        return id;
+    }
+
+    /**
+     * Delete contacts of a session beyond the current contact count (reviewed ones are kept)
+     * @param {string} sessionId
+     * @param {number} count - Number of contacts the latest extraction produced
+     */
+    removeStaleContacts(sessionId, count) {
+        const stmt = this.db.prepare(`
+      DELETE FROM contacts WHERE session_id = ? AND contact_index >= ? AND status IS NOT 'reviewed'
+    `);
+        const result = stmt.run(sessionId, count);
+
+        if (result.changes > 0) {
+            logger.debug('Stale contacts removed', { sessionId, removed: result.changes });
+        }
     }
 
     /**
@@ -138,28 +559,602 @@ class DatabaseClient {
     saveRawMessage(message) {
         const stmt = this.db.prepare(`
       INSERT OR IGNORE INTO raw_messages (
-        message_id, session_id, sender_number, push_name,
-        message_text, timestamp, received_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        message_id, session_id, sender_number, push_name, group_id, account, message_text, from_me, quoted_message_id,
+        media_type, media_mime_type, media_file_name, media_path, media_caption, media_text,
+        timestamp, received_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
+        const media = message.media || {};
         stmt.run(
             message.id,
             message.sessionId || null,
             message.senderNumber,
             message.pushName,
-            message.text,
+            message.group?.id || null,
+            message.account || 'default',
+            message.text || '',
+            message.fromMe ? 1 : 0,
+            message.replyTo?.id || null,
+            media.type || null,
+            media.mimeType || null,
+            media.fileName || null,
+            media.path || null,
+            media.caption || null,
+            media.recognizedText || null,
             message.timestamp,
             message.receivedAt
         );
     }
 
+    /**
+     * Get a raw message by WhatsApp message id
+     * @param {string} messageId
+     */
+    getRawMessage(messageId) {
+        return this.db.prepare('SELECT * FROM raw_messages WHERE message_id = ?').get(messageId) || null;
+    }
+
+    /**
+     * Link raw messages to the session they were correlated into
+     * @param {string} sessionId
+     * @param {string[]} messageIds
+     */
+    assignMessagesToSession(sessionId, messageIds) {
+        const stmt = this.db.prepare('UPDATE raw_messages SET session_id = ? WHERE message_id = ?');
+
+        const assign = this.db.transaction(() => {
+            for (const messageId of messageIds) {
+                stmt.run(sessionId, messageId);
+            }
+        });
+        assign();
+    }
+
+    /**
+     * Replace the text of an edited raw message (the first version is kept)
+     * @param {string} messageId
+     * @param {string} text - New text
+     * @returns {boolean} Whether the message exists and its text changed
+     */
+    editRawMessage(messageId, text) {
+        const stmt = this.db.prepare(`
+      UPDATE raw_messages
+      SET original_text = COALESCE(original_text, message_text), message_text = ?, edited_at = ?
+      WHERE message_id = ? AND message_text != ?
+    `);
+
+        return stmt.run(text, Date.now(), messageId, text).changes > 0;
+    }
+
+    /**
+     * Store the OCR/ASR text of a media message (recognized after the message was saved)
+     * @param {string} messageId
+     * @param {string} text - Caption plus recognized text
+     * @param {string} recognizedText
+     */
+    saveRecognizedText(messageId, text, recognizedText) {
+        this.db.prepare('UPDATE raw_messages SET message_text = ?, media_text = ? WHERE message_id = ?')
+            .run(text, recognizedText, messageId);
+    }
+
+    /**
+     * Mark a raw message as deleted by the sender
+     * @param {string} messageId
+     */
+    markRawMessageDeleted(messageId) {
+        const stmt = this.db.prepare('UPDATE raw_messages SET deleted_at = ? WHERE message_id = ? AND deleted_at IS NULL');
+        return stmt.run(Date.now(), messageId).changes > 0;
+    }
+
+    /**
+     * Session of the sender's most recently processed contact
+     * @param {string} senderNumber
+     * @param {string|null} groupId - Group JID when the sender is a group participant
+     * @param {string} account - Receiving WhatsApp account
+     * @returns {string|null}
+     */
+    getLatestSessionId(senderNumber, groupId = null, account = 'default') {
+        const row = this.db.prepare('SELECT session_id FROM contacts WHERE sender_number = ? AND group_id IS ? AND account = ? ORDER BY created_at DESC LIMIT 1')
+            .get(senderNumber, groupId, account);
+        return row?.session_id || null;
+    }
+
+    /**
+     * Find the processed session a message ended up in
+     * @param {string} messageId
+     * @returns {string|null} Session id
+     */
+    findSessionIdForMessage(messageId) {
+        const row = this.db.prepare('SELECT session_id FROM raw_messages WHERE message_id = ?').get(messageId);
+        if (row?.session_id) return row.session_id;
+
+        // Messages stored before sessions were linked: look inside the contacts' message lists
+        const contact = this.db.prepare('SELECT session_id FROM contacts WHERE raw_messages LIKE ? LIMIT 1')
+            .get(`%"id":${JSON.stringify(messageId)}%`);
+        return contact?.session_id || null;
+    }
+
+    /**
+     * Save (or replace) an in-flight correlator session
+     * @param {string} senderId
+     * @param {object} session - Session buffer including messages, slots and expiresAt
+     */
+    savePendingSession(senderId, session) {
+        const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO pending_sessions (sender_id, session, expires_at, updated_at)
+      VALUES (?, ?, ?, ?)
+    `);
+
+        stmt.run(senderId, JSON.stringify(session), session.expiresAt, Date.now());
+    }
+
+    /**
+     * Remove an in-flight session once it is processed or emptied
+     * @param {string} senderId
+     */
+    deletePendingSession(senderId) {
+        this.db.prepare('DELETE FROM pending_sessions WHERE sender_id = ?').run(senderId);
+    }
+
+    /**
+     * Keep a completed session until it has been queued for processing.
+     * The sender's pending row (if given) is removed in the same transaction.
+     * @param {object} session - Completed session data
+     * @param {string|null} senderId - Sender whose pending session this was
+     */
+    saveUnsentSession(session, senderId = null) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+          INSERT OR REPLACE INTO unsent_sessions (session_id, session, created_at) VALUES (?, ?, ?)
+        `).run(session.sessionId, JSON.stringify(session), Date.now());
+
+            if (senderId) {
+                this.deletePendingSession(senderId);
+            }
+        })();
+    }
+
+    /**
+     * Forget a completed session once it is queued
+     * @param {string} sessionId
+     */
+    deleteUnsentSession(sessionId) {
+        this.db.prepare('DELETE FROM unsent_sessions WHERE session_id = ?').run(sessionId);
+    }
+
+    /**
+     * Completed sessions that were never queued, oldest first
+     * @returns {Array<object>}
+     */
+    getUnsentSessions() {
+        return this.db.prepare('SELECT session FROM unsent_sessions ORDER BY created_at').all()
+            .map(row => JSON.parse(row.session));
+    }
+
+    /**
+     * Get all saved in-flight sessions
+     * @returns {Array<object>} Sessions with senderId and expiresAt
+     */
+    getPendingSessions() {
+        const rows = this.db.prepare('SELECT * FROM pending_sessions ORDER BY expires_at').all();
+
+        return rows.map(row => ({
+            ...JSON.parse(row.session),
+            senderId: row.sender_id,
+            expiresAt: row.expires_at,
+        }));
+    }
+
+    /**
+     * Ledger entry of a processed session
+     * @param {string} sessionId
+     * @returns {object|null}
+     */
+    getProcessedSession(sessionId) {
+        const row = this.db.prepare('SELECT * FROM processed_sessions WHERE session_id = ?').get(sessionId);
+        if (!row) return null;
+
+        return { ...row, unpublished: row.unpublished ? JSON.parse(row.unpublished) : [] };
+    }
+
+    /**
+     * Record a successful processing of a session; new content counts as a new revision
+     * @param {object} entry - { sessionId, contentHash, traceId, contactCount, unpublished }
+     */
+    saveProcessedSession({ sessionId, contentHash, traceId = null, contactCount = 0, unpublished = [] }) {
+        const now = Date.now();
+        this.db.prepare(`
+      INSERT INTO processed_sessions (
+        session_id, content_hash, trace_id, contact_count, revisions, unpublished, first_processed_at, processed_at
+      ) VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+      ON CONFLICT (session_id) DO UPDATE SET
+        revisions = revisions + (content_hash IS NOT excluded.content_hash),
+        content_hash = excluded.content_hash,
+        trace_id = excluded.trace_id,
+        contact_count = excluded.contact_count,
+        unpublished = excluded.unpublished,
+        processed_at = excluded.processed_at,
+        published_at = NULL
+    `).run(sessionId, contentHash, traceId, contactCount, JSON.stringify(unpublished), now, now);
+    }
+
+    /**
+     * Save the contacts extracted from a session and its ledger entry in one transaction,
+     * so a crash leaves either both or neither. Contacts an operator reviewed are kept.
+     * @param {object} entry - { sessionId, contentHash, traceId, contacts }
+     * @returns {Array<{contactId: number, contact: object}>} Saved contacts, to publish
+     */
+    saveProcessedContacts({ sessionId, contentHash, traceId = null, contacts }) {
+        return this.db.transaction(() => {
+            const unpublished = [];
+            for (const contact of contacts) {
+                const contactId = this.saveContact(contact);
+                if (contactId !== null) unpublished.push({ contactId, contact });
+            }
+
+            // A re-processed session may now yield fewer people than before
+            this.removeStaleContacts(sessionId, contacts.length);
+            this.saveProcessedSession({ sessionId, contentHash, traceId, contactCount: contacts.length, unpublished });
+
+            return unpublished;
+        })();
+    }
+
+    /**
+     * Mark the contacts of a processed session as published
+     * @param {string} sessionId
+     * @param {string} contentHash - Revision that was published (a newer one stays unpublished)
+     */
+    markSessionPublished(sessionId, contentHash) {
+        this.db.prepare(`
+      UPDATE processed_sessions SET unpublished = NULL, published_at = ? WHERE session_id = ? AND content_hash = ?
+    `).run(Date.now(), sessionId, contentHash);
+    }
+
+    /**
+     * Get all sender allow/block rules
+     */
+    getSenderRules() {
+        return this.db.prepare('SELECT * FROM sender_rules ORDER BY list, type, value, account').all();
+    }
+
+    /**
+     * Add a sender rule
+     * @param {object} rule - { list, type, value, account, note } (account null = every account)
+     * @returns {object} Saved rule
+     */
+    addSenderRule({ list, type, value, account, note }) {
+        const result = this.db.prepare('INSERT INTO sender_rules (list, type, value, account, note, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(list, type, value, account || null, note || null, Date.now());
+
+        return this.db.prepare('SELECT * FROM sender_rules WHERE id = ?').get(result.lastInsertRowid);
+    }
+
+    /**
+     * Delete a sender rule
+     * @param {number} id
+     * @returns {boolean} Whether a rule was deleted
+     */
+    deleteSenderRule(id) {
+        return this.db.prepare('DELETE FROM sender_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Record a message ignored by the sender or group filters
+     * @param {object} filtered - { messageId, senderNumber, groupId, account, pushName, reason, ruleId, receivedAt }
+     */
+    saveFilteredMessage(filtered) {
+        this.db.prepare(`
+      INSERT INTO filtered_messages (message_id, sender_number, group_id, account, push_name, reason, rule_id, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+            filtered.messageId || null,
+            filtered.senderNumber || null,
+            filtered.groupId || null,
+            filtered.account || 'default',
+            filtered.pushName || null,
+            filtered.reason,
+            filtered.ruleId || null,
+            filtered.receivedAt || Date.now()
+        );
+    }
+
+    /**
+     * Number of filtered messages per sender rule id
+     * @returns {object} { [ruleId]: count }
+     */
+    getFilteredCountsByRule() {
+        const rows = this.db.prepare('SELECT rule_id, COUNT(*) as count FROM filtered_messages WHERE rule_id IS NOT NULL GROUP BY rule_id').all();
+        return Object.fromEntries(rows.map(row => [row.rule_id, row.count]));
+    }
+
+    /**
+     * Get recently filtered messages, newest first
+     * @param {object} options - { limit, offset, reason }
+     */
+    getFilteredMessages({ limit = 50, offset = 0, reason = null } = {}) {
+        let query = 'SELECT * FROM filtered_messages WHERE 1=1';
+        const params = [];
+
+        if (reason) {
+            query += ' AND reason = ?';
+            params.push(reason);
+        }
+
+        query += ' ORDER BY received_at DESC, id DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        return this.db.prepare(query).all(...params);
+    }
+
+    /**
+     * Log an automated reply
+     * @param {object} outbound - { messageId, sessionId, senderId, account, recipient, template, text, status, error }
+     * @returns {number} Row id
+     */
+    saveOutboundMessage(outbound) {
+        const stmt = this.db.prepare(`
+      INSERT INTO outbound_messages (
+        message_id, session_id, sender_id, account, recipient, template, message_text, status, error, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+        const result = stmt.run(
+            outbound.messageId || null,
+            outbound.sessionId || null,
+            outbound.senderId,
+            outbound.account || 'default',
+            outbound.recipient,
+            outbound.template,
+            outbound.text,
+            outbound.status,
+            outbound.error || null,
+            Date.now()
+        );
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Count replies actually sent, for rate limiting
+     * @param {object} options - { since (ms timestamp), senderId, template }
+     */
+    countSentOutboundMessages({ since, senderId = null, template = null }) {
+        let query = "SELECT COUNT(*) as count FROM outbound_messages WHERE status = 'sent' AND created_at > ?";
+        const params = [since];
+
+        if (senderId) {
+            query += ' AND sender_id = ?';
+            params.push(senderId);
+        }
+
+        if (template) {
+            query += ' AND template = ?';
+            params.push(template);
+        }
+
+        return this.db.prepare(query).get(...params).count;
+    }
+
+    /**
+     * Get logged automated replies, newest first
+     * @param {object} options - { limit, offset, status, sessionId }
+     */
+    getOutboundMessages({ limit = 50, offset = 0, status = null, sessionId = null } = {}) {
+        let query = 'SELECT * FROM outbound_messages WHERE 1=1';
+        const params = [];
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (sessionId) {
+            query += ' AND session_id = ?';
+            params.push(sessionId);
+        }
+
+        query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        return this.db.prepare(query).all(...params);
+    }
+
+    /**
+     * Append a message to a local queue topic
+     * @param {object} message - { topic, key, value (serialized) }
+     * @returns {number} Row id
+     */
+    enqueueMessage({ topic, key, value }) {
+        const result = this.db.prepare('INSERT INTO queue_messages (topic, message_key, value, created_at) VALUES (?, ?, ?, ?)')
+            .run(topic, key || null, value, Date.now());
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Oldest unconsumed messages of a topic
+     * @param {string} topic
+     * @param {number} limit
+     */
+    getQueuedMessages(topic, limit = 50) {
+        return this.db.prepare('SELECT * FROM queue_messages WHERE topic = ? AND consumed_at IS NULL ORDER BY id LIMIT ?')
+            .all(topic, limit);
+    }
+
+    /**
+     * Number of unconsumed messages of a topic
+     * @param {string} topic
+     */
+    countQueuedMessages(topic) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM queue_messages WHERE topic = ? AND consumed_at IS NULL')
+            .get(topic).count;
+    }
+
+    /**
+     * Mark a queued message as handled
+     * @param {number} id
+     */
+    markQueueMessageConsumed(id) {
+        this.db.prepare('UPDATE queue_messages SET consumed_at = ?, attempts = attempts + 1 WHERE id = ?').run(Date.now(), id);
+    }
+
+    /**
+     * Count a failed delivery of a queued message (it stays unconsumed)
+     * @param {number} id
+     */
+    recordQueueAttempt(id) {
+        this.db.prepare('UPDATE queue_messages SET attempts = attempts + 1 WHERE id = ?').run(id);
+    }
+
+    /**
+     * Delete old queued messages that were consumed or have no consumer
+     * @param {number} before - Timestamp (ms); only older messages are deleted
+     * @param {Array<string>} consumedTopics - Topics with a consumer (their unconsumed messages are kept)
+     * @returns {number} Messages deleted
+     */
+    pruneQueue(before, consumedTopics = []) {
+        const placeholders = consumedTopics.map(() => '?').join(', ');
+        const unconsumed = consumedTopics.length > 0 ? `topic NOT IN (${placeholders})` : '1=1';
+
+        return this.db.prepare(`DELETE FROM queue_messages WHERE created_at < ? AND (consumed_at IS NOT NULL OR ${unconsumed})`)
+            .run(before, ...consumedTopics).changes;
+    }
+
+    /**
+     * Record a failed message. A message that already has a dead letter (same source
+     * topic and session/message id, e.g. a replay that failed again) updates it and
+     * counts another attempt instead of adding a row.
+     * @param {object} deadLetter - { sourceTopic, key, refId, payload, error, stack }
+     * @returns {number} Dead letter id
+     */
+    saveDeadLetter({ sourceTopic, key = null, refId = null, payload, error, stack = null }) {
+        const now = Date.now();
+        const existing = refId
+            ? this.db.prepare('SELECT id FROM dead_letters WHERE source_topic = ? AND ref_id = ? ORDER BY id DESC LIMIT 1').get(sourceTopic, refId)
+            : null;
+
+        if (existing) {
+            this.db.prepare(`
+      UPDATE dead_letters SET payload = ?, message_key = ?, error = ?, stack = ?, attempts = attempts + 1,
+        status = 'pending', updated_at = ? WHERE id = ?
+    `).run(JSON.stringify(payload), key, error, stack, now, existing.id);
+            return existing.id;
+        }
+
+        const result = this.db.prepare(`
+      INSERT INTO dead_letters (source_topic, message_key, ref_id, payload, error, stack, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sourceTopic, key, refId, JSON.stringify(payload), error, stack, now, now);
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Parse the payload of a dead letter row
+     * @param {object} row
+     */
+    toDeadLetter(row) {
+        return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+    }
+
+    /**
+     * Get dead letters, most recently failed first
+     * @param {object} options - { limit, offset, status, sourceTopic }
+     */
+    getDeadLetters({ limit = 50, offset = 0, status = null, sourceTopic = null } = {}) {
+        let query = 'SELECT * FROM dead_letters WHERE 1=1';
+        const params = [];
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (sourceTopic) {
+            query += ' AND source_topic = ?';
+            params.push(sourceTopic);
+        }
+
+        query += ' ORDER BY updated_at DESC, id DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        return this.db.prepare(query).all(...params).map(row => this.toDeadLetter(row));
+    }
+
+    /**
+     * Get a dead letter by id
+     * @param {number} id
+     */
+    getDeadLetter(id) {
+        return this.toDeadLetter(this.db.prepare('SELECT * FROM dead_letters WHERE id = ?').get(id));
+    }
+
+    /**
+     * Replace the payload of a dead letter (fixed by an operator before replaying)
+     * @param {number} id
+     * @param {object|string} payload
+     * @returns {boolean} Whether the dead letter exists
+     */
+    updateDeadLetterPayload(id, payload) {
+        const now = Date.now();
+        return this.db.prepare('UPDATE dead_letters SET payload = ?, edited_at = ?, updated_at = ? WHERE id = ?')
+            .run(JSON.stringify(payload), now, now, id).changes > 0;
+    }
+
+    /**
+     * Set the status of a dead letter ('replayed' also records when)
+     * @param {number} id
+     * @param {string} status - 'pending' or 'replayed'
+     */
+    setDeadLetterStatus(id, status) {
+        const now = Date.now();
+        this.db.prepare('UPDATE dead_letters SET status = ?, replayed_at = CASE WHEN ? = \'replayed\' THEN ? ELSE replayed_at END, updated_at = ? WHERE id = ?')
+            .run(status, status, now, now, id);
+    }
+
+    /**
+     * Delete dead letters
+     * @param {object} options - { id } for one, { status } for every one with that status, {} for all
+     * @returns {number} Dead letters deleted
+     */
+    deleteDeadLetters({ id = null, status = null } = {}) {
+        if (id !== null) {
+            return this.db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id).changes;
+        }
+        if (status) {
+            return this.db.prepare('DELETE FROM dead_letters WHERE status = ?').run(status).changes;
+        }
+        return this.db.prepare('DELETE FROM dead_letters').run().changes;
+    }
+
+    /**
+     * Number of dead letters per status
+     * @returns {object} { pending, replayed }
+     */
+    countDeadLetters() {
+        const rows = this.db.prepare('SELECT status, COUNT(*) as count FROM dead_letters GROUP BY status').all();
+        return { pending: 0, replayed: 0, ...Object.fromEntries(rows.map(row => [row.status, row.count])) };
+    }
+
     /**
      * Get all contacts with pagination
      * @param {object} options - Query options
      */
     getContacts(options = {}) {
-        const { limit = 50, offset = 0, status = null, search = null } = options;
+        const {
+            limit = 50,
+            offset = 0,
+            status = null,
+            search = null,
+            state = null,
+            city = null,
+            pincode = null,
+            validation = null,
+            account = null,
+            sort = null,
+        } = options;
 
         let query = 'SELECT * FROM contacts WHERE 1=1';
         const params = [];
@@ -169,40 +1164,115 @@ class DatabaseClient {
             params.push(status);
         }
 
+        if (state) {
+            query += ' AND address_state = ? COLLATE NOCASE';
+            params.push(state);
+        }
+
+        if (city) {
+            query += ' AND address_city = ? COLLATE NOCASE';
+            params.push(city);
+        }
+
+        if (pincode) {
+            // Prefix match so "4110" narrows to a postal region
+            query += ' AND address_pincode LIKE ?';
+            params.push(`${pincode.replace(/\D/g, '')}%`);
+        }
+
+        if (validation) {
+            query += ' AND address_validation = ?';
+            params.push(validation);
+        }
+
+        if (account) {
+            query += ' AND account = ?';
+            params.push(account);
+        }
+
         if (search) {
-            query += ' AND (extracted_name LIKE ? OR extracted_address LIKE ? OR extracted_mobile LIKE ? OR sender_number LIKE ?)';
-            const searchTerm = `%${search}%`;
-            params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+            // Names/addresses match in either script: "Sharma" finds "शर्मा" via the Latin
+            // columns, and a Devanagari search is also tried in its Latin spelling
+            const terms = [search, transliterate(search)].filter(Boolean).map(term => `%${term}%`);
+            const textMatch = terms.map(() =>
+                'extracted_name LIKE ? OR extracted_address LIKE ? OR extracted_name_latin LIKE ? OR extracted_address_latin LIKE ?'
+            ).join(' OR ');
+
+            query += ` AND (${textMatch} OR extracted_mobile LIKE ? OR mobile_e164 LIKE ? OR sender_number LIKE ? OR group_name LIKE ?)`;
+            for (const term of terms) {
+                params.push(term, term, term, term);
+            }
+            params.push(terms[0], terms[0], terms[0], terms[0]);
         }
 
-        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+        // Whitelisted sort orders (delivery routing sorts by place)
+        const sortOrders = {
+            city: 'address_city IS NULL, address_city COLLATE NOCASE, created_at DESC',
+            state: 'address_state IS NULL, address_state COLLATE NOCASE, address_city COLLATE NOCASE, created_at DESC',
+            pincode: 'address_pincode IS NULL, address_pincode, created_at DESC',
+        };
+
+        query += ` ORDER BY ${sortOrders[sort] || 'created_at DESC, contact_index'} LIMIT ? OFFSET ?`;
         params.push(limit, offset);
 
         const stmt = this.db.prepare(query);
         const contacts = stmt.all(...params);
 
-        // Parse raw_messages JSON
+        // Parse raw_messages / extraction_errors JSON
         return contacts.map(c => ({
             ...c,
             rawMessages: c.raw_messages ? JSON.parse(c.raw_messages) : [],
+            extractionErrors: c.extraction_errors ? JSON.parse(c.extraction_errors) : [],
         }));
     }
 
     /**
      * Get a contact by session ID
      * @param {string} sessionId
+     * @param {number} contactIndex - Which person of the session (0 = first)
      */
-    getContactBySessionId(sessionId) {
-        const stmt = this.db.prepare('SELECT * FROM contacts WHERE session_id = ?');
-        const contact = stmt.get(sessionId);
+    getContactBySessionId(sessionId, contactIndex = 0) {
+        const stmt = this.db.prepare('SELECT * FROM contacts WHERE session_id = ? AND contact_index = ?');
+        const contact = stmt.get(sessionId, contactIndex);
 
         if (contact) {
             contact.rawMessages = contact.raw_messages ? JSON.parse(contact.raw_messages) : [];
+            contact.extractionErrors = contact.extraction_errors ? JSON.parse(contact.extraction_errors) : [];
         }
 
         return contact;
     }
 
+    /**
+     * Get all contacts extracted from a session
+     * @param {string} sessionId
+     */
+    getContactsBySessionId(sessionId) {
+        const stmt = this.db.prepare('SELECT * FROM contacts WHERE session_id = ? ORDER BY contact_index');
+
+        return stmt.all(sessionId).map(c => ({
+            ...c,
+            rawMessages: c.raw_messages ? JSON.parse(c.raw_messages) : [],
+            extractionErrors: c.extraction_errors ? JSON.parse(c.extraction_errors) : [],
+        }));
+    }
+
+    /**
+     * Get distinct states and cities for dashboard filters
+     */
+    getAddressFacets() {
+        const states = this.db.prepare(`
+      SELECT address_state AS value, COUNT(*) AS count FROM contacts
+      WHERE address_state IS NOT NULL GROUP BY address_state COLLATE NOCASE ORDER BY address_state COLLATE NOCASE
+    `).all();
+        const cities = this.db.prepare(`
+      SELECT address_city AS value, address_state AS state, COUNT(*) AS count FROM contacts
+      WHERE address_city IS NOT NULL GROUP BY address_city COLLATE NOCASE ORDER BY address_city COLLATE NOCASE
+    `).all();
+
+        return { states, cities };
+    }
+
     /**
      * Get contact count for statistics
      */
@@ -211,15 +1281,27 @@ class DatabaseClient {
         const processedStmt = this.db.prepare("SELECT COUNT(*) as count FROM contacts WHERE status = 'processed'");
         const failedStmt = this.db.prepare("SELECT COUNT(*) as count FROM contacts WHERE status = 'failed'");
         const todayStmt = this.db.prepare('SELECT COUNT(*) as count FROM contacts WHERE created_at > ?');
+        const filteredStmt = this.db.prepare('SELECT reason, COUNT(*) as count, SUM(received_at > ?) as today FROM filtered_messages GROUP BY reason');
+        const accountStmt = this.db.prepare('SELECT account, COUNT(*) as count, SUM(created_at > ?) as today FROM contacts GROUP BY account');
 
         const today = new Date();
         today.setHours(0, 0, 0, 0);
 
+        // Messages ignored by the allow/block lists and group filters
+        const filteredRows = filteredStmt.all(today.getTime());
+
         return {
             total: totalStmt.get().total,
             processed: processedStmt.get().count,
             failed: failedStmt.get().count,
             today: todayStmt.get(today.getTime()).count,
+            // Contacts per receiving WhatsApp account
+            byAccount: Object.fromEntries(accountStmt.all(today.getTime()).map(row => [row.account, { total: row.count, today: row.today }])),
+            filtered: {
+                total: filteredRows.reduce((sum, row) => sum + row.count, 0),
+                today: filteredRows.reduce((sum, row) => sum + row.today, 0),
+                byReason: Object.fromEntries(filteredRows.map(row => [row.reason, row.count])),
+            },
         };
     }
 
@@ -227,10 +1309,18 @@ class DatabaseClient {
      * Update contact status
      * @param {string} sessionId
      * @param {string} status
+     * @param {number|null} contactIndex - One person of the session, or null for all of them
+     *   (contacts an operator reviewed are left out; change those one at a time)
      */
-    updateContactStatus(sessionId, status) {
-        const stmt = this.db.prepare('UPDATE contacts SET status = ?, updated_at = ? WHERE session_id = ?');
-        stmt.run(status, Date.now(), sessionId);
+    updateContactStatus(sessionId, status, contactIndex = null) {
+        if (contactIndex === null) {
+            const stmt = this.db.prepare("UPDATE contacts SET status = ?, updated_at = ? WHERE session_id = ? AND status IS NOT 'reviewed'");
+            stmt.run(status, Date.now(), sessionId);
+            return;
+        }
+
+        const stmt = this.db.prepare('UPDATE contacts SET status = ?, updated_at = ? WHERE session_id = ? AND contact_index = ?');
+        stmt.run(status, Date.now(), sessionId, contactIndex);
     }
 
     /**
@@ -1,12 +1,17 @@
 import logger from './utils/logger.js';
 import config from './config/index.js';
-import whatsappClient from './whatsapp/client.js';
+import whatsappAccounts from './whatsapp/accountManager.js';
 import sessionCorrelator from './correlation/sessionCorrelator.js';
+import correlationRules from './correlation/correlationRules.js';
 import kafkaClient from './kafka/client.js';
 import messageProcessor from './kafka/processor.js';
 import database from './database/sqlite.js';
 import apiServer from './api/server.js';
 import websocket from './api/websocket.js';
+import mediaRecognition from './media/recognition.js';
+import autoResponder from './whatsapp/autoResponder.js';
+import senderFilter from './whatsapp/senderFilter.js';
+import addressValidator from './address/addressValidator.js';
 
 /**
  * Main application entry point.
@@ -35,11 +40,13 @@ class Application {
             // 1. Initialize database
             logger.info('Starting services...');
             await database.init();
+            senderFilter.load();
+            addressValidator.init();
 
-            // 2. Initialize Kafka producer
+            // 2. Initialize the producer (Kafka, or the local queue with MESSAGE_TRANSPORT=local)
             await kafkaClient.initProducer();
 
-            // 3. Start message processor (Kafka consumer)
+            // 3. Start message processor (consumer)
             await messageProcessor.start();
 
             // 4. Start WebSocket server for real-time updates
@@ -51,17 +58,45 @@ class Application {
             // 6. Set up session correlator events
             sessionCorrelator.on('session', async (session) => {
                 try {
-                    // Send to Kafka for processing
+                    // Remember which session each message went into (for later edits/revokes)
+                    database.assignMessagesToSession(session.sessionId, session.messages.map(m => m.id));
+
+                    // Queue for processing; until then the session stays saved as unsent
                     await kafkaClient.sendRawMessage(session);
+                    sessionCorrelator.acknowledge(session.sessionId);
                 } catch (error) {
-                    logger.error('Failed to send session to Kafka', { error: error.message });
+                    logger.error('Failed to queue session, will retry', { sessionId: session.sessionId, error: error.message });
                 }
             });
 
-            // 7. Connect to WhatsApp (this will show QR code)
-            whatsappClient.on('connected', () => {
-                websocket.broadcastWhatsAppStatus(true);
-                logger.info('🎉 System fully operational!');
+            // Push pending-session changes to the dashboard
+            sessionCorrelator.on('pending', (sessions) => {
+                websocket.broadcastPendingSessions(sessions);
+            });
+
+            // Load per-sender correlation rules and reload them when the file changes
+            correlationRules.watch();
+
+            // Optional replies to senders once their session is processed
+            if (config.responder.enabled) {
+                autoResponder.setSender(whatsappAccounts);
+                autoResponder.watch();
+                messageProcessor.on('processed', async (session, contacts) => {
+                    try {
+                        await autoResponder.respond(session, contacts);
+                    } catch (error) {
+                        logger.error('Auto-reply error', { sessionId: session.sessionId, error: error.message });
+                    }
+                });
+            }
+
+            // Resume sessions that were still collecting messages before the restart
+            sessionCorrelator.restore();
+
+            // 7. Connect to WhatsApp (this will show a QR code per unlinked account)
+            whatsappAccounts.on('connected', (account) => {
+                websocket.broadcastWhatsAppStatus(whatsappAccounts.getStatus());
+                logger.info('🎉 System fully operational!', { account });
                 console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║  ✅ SYSTEM READY                                              ║
@@ -76,29 +111,88 @@ class Application {
 `);
             });
 
-            whatsappClient.on('message', (message) => {
-                // Add message to correlator for grouping
-                sessionCorrelator.addMessage(message);
+            whatsappAccounts.on('message', (message) => {
+                try {
+                    // Save raw message to database (first, so the session it lands in can be linked to it)
+                    database.saveRawMessage(message);
+
+                    // Images and voice notes join their session right away, so the order of the
+                    // chat is kept; their OCR/ASR text is added when recognition finishes
+                    message.pendingRecognition = mediaRecognition.canRecognize(message.media);
+
+                    // Add message to correlator for grouping (media without any text has nothing to extract)
+                    if (message.text || message.location || message.pendingRecognition) {
+                        sessionCorrelator.addMessage(message);
+                    }
+
+                    if (message.pendingRecognition) {
+                        this.addRecognizedText(message);
+                    }
+                } catch (error) {
+                    logger.error('Failed to handle message', { messageId: message.id, error: error.message });
+                }
+            });
+
+            // Messages ignored by the allow/block lists, kept for stats
+            whatsappAccounts.on('filtered', (filtered) => {
+                database.saveFilteredMessage(filtered);
+            });
+
+            // Our own messages, linked to the chat's current session so quoted replies find it
+            whatsappAccounts.on('outgoing', (message) => {
+                database.saveRawMessage({
+                    ...message,
+                    fromMe: true,
+                    sessionId: sessionCorrelator.currentSessionId(message.senderId, message.senderNumber, message.group?.id, message.account),
+                });
+            });
+
+            whatsappAccounts.on('edit', ({ account, senderId, messageId, text, editedAt }) => {
+                // false when this edit was already applied (edits can arrive twice)
+                const changed = database.editRawMessage(messageId, text);
+
+                // Still collecting: replace the buffered text. Already processed: extract again
+                const buffered = sessionCorrelator.editMessage(senderId, messageId, text);
+                const amended = !buffered && changed && sessionCorrelator.amendProcessedSession(
+                    senderId,
+                    messageId,
+                    (messages) => messages.map(m => (m.id === messageId && m.text !== text ? { ...m, text, editedAt } : m)),
+                    'edit'
+                );
 
-                // Save raw message to database
-                database.saveRawMessage(message);
+                if (buffered || amended) {
+                    websocket.broadcastMessageUpdate({ action: 'edited', account, senderId, messageId, text, sessionId: amended?.sessionId || null });
+                }
             });
 
-            whatsappClient.on('revoke', ({ senderId, messageId }) => {
-                // Remove from correlation buffer if it exists
-                sessionCorrelator.removeMessage(senderId, messageId);
+            whatsappAccounts.on('revoke', ({ account, senderId, messageId }) => {
+                const deleted = database.markRawMessageDeleted(messageId);
 
-                // Optionally update database or notify dashboard (future enhancement)
-                logger.debug('Handled message revoke in application', { senderId, messageId });
+                // Still collecting: drop it from the buffer. Already processed: extract again without it
+                const buffered = sessionCorrelator.removeMessage(senderId, messageId);
+                const amended = !buffered && deleted && sessionCorrelator.amendProcessedSession(
+                    senderId,
+                    messageId,
+                    (messages) => messages.filter(m => m.id !== messageId),
+                    'revoke'
+                );
+
+                if (buffered || amended) {
+                    websocket.broadcastMessageUpdate({ action: 'revoked', account, senderId, messageId, sessionId: amended?.sessionId || null });
+                }
             });
 
-            whatsappClient.on('loggedOut', () => {
-                websocket.broadcastWhatsAppStatus(false);
-                logger.error('WhatsApp logged out! Please restart and scan QR again.');
+            whatsappAccounts.on('disconnected', () => {
+                websocket.broadcastWhatsAppStatus(whatsappAccounts.getStatus());
             });
 
-            // Connect to WhatsApp (shows QR code in terminal)
-            await whatsappClient.connect();
+            whatsappAccounts.on('loggedOut', (account) => {
+                websocket.broadcastWhatsAppStatus(whatsappAccounts.getStatus());
+                logger.error('WhatsApp logged out! Please restart and scan QR again.', { account });
+            });
+
+            // Connect every WhatsApp account (shows QR codes in terminal)
+            await whatsappAccounts.connect();
 
             // Set up graceful shutdown
             this.setupGracefulShutdown();
@@ -110,6 +204,38 @@ class Application {
         }
     }
 
+    /**
+     * OCR/ASR a stored image or voice note and add its text to the message once done
+     * @param {object} message - Message already added to its session
+     */
+    async addRecognizedText(message) {
+        try {
+            const recognized = await mediaRecognition.recognize(message.media);
+            if (!recognized?.text) return;
+
+            const { senderId, id: messageId } = message;
+            const text = [message.text, recognized.text].filter(Boolean).join('\n');
+            database.saveRecognizedText(messageId, text, recognized.text);
+
+            // Same path as an edit: replace the buffered text, or extract the processed session again
+            const buffered = sessionCorrelator.editMessage(senderId, messageId, text, { edited: false });
+            const amended = !buffered && sessionCorrelator.amendProcessedSession(
+                senderId,
+                messageId,
+                (messages) => messages.map(m => (m.id === messageId ? { ...m, text } : m)),
+                'recognition'
+            );
+
+            if (buffered || amended) {
+                websocket.broadcastMessageUpdate({ action: 'recognized', account: message.account, senderId, messageId, text, sessionId: amended?.sessionId || null });
+            } else {
+                logger.warn('Recognized text came too late for its session', { messageId });
+            }
+        } catch (error) {
+            logger.error('Failed to add recognized text', { messageId: message.id, error: error.message });
+        }
+    }
+
     /**
      * Set up graceful shutdown handlers
      */
@@ -122,17 +248,19 @@ class Application {
             console.log('\nShutting down gracefully...');
 
             try {
-                // Flush any pending sessions
-                sessionCorrelator.flushAll();
+                // Persist (or flush) any pending sessions
+                sessionCorrelator.stop();
+                correlationRules.unwatch();
+                autoResponder.unwatch();
 
                 // Disconnect WhatsApp
-                await whatsappClient.disconnect();
+                await whatsappAccounts.disconnect();
 
                 // Stop servers
                 await apiServer.stop();
                 websocket.close();
 
-                // Disconnect Kafka
+                // Disconnect Kafka / stop the local queue
                 await kafkaClient.disconnect();
 
                 // Close database
@@ -1,64 +1,65 @@
-import { Kafka, Partitioners, logLevel } from 'kafkajs';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import database from '../database/sqlite.js';
+import KafkaTransport from './transports/kafkaTransport.js';
+import LocalQueueTransport from './transports/localQueueTransport.js';
+import { MESSAGE_TYPES, createEnvelope, openEnvelope } from './envelope.js';
 
 /**
- * Kafka client singleton with producer and consumer functionality.
- * Uses KafkaJS for Node.js Kafka operations.
+ * Registry of available message transports.
+ * Each entry maps a transport name (MESSAGE_TRANSPORT) to its class and options.
  */
-class KafkaClient {
-    constructor() {
-        this.kafka = new Kafka({
-            clientId: config.kafka.clientId,
-            brokers: config.kafka.brokers,
-            logLevel: logLevel.WARN,
-            retry: {
-                initialRetryTime: 100,
-                retries: 8,
-            },
-        });
+const transports = {
+    kafka: {
+        Transport: KafkaTransport,
+        options: () => ({ ...config.kafka, concurrency: config.processing.concurrency }),
+    },
+    local: {
+        Transport: LocalQueueTransport,
+        options: () => ({ ...config.kafka.localQueue, concurrency: config.processing.concurrency }),
+    },
+};
+
+/**
+ * Create a message transport by name
+ * @param {string} name - Transport name (defaults to config.kafka.transport)
+ * @returns {MessageTransport}
+ */
+export function createTransport(name = config.kafka.transport) {
+    const entry = transports[name];
 
-        this.admin = null;
-        this.producer = null;
-        this.consumer = null;
-        this.isProducerConnected = false;
-        this.isConsumerConnected = false;
+    if (!entry) {
+        throw new Error(`Unknown message transport "${name}". Available: ${Object.keys(transports).join(', ')}`);
     }
 
+    return new entry.Transport(entry.options());
+}
+
+/**
+ * Client singleton with producer and consumer functionality.
+ * Publishes to the raw/parsed/dead-letter topics and consumes raw messages
+ * through the configured transport: a Kafka broker, or the local SQLite queue
+ * for single-node installs without Docker.
+ */
+class KafkaClient {
     /**
-     * Create topics if they don't exist
+     * @param {MessageTransport} transport
      */
-    async createTopics() {
-        try {
-            this.admin = this.kafka.admin();
-            await this.admin.connect();
-
-            const topics = [
-                { topic: config.kafka.topics.rawMessages, numPartitions: 3, replicationFactor: 1 },
-                { topic: config.kafka.topics.parsedMessages, numPartitions: 3, replicationFactor: 1 },
-                { topic: config.kafka.topics.deadLetter, numPartitions: 1, replicationFactor: 1 },
-            ];
-
-            await this.admin.createTopics({
-                waitForLeaders: true,
-                topics: topics,
-            });
+    constructor(transport) {
+        this.transport = transport;
+        this.isConsumerPaused = false;
+    }
 
-            logger.info('✅ Kafka topics created/verified');
-            await this.admin.disconnect();
-        } catch (error) {
-            // Ignore "topic already exists" errors
-            if (!error.message?.includes('already exists')) {
-                logger.warn('Topic creation warning', { error: error.message });
-            }
-            if (this.admin) {
-                await this.admin.disconnect().catch(() => { });
-            }
-        }
+    get isProducerConnected() {
+        return this.transport.isProducerConnected;
+    }
+
+    get isConsumerConnected() {
+        return this.transport.isConsumerConnected;
     }
 
     /**
-     * Initialize Kafka producer
+     * Initialize the producer
      */
     async initProducer() {
         if (this.isProducerConnected) {
@@ -67,132 +68,146 @@ class KafkaClient {
         }
 
         try {
-            // Create topics first
-            await this.createTopics();
-
-            this.producer = this.kafka.producer({
-                createPartitioner: Partitioners.LegacyPartitioner,
-                allowAutoTopicCreation: true,
-            });
-
-            await this.producer.connect();
-            this.isProducerConnected = true;
-            logger.info('✅ Kafka producer connected');
+            await this.transport.connect();
         } catch (error) {
-            logger.error('Failed to connect Kafka producer', { error: error.message });
+            logger.error('Failed to connect producer', { transport: this.transport.name, error: error.message });
             throw error;
         }
     }
 
     /**
-     * Initialize Kafka consumer
-     * @param {Function} messageHandler - Handler function for consumed messages
+     * Initialize the consumer of the raw-messages topic.
+     * Messages are opened (upcast and validated) before the handler sees them;
+     * one that fails validation goes to the dead letter queue like a failed one.
+     * @param {Function} messageHandler - Handler function, called with (session, envelope)
+     * @param {object} [options] - { concurrency } to override the transport's (Kafka: partitions at once)
      */
-    async initConsumer(messageHandler) {
+    async initConsumer(messageHandler, options = {}) {
         if (this.isConsumerConnected) {
             logger.debug('Consumer already connected');
             return;
         }
 
         try {
-            this.consumer = this.kafka.consumer({
-                groupId: config.kafka.groupId,
-            });
+            await this.transport.subscribe(config.kafka.topics.rawMessages, async ({ topic, key, value }) => {
+                let message = value;
+                try {
+                    message = JSON.parse(value);
+                    const envelope = openEnvelope(message, MESSAGE_TYPES.session);
+                    await messageHandler(envelope.payload, envelope);
+                } catch (error) {
+                    logger.error('Error processing queued message', { error: error.message });
+                    // Send to dead letter queue
+                    await this.sendToDeadLetter(message, error, { sourceTopic: topic, key });
+                }
+            }, options);
+
+            logger.info('Consumer started listening', { transport: this.transport.name, topic: config.kafka.topics.rawMessages });
+        } catch (error) {
+            logger.error('Failed to initialize consumer', { transport: this.transport.name, error: error.message });
+            throw error;
+        }
+    }
 
-            await this.consumer.connect();
-            this.isConsumerConnected = true;
-            logger.info('✅ Kafka consumer connected');
+    /**
+     * Stop taking new raw messages (backpressure); messages being processed finish
+     * @param {string} reason - Logged
+     */
+    pauseConsumer(reason) {
+        if (!this.isConsumerConnected || this.isConsumerPaused) return;
 
-            // Subscribe to raw-messages topic
-            await this.consumer.subscribe({
-                topic: config.kafka.topics.rawMessages,
-                fromBeginning: false,
-            });
+        this.transport.pause(config.kafka.topics.rawMessages);
+        this.isConsumerPaused = true;
+        logger.warn('⏸️ Consumer paused', { transport: this.transport.name, reason });
+    }
 
-            // Start consuming
-            await this.consumer.run({
-                eachMessage: async ({ topic, partition, message }) => {
-                    try {
-                        const value = JSON.parse(message.value.toString());
-                        logger.debug('Message consumed from Kafka', { topic, partition, key: message.key?.toString() });
-                        await messageHandler(value);
-                    } catch (error) {
-                        logger.error('Error processing Kafka message', { error: error.message });
-                        // Send to dead letter queue
-                        await this.sendToDeadLetter(message, error);
-                    }
-                },
-            });
+    /**
+     * Take raw messages again after pauseConsumer()
+     */
+    resumeConsumer() {
+        if (!this.isConsumerPaused) return;
 
-            logger.info('Kafka consumer started listening', { topic: config.kafka.topics.rawMessages });
-        } catch (error) {
-            logger.error('Failed to initialize Kafka consumer', { error: error.message });
-            throw error;
-        }
+        this.transport.resume(config.kafka.topics.rawMessages);
+        this.isConsumerPaused = false;
+        logger.info('▶️ Consumer resumed', { transport: this.transport.name });
     }
 
     /**
      * Send message to a topic
-     * @param {string} topic - Kafka topic
+     * @param {string} topic - Topic name
      * @param {object} message - Message payload
      * @param {string} key - Optional message key for partitioning
      */
     async send(topic, message, key = null) {
         if (!this.isProducerConnected) {
-            throw new Error('Kafka producer not connected');
+            throw new Error(`Producer not connected (${this.transport.name})`);
         }
 
         try {
-            await this.producer.send({
-                topic,
-                messages: [
-                    {
-                        key: key || message.sessionId || message.id || null,
-                        value: JSON.stringify(message),
-                        timestamp: Date.now().toString(),
-                    },
-                ],
-            });
-
-            logger.debug('Message sent to Kafka', { topic, key });
+            await this.transport.send(topic, JSON.stringify(message), key || message.sessionId || message.id || null);
+            logger.debug('Message sent', { transport: this.transport.name, topic, key });
         } catch (error) {
-            logger.error('Failed to send message to Kafka', { topic, error: error.message });
+            logger.error('Failed to send message', { transport: this.transport.name, topic, error: error.message });
             throw error;
         }
     }
 
     /**
-     * Send raw session message to Kafka
+     * Send raw session message for processing
      * @param {object} session - Correlated session data
+     * @returns {Promise<object>} The envelope sent (starts a new trace)
      */
     async sendRawMessage(session) {
-        await this.send(config.kafka.topics.rawMessages, session, session.senderNumber);
-        logger.info('📤 Raw message sent to Kafka', {
+        const envelope = createEnvelope(MESSAGE_TYPES.session, session);
+        await this.send(config.kafka.topics.rawMessages, envelope, session.senderNumber);
+        logger.info('📤 Raw message queued', {
             topic: config.kafka.topics.rawMessages,
             sender: session.senderNumber,
+            traceId: envelope.traceId,
         });
+        return envelope;
     }
 
     /**
-     * Send parsed message to Kafka
+     * Send parsed message to its topic
      * @param {object} parsedData - LLM-parsed contact data
+     * @param {object} [options] - { traceId } of the session it was extracted from, { id } of the message
+     * @returns {Promise<object>} The envelope sent
      */
-    async sendParsedMessage(parsedData) {
-        await this.send(config.kafka.topics.parsedMessages, parsedData, parsedData.senderNumber);
-        logger.info('📤 Parsed message sent to Kafka', {
+    async sendParsedMessage(parsedData, { traceId = null, id = null } = {}) {
+        const envelope = createEnvelope(MESSAGE_TYPES.contact, parsedData, { traceId, id });
+        await this.send(config.kafka.topics.parsedMessages, envelope, parsedData.senderNumber);
+        logger.info('📤 Parsed message queued', {
             topic: config.kafka.topics.parsedMessages,
             sender: parsedData.senderNumber,
+            traceId: envelope.traceId,
         });
+        return envelope;
     }
 
     /**
-     * Send failed message to dead letter queue
-     * @param {object} message - Original message
+     * Send failed message to dead letter queue. It is stored in SQLite (dead_letters)
+     * for inspection and replay, and published to the dead-letter topic.
+     * @param {object|string} message - Original message, usually an envelope (raw text when it could not be parsed)
      * @param {Error} error - Error that occurred
+     * @param {object} [source] - { sourceTopic, key } the message was consumed from
      */
-    async sendToDeadLetter(message, error) {
+    async sendToDeadLetter(message, error, { sourceTopic = config.kafka.topics.rawMessages, key = null } = {}) {
         try {
+            const deadLetterId = database.saveDeadLetter({
+                sourceTopic,
+                key,
+                refId: typeof message === 'object'
+                    ? message?.payload?.sessionId || message?.sessionId || message?.id || null
+                    : null,
+                payload: message,
+                error: error.message,
+                stack: error.stack,
+            });
+
             const deadLetterMessage = {
+                deadLetterId,
+                sourceTopic,
                 originalMessage: message,
                 error: error.message,
                 stack: error.stack,
@@ -200,30 +215,20 @@ class KafkaClient {
             };
 
             await this.send(config.kafka.topics.deadLetter, deadLetterMessage);
-            logger.warn('Message sent to dead letter queue', { error: error.message });
+            logger.warn('Message sent to dead letter queue', { deadLetterId, sourceTopic, error: error.message });
         } catch (dlqError) {
             logger.error('Failed to send to dead letter queue', { error: dlqError.message });
         }
     }
 
     /**
-     * Disconnect all Kafka connections
+     * Disconnect producer and consumer
      */
     async disconnect() {
         try {
-            if (this.producer && this.isProducerConnected) {
-                await this.producer.disconnect();
-                this.isProducerConnected = false;
-                logger.info('Kafka producer disconnected');
-            }
-
-            if (this.consumer && this.isConsumerConnected) {
-                await this.consumer.disconnect();
-                this.isConsumerConnected = false;
-                logger.info('Kafka consumer disconnected');
-            }
+            await this.transport.disconnect();
         } catch (error) {
-            logger.error('Error disconnecting Kafka', { error: error.message });
+            logger.error('Error disconnecting transport', { transport: this.transport.name, error: error.message });
         }
     }
 
@@ -232,10 +237,10 @@ class KafkaClient {
      */
     getStatus() {
         return {
-            producer: this.isProducerConnected,
-            consumer: this.isConsumerConnected,
+            ...this.transport.getStatus(),
+            paused: this.isConsumerPaused,
         };
     }
 }
 
-export default new KafkaClient();
+export default new KafkaClient(createTransport());
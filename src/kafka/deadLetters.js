@@ -0,0 +1,142 @@
+import logger from '../utils/logger.js';
+import database from '../database/sqlite.js';
+import kafkaClient from './client.js';
+
+const STATUSES = ['pending', 'replayed'];
+
+/**
+ * Error raised for an invalid dead letter operation (bad payload, unknown status)
+ */
+export class DeadLetterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeadLetterError';
+    }
+}
+
+/**
+ * Operator tooling for messages that failed processing (stored in dead_letters by
+ * KafkaClient.sendToDeadLetter): inspect, fix the payload, replay to the source
+ * topic and purge. A replayed message that fails again updates its dead letter
+ * (attempts + 1, back to pending) instead of adding another one.
+ */
+class DeadLetterQueue {
+    /**
+     * Validate a status filter
+     * @param {string|undefined} status
+     */
+    checkStatus(status) {
+        if (status && !STATUSES.includes(status)) {
+            throw new DeadLetterError(`status must be one of ${STATUSES.join(', ')}`);
+        }
+    }
+
+    /**
+     * List dead letters, most recently failed first
+     * @param {object} options - { limit, offset, status, sourceTopic }
+     */
+    list(options = {}) {
+        this.checkStatus(options.status);
+        return database.getDeadLetters(options);
+    }
+
+    /**
+     * Get one dead letter
+     * @param {number} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return database.getDeadLetter(id);
+    }
+
+    /**
+     * Replace the payload of a dead letter before replaying it
+     * @param {number} id
+     * @param {object} payload - Corrected message (a JSON object)
+     * @returns {object|null} Updated dead letter, or null if it doesn't exist
+     */
+    edit(id, payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new DeadLetterError('payload must be a JSON object');
+        }
+
+        if (!database.updateDeadLetterPayload(id, payload)) return null;
+
+        logger.info('Dead letter edited', { id });
+        return this.get(id);
+    }
+
+    /**
+     * Send a dead letter back to its source topic
+     * @param {number} id
+     * @returns {Promise<object|null>} Updated dead letter, or null if it doesn't exist
+     */
+    async replay(id) {
+        const deadLetter = this.get(id);
+        if (!deadLetter) return null;
+
+        if (typeof deadLetter.payload !== 'object' || deadLetter.payload === null) {
+            throw new DeadLetterError('payload is not a JSON object; edit it before replaying');
+        }
+
+        // Marked first: with the local queue the message may fail again (back to pending) before send() returns
+        database.setDeadLetterStatus(id, 'replayed');
+        try {
+            await kafkaClient.send(deadLetter.source_topic, deadLetter.payload, deadLetter.message_key);
+        } catch (error) {
+            database.setDeadLetterStatus(id, 'pending');
+            throw error;
+        }
+
+        logger.info('♻️ Dead letter replayed', { id, topic: deadLetter.source_topic, attempts: deadLetter.attempts });
+        return this.get(id);
+    }
+
+    /**
+     * Replay every pending dead letter, oldest first
+     * @returns {Promise<{ replayed: number, failed: Array<{ id: number, error: string }> }>}
+     */
+    async replayAll() {
+        // LIMIT -1: no limit in SQLite
+        const pending = database.getDeadLetters({ status: 'pending', limit: -1 }).reverse();
+
+        const failed = [];
+        for (const deadLetter of pending) {
+            try {
+                await this.replay(deadLetter.id);
+            } catch (error) {
+                failed.push({ id: deadLetter.id, error: error.message });
+            }
+        }
+
+        logger.info('Dead letters replayed', { replayed: pending.length - failed.length, failed: failed.length });
+        return { replayed: pending.length - failed.length, failed };
+    }
+
+    /**
+     * Delete one dead letter, those with a status, or all of them
+     * @param {object} options - { id } or { status } or { all: true }
+     * @returns {number} Dead letters deleted
+     */
+    purge({ id = null, status = null, all = false } = {}) {
+        this.checkStatus(status);
+
+        // Deleting everything includes letters never replayed, so it has to be asked for
+        if (id === null && !status && !all) {
+            throw new DeadLetterError('purge needs a status, or all=true to delete every dead letter');
+        }
+
+        const removed = database.deleteDeadLetters({ id, status });
+        logger.info('Dead letters purged', { id, status, removed });
+        return removed;
+    }
+
+    /**
+     * Counts per status, for stats
+     */
+    getStats() {
+        return database.countDeadLetters();
+    }
+}
+
+export default new DeadLetterQueue();
@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Versioned envelope for everything published on the raw-messages and
+ * parsed-messages topics:
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "type": "whatsapp.session",      // or "whatsapp.contact"
+ *   "id": "6f1c...",                 // unique per message (the same when a message is published again)
+ *   "producedAt": 1735000000000,
+ *   "traceId": "0b7e...",            // shared by a session and the contacts extracted from it
+ *   "payload": { ... }
+ * }
+ *
+ * Payloads are validated on produce and on consume. Consumers accept older
+ * versions through upcasters: messages published before the envelope existed
+ * (bare session/contact objects) count as version 0. Fields unknown to the
+ * schema are allowed, so adding a field does not need a new version; renaming,
+ * removing or changing the meaning of one does (add an upcaster for it).
+ */
+
+export const MESSAGE_TYPES = {
+    session: 'whatsapp.session',
+    contact: 'whatsapp.contact',
+};
+
+// Current version of each message type
+export const SCHEMA_VERSIONS = {
+    [MESSAGE_TYPES.session]: 1,
+    [MESSAGE_TYPES.contact]: 1,
+};
+
+/**
+ * Error raised when a message does not match its envelope or payload schema
+ */
+export class EnvelopeError extends Error {
+    /**
+     * @param {string} message
+     * @param {Array<{field: string, message: string}>} fieldErrors
+     */
+    constructor(message, fieldErrors = []) {
+        super(fieldErrors.length > 0
+            ? `${message}: ${fieldErrors.map(e => `${e.field}: ${e.message}`).join('; ')}`
+            : message);
+        this.name = 'EnvelopeError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+const envelopeSchema = {
+    schemaVersion: { type: 'integer', required: true },
+    type: { type: 'string', required: true },
+    id: { type: 'string', required: true },
+    producedAt: { type: 'number', required: true },
+    traceId: { type: 'string', required: true },
+    payload: { type: 'object', required: true },
+};
+
+// Payload schemas of the current versions
+const payloadSchemas = {
+    [MESSAGE_TYPES.session]: {
+        sessionId: { type: 'string', required: true },
+        senderId: { type: 'string', required: true },
+        senderNumber: { type: 'string', required: true },
+        pushName: { type: 'string', nullable: true },
+        group: { type: 'object', nullable: true, required: true },
+        account: { type: 'string', required: true },
+        messageCount: { type: 'integer', required: true },
+        combinedText: { type: 'string', required: true },
+        messages: { type: 'array', required: true },
+        slots: { type: 'object', required: true },
+        startedAt: { type: 'number', required: true },
+        completedAt: { type: 'number', required: true },
+        amended: { type: 'object', nullable: true },
+    },
+    [MESSAGE_TYPES.contact]: {
+        sessionId: { type: 'string', required: true },
+        contactIndex: { type: 'integer', required: true },
+        senderNumber: { type: 'string', required: true },
+        pushName: { type: 'string', nullable: true },
+        group: { type: 'object', nullable: true, required: true },
+        account: { type: 'string', required: true },
+        extracted: { type: 'object', required: true },
+        status: { type: 'string', required: true },
+        processedAt: { type: 'number', required: true },
+        combinedText: { type: 'string', nullable: true },
+        rawMessages: { type: 'array', nullable: true },
+    },
+};
+
+/**
+ * Upcasters per type: upcasters[type][n] turns a version n payload into version n + 1
+ */
+const upcasters = {
+    [MESSAGE_TYPES.session]: {
+        // Bare session from before the envelope (and possibly before groups/accounts)
+        0: (session) => ({
+            ...session,
+            pushName: session.pushName ?? null,
+            group: session.group ?? null,
+            account: session.account || 'default',
+            messages: session.messages || [],
+            messageCount: session.messageCount ?? (session.messages || []).length,
+            slots: session.slots || { name: null, mobile: null, address: null },
+            completedAt: session.completedAt ?? session.startedAt,
+        }),
+    },
+    [MESSAGE_TYPES.contact]: {
+        0: (contact) => ({
+            ...contact,
+            contactIndex: contact.contactIndex ?? 0,
+            pushName: contact.pushName ?? null,
+            group: contact.group ?? null,
+            account: contact.account || 'default',
+            status: contact.status || 'processed',
+        }),
+    },
+};
+
+/**
+ * Check a value against a field type
+ * @param {*} value
+ * @param {string} type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && !Number.isNaN(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return !!value && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate an object against a flat schema
+ * @param {object} data
+ * @param {object} schema - { field: { type, required, nullable } }
+ * @returns {Array<{field: string, message: string}>} Field errors (empty when valid)
+ */
+function validate(data, schema) {
+    const errors = [];
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = data[field];
+
+        if (value === undefined) {
+            if (spec.required) errors.push({ field, message: 'is required' });
+        } else if (value === null) {
+            if (!spec.nullable) errors.push({ field, message: 'must not be null' });
+        } else if (!hasType(value, spec.type)) {
+            errors.push({ field, message: `expected ${spec.type}, got ${Array.isArray(value) ? 'array' : typeof value}` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Throw unless a payload matches the current schema of its type
+ * @param {string} type
+ * @param {object} payload
+ */
+function validatePayload(type, payload) {
+    const errors = hasType(payload, 'object') ? validate(payload, payloadSchemas[type]) : [{ field: 'payload', message: 'expected object' }];
+    if (errors.length > 0) {
+        throw new EnvelopeError(`Invalid ${type} payload`, errors.map(e => ({ ...e, field: `payload.${e.field}` })));
+    }
+}
+
+/**
+ * Wrap a payload in a validated envelope of the current version
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {object} payload
+ * @param {object} [options] - { traceId } to continue an existing trace, { id } for a stable message id
+ * @returns {object} Envelope
+ */
+export function createEnvelope(type, payload, { traceId = null, id = null } = {}) {
+    if (!(type in SCHEMA_VERSIONS)) {
+        throw new EnvelopeError(`Unknown message type "${type}"`);
+    }
+
+    validatePayload(type, payload);
+
+    return {
+        schemaVersion: SCHEMA_VERSIONS[type],
+        type,
+        id: id || randomUUID(),
+        producedAt: Date.now(),
+        traceId: traceId || randomUUID(),
+        payload,
+    };
+}
+
+/**
+ * Validate a consumed message and bring its payload to the current version
+ * @param {*} message - Parsed message (an envelope, or a bare payload from before envelopes)
+ * @param {string} expectedType - Type the topic carries
+ * @returns {object} Envelope of the current version
+ */
+export function openEnvelope(message, expectedType) {
+    if (!hasType(message, 'object')) {
+        throw new EnvelopeError('Message is not a JSON object');
+    }
+
+    // Bare payload published before envelopes existed
+    const envelope = 'schemaVersion' in message ? message : {
+        schemaVersion: 0,
+        type: expectedType,
+        id: message.id || message.sessionId || randomUUID(),
+        producedAt: message.completedAt || message.processedAt || Date.now(),
+        traceId: randomUUID(),
+        payload: message,
+    };
+
+    const errors = validate(envelope, envelopeSchema);
+    if (errors.length > 0) {
+        throw new EnvelopeError('Invalid envelope', errors);
+    }
+
+    if (envelope.type !== expectedType) {
+        throw new EnvelopeError(`Unexpected message type "${envelope.type}" (expected ${expectedType})`);
+    }
+
+    const current = SCHEMA_VERSIONS[envelope.type];
+    if (envelope.schemaVersion > current) {
+        throw new EnvelopeError(`${envelope.type} version ${envelope.schemaVersion} is newer than supported (${current})`);
+    }
+
+    let { payload } = envelope;
+    for (let version = envelope.schemaVersion; version < current; version++) {
+        const upcast = upcasters[envelope.type][version];
+        if (!upcast) {
+            throw new EnvelopeError(`No upcaster for ${envelope.type} version ${version}`);
+        }
+        payload = upcast(payload);
+    }
+
+    validatePayload(envelope.type, payload);
+
+    return { ...envelope, schemaVersion: current, payload };
+}
@@ -1,104 +1,214 @@
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
 import logger from '../utils/logger.js';
 import kafkaClient from '../kafka/client.js';
-import groqClient from '../llm/groqClient.js';
+import contactExtractor from '../llm/index.js';
+import addressValidator from '../address/addressValidator.js';
+import { parsePhoneNumber } from '../utils/phone.js';
+import { transliterate } from '../utils/transliterate.js';
 import database from '../database/sqlite.js';
 import websocket from '../api/websocket.js';
 
+/**
+ * Hash of what extraction reads from a session, to tell a redelivery from new content
+ * @param {object} session
+ * @returns {string}
+ */
+export function sessionContentHash(session) {
+    const content = {
+        combinedText: session.combinedText,
+        messages: (session.messages || []).map(({ receivedAt, ...message }) => message),
+    };
+    return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
 /**
  * Message processor that consumes from Kafka, processes with LLM, and stores results.
  * This is the core processing pipeline.
+ *
+ * Delivery is at-least-once, so processing is idempotent: the contacts and a ledger
+ * entry (processed_sessions, with a hash of the session content) are saved in one
+ * transaction before anything is published.
+ * - same session, same content (redelivery, replay): skipped, or only published when
+ *   the earlier run stopped before that
+ * - same session, new content (edit, revoke, reply, merge): extracted again and the
+ *   contacts updated in place, except those an operator marked `reviewed`
+ *
+ * Up to config.processing.concurrency sessions are processed at once; the transport
+ * runs its messages on a worker pool of that size, keeping each sender's in order.
+ * When the LLM rate limiter makes calls wait, the consumer is paused until the
+ * backlog clears.
+ *
+ * Events:
+ * - 'processed' (session, contacts) after a session's contacts are saved
  */
-class MessageProcessor {
+class MessageProcessor extends EventEmitter {
     constructor() {
+        super();
         this.isRunning = false;
+        this.active = 0; // Sessions being processed
     }
 
     /**
      * Process a session from Kafka
      * @param {object} session - Correlated session data
+     * @param {string} [traceId] - Trace of the session's envelope, carried on to its contacts
+     * @returns {Promise<Array<object>|null>} Contacts, or null when the session was already processed
      */
-    async process(session) {
+    async process(session, traceId = null) {
         const { sessionId, senderNumber, messageCount } = session;
+        const contentHash = sessionContentHash(session);
+        const previous = database.getProcessedSession(sessionId);
+        const redelivered = previous?.content_hash === contentHash;
 
-        logger.info('🔄 Processing session', {
-            sessionId,
-            sender: senderNumber,
-            messageCount,
-        });
+        if (redelivered && previous.unpublished.length === 0) {
+            logger.info('⏭️ Session already processed, skipping', {
+                sessionId,
+                traceId,
+                processedAt: previous.processed_at,
+            });
+            return null;
+        }
 
         try {
-            // Extract contact info using LLM
-            const parsedData = await groqClient.extractContactInfo(session);
+            let contacts;
+            let unpublished;
 
-            // Determine status based on extraction result
-            if (parsedData.error) {
-                parsedData.status = 'failed';
-            } else if (parsedData.extracted.confidence < 0.3) {
-                parsedData.status = 'low_confidence';
+            if (redelivered) {
+                // Saved by an earlier run that stopped before publishing: publish, don't extract again
+                logger.info('📤 Session already processed, publishing its saved contacts', { sessionId, traceId });
+                unpublished = previous.unpublished;
+                contacts = unpublished.map(({ contact }) => contact);
             } else {
-                parsedData.status = 'processed';
-            }
+                logger.info(previous ? '🔄 Processing changed session' : '🔄 Processing session', {
+                    sessionId,
+                    sender: senderNumber,
+                    messageCount,
+                    traceId,
+                    ...(previous && { revision: previous.revisions + 1 }),
+                });
 
-            // Save to database
-            const contactId = database.saveContact(parsedData);
-            logger.info('💾 Contact saved', { contactId, sessionId });
+                contacts = await this.extract(session);
 
-            // Send to parsed-messages topic
-            await kafkaClient.sendParsedMessage(parsedData);
+                // Contacts and ledger entry are saved together (a contact already reviewed by an operator is kept as it is)
+                unpublished = database.saveProcessedContacts({ sessionId, contentHash, traceId, contacts });
+                logger.info('💾 Contacts saved', {
+                    sessionId,
+                    contactIds: unpublished.map(({ contactId }) => contactId),
+                    reviewedKept: contacts.length - unpublished.length,
+                });
+            }
 
-            // Broadcast to dashboard via WebSocket
-            websocket.broadcastNewContact({
-                ...parsedData,
-                id: contactId,
-            });
+            await this.publish(sessionId, contentHash, unpublished, traceId);
 
             logger.info('✅ Session processing complete', {
                 sessionId,
-                name: parsedData.extracted.name,
-                mobile: parsedData.extracted.mobile,
-                confidence: parsedData.extracted.confidence,
+                contacts: contacts.length,
+                names: contacts.map(c => c.extracted.name),
+                confidence: contacts.map(c => c.extracted.confidence),
             });
 
-            return parsedData;
+            this.emit('processed', session, contacts);
+
+            return contacts;
 
         } catch (error) {
             logger.error('❌ Session processing failed', {
                 sessionId,
+                traceId,
                 error: error.message,
             });
 
-            // Create failed entry
-            const failedData = {
-                sessionId,
-                senderNumber: session.senderNumber,
-                pushName: session.pushName,
-                extracted: {
-                    name: null,
-                    address: null,
-                    mobile: null,
-                    confidence: 0,
-                    notes: `Processing error: ${error.message}`,
-                },
-                rawMessages: session.messages,
-                combinedText: session.combinedText,
-                processedAt: Date.now(),
-                error: error.message,
-                status: 'failed',
-            };
-
-            // Save failed entry
-            database.saveContact(failedData);
-
-            // Send to dead letter queue
-            await kafkaClient.sendToDeadLetter(session, error);
+            // Record the failure, unless this run (or an earlier one) already saved a contact there
+            const saved = database.getContactsBySessionId(sessionId).find(c => c.contact_index === 0);
+            if (!saved || saved.status === 'failed') {
+                database.saveContact({
+                    sessionId,
+                    contactIndex: 0,
+                    senderNumber: session.senderNumber,
+                    pushName: session.pushName,
+                    group: session.group || null,
+                    account: session.account || 'default',
+                    extracted: {
+                        name: null,
+                        address: null,
+                        mobile: null,
+                        confidence: 0,
+                        notes: `Processing error: ${error.message}`,
+                    },
+                    rawMessages: session.messages,
+                    combinedText: session.combinedText,
+                    processedAt: Date.now(),
+                    error: error.message,
+                    status: 'failed',
+                });
+            }
 
             // Broadcast failure
             websocket.broadcastStatus(`Failed to process message from ${session.senderNumber}`, 'error');
 
+            // The consumer sends the session to the dead letter queue
             throw error;
         }
     }
 
+    /**
+     * Extract and enrich the contacts of a session
+     * @param {object} session
+     * @returns {Promise<Array<object>>} Contacts with their status set
+     */
+    async extract(session) {
+        // Extract contact info (LLM provider with rule-based fallback), one result per person
+        const contacts = await contactExtractor.extractContacts(session);
+
+        for (const parsedData of contacts) {
+            // Normalize the mobile number to E.164 (raw value is kept alongside)
+            parsedData.extracted.phone = parsePhoneNumber(parsedData.extracted.mobile);
+
+            // Validate/enrich the address against the offline pincode dataset
+            addressValidator.validate(parsedData);
+
+            // Latin spelling of Devanagari/Gujarati fields for labels and CRM (original is kept)
+            parsedData.extracted.latin = {
+                name: transliterate(parsedData.extracted.name),
+                address: transliterate(parsedData.extracted.address),
+            };
+
+            // Determine status based on extraction result
+            if (parsedData.error) {
+                parsedData.status = 'failed';
+            } else if (parsedData.extracted.phone && !parsedData.extracted.phone.valid) {
+                parsedData.status = 'invalid_mobile';
+            } else if (parsedData.extracted.confidence < 0.3) {
+                parsedData.status = 'low_confidence';
+            } else {
+                parsedData.status = 'processed';
+            }
+        }
+
+        return contacts;
+    }
+
+    /**
+     * Send saved contacts to the parsed-messages topic and the dashboard, then mark the
+     * session published. Message ids are derived from the session, contact index and
+     * content, so contacts published again after a crash keep their ids.
+     * @param {string} sessionId
+     * @param {string} contentHash
+     * @param {Array<{contactId: number, contact: object}>} unpublished
+     * @param {string|null} traceId
+     */
+    async publish(sessionId, contentHash, unpublished, traceId) {
+        for (const { contactId, contact } of unpublished) {
+            const id = `${sessionId}:${contact.contactIndex}:${contentHash.slice(0, 16)}`;
+            await kafkaClient.sendParsedMessage(contact, { traceId, id });
+
+            websocket.broadcastNewContact({ ...contact, id: contactId });
+        }
+
+        database.markSessionPublished(sessionId, contentHash);
+    }
+
     /**
      * Start the Kafka consumer for processing
      */
@@ -110,14 +220,37 @@ class MessageProcessor {
 
         logger.info('Starting message processor...');
 
-        await kafkaClient.initConsumer(async (session) => {
-            await this.process(session);
+        // Backpressure: stop taking sessions while LLM calls wait for the rate limits
+        const limiter = contactExtractor.limiter;
+        if (limiter?.isEnabled) {
+            limiter.on('saturated', ({ waiting, waitMs }) =>
+                kafkaClient.pauseConsumer(`LLM rate limit reached (${waiting} waiting, next in ${waitMs}ms)`));
+            limiter.on('available', () => kafkaClient.resumeConsumer());
+        }
+
+        await kafkaClient.initConsumer(async (session, envelope) => {
+            this.active++;
+            try {
+                await this.process(session, envelope.traceId);
+            } finally {
+                this.active--;
+            }
         });
 
         this.isRunning = true;
         logger.info('✅ Message processor started');
     }
 
+    /**
+     * Processor status for health/status reporting
+     */
+    getStatus() {
+        return {
+            running: this.isRunning,
+            active: this.active,
+        };
+    }
+
     /**
      * Stop the processor
      */
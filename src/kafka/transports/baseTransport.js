@@ -0,0 +1,85 @@
+/**
+ * Base class for message transports between the correlator and the processor.
+ * KafkaClient talks only to this interface, so the pipeline runs the same on a
+ * Kafka broker or on the in-process SQLite queue.
+ *
+ * Delivery contract (both implementations):
+ * - Messages with the same key are handed to the handler one at a time, in order;
+ *   up to `concurrency` messages with different keys may be in flight at once
+ * - A message counts as consumed once the handler resolves; if it throws, the
+ *   message is delivered again (KafkaClient turns processing errors into dead letters)
+ */
+class MessageTransport {
+    /**
+     * @param {object} options - { name }
+     */
+    constructor({ name }) {
+        this.name = name;
+        this.isProducerConnected = false;
+        this.isConsumerConnected = false;
+    }
+
+    /**
+     * Prepare the producer side (create topics, open connections)
+     */
+    async connect() {
+        throw new Error(`Transport "${this.name}" does not implement connect()`);
+    }
+
+    /**
+     * Publish a message
+     * @param {string} topic
+     * @param {string} value - Serialized message
+     * @param {string|null} key - Partitioning key
+     */
+    async send(topic, value, key) {
+        throw new Error(`Transport "${this.name}" does not implement send()`);
+    }
+
+    /**
+     * Start delivering a topic's messages to a handler
+     * @param {string} topic
+     * @param {function({ topic: string, key: string|null, value: string }): Promise<void>} handler
+     * @param {object} [options] - { concurrency } messages handled at once
+     */
+    async subscribe(topic, handler, options) {
+        throw new Error(`Transport "${this.name}" does not implement subscribe()`);
+    }
+
+    /**
+     * Stop handing out new messages of a topic (messages in flight finish)
+     * @param {string} topic
+     */
+    pause(topic) {
+        throw new Error(`Transport "${this.name}" does not implement pause()`);
+    }
+
+    /**
+     * Continue delivering a paused topic
+     * @param {string} topic
+     */
+    resume(topic) {
+        throw new Error(`Transport "${this.name}" does not implement resume()`);
+    }
+
+    /**
+     * Close producer and consumer
+     */
+    async disconnect() {
+        this.isProducerConnected = false;
+        this.isConsumerConnected = false;
+    }
+
+    /**
+     * Connection status for health reporting
+     */
+    getStatus() {
+        return {
+            transport: this.name,
+            producer: this.isProducerConnected,
+            consumer: this.isConsumerConnected,
+        };
+    }
+}
+
+export default MessageTransport;
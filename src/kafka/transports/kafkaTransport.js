@@ -0,0 +1,209 @@
+import { Kafka, Partitioners, logLevel } from 'kafkajs';
+import logger from '../../utils/logger.js';
+import WorkerPool from '../../utils/workerPool.js';
+import MessageTransport from './baseTransport.js';
+
+/**
+ * Kafka transport (KafkaJS). Topics are created on connect; the consumer
+ * joins the configured consumer group and starts from the committed offsets.
+ * Up to partitionsConsumedConcurrently partitions are fetched at once and their
+ * batches share one worker pool of `concurrency` workers: messages with different
+ * keys run concurrently, each key's one at a time and in order. Offsets are resolved
+ * in order as messages finish, so a commit never skips a message still in flight.
+ */
+class KafkaTransport extends MessageTransport {
+    /**
+     * @param {object} options - Kafka settings (see config.kafka)
+     *   and { concurrency } (config.processing.concurrency)
+     */
+    constructor(options) {
+        super({ name: 'kafka' });
+        this.topics = options.topics;
+        this.groupId = options.groupId;
+        this.partitionsConsumedConcurrently = options.partitionsConsumedConcurrently;
+        this.concurrency = options.concurrency || 1;
+        this.pools = new Map(); // topic -> worker pool shared by its partitions
+        this.paused = new Set(); // topics not handing out new messages
+        this.kafka = new Kafka({
+            clientId: options.clientId,
+            brokers: options.brokers,
+            logLevel: logLevel.WARN,
+            retry: {
+                initialRetryTime: 100,
+                retries: 8,
+            },
+        });
+
+        this.admin = null;
+        this.producer = null;
+        this.consumer = null;
+    }
+
+    /**
+     * Create topics if they don't exist
+     */
+    async createTopics() {
+        try {
+            this.admin = this.kafka.admin();
+            await this.admin.connect();
+
+            const topics = [
+                { topic: this.topics.rawMessages, numPartitions: 3, replicationFactor: 1 },
+                { topic: this.topics.parsedMessages, numPartitions: 3, replicationFactor: 1 },
+                { topic: this.topics.deadLetter, numPartitions: 1, replicationFactor: 1 },
+            ];
+
+            await this.admin.createTopics({
+                waitForLeaders: true,
+                topics: topics,
+            });
+
+            logger.info('✅ Kafka topics created/verified');
+            await this.admin.disconnect();
+        } catch (error) {
+            // Ignore "topic already exists" errors
+            if (!error.message?.includes('already exists')) {
+                logger.warn('Topic creation warning', { error: error.message });
+            }
+            if (this.admin) {
+                await this.admin.disconnect().catch(() => { });
+            }
+        }
+    }
+
+    async connect() {
+        // Create topics first
+        await this.createTopics();
+
+        this.producer = this.kafka.producer({
+            createPartitioner: Partitioners.LegacyPartitioner,
+            allowAutoTopicCreation: true,
+        });
+
+        await this.producer.connect();
+        this.isProducerConnected = true;
+        logger.info('✅ Kafka producer connected');
+    }
+
+    async send(topic, value, key) {
+        await this.producer.send({
+            topic,
+            messages: [
+                {
+                    key,
+                    value,
+                    timestamp: Date.now().toString(),
+                },
+            ],
+        });
+    }
+
+    async subscribe(topic, handler, { concurrency = this.concurrency } = {}) {
+        this.consumer = this.kafka.consumer({
+            groupId: this.groupId,
+        });
+
+        await this.consumer.connect();
+        this.isConsumerConnected = true;
+        logger.info('✅ Kafka consumer connected');
+
+        await this.consumer.subscribe({
+            topic,
+            fromBeginning: false,
+        });
+
+        const pool = new WorkerPool(concurrency);
+        this.pools.set(topic, pool);
+
+        // Start consuming; offsets are resolved by deliverBatch as messages finish
+        await this.consumer.run({
+            partitionsConsumedConcurrently: this.partitionsConsumedConcurrently,
+            eachBatchAutoResolve: false,
+            eachBatch: (payload) => this.deliverBatch(payload, handler, pool),
+        });
+    }
+
+    /**
+     * Hand a partition's batch to the worker pool, grouped by key. A message is resolved
+     * once it and every message before it in the batch are done. Messages left unresolved
+     * (a handler failed, the topic was paused, the consumer stopped or rebalanced) are
+     * fetched again; ones of other keys after them that already ran are delivered twice,
+     * which the processor's ledger skips.
+     * @param {object} payload - KafkaJS eachBatch payload
+     * @param {Function} handler
+     * @param {WorkerPool} pool
+     */
+    async deliverBatch({ batch, resolveOffset, heartbeat, isRunning, isStale }, handler, pool) {
+        const { topic, partition, messages } = batch;
+        const done = new Set();
+        let next = 0; // First message of the batch not resolved yet
+
+        const complete = (index) => {
+            done.add(index);
+            while (done.has(next)) {
+                resolveOffset(messages[next].offset);
+                next++;
+            }
+        };
+
+        // Messages without a key don't need ordering against anything
+        const byKey = new Map();
+        messages.forEach((message, index) => {
+            const key = message.key?.toString() ?? `offset:${message.offset}`;
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(index);
+        });
+
+        const results = await Promise.allSettled([...byKey.values()].map(indexes => pool.run(async () => {
+            for (const index of indexes) {
+                if (!isRunning() || isStale() || this.paused.has(topic)) return;
+
+                const message = messages[index];
+                logger.debug('Message consumed from Kafka', { topic, partition, offset: message.offset, key: message.key?.toString() });
+                await handler({
+                    topic,
+                    key: message.key?.toString() || null,
+                    value: message.value.toString(),
+                });
+                complete(index);
+                await heartbeat();
+            }
+        })));
+
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+    }
+
+    pause(topic) {
+        this.paused.add(topic);
+        this.consumer?.pause([{ topic }]);
+    }
+
+    resume(topic) {
+        this.paused.delete(topic);
+        this.consumer?.resume([{ topic }]);
+    }
+
+    async disconnect() {
+        if (this.producer && this.isProducerConnected) {
+            await this.producer.disconnect();
+            this.isProducerConnected = false;
+            logger.info('Kafka producer disconnected');
+        }
+
+        if (this.consumer && this.isConsumerConnected) {
+            await this.consumer.disconnect();
+            this.isConsumerConnected = false;
+            logger.info('Kafka consumer disconnected');
+        }
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            workers: Object.fromEntries([...this.pools].map(([topic, pool]) => [topic, pool.getStatus()])),
+        };
+    }
+}
+
+export default KafkaTransport;
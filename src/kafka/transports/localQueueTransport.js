@@ -0,0 +1,187 @@
+import logger from '../../utils/logger.js';
+import database from '../../database/sqlite.js';
+import WorkerPool from '../../utils/workerPool.js';
+import MessageTransport from './baseTransport.js';
+
+// Messages read per round trip to SQLite
+const BATCH_SIZE = 50;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Broker-less transport for single-node installs: topics are rows in the
+ * queue_messages table of the pipeline's SQLite database.
+ *
+ * - A sent message is durable once send() returns
+ * - It is marked consumed only after the handler resolves, so messages left
+ *   unconsumed by a crash or a handler error are delivered again
+ * - Messages with different keys are handled concurrently (up to `concurrency`,
+ *   one worker pool per topic), each key's messages one at a time and in order
+ * - Consumed messages, and messages of topics nobody consumes here (parsed
+ *   messages, dead letters), are deleted after the retention period
+ *
+ * Requires database.init() before connect().
+ */
+class LocalQueueTransport extends MessageTransport {
+    /**
+     * @param {object} options - { pollIntervalMs, retentionHours } (see config.kafka.localQueue)
+     *   and { concurrency } (config.processing.concurrency)
+     */
+    constructor({ pollIntervalMs, retentionHours, concurrency = 1 }) {
+        super({ name: 'local' });
+        this.pollIntervalMs = pollIntervalMs;
+        this.concurrency = concurrency;
+        this.retentionMs = retentionHours * HOUR_MS;
+        this.handlers = new Map(); // topic -> { handler, pool }
+        this.draining = new Map(); // topic -> promise of the running drain
+        this.paused = new Set(); // topics not handing out new messages
+        this.pollTimer = null;
+        this.pruneTimer = null;
+    }
+
+    async connect() {
+        this.isProducerConnected = true;
+        logger.info('✅ Local queue ready (no Kafka broker)');
+    }
+
+    async send(topic, value, key) {
+        database.enqueueMessage({ topic, key, value });
+
+        if (this.handlers.has(topic)) {
+            this.drain(topic);
+        }
+    }
+
+    async subscribe(topic, handler, { concurrency = this.concurrency } = {}) {
+        this.handlers.set(topic, { handler, pool: new WorkerPool(concurrency) });
+        this.isConsumerConnected = true;
+
+        // Poll as well, so a message whose handler failed is retried
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => {
+                for (const subscribed of this.handlers.keys()) {
+                    this.drain(subscribed);
+                }
+            }, this.pollIntervalMs);
+
+            this.prune();
+            this.pruneTimer = setInterval(() => this.prune(), HOUR_MS);
+        }
+
+        logger.info('Local queue consumer started', { topic, concurrency, pending: database.countQueuedMessages(topic) });
+
+        // Messages left over from before the restart
+        this.drain(topic);
+    }
+
+    /**
+     * Deliver a topic's unconsumed messages in order; one drain per topic at a time
+     * @param {string} topic
+     * @returns {Promise<void>}
+     */
+    drain(topic) {
+        if (this.draining.has(topic)) {
+            return this.draining.get(topic);
+        }
+
+        const run = this.deliverPending(topic).finally(() => this.draining.delete(topic));
+        this.draining.set(topic, run);
+        return run;
+    }
+
+    /**
+     * Hand unconsumed messages to the topic's handler until none are left,
+     * the topic is paused or a handler fails (the failed message is retried on the next poll).
+     * Each batch is split by key; up to `concurrency` keys are delivered at once.
+     * @param {string} topic
+     */
+    async deliverPending(topic) {
+        const subscription = this.handlers.get(topic);
+
+        while (this.isConsumerConnected && subscription && !this.paused.has(topic)) {
+            const rows = database.getQueuedMessages(topic, BATCH_SIZE);
+            if (rows.length === 0) return;
+
+            // Messages without a key don't need ordering against anything
+            const byKey = new Map();
+            for (const row of rows) {
+                const key = row.message_key ?? row.id;
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(row);
+            }
+
+            const delivered = await Promise.all([...byKey.values()].map(keyRows =>
+                subscription.pool.run(() => this.deliverInOrder(topic, subscription.handler, keyRows))));
+
+            if (delivered.includes(false)) return;
+        }
+    }
+
+    /**
+     * Deliver one key's messages in order, stopping at the first failure
+     * @param {string} topic
+     * @param {Function} handler
+     * @param {Array<object>} rows - Queue rows of one key, oldest first
+     * @returns {Promise<boolean>} false when a message failed
+     */
+    async deliverInOrder(topic, handler, rows) {
+        for (const row of rows) {
+            if (!this.isConsumerConnected || this.paused.has(topic)) return true;
+
+            try {
+                logger.debug('Message consumed from local queue', { topic, id: row.id, key: row.message_key });
+                await handler({ topic, key: row.message_key, value: row.value });
+                database.markQueueMessageConsumed(row.id);
+            } catch (error) {
+                database.recordQueueAttempt(row.id);
+                logger.error('Local queue handler failed, will retry', { topic, id: row.id, error: error.message });
+                return false;
+            }
+        }
+        return true;
+    }
+
+    pause(topic) {
+        this.paused.add(topic);
+    }
+
+    resume(topic) {
+        if (this.paused.delete(topic) && this.handlers.has(topic)) {
+            this.drain(topic);
+        }
+    }
+
+    /**
+     * Delete messages older than the retention period that are consumed
+     * or belong to a topic without a consumer here
+     */
+    prune() {
+        const removed = database.pruneQueue(Date.now() - this.retentionMs, [...this.handlers.keys()]);
+        if (removed > 0) {
+            logger.info('Local queue pruned', { removed });
+        }
+    }
+
+    async disconnect() {
+        clearInterval(this.pollTimer);
+        clearInterval(this.pruneTimer);
+        this.pollTimer = null;
+        this.pruneTimer = null;
+
+        // Let the message being handled finish; the rest stays queued for the next start
+        this.isConsumerConnected = false;
+        await Promise.allSettled([...this.draining.values()]);
+
+        this.isProducerConnected = false;
+        logger.info('Local queue stopped');
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            pending: Object.fromEntries([...this.handlers.keys()].map(topic => [topic, database.countQueuedMessages(topic)])),
+            workers: Object.fromEntries([...this.handlers].map(([topic, { pool }]) => [topic, pool.getStatus()])),
+        };
+    }
+}
+
+export default LocalQueueTransport;
@@ -0,0 +1,273 @@
+/**
+ * Declared schema for the LLM extraction result, with validation and coercion.
+ * Models often return near-miss JSON (confidence as "0.8" or "80%", address as an
+ * array, extra keys); these are coerced where the intent is unambiguous and
+ * reported as field errors otherwise, so bad data never reaches SQLite.
+ */
+import { normalizeDigits } from '../utils/indic.js';
+
+// Structured address components, in label order
+export const ADDRESS_PARTS = ['house', 'street', 'locality', 'city', 'district', 'state', 'pincode'];
+
+const addressPartsSchema = {
+    type: 'object',
+    nullable: true,
+    default: null,
+    properties: {
+        house: { type: 'string', nullable: true, default: null, maxLength: 100 },
+        street: { type: 'string', nullable: true, default: null, maxLength: 200 },
+        locality: { type: 'string', nullable: true, default: null, maxLength: 200 },
+        city: { type: 'string', nullable: true, default: null, maxLength: 100 },
+        district: { type: 'string', nullable: true, default: null, maxLength: 100 },
+        state: { type: 'string', nullable: true, default: null, maxLength: 100 },
+        pincode: { type: 'string', nullable: true, default: null, stripWhitespace: true, normalizeDigits: true, pattern: /^[1-9]\d{5}$/, format: '6-digit pincode' },
+    },
+    required: [],
+    additionalProperties: false,
+};
+
+// One person's contact details
+export const contactSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', nullable: true, default: null, maxLength: 200 },
+        address: { type: 'string', nullable: true, default: null, maxLength: 1000 },
+        addressParts: addressPartsSchema,
+        mobile: { type: 'string', nullable: true, default: null, maxLength: 32 },
+        confidence: { type: 'number', minimum: 0, maximum: 1, coercePercent: true },
+        notes: { type: 'string', nullable: true, default: null, maxLength: 1000 },
+    },
+    required: ['confidence'],
+    additionalProperties: false,
+};
+
+// A session can carry several people's details (e.g. a batch of forwarded orders)
+export const extractionSchema = {
+    type: 'object',
+    properties: {
+        contacts: { type: 'array', items: contactSchema, minItems: 1, maxItems: 20 },
+    },
+    required: ['contacts'],
+    additionalProperties: false,
+};
+
+// Placeholder strings models use instead of null
+const NULL_LIKE = new Set(['', 'null', 'none', 'n/a', 'na', 'not found', 'not available', 'unknown']);
+
+/**
+ * Error raised when the LLM output still fails validation after the repair prompt
+ */
+export class ExtractionValidationError extends Error {
+    /**
+     * @param {Array<{field: string, message: string}>} fieldErrors
+     */
+    constructor(fieldErrors) {
+        super(`Schema validation failed: ${formatValidationErrors(fieldErrors)}`);
+        this.name = 'ExtractionValidationError';
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+/**
+ * Format field errors as "field: message; field: message"
+ * @param {Array<{field: string, message: string}>} errors
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(e => `${e.field}: ${e.message}`).join('; ');
+}
+
+/**
+ * Short description of a value for error messages
+ * @param {*} value
+ */
+function describe(value) {
+    const json = JSON.stringify(value);
+    return json && json.length > 60 ? `${json.substring(0, 57)}...` : String(json);
+}
+
+/**
+ * Coerce a value to a string field
+ * @returns {{ value?: string|null, error?: string }}
+ */
+function coerceString(value, spec) {
+    let result = value;
+
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        result = String(value);
+    } else if (Array.isArray(value)) {
+        if (!value.every(v => v === null || ['string', 'number'].includes(typeof v))) {
+            return { error: `expected string, got array with non-text items ${describe(value)}` };
+        }
+        result = value.filter(v => v !== null && String(v).trim() !== '').join(', ');
+    } else if (value && typeof value === 'object') {
+        // e.g. { street: "...", city: "..." } -> "..., ..."
+        const parts = Object.values(value);
+        if (!parts.every(v => v === null || ['string', 'number'].includes(typeof v))) {
+            return { error: `expected string, got nested object ${describe(value)}` };
+        }
+        result = parts.filter(v => v !== null && String(v).trim() !== '').join(', ');
+    } else if (typeof value !== 'string') {
+        return { error: `expected string, got ${describe(value)}` };
+    }
+
+    result = spec.stripWhitespace ? result.replace(/\s+/g, '') : result.trim();
+
+    if (spec.normalizeDigits) {
+        result = normalizeDigits(result);
+    }
+
+    if (NULL_LIKE.has(result.toLowerCase())) {
+        return spec.nullable ? { value: null } : { error: 'must not be empty' };
+    }
+
+    if (spec.maxLength && result.length > spec.maxLength) {
+        return { error: `longer than ${spec.maxLength} characters` };
+    }
+
+    if (spec.pattern && !spec.pattern.test(result)) {
+        return { error: `expected ${spec.format || spec.pattern}, got ${describe(value)}` };
+    }
+
+    return { value: result };
+}
+
+/**
+ * Coerce a value to a number field. Only strings with an explicit "%" are rescaled
+ * (coercePercent); a bare number out of range is an error, so the model is asked to repair it
+ * @returns {{ value?: number|null, error?: string }}
+ */
+function coerceNumber(value, spec) {
+    let result = value;
+
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        const isPercent = trimmed.endsWith('%');
+        const digits = isPercent ? trimmed.slice(0, -1).trim() : trimmed;
+        // Number('') is 0; an empty string is a missing value, not a confidence of 0
+        result = digits === '' ? NaN : Number(digits);
+        if (isPercent && spec.coercePercent) result /= 100;
+    }
+
+    if (typeof result !== 'number' || Number.isNaN(result)) {
+        return { error: `expected number, got ${describe(value)}` };
+    }
+
+    if ((spec.minimum !== undefined && result < spec.minimum) || (spec.maximum !== undefined && result > spec.maximum)) {
+        return { error: `expected number between ${spec.minimum} and ${spec.maximum}, got ${describe(value)}` };
+    }
+
+    return { value: result };
+}
+
+/**
+ * Validate an array of objects, collecting errors as "field[i].key"
+ * @returns {Array|null} Validated items, or null when the value isn't a list
+ */
+function validateArray(raw, spec, field, errors, warnings) {
+    let items = raw;
+
+    // A lone object where a list is expected -> list of one
+    if (!Array.isArray(raw)) {
+        if (typeof raw !== 'object') {
+            errors.push({ field, message: `expected array, got ${describe(raw)}` });
+            return null;
+        }
+        items = [raw];
+        warnings.push(`${field} coerced from single object`);
+    }
+
+    if (spec.minItems && items.length < spec.minItems) {
+        errors.push({ field, message: `expected at least ${spec.minItems} item(s), got ${items.length}` });
+    }
+    if (spec.maxItems && items.length > spec.maxItems) {
+        errors.push({ field, message: `expected at most ${spec.maxItems} items, got ${items.length}` });
+    }
+
+    return items.map((item, i) => {
+        const path = `${field}[${i}]`;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({ field: path, message: `expected object, got ${describe(item)}` });
+            return null;
+        }
+
+        const nested = validateExtraction(item, spec.items);
+        errors.push(...nested.errors.map(e => ({ field: `${path}.${e.field}`, message: e.message })));
+        warnings.push(...nested.warnings.map(w => `${path}: ${w}`));
+        return nested.value;
+    });
+}
+
+/**
+ * Validate and coerce a parsed LLM response against a schema
+ * @param {*} data - Parsed JSON from the model
+ * @param {object} schema - Schema definition (defaults to extractionSchema)
+ * @returns {{ value: object|null, errors: Array<{field: string, message: string}>, warnings: string[] }}
+ */
+export function validateExtraction(data, schema = extractionSchema) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return {
+            value: null,
+            errors: [{ field: '$', message: `expected JSON object, got ${describe(data)}` }],
+            warnings,
+        };
+    }
+
+    const value = {};
+
+    for (const [field, spec] of Object.entries(schema.properties)) {
+        const raw = data[field];
+
+        if (raw === undefined || raw === null) {
+            if (schema.required.includes(field)) {
+                errors.push({ field, message: 'is required' });
+            } else if (raw === null && !spec.nullable) {
+                errors.push({ field, message: 'must not be null' });
+            } else {
+                value[field] = spec.default ?? null;
+            }
+            continue;
+        }
+
+        if (spec.type === 'array') {
+            const items = validateArray(raw, spec, field, errors, warnings);
+            if (items) value[field] = items;
+            continue;
+        }
+
+        if (spec.type === 'object') {
+            if (typeof raw !== 'object' || Array.isArray(raw)) {
+                errors.push({ field, message: `expected object, got ${describe(raw)}` });
+                continue;
+            }
+
+            const nested = validateExtraction(raw, spec);
+            errors.push(...nested.errors.map(e => ({ field: `${field}.${e.field}`, message: e.message })));
+            warnings.push(...nested.warnings.map(w => `${field}: ${w}`));
+            value[field] = nested.value;
+            continue;
+        }
+
+        const coerced = spec.type === 'number' ? coerceNumber(raw, spec) : coerceString(raw, spec);
+
+        if (coerced.error) {
+            errors.push({ field, message: coerced.error });
+        } else {
+            if (coerced.value !== raw) {
+                warnings.push(`${field} coerced from ${describe(raw)}`);
+            }
+            value[field] = coerced.value;
+        }
+    }
+
+    if (!schema.additionalProperties) {
+        const extra = Object.keys(data).filter(key => !(key in schema.properties));
+        if (extra.length > 0) {
+            warnings.push(`ignored extra keys: ${extra.join(', ')}`);
+        }
+    }
+
+    return { value: errors.length === 0 ? value : null, errors, warnings };
+}
@@ -0,0 +1,131 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import GroqProvider from './providers/groqProvider.js';
+import OpenAICompatibleProvider from './providers/openaiProvider.js';
+import rulesExtractor from './rulesExtractor.js';
+import structuredExtractor from './structuredExtractor.js';
+
+/**
+ * Registry of available extraction providers.
+ * Each entry maps a provider name (LLM_PROVIDER) to its class and config section.
+ */
+const providers = {
+    groq: { Provider: GroqProvider, options: () => config.groq, isConfigured: () => !!config.groq.apiKey },
+    openai: { Provider: OpenAICompatibleProvider, options: () => config.openai, isConfigured: () => !!config.openai.baseUrl },
+};
+
+/**
+ * Create an extraction provider by name
+ * @param {string} name - Provider name (defaults to config.llm.provider)
+ * @returns {ExtractionProvider|null} Provider instance, or null when no LLM is configured
+ */
+export function createExtractionProvider(name = config.llm.provider) {
+    if (name === 'none') {
+        logger.info('LLM disabled, using rule-based extraction only');
+        return null;
+    }
+
+    const entry = providers[name];
+
+    if (!entry) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}, none`);
+    }
+
+    if (!entry.isConfigured()) {
+        logger.warn(`LLM provider "${name}" is not configured, using rule-based extraction only`);
+        return null;
+    }
+
+    const provider = new entry.Provider(entry.options());
+    logger.info('LLM provider selected', provider.getInfo());
+
+    return provider;
+}
+
+/**
+ * Contact extractor used by the message processor.
+ * Calls the configured LLM provider and falls back to the deterministic
+ * rules extractor when the LLM fails or isn't configured.
+ * Sessions made only of shared contact cards skip both (structuredExtractor).
+ */
+class ContactExtractor {
+    /**
+     * @param {ExtractionProvider|null} provider - LLM provider
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.fallbackToRules = config.llm.fallbackToRules;
+    }
+
+    /**
+     * Rate limiter of the LLM provider (null when extraction runs on rules only)
+     * @returns {RateLimiter|null}
+     */
+    get limiter() {
+        return this.provider?.limiter || null;
+    }
+
+    /**
+     * Extract contact information from a session
+     * @param {object} session - Session data with combined messages
+     * @returns {object} Extraction result with a `contacts` list
+     */
+    async extractContactInfo(session) {
+        if (structuredExtractor.canExtract(session)) {
+            return structuredExtractor.extractContactInfo(session);
+        }
+
+        if (!this.provider) {
+            return rulesExtractor.extractContactInfo(session, 'LLM not configured');
+        }
+
+        const result = await this.provider.extractContactInfo(session);
+
+        if (!result.error || !this.fallbackToRules) {
+            return result;
+        }
+
+        const fallback = rulesExtractor.extractContactInfo(session, `LLM failed: ${result.error}`);
+        return {
+            ...fallback,
+            llmProvider: result.llmProvider,
+            llmModel: result.llmModel,
+            validationErrors: result.validationErrors,
+        };
+    }
+
+    /**
+     * Extract every contact in a session as a separate result
+     * @param {object} session - Session data with combined messages
+     * @returns {Promise<Array<object>>} One result per person, each with `extracted`, `contactIndex`,
+     *   the session's location pin (if any), the group chat it came from (if any) and the receiving account
+     */
+    async extractContacts(session) {
+        const { contacts, ...result } = await this.extractContactInfo(session);
+        structuredExtractor.fillFromCards(contacts, session);
+        const location = structuredExtractor.getLocation(session);
+
+        return contacts.map((extracted, index) => ({
+            ...result,
+            extracted,
+            location,
+            group: session.group || null,
+            account: session.account || 'default',
+            contactIndex: index,
+            contactCount: contacts.length,
+        }));
+    }
+
+    /**
+     * Get extractor details for health/status reporting
+     */
+    getInfo() {
+        return {
+            ...(this.provider ? this.provider.getInfo() : { provider: 'none' }),
+            fallbackToRules: this.fallbackToRules,
+        };
+    }
+}
+
+// Export singleton for the configured provider
+export default new ContactExtractor(createExtractionProvider());
@@ -0,0 +1,328 @@
+import logger from '../../utils/logger.js';
+import RateLimiter from '../rateLimiter.js';
+import {
+    ADDRESS_PARTS,
+    contactSchema,
+    validateExtraction,
+    formatValidationErrors,
+    ExtractionValidationError,
+} from '../extractionSchema.js';
+
+const SYSTEM_PROMPT = 'You are a precise data extraction assistant. Always respond with valid JSON only.';
+
+/**
+ * Base class for LLM extraction providers.
+ * Holds the prompt, the retry loop and result shaping shared by every backend;
+ * subclasses only implement `complete()` against their own API.
+ *
+ * Provider options:
+ * - name: provider identifier (stored with each extraction)
+ * - model: model name passed to the backend
+ * - maxRetries: attempts before giving up
+ * - retryDelayMs: base delay for exponential backoff
+ * - timeoutMs: per-request timeout
+ * - rateLimit: { requestsPerMinute, tokensPerMinute } of the backend (0 = no limit)
+ */
+class ExtractionProvider {
+    constructor({ name, model, maxRetries = 3, retryDelayMs = 1000, timeoutMs = 30000, rateLimit = {} }) {
+        this.name = name;
+        this.model = model;
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.limiter = new RateLimiter(rateLimit);
+    }
+
+    /**
+     * Send a chat completion request and return the raw response text
+     * @param {string} systemPrompt - System instruction
+     * @param {string} userPrompt - Extraction prompt
+     * @returns {Promise<string>} Model response content
+     */
+    async complete(systemPrompt, userPrompt) {
+        throw new Error(`Provider "${this.name}" does not implement complete()`);
+    }
+
+    /**
+     * Call complete() once the rate limits allow it
+     * @param {string} systemPrompt - System instruction
+     * @param {string} userPrompt - Prompt
+     * @returns {Promise<string>} Model response content
+     */
+    async request(systemPrompt, userPrompt) {
+        // ~4 characters per token, plus the completion budget the backend reserves
+        const tokens = Math.ceil((systemPrompt.length + userPrompt.length) / 4) + (this.maxTokens || 0);
+        await this.limiter.acquire(tokens);
+        return this.complete(systemPrompt, userPrompt);
+    }
+
+    /**
+     * Build the extraction prompt
+     * @param {string} messageText - Combined message text
+     * @param {string} senderName - Name from WhatsApp profile
+     */
+    buildPrompt(messageText, senderName) {
+        return `You are an AI assistant that extracts contact information from WhatsApp messages.
+
+The messages may be in English, Hindi, Hinglish (mixed), or other Indian languages.
+The text may contain spelling mistakes, grammatical errors, and informal language.
+Messages may be split across multiple lines (the sender sent information in parts).
+The messages may contain details of MORE THAN ONE person (e.g. several orders forwarded together).
+
+Extract the following information for each person in the messages:
+1. **Name**: The full name of the person (not the WhatsApp profile name, but from the message content)
+2. **Address**: Complete address including street, city, state, pincode if available.
+   Also split it into components: house (house/flat/building number), street (street/road/marg),
+   locality (area, colony, society or village), city, district, state, pincode (6 digits)
+3. **Mobile/Phone**: Phone number (may have country code, spaces, dashes)
+
+IMPORTANT RULES:
+- If the sender's WhatsApp profile name is "${senderName}", do NOT use this as the extracted name unless the message confirms it
+- Extract ONLY information explicitly mentioned in the messages
+- If a field is not found, set it to null
+- For phone numbers, copy the number as written including any +91 / 0 prefix (it is normalized later)
+- Be generous in interpretation - people write informally
+- Return one entry per person, in the order they appear; never merge two people's details
+- If no contact details are found, return a single entry with null fields and confidence 0
+
+Return a JSON object with this exact structure:
+{
+  "contacts": [
+    {
+      "name": "extracted name or null",
+      "address": "full address or null",
+      "addressParts": {
+        "house": "house/flat number or null",
+        "street": "street or road or null",
+        "locality": "area, colony or village or null",
+        "city": "city or null",
+        "district": "district or null",
+        "state": "state or null",
+        "pincode": "6-digit pincode or null"
+      },
+      "mobile": "phone number or null",
+      "confidence": 0.0 to 1.0,
+      "notes": "any relevant notes about extraction"
+    }
+  ]
+}
+
+---
+MESSAGES TO PROCESS:
+${messageText}
+---
+
+Return ONLY the JSON object, no other text.`;
+    }
+
+    /**
+     * Build the repair prompt sent once when the response fails validation
+     * @param {string} responseText - The invalid model response
+     * @param {Array<{field: string, message: string}>} errors - Validation errors
+     */
+    buildRepairPrompt(responseText, errors) {
+        return `Your previous response did not match the required JSON structure.
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e.field}: ${e.message}`).join('\n')}
+
+PREVIOUS RESPONSE:
+${responseText}
+
+Return the corrected JSON object as { "contacts": [ ... ] } with one entry per person.
+Each entry must have exactly these keys: ${Object.keys(contactSchema.properties).join(', ')}.
+- "name", "address", "mobile" and "notes" must be a single string or null
+- "addressParts" must be an object with keys ${ADDRESS_PARTS.join(', ')} (each a string or null), or null
+- "confidence" must be a number between 0.0 and 1.0
+
+Return ONLY the JSON object, no other text.`;
+    }
+
+    /**
+     * Parse a model response and validate it against the extraction schema
+     * @param {string} responseText - Raw model response
+     * @returns {{ value: object|null, errors: Array, warnings: string[] }}
+     */
+    parseResponse(responseText) {
+        let parsed;
+        try {
+            parsed = JSON.parse(responseText);
+        } catch (error) {
+            return { value: null, errors: [{ field: '$', message: `invalid JSON (${error.message})` }], warnings: [] };
+        }
+
+        // Single-contact answer in the old flat shape -> list of one
+        const isFlatContact = parsed && typeof parsed === 'object' && !('contacts' in parsed)
+            && Object.keys(contactSchema.properties).some(key => key in parsed);
+        if (isFlatContact) {
+            parsed = { contacts: [parsed] };
+        }
+
+        return validateExtraction(parsed);
+    }
+
+    /**
+     * Extract contact information from message text
+     * @param {object} session - Session data with combined messages
+     * @returns {object} Extraction result with one `contacts` entry per person
+     */
+    async extractContactInfo(session) {
+        const { combinedText, senderNumber, pushName, sessionId } = session;
+
+        logger.info('🤖 Calling LLM for extraction', {
+            sender: senderNumber,
+            textLength: combinedText.length,
+            provider: this.name,
+            model: this.model,
+        });
+
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                const prompt = this.buildPrompt(combinedText, pushName);
+
+                const startTime = Date.now();
+                const responseText = await this.request(SYSTEM_PROMPT, prompt);
+
+                if (!responseText) {
+                    throw new Error('Empty response from LLM');
+                }
+
+                // Parse and validate the JSON response
+                let { value: extractedData, errors, warnings } = this.parseResponse(responseText);
+                let repaired = false;
+
+                // One repair round-trip with the specific field errors
+                if (errors.length > 0) {
+                    logger.warn('LLM output failed validation, requesting repair', {
+                        sender: senderNumber,
+                        provider: this.name,
+                        errors: formatValidationErrors(errors),
+                    });
+
+                    const repairText = await this.request(SYSTEM_PROMPT, this.buildRepairPrompt(responseText, errors));
+                    ({ value: extractedData, errors, warnings } = this.parseResponse(repairText || ''));
+                    repaired = true;
+
+                    if (errors.length > 0) {
+                        throw new ExtractionValidationError(errors);
+                    }
+                }
+
+                if (warnings.length > 0) {
+                    logger.debug('LLM output coerced to schema', { sender: senderNumber, warnings });
+                }
+
+                const responseTime = Date.now() - startTime;
+                const contacts = extractedData.contacts;
+
+                logger.info('✅ LLM extraction successful', {
+                    sender: senderNumber,
+                    provider: this.name,
+                    responseTime: `${responseTime}ms`,
+                    contacts: contacts.length,
+                    confidence: contacts.map(c => c.confidence),
+                    hasName: contacts.some(c => !!c.name),
+                    hasAddress: contacts.some(c => !!c.address),
+                    hasMobile: contacts.some(c => !!c.mobile),
+                });
+
+                // Return structured result
+                return {
+                    sessionId,
+                    senderNumber,
+                    pushName,
+                    contacts: contacts.map(contact => ({
+                        name: contact.name,
+                        address: contact.address,
+                        addressParts: this.buildAddressParts(contact.addressParts),
+                        mobile: contact.mobile,
+                        confidence: contact.confidence,
+                        notes: contact.notes,
+                    })),
+                    rawMessages: session.messages,
+                    combinedText,
+                    processedAt: Date.now(),
+                    extractionSource: 'llm',
+                    llmProvider: this.name,
+                    llmModel: this.model,
+                    llmResponseTime: responseTime,
+                    llmRepaired: repaired,
+                };
+
+            } catch (error) {
+                lastError = error;
+                logger.warn(`LLM extraction attempt ${attempt} failed`, {
+                    error: error.message,
+                    provider: this.name,
+                    sender: senderNumber,
+                });
+
+                // The repair prompt already had its chance; retrying won't help
+                if (error instanceof ExtractionValidationError) {
+                    break;
+                }
+
+                if (attempt < this.maxRetries) {
+                    // Exponential backoff
+                    const delay = Math.pow(2, attempt - 1) * this.retryDelayMs;
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+
+        // All retries failed
+        logger.error('LLM extraction failed', {
+            sender: senderNumber,
+            provider: this.name,
+            error: lastError?.message,
+        });
+
+        // Return partial result for manual review
+        return {
+            sessionId,
+            senderNumber,
+            pushName,
+            contacts: [{
+                name: null,
+                address: null,
+                addressParts: this.buildAddressParts(null),
+                mobile: null,
+                confidence: 0,
+                notes: `Extraction failed: ${lastError?.message}`,
+            }],
+            rawMessages: session.messages,
+            combinedText,
+            processedAt: Date.now(),
+            llmProvider: this.name,
+            llmModel: this.model,
+            error: lastError?.message,
+            validationErrors: lastError?.fieldErrors || null,
+            status: 'failed',
+        };
+    }
+
+    /**
+     * Build a complete address components object (missing parts set to null)
+     * @param {object|null} parts - Validated addressParts from the model
+     */
+    buildAddressParts(parts) {
+        return Object.fromEntries(ADDRESS_PARTS.map(part => [part, parts?.[part] ?? null]));
+    }
+
+    /**
+     * Get provider details for health/status reporting
+     */
+    getInfo() {
+        return {
+            provider: this.name,
+            model: this.model,
+            maxRetries: this.maxRetries,
+            timeoutMs: this.timeoutMs,
+            rateLimit: this.limiter.getStatus(),
+        };
+    }
+}
+
+export default ExtractionProvider;
@@ -0,0 +1,56 @@
+import Groq from 'groq-sdk';
+import ExtractionProvider from './baseProvider.js';
+
+/**
+ * Groq LLM provider for extracting structured contact information from messages.
+ * Uses Llama 3.3 70B for multilingual text understanding.
+ *
+ * Features:
+ * - Handles multiple languages (English, Hindi, mixed)
+ * - Deals with spelling mistakes and informal text
+ * - Returns structured JSON with confidence scores
+ * - Retry logic with exponential backoff
+ */
+class GroqProvider extends ExtractionProvider {
+    /**
+     * @param {object} options - Groq settings (see config.groq)
+     */
+    constructor(options) {
+        super({ name: 'groq', ...options });
+        this.temperature = options.temperature;
+        this.maxTokens = options.maxTokens;
+        this.client = new Groq({
+            apiKey: options.apiKey,
+            timeout: options.timeoutMs,
+            maxRetries: 0, // Retries are handled by ExtractionProvider
+        });
+    }
+
+    /**
+     * Send a chat completion request to Groq
+     * @param {string} systemPrompt - System instruction
+     * @param {string} userPrompt - Extraction prompt
+     */
+    async complete(systemPrompt, userPrompt) {
+        const completion = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [
+                {
+                    role: 'system',
+                    content: systemPrompt,
+                },
+                {
+                    role: 'user',
+                    content: userPrompt,
+                },
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            response_format: { type: 'json_object' },
+        });
+
+        return completion.choices[0]?.message?.content;
+    }
+}
+
+export default GroqProvider;
@@ -0,0 +1,76 @@
+import ExtractionProvider from './baseProvider.js';
+
+/**
+ * OpenAI-compatible HTTP provider.
+ * Talks to any server exposing `POST /chat/completions` in the OpenAI format,
+ * e.g. Ollama (http://localhost:11434/v1), llama.cpp server or vLLM,
+ * so extraction can run offline against a self-hosted model.
+ */
+class OpenAICompatibleProvider extends ExtractionProvider {
+    /**
+     * @param {object} options - Provider settings (see config.openai)
+     */
+    constructor(options) {
+        super({ name: 'openai', ...options });
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        this.apiKey = options.apiKey;
+        this.temperature = options.temperature;
+        this.maxTokens = options.maxTokens;
+        this.jsonMode = options.jsonMode;
+    }
+
+    /**
+     * Send a chat completion request to the configured endpoint
+     * @param {string} systemPrompt - System instruction
+     * @param {string} userPrompt - Extraction prompt
+     */
+    async complete(systemPrompt, userPrompt) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: this.model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt },
+            ],
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+            stream: false,
+        };
+
+        // Not every local server supports JSON mode, so it can be switched off
+        if (this.jsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(`HTTP ${response.status} from ${this.baseUrl}: ${errorText.substring(0, 200)}`);
+        }
+
+        const completion = await response.json();
+        return completion.choices?.[0]?.message?.content;
+    }
+
+    /**
+     * Get provider details for health/status reporting
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            baseUrl: this.baseUrl,
+        };
+    }
+}
+
+export default OpenAICompatibleProvider;
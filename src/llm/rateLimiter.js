@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Bucket refilled continuously at `perMinute` units per minute, holding at most a minute's worth
+ */
+class TokenBucket {
+    /**
+     * @param {number} perMinute
+     */
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.available = perMinute;
+        this.refillPerMs = perMinute / MINUTE_MS;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until `amount` units are available (0 when they are now)
+     * @param {number} amount
+     */
+    waitTime(amount) {
+        this.refill();
+        const missing = Math.min(amount, this.capacity) - this.available;
+        return missing > 0 ? Math.ceil(missing / this.refillPerMs) : 0;
+    }
+
+    /**
+     * @param {number} amount
+     */
+    take(amount) {
+        this.available -= Math.min(amount, this.capacity);
+    }
+}
+
+/**
+ * Token-bucket limiter for LLM calls: requests per minute and tokens per minute.
+ * A limit of 0 disables that bucket. Callers wait in FIFO order, so a large
+ * request is not starved by small ones; a request bigger than the whole
+ * per-minute budget waits for a full bucket instead of forever.
+ *
+ * Events:
+ * - 'saturated' when a request has to wait for the limits
+ * - 'available' when every waiting request has been let through
+ */
+export class RateLimiter extends EventEmitter {
+    /**
+     * @param {object} options - { requestsPerMinute, tokensPerMinute }
+     */
+    constructor({ requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+        super();
+        this.requests = requestsPerMinute > 0 ? new TokenBucket(requestsPerMinute) : null;
+        this.tokens = tokensPerMinute > 0 ? new TokenBucket(tokensPerMinute) : null;
+        this.waiting = []; // { tokens, resolve } in arrival order
+        this.timer = null;
+        this.isSaturated = false;
+    }
+
+    get isEnabled() {
+        return !!(this.requests || this.tokens);
+    }
+
+    /**
+     * Wait until one request of `tokens` tokens fits in the limits, then count it
+     * @param {number} tokens - Estimated prompt + completion tokens
+     * @returns {Promise<void>}
+     */
+    acquire(tokens = 0) {
+        if (!this.isEnabled) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.waiting.push({ tokens, resolve });
+            this.release();
+        });
+    }
+
+    /**
+     * Let waiting requests through while the buckets allow, and schedule the next check
+     */
+    release() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.waiting.length > 0) {
+            const next = this.waiting[0];
+            const wait = Math.max(this.requests?.waitTime(1) || 0, this.tokens?.waitTime(next.tokens) || 0);
+
+            if (wait > 0) {
+                if (!this.isSaturated) {
+                    this.isSaturated = true;
+                    this.emit('saturated', { waiting: this.waiting.length, waitMs: wait });
+                }
+                this.timer = setTimeout(() => this.release(), wait);
+                return;
+            }
+
+            this.requests?.take(1);
+            this.tokens?.take(next.tokens);
+            this.waiting.shift();
+            next.resolve();
+        }
+
+        if (this.isSaturated) {
+            this.isSaturated = false;
+            this.emit('available');
+        }
+    }
+
+    /**
+     * Limits and current budget for health/status reporting
+     */
+    getStatus() {
+        this.requests?.refill();
+        this.tokens?.refill();
+
+        return {
+            requestsPerMinute: this.requests?.capacity || null,
+            tokensPerMinute: this.tokens?.capacity || null,
+            availableRequests: this.requests ? Math.floor(this.requests.available) : null,
+            availableTokens: this.tokens ? Math.floor(this.tokens.available) : null,
+            waiting: this.waiting.length,
+            saturated: this.isSaturated,
+        };
+    }
+}
+
+export default RateLimiter;
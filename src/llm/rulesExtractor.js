@@ -0,0 +1,217 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import {
+    MOBILE_LOOSE_PATTERN,
+    NAME_PATTERN,
+    ADDRESS_KEYWORDS,
+    PINCODE_PATTERN,
+    NAME_LABEL_PATTERN,
+    ADDRESS_LABEL_PATTERN,
+} from '../utils/patterns.js';
+import { ADDRESS_PARTS } from './extractionSchema.js';
+import { normalizeDigits } from '../utils/indic.js';
+
+// Single word right before a pincode, e.g. "Pune 411001" / "Jaipur - 302 001"
+const CITY_BEFORE_PINCODE = /([A-Za-z]{3,})[\s,\-]*[1-9]\d{2}\s?\d{3}(?!\d)/;
+
+/**
+ * Deterministic rule-based contact extractor.
+ * Used when the LLM fails after all retries or no LLM is configured,
+ * so a session still yields whatever can be read with plain regexes.
+ *
+ * Features:
+ * - Indian mobile numbers (+91 / 0 prefixes, spaces and dashes)
+ * - 6-digit pincodes (plus the city before them) and address keyword lines
+ * - "Name: ..." labels and capitalized 2-3 word names
+ * - Several people in one session, split by blank lines or by mobile number
+ * - Confidence capped at config.llm.rulesMaxConfidence
+ */
+class RulesExtractor {
+    constructor() {
+        this.maxConfidence = config.llm.rulesMaxConfidence;
+    }
+
+    /**
+     * Find the first Indian mobile number in the text (as written; parsed later)
+     * @param {string} text
+     * @returns {string|null}
+     */
+    findMobile(text) {
+        const matches = text.match(MOBILE_LOOSE_PATTERN);
+        return matches ? matches[0] : null;
+    }
+
+    /**
+     * Find a name from an explicit label or a capitalized line
+     * @param {string[]} lines
+     */
+    findName(lines) {
+        for (const line of lines) {
+            const labelled = line.match(NAME_LABEL_PATTERN);
+            if (labelled) return labelled[1].trim();
+        }
+
+        return lines.find(line => NAME_PATTERN.test(line)) || null;
+    }
+
+    /**
+     * Collect address lines (labelled, keyword or pincode bearing)
+     * @param {string[]} lines
+     */
+    findAddress(lines) {
+        const parts = [];
+
+        for (const line of lines) {
+            const labelled = line.match(ADDRESS_LABEL_PATTERN);
+            if (labelled) {
+                parts.push(labelled[1].trim());
+            } else if (ADDRESS_KEYWORDS.test(line) || PINCODE_PATTERN.test(line)) {
+                parts.push(line);
+            }
+        }
+
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
+    /**
+     * Pick the address components that can be read reliably (pincode, city)
+     * @param {string|null} address
+     */
+    findAddressParts(address) {
+        const parts = Object.fromEntries(ADDRESS_PARTS.map(part => [part, null]));
+        if (!address) return parts;
+
+        parts.pincode = address.match(PINCODE_PATTERN)?.[0].replace(/\s/g, '') || null;
+
+        const city = address.match(CITY_BEFORE_PINCODE)?.[1];
+        if (city && !ADDRESS_KEYWORDS.test(city)) {
+            parts.city = city;
+        }
+
+        return parts;
+    }
+
+    /**
+     * Split text holding several people's details into one chunk per person.
+     * Uses blank-line separated blocks when there is one per mobile number,
+     * otherwise cuts at each mobile number line (after it when numbers come
+     * last in each entry, before it when they come first).
+     * @param {string} text
+     * @returns {string[]}
+     */
+    splitEntries(text) {
+        const mobiles = new Set((text.match(MOBILE_LOOSE_PATTERN) || []).map(m => m.replace(/\D/g, '').slice(-10)));
+        if (mobiles.size < 2) return [text];
+
+        const hasMobile = (line) => (line.match(MOBILE_LOOSE_PATTERN) || []).length > 0;
+
+        const blocks = text.split(/\n\s*\n/).filter(block => block.trim());
+        if (blocks.length === mobiles.size && blocks.every(hasMobile)) {
+            return blocks;
+        }
+
+        const lines = text.split('\n').filter(line => line.trim());
+        const mobileFirst = hasMobile(lines[0]);
+        const entries = [];
+        let current = [];
+
+        for (const line of lines) {
+            if (mobileFirst && hasMobile(line) && current.length > 0) {
+                entries.push(current);
+                current = [];
+            }
+            current.push(line);
+            if (!mobileFirst && hasMobile(line)) {
+                entries.push(current);
+                current = [];
+            }
+        }
+
+        // Number-first: the rest is the last person. Number-last: trailing lines belong to the last person
+        if (current.length > 0) {
+            if (mobileFirst || entries.length === 0) entries.push(current);
+            else entries[entries.length - 1].push(...current);
+        }
+
+        return entries.map(entry => entry.join('\n'));
+    }
+
+    /**
+     * Extract one person's details from a chunk of text
+     * @param {string} text
+     * @returns {{ contact: object, foundCount: number }}
+     */
+    extractEntry(text) {
+        const mobile = this.findMobile(text);
+
+        // Work line by line with the mobile number removed so it isn't mistaken for a pincode
+        const lines = text
+            .split('\n')
+            .map(line => (mobile ? line.replace(mobile, '') : line).trim())
+            .filter(line => line.length > 0);
+
+        const name = this.findName(lines);
+        const address = this.findAddress(lines.filter(line => line !== name && !NAME_LABEL_PATTERN.test(line)));
+        const addressParts = this.findAddressParts(address);
+
+        const foundCount = [name, address, mobile].filter(Boolean).length;
+        const confidence = Math.round((foundCount / 3) * this.maxConfidence * 100) / 100;
+
+        return {
+            contact: { name, address, addressParts, mobile, confidence, notes: null },
+            foundCount,
+        };
+    }
+
+    /**
+     * Extract contact information using rules only
+     * @param {object} session - Session data with combined messages
+     * @param {string} reason - Why the rule-based path is used (stored in notes)
+     * @returns {object} Extraction result in the same shape as the LLM result
+     */
+    extractContactInfo(session, reason) {
+        const { combinedText, senderNumber, pushName, sessionId } = session;
+
+        // Indic digits -> 0-9 so mobile/pincode regexes match
+        const entries = this.splitEntries(normalizeDigits(combinedText)).map(text => this.extractEntry(text));
+
+        // Drop chunks with nothing in them (greetings between entries), but keep at least one
+        const found = entries.filter(entry => entry.foundCount > 0);
+        const contacts = (found.length > 0 ? found : entries.slice(0, 1)).map(entry => entry.contact);
+
+        const notes = `Rule-based extraction (${reason})`;
+        for (const contact of contacts) {
+            contact.notes = notes;
+        }
+
+        logger.info('📐 Rule-based extraction used', {
+            sender: senderNumber,
+            reason,
+            contacts: contacts.length,
+            hasName: contacts.some(c => !!c.name),
+            hasAddress: contacts.some(c => !!c.address),
+            hasMobile: contacts.some(c => !!c.mobile),
+        });
+
+        const result = {
+            sessionId,
+            senderNumber,
+            pushName,
+            contacts,
+            rawMessages: session.messages,
+            combinedText,
+            processedAt: Date.now(),
+            extractionSource: 'rules',
+        };
+
+        // Nothing usable found - keep it flagged for manual review
+        if (found.length === 0) {
+            result.error = `No contact details found (${reason})`;
+            result.status = 'failed';
+        }
+
+        return result;
+    }
+}
+
+export default new RulesExtractor();
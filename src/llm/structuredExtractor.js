@@ -0,0 +1,103 @@
+import logger from '../utils/logger.js';
+import { ADDRESS_PARTS } from './extractionSchema.js';
+
+// Contact cards are exact data, not a guess
+const CARD_CONFIDENCE = 0.95;
+
+/**
+ * Deterministic extraction from structured WhatsApp messages:
+ * shared contact cards (parsed vCards) and location pins.
+ *
+ * - A session made only of cards (and pins) is extracted here without the LLM
+ * - Otherwise the LLM/rules result is completed with card fields it left empty
+ * - The session's location pin is attached to its contacts
+ */
+class StructuredExtractor {
+    /**
+     * Contact cards in a session, in message order
+     * @param {object} session
+     */
+    getCards(session) {
+        return (session.messages || []).filter(m => m.card).map(m => m.card);
+    }
+
+    /**
+     * Last location pin in a session
+     * @param {object} session
+     * @returns {object|null} { latitude, longitude, name, address }
+     */
+    getLocation(session) {
+        const pins = (session.messages || []).filter(m => m.location);
+        return pins.length > 0 ? pins[pins.length - 1].location : null;
+    }
+
+    /**
+     * Whether every message is a card or pin (and there is at least one card)
+     * @param {object} session
+     */
+    canExtract(session) {
+        const messages = session.messages || [];
+        return this.getCards(session).length > 0 && messages.every(m => m.card || m.location);
+    }
+
+    /**
+     * Address text of a pin ("Shanti Society, Ahmedabad") or null
+     * @param {object|null} location
+     */
+    locationAddress(location) {
+        if (!location) return null;
+        return [location.name, location.address].filter(Boolean).join(', ') || null;
+    }
+
+    /**
+     * Build contacts from the cards of a structured-only session
+     * @param {object} session
+     * @returns {object} Extraction result with a `contacts` list
+     */
+    extractContactInfo(session) {
+        const { combinedText, senderNumber, pushName, sessionId } = session;
+        const location = this.getLocation(session);
+
+        const contacts = this.getCards(session).map(card => ({
+            name: card.name,
+            address: card.address || this.locationAddress(location),
+            addressParts: Object.fromEntries(ADDRESS_PARTS.map(part => [part, card.addressParts?.[part] ?? null])),
+            mobile: card.mobile,
+            confidence: CARD_CONFIDENCE,
+            notes: 'From shared contact card',
+        }));
+
+        logger.info('📇 Contact card extraction used', { sender: senderNumber, contacts: contacts.length });
+
+        return {
+            sessionId,
+            senderNumber,
+            pushName,
+            contacts,
+            rawMessages: session.messages,
+            combinedText,
+            processedAt: Date.now(),
+            extractionSource: 'vcard',
+        };
+    }
+
+    /**
+     * Fill name/mobile the extractor missed from the card at the same position
+     * @param {Array<object>} contacts - Extracted contacts (modified in place)
+     * @param {object} session
+     */
+    fillFromCards(contacts, session) {
+        const cards = this.getCards(session);
+
+        contacts.forEach((contact, index) => {
+            const card = cards[index];
+            if (!card) return;
+
+            contact.name = contact.name || card.name;
+            contact.mobile = contact.mobile || card.mobile;
+            contact.address = contact.address || card.address;
+        });
+    }
+}
+
+export default new StructuredExtractor();
@@ -0,0 +1,71 @@
+import { mkdirSync, existsSync, writeFileSync } from 'fs';
+import { join, resolve, relative, extname, isAbsolute } from 'path';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// File extensions for common WhatsApp media types
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'application/pdf': '.pdf',
+};
+
+/**
+ * Local store for downloaded WhatsApp media.
+ * Files live under config.media.storePath in one folder per day
+ * (2024-05-01/<messageId>.jpg); raw_messages keeps the path relative to the store.
+ */
+class MediaStore {
+    constructor() {
+        this.root = resolve(config.media.storePath);
+    }
+
+    /**
+     * Save a media file
+     * @param {string} messageId - WhatsApp message id (used as the file name)
+     * @param {Buffer} buffer - File content
+     * @param {object} media - { mimeType, fileName }
+     * @returns {string} Path relative to the store
+     */
+    save(messageId, buffer, { mimeType, fileName } = {}) {
+        const day = new Date().toISOString().slice(0, 10);
+        const mime = (mimeType || '').split(';')[0].trim();
+        const extension = EXTENSIONS[mime] || extname(fileName || '') || '.bin';
+        const safeId = messageId.replace(/[^A-Za-z0-9_-]/g, '_');
+
+        const dir = join(this.root, day);
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        const relativePath = join(day, `${safeId}${extension}`);
+        writeFileSync(join(this.root, relativePath), buffer);
+
+        logger.debug('Media saved', { messageId, path: relativePath, size: buffer.length });
+        return relativePath;
+    }
+
+    /**
+     * Absolute path of a stored file
+     * @param {string} relativePath - Path as stored in raw_messages
+     * @returns {string|null} Absolute path, or null if it points outside the store
+     */
+    resolve(relativePath) {
+        if (!relativePath) return null;
+
+        const absolute = resolve(this.root, relativePath);
+        const inside = relative(this.root, absolute);
+        if (inside.startsWith('..') || isAbsolute(inside)) {
+            return null;
+        }
+
+        return absolute;
+    }
+}
+
+export default new MediaStore();
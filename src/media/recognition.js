@@ -0,0 +1,150 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import mediaStore from './mediaStore.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Which recognizer kind a media item needs: 'image' (OCR) or 'audio' (ASR)
+ * @param {object} media - { type, mimeType }
+ * @returns {'image'|'audio'|null}
+ */
+export function recognitionKind(media) {
+    const mime = media?.mimeType || '';
+    if (media?.type === 'image' || mime.startsWith('image/')) return 'image';
+    if (media?.type === 'audio' || mime.startsWith('audio/')) return 'audio';
+    return null;
+}
+
+/**
+ * Base class for media recognizers (OCR for images, ASR for voice notes).
+ * Subclasses implement `recognize()`; register instances with mediaRecognition.
+ */
+export class MediaRecognizer {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Identifier stored with the recognized text
+     * @param {Array<'image'|'audio'>} options.kinds - Media kinds this recognizer handles
+     */
+    constructor({ name, kinds }) {
+        this.name = name;
+        this.kinds = kinds;
+    }
+
+    /**
+     * Turn a media file into text
+     * @param {string} filePath - Absolute path of the stored file
+     * @param {object} media - Media descriptor from the WhatsApp client
+     * @returns {Promise<string>} Recognized text ('' when nothing was found)
+     */
+    async recognize(filePath, media) {
+        throw new Error(`Recognizer "${this.name}" does not implement recognize()`);
+    }
+}
+
+/**
+ * Runs a local command (tesseract, whisper.cpp, ...) and reads the text from stdout.
+ * The command is a template where {file} is replaced by the media path; it is run
+ * without a shell, so the path is passed as a single argument.
+ */
+export class CommandRecognizer extends MediaRecognizer {
+    constructor({ name, kinds, command, timeoutMs = 60000 }) {
+        super({ name, kinds });
+        this.args = command.trim().split(/\s+/);
+        this.timeoutMs = timeoutMs;
+    }
+
+    async recognize(filePath) {
+        const [program, ...args] = this.args.map(arg => arg.replaceAll('{file}', filePath));
+        const { stdout } = await execFileAsync(program, args, {
+            timeout: this.timeoutMs,
+            maxBuffer: 1024 * 1024,
+        });
+
+        return stdout.replace(/[ \t]+/g, ' ').trim();
+    }
+}
+
+/**
+ * OCR/ASR hook: picks a recognizer for a downloaded media file and returns its text,
+ * which the WhatsApp message handler adds to the message once it is in its session.
+ */
+class MediaRecognition {
+    constructor() {
+        this.recognizers = [];
+        const { ocrCommand, asrCommand, recognizeTimeoutMs } = config.media;
+
+        if (ocrCommand) {
+            this.register(new CommandRecognizer({ name: 'ocr', kinds: ['image'], command: ocrCommand, timeoutMs: recognizeTimeoutMs }));
+        }
+        if (asrCommand) {
+            this.register(new CommandRecognizer({ name: 'asr', kinds: ['audio'], command: asrCommand, timeoutMs: recognizeTimeoutMs }));
+        }
+    }
+
+    /**
+     * Add a recognizer (later registrations take precedence for their kinds)
+     * @param {MediaRecognizer} recognizer
+     */
+    register(recognizer) {
+        this.recognizers.unshift(recognizer);
+    }
+
+    /**
+     * Recognizer for a media kind, if one is registered
+     * @param {object} media - { type, mimeType }
+     * @returns {MediaRecognizer|null}
+     */
+    recognizerFor(media) {
+        const kind = recognitionKind(media);
+        return (kind && this.recognizers.find(r => r.kinds.includes(kind))) || null;
+    }
+
+    /**
+     * Whether a stored media file will be recognized
+     * @param {object} media - { type, mimeType, path }
+     */
+    canRecognize(media) {
+        return !!(media?.path && this.recognizerFor(media));
+    }
+
+    /**
+     * Recognize text in a stored media file
+     * @param {object} media - { type, mimeType, path }
+     * @returns {Promise<{ text: string, recognizer: string }|null>} null when no recognizer applies or it failed
+     */
+    async recognize(media) {
+        const recognizer = this.recognizerFor(media);
+        const filePath = mediaStore.resolve(media?.path);
+
+        if (!recognizer || !filePath) return null;
+
+        try {
+            const startTime = Date.now();
+            const text = await recognizer.recognize(filePath, media);
+
+            logger.info('🔎 Media recognized', {
+                recognizer: recognizer.name,
+                type: media.type,
+                chars: text.length,
+                time: `${Date.now() - startTime}ms`,
+            });
+
+            return { text, recognizer: recognizer.name };
+        } catch (error) {
+            logger.warn('Media recognition failed', { recognizer: recognizer.name, path: media.path, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Registered recognizers for health/status reporting
+     */
+    getInfo() {
+        return this.recognizers.map(({ name, kinds }) => ({ name, kinds }));
+    }
+}
+
+export default new MediaRecognition();
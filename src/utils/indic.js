@@ -0,0 +1,30 @@
+/**
+ * Helpers for text written in Indian scripts.
+ * Senders type numbers in their own script as often as in ASCII
+ * ("९८७६५४३२१०", "૩૮૦૦૦૯"), which none of the digit regexes match.
+ */
+
+// Digits 0-9 of Devanagari, Bengali, Gurmukhi, Gujarati, Odia, Tamil, Telugu, Kannada and Malayalam.
+// Each block's zero sits at U+xx66 or U+xxE6, so (code & 0x7F) - 0x66 is the digit value.
+const INDIC_DIGITS = /[०-९০-৯੦-੯૦-૯୦-୯௦-௯౦-౯೦-೯൦-൯]/g;
+
+/**
+ * Replace Indic digits with ASCII 0-9 ("पिन ४११००१" -> "पिन 411001")
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeDigits(text) {
+    if (!text) return text;
+    return text.replace(INDIC_DIGITS, (digit) => String((digit.charCodeAt(0) & 0x7f) - 0x66));
+}
+
+/**
+ * Count the letters of a script in a text
+ * @param {string} text
+ * @param {string} script - Unicode script name (e.g. 'Latin', 'Devanagari', 'Gujarati')
+ * @returns {number}
+ */
+export function countScriptLetters(text, script) {
+    const matches = text.match(new RegExp(`\\p{Script=${script}}`, 'gu'));
+    return matches ? matches.length : 0;
+}
@@ -0,0 +1,39 @@
+/**
+ * Shared text patterns for Indian contact details.
+ * Used by the session correlator for slot detection and by the
+ * rule-based extractor, so both agree on what a mobile/name/address looks like.
+ */
+
+// Mobile: 10 digits starting 6-9, optional +91 / 91 / 0 prefix
+export const MOBILE_PATTERN = /(\+91|0)?[6-9]\d{9}/;
+
+// Same as MOBILE_PATTERN but tolerates spaces/dashes people type (e.g. "+91 98765-43210")
+export const MOBILE_LOOSE_PATTERN = /(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g;
+
+// Name: 2-3 capitalized words on their own
+export const NAME_PATTERN = /^[A-Z][a-z]+(\s[A-Z][a-z]+){1,2}$/;
+
+// Address keywords the correlator uses to decide a message fills the address slot.
+// Kept narrow on purpose: matching here can close a session early (see SessionCorrelator)
+export const SLOT_ADDRESS_KEYWORDS = /\b(road|st|street|apt|apartment|flat|city|dist|nagar|society|colony|landmark|near|opposite)\b/i;
+
+// Wider address vocabulary for the rule-based extractor, which only reads finished sessions
+export const ADDRESS_KEYWORDS = /\b(road|rd|st|street|marg|lane|apt|apartment|flat|house|h\.?\s?no|floor|city|dist|district|taluka|tehsil|nagar|society|colony|sector|village|gali|chowk|landmark|near|opp|opposite|behind|pin|pincode)\b/i;
+
+// Pincode: 6 digits, first digit non-zero, optional space after the first three
+export const PINCODE_PATTERN = /(?<!\d)[1-9]\d{2}\s?\d{3}(?!\d)/;
+
+// Explicit labels people put before their details ("Name: ...", "naam - ...")
+export const NAME_LABEL_PATTERN = /^\s*(?:name|naam|nam)\s*[:\-=]\s*(.+)$/i;
+export const ADDRESS_LABEL_PATTERN = /^\s*(?:address|addr|add|pata)\s*[:\-=]\s*(.+)$/i;
+
+// Address words in Devanagari (Hindi/Marathi) and Gujarati script.
+// Matched as substrings: \b only knows ASCII word characters.
+export const DEVANAGARI_ADDRESS_KEYWORDS = /(मार्ग|रोड|सड़क|नगर|जिला|ज़िला|जिल्हा|गली|मोहल्ला|कॉलोनी|कालोनी|सोसाइटी|अपार्टमेंट|फ्लैट|मकान|सेक्टर|चौक|बाजार|बाज़ार|गांव|गाँव|ग्राम|पोस्ट|डाक|तहसील|तालुका|थाना|वार्ड|शहर|राज्य|पिन|के पास|सामने|पीछे)/u;
+export const GUJARATI_ADDRESS_KEYWORDS = /(માર્ગ|રોડ|નગર|જિલ્લો|જીલ્લો|જિલ્લા|શેરી|ગલી|મહોલ્લો|સોસાયટી|સોસાઈટી|એપાર્ટમેન્ટ|ફ્લેટ|મકાન|સેક્ટર|ચોક|બજાર|ગામ|પોસ્ટ|તાલુકો|તાલુકા|વિસ્તાર|શહેર|રાજ્ય|પિન|પાસે|સામે|પાછળ)/u;
+
+// "नाम: ...", "સરનામું - ..." style labels
+export const DEVANAGARI_NAME_LABEL_PATTERN = /^\s*नाम\s*[:\-=]\s*(.+)$/u;
+export const DEVANAGARI_ADDRESS_LABEL_PATTERN = /^\s*पता\s*[:\-=]\s*(.+)$/u;
+export const GUJARATI_NAME_LABEL_PATTERN = /^\s*નામ\s*[:\-=]\s*(.+)$/u;
+export const GUJARATI_ADDRESS_LABEL_PATTERN = /^\s*(?:સરનામું|સરનામુ|પતો)\s*[:\-=]\s*(.+)$/u;
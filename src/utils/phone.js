@@ -0,0 +1,128 @@
+/**
+ * Phone number parsing for Indian contact numbers.
+ * Turns whatever the sender typed ("+91 98765-43210", "098765 43210",
+ * "091-9876543210", "080-22345678") into E.164 plus a number type.
+ *
+ * Indian numbering plan (simplified):
+ * - National significant number (NSN) is 10 digits
+ * - Mobile NSNs start with 6, 7, 8 or 9
+ * - Landline NSNs are STD code + subscriber number, written with a trunk "0"
+ *   (e.g. 011-2345 6789, 080-22345678) or after the country code with the
+ *   STD code set apart (+91 11 2345 6789). A bare 10-digit number that doesn't
+ *   start with 6-9 is a mistyped mobile, not a landline.
+ * Numbers typed in Indic digits ("९८७६५ ४३२१०") are read as ASCII digits.
+ */
+
+import { normalizeDigits } from './indic.js';
+
+const INDIA_CC = '91';
+
+// "0XX-XXXXXXXX" / "(0XXX) XXXXXXX": trunk 0, 2-3 digit STD code, separator, subscriber number.
+// Mobiles written as "09876 543210" have a 4-digit group and don't match.
+const STD_FORMAT = /^\s*\(?0\d{2,3}\)?[\s-]+\d[\d\s-]{5,9}\s*$/;
+
+// "+91 11 2345 6789" / "0091-20-2612 3456": country code, then an STD code (1-5) as its own group
+const INTL_STD_FORMAT = /^\s*(?:\+|00|0)?91[\s-]+\(?[1-5]\d{1,3}\)?[\s-]+\d[\d\s-]{5,9}\s*$/;
+
+/**
+ * Strip an Indian prefix (+91, 0091, 091, 91, 0) from a digit string
+ * @param {string} digits - Digits only
+ * @param {boolean} hadPlus - Whether the raw number started with "+"
+ * @returns {{ nsn: string, international: boolean, trunk?: boolean }} Remaining national number
+ */
+function stripIndianPrefix(digits, hadPlus) {
+    if (hadPlus) {
+        return digits.startsWith(INDIA_CC)
+            ? { nsn: digits.substring(2), international: false }
+            : { nsn: digits, international: true };
+    }
+
+    if (digits.startsWith('00')) {
+        return digits.startsWith(`00${INDIA_CC}`)
+            ? { nsn: digits.substring(4), international: false }
+            : { nsn: digits.substring(2), international: true };
+    }
+
+    if (digits.length === 13 && digits.startsWith(`0${INDIA_CC}`)) {
+        return { nsn: digits.substring(3), international: false };
+    }
+
+    if (digits.length === 12 && digits.startsWith(INDIA_CC)) {
+        return { nsn: digits.substring(2), international: false };
+    }
+
+    if (digits.length === 11 && digits.startsWith('0')) {
+        return { nsn: digits.substring(1), international: false, trunk: true };
+    }
+
+    return { nsn: digits, international: false };
+}
+
+/**
+ * Parse and validate a phone number
+ * @param {string|number|null} raw - Number as written or extracted
+ * @returns {{
+ *   raw: string|null,
+ *   e164: string|null,
+ *   national: string|null,
+ *   type: 'mobile'|'landline'|'international'|'unknown',
+ *   valid: boolean,
+ *   reason: string|null
+ * }|null} Parsed number, or null when there is no number
+ */
+export function parsePhoneNumber(raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+        return null;
+    }
+
+    const text = String(raw).trim();
+    const normalized = normalizeDigits(text);
+    const digits = normalized.replace(/\D/g, '');
+    const hadPlus = text.startsWith('+');
+
+    const invalid = (reason, type = 'unknown') => ({
+        raw: text,
+        e164: null,
+        national: null,
+        type,
+        valid: false,
+        reason,
+    });
+
+    if (digits.length < 6) {
+        return invalid('too few digits');
+    }
+
+    const { nsn, international, trunk } = stripIndianPrefix(digits, hadPlus);
+
+    // Foreign numbers: only a generic E.164 length check is possible offline
+    if (international) {
+        if (nsn.length < 8 || nsn.length > 15) {
+            return invalid('invalid international number length', 'international');
+        }
+        return { raw: text, e164: `+${nsn}`, national: null, type: 'international', valid: true, reason: null };
+    }
+
+    if (nsn.length !== 10) {
+        return invalid(`expected 10 digits after country code, got ${nsn.length}`);
+    }
+
+    // Landline only with a trunk "0" or an STD code set apart after +91;
+    // written with an explicit STD code ("080-22345678") it is a landline even for 7/8 codes
+    const isLandline = trunk
+        ? /^[1-5]/.test(nsn) || STD_FORMAT.test(normalized)
+        : INTL_STD_FORMAT.test(normalized);
+
+    if (!isLandline && !/^[6-9]/.test(nsn)) {
+        return invalid(`mobile numbers start with 6-9, got ${nsn[0]} (landlines need the 0 or STD code)`);
+    }
+
+    return {
+        raw: text,
+        e164: `+${INDIA_CC}${nsn}`,
+        national: nsn,
+        type: isLandline ? 'landline' : 'mobile',
+        valid: true,
+        reason: null,
+    };
+}
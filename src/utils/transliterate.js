@@ -0,0 +1,184 @@
+/**
+ * Offline transliteration of Devanagari and Gujarati text to plain Latin.
+ * Produces the everyday spellings used on courier labels ("शर्मा" -> "Sharma",
+ * "રમેશ પટેલ" -> "Ramesh Patel") rather than a reversible scheme, so long
+ * vowels are not doubled and the silent inherent "a" is dropped (schwa deletion).
+ *
+ * Gujarati occupies the same layout as Devanagari 0x180 code points higher,
+ * so it is mapped onto the Devanagari tables.
+ */
+import { normalizeDigits } from './indic.js';
+
+const GUJARATI_OFFSET = 0x180;
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+    // Precomposed nukta letters
+    'क़': 'q', 'ख़': 'kh', 'ग़': 'gh', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y',
+};
+
+// Consonant + nukta (़) written as two code points
+const NUKTA_FORMS = { 'क': 'q', 'ख': 'kh', 'ग': 'gh', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e',
+};
+
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e',
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const ANUSVARA = 'ं';
+const CHANDRABINDU = 'ँ';
+const VISARGA = 'ः';
+
+const INDIC_LETTER = /[ऀ-ॿ઀-૿]/;
+
+/**
+ * Map Gujarati code points onto their Devanagari counterparts
+ * @param {string} text
+ */
+function toDevanagari(text) {
+    return text.replace(/[઀-૿]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - GUJARATI_OFFSET));
+}
+
+/**
+ * Split a Devanagari word into syllables: { consonant, vowel, inherent, coda }.
+ * `inherent` marks a consonant carrying the implicit "a" (candidate for deletion).
+ * @param {string} word
+ */
+function toSyllables(word) {
+    const syllables = [];
+    const chars = [...word];
+
+    for (let i = 0; i < chars.length; i++) {
+        const ch = chars[i];
+
+        if (CONSONANTS[ch] !== undefined) {
+            let consonant = CONSONANTS[ch];
+            if (chars[i + 1] === NUKTA) {
+                consonant = NUKTA_FORMS[ch] || consonant;
+                i++;
+            }
+
+            // ज्ञ is pronounced "gy" (ज्ञान -> gyan)
+            if (ch === 'ज' && chars[i + 1] === VIRAMA && chars[i + 2] === 'ञ') {
+                consonant = 'gy';
+                i += 2;
+            }
+
+            const next = chars[i + 1];
+            if (next === VIRAMA) {
+                syllables.push({ consonant, vowel: '', inherent: false, coda: '' });
+                i++;
+            } else if (VOWEL_SIGNS[next] !== undefined) {
+                syllables.push({ consonant, vowel: VOWEL_SIGNS[next], inherent: false, coda: '' });
+                i++;
+            } else {
+                syllables.push({ consonant, vowel: 'a', inherent: true, coda: '' });
+            }
+        } else if (VOWELS[ch] !== undefined) {
+            syllables.push({ consonant: '', vowel: VOWELS[ch], inherent: false, coda: '' });
+        } else if (ch === ANUSVARA || ch === CHANDRABINDU || ch === VISARGA) {
+            const last = syllables[syllables.length - 1];
+            if (last) {
+                last.coda += ch === VISARGA ? 'h' : 'n';
+                last.inherent = false; // "अंश", "रंग": the vowel before a nasal is spoken
+            }
+        } else {
+            // Anything else (Latin, punctuation) passes through as its own piece
+            syllables.push({ consonant: '', vowel: '', inherent: false, coda: '', raw: ch });
+        }
+    }
+
+    return syllables;
+}
+
+/**
+ * Drop silent inherent vowels (Hindi schwa deletion):
+ * - at the end of a word of two or more syllables ("राम" -> ram), unless it
+ *   closes a consonant cluster ("नरेंद्र" -> narendra)
+ * - between vowels, right to left ("कमला" -> kamla)
+ * @param {Array<object>} syllables
+ */
+function deleteSchwas(syllables) {
+    const hasVowel = (s) => s && s.vowel !== '';
+    const count = syllables.filter(s => !s.raw).length;
+    const last = syllables[syllables.length - 1];
+    const beforeLast = syllables[syllables.length - 2];
+
+    if (count > 1 && last && last.inherent && !(beforeLast?.consonant && !beforeLast.vowel)) {
+        last.vowel = '';
+    }
+
+    for (let i = syllables.length - 2; i > 0; i--) {
+        const s = syllables[i];
+        const next = syllables[i + 1];
+        if (s.inherent && s.vowel && hasVowel(syllables[i - 1]) && next.consonant && hasVowel(next)) {
+            s.vowel = '';
+        }
+    }
+}
+
+/**
+ * Transliterate one word
+ * @param {string} word - Devanagari word (Gujarati already mapped)
+ */
+function transliterateWord(word) {
+    const syllables = toSyllables(word);
+    deleteSchwas(syllables);
+
+    let result = '';
+    syllables.forEach((s, i) => {
+        if (s.raw) {
+            result += s.raw;
+            return;
+        }
+
+        let coda = s.coda;
+        // Anusvara before p/b/m is pronounced "m" (अंबर -> ambar)
+        if (coda === 'n' && /^[pbm]/.test(syllables[i + 1]?.consonant || '')) {
+            coda = 'm';
+        }
+        result += s.consonant + s.vowel + coda;
+    });
+
+    return result;
+}
+
+/**
+ * Whether text contains Devanagari or Gujarati letters
+ * @param {string} text
+ */
+export function hasIndicScript(text) {
+    return !!text && INDIC_LETTER.test(text);
+}
+
+/**
+ * Transliterate Devanagari/Gujarati text to Latin (other text is left as is)
+ * @param {string|null} text
+ * @returns {string|null} Latin text, or null when there is nothing to transliterate
+ */
+export function transliterate(text) {
+    if (!hasIndicScript(text)) return null;
+
+    const devanagari = normalizeDigits(toDevanagari(text)).replace(/।|॥/g, '.');
+
+    return devanagari
+        .replace(/[ऀ-ॿ]+/g, (word) => {
+            const latin = transliterateWord(word);
+            return latin.charAt(0).toUpperCase() + latin.slice(1);
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
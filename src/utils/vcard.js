@@ -0,0 +1,120 @@
+/**
+ * Minimal vCard (2.1/3.0/4.0) reader for contact cards shared on WhatsApp.
+ * Only the fields the pipeline uses are read: FN/N (name), TEL (phones,
+ * including WhatsApp's waid parameter) and ADR (postal address).
+ *
+ *   BEGIN:VCARD
+ *   VERSION:3.0
+ *   FN:Ramesh Sharma
+ *   item1.TEL;waid=919876543210:+91 98765 43210
+ *   ADR;TYPE=HOME:;;12 MG Road;Pune;Maharashtra;411001;India
+ *   END:VCARD
+ */
+
+/**
+ * Undo vCard escaping (\n, \, \; \\)
+ * @param {string} value
+ */
+function unescapeValue(value) {
+    return value.replace(/\\([nN,;\\])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch)).trim();
+}
+
+/**
+ * Split a structured value (N, ADR) on unescaped semicolons
+ * @param {string} value
+ */
+function splitComponents(value) {
+    return value.split(/(?<!\\);/).map(unescapeValue);
+}
+
+/**
+ * Parse one content line ("item1.TEL;type=CELL;waid=91...:+91 ...")
+ * @param {string} line
+ * @returns {{ name: string, params: object, value: string }|null}
+ */
+function parseLine(line) {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+
+    const [property, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const [key, val = ''] = param.split('=');
+        params[key.toLowerCase()] = val;
+    }
+
+    return {
+        name: property.replace(/^[^.]+\./, '').toUpperCase(), // drop "item1." groups
+        params,
+        value: line.slice(colon + 1),
+    };
+}
+
+/**
+ * Parse a vCard
+ * @param {string} text - vCard text
+ * @returns {{
+ *   name: string|null,
+ *   phones: Array<{ number: string, waid: string|null }>,
+ *   address: string|null,
+ *   addressParts: { street: string|null, city: string|null, state: string|null, pincode: string|null }|null
+ * }|null} Parsed card, or null when the text is not a vCard
+ */
+export function parseVCard(text) {
+    if (!text || !/BEGIN:VCARD/i.test(text)) return null;
+
+    // Unfold continuation lines (RFC 6350 3.2)
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    let fullName = null;
+    let structuredName = null;
+    const phones = [];
+    let address = null;
+    let addressParts = null;
+
+    for (const line of lines) {
+        const entry = parseLine(line.trim());
+        if (!entry) continue;
+
+        switch (entry.name) {
+            case 'FN':
+                fullName = unescapeValue(entry.value) || null;
+                break;
+            case 'N': {
+                // family;given;additional;prefix;suffix
+                const [family, given, additional] = splitComponents(entry.value);
+                structuredName = [given, additional, family].filter(Boolean).join(' ') || null;
+                break;
+            }
+            case 'TEL': {
+                const number = unescapeValue(entry.value.replace(/^tel:/i, ''));
+                if (number) {
+                    phones.push({ number, waid: entry.params.waid || null });
+                }
+                break;
+            }
+            case 'ADR':
+                if (!address) {
+                    // pobox;extended;street;locality;region;postal code;country
+                    const [, extended, street, city, state, pincode, country] = splitComponents(entry.value);
+                    address = [extended, street, city, state, pincode, country].filter(Boolean).join(', ') || null;
+                    addressParts = {
+                        street: street || null,
+                        city: city || null,
+                        state: state || null,
+                        pincode: pincode || null,
+                    };
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    return {
+        name: fullName || structuredName,
+        phones,
+        address,
+        addressParts: address ? addressParts : null,
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Runs async tasks with at most `concurrency` of them in flight; the rest wait in order
+ */
+export class WorkerPool {
+    /**
+     * @param {number} concurrency - Tasks allowed to run at once
+     */
+    constructor(concurrency) {
+        this.concurrency = Math.max(1, concurrency);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Run a task when a worker is free
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} Result of the task
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * Busy and waiting tasks for health/status reporting
+     */
+    getStatus() {
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: this.queue.length,
+        };
+    }
+}
+
+export default WorkerPool;
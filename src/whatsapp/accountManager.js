@@ -0,0 +1,102 @@
+import { EventEmitter } from 'events';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import WhatsAppClient from './client.js';
+
+// Client events passed through unchanged (payloads already carry `account`)
+const MESSAGE_EVENTS = ['message', 'outgoing', 'edit', 'revoke', 'filtered'];
+
+// Connection events; the listener receives the account name
+const STATUS_EVENTS = ['connected', 'disconnected', 'loggedOut', 'maxReconnectAttempts'];
+
+/**
+ * All configured WhatsApp connections (config.whatsapp.accounts), one WhatsAppClient
+ * each with its own auth directory, filters and connection status.
+ * Re-emits the clients' events so the rest of the pipeline listens in one place.
+ */
+class WhatsAppAccounts extends EventEmitter {
+    constructor() {
+        super();
+        this.clients = new Map();
+
+        for (const account of config.whatsapp.accounts) {
+            const client = new WhatsAppClient(account);
+            for (const event of [...MESSAGE_EVENTS, ...STATUS_EVENTS]) {
+                client.on(event, (...args) => this.emit(event, ...args));
+            }
+            this.clients.set(account.name, client);
+        }
+    }
+
+    /**
+     * Client of an account
+     * @param {string} name - Account name
+     * @returns {WhatsAppClient|null}
+     */
+    get(name) {
+        return this.clients.get(name || 'default') || null;
+    }
+
+    /**
+     * Account names in configuration order
+     */
+    names() {
+        return [...this.clients.keys()];
+    }
+
+    /**
+     * Connect every account (each shows its own QR code until linked).
+     * Fails only when no account could be initialized.
+     */
+    async connect() {
+        const results = await Promise.allSettled([...this.clients.values()].map(client => client.connect()));
+        const failed = results.filter(r => r.status === 'rejected');
+
+        if (failed.length === results.length) {
+            throw failed[0].reason;
+        }
+        if (failed.length > 0) {
+            logger.warn('Some WhatsApp accounts failed to initialize', { failed: failed.length, total: results.length });
+        }
+    }
+
+    /**
+     * Disconnect every account
+     */
+    async disconnect() {
+        await Promise.allSettled([...this.clients.values()].map(client => client.disconnect()));
+    }
+
+    /**
+     * Send a text message from an account
+     * @param {string} account - Account name
+     * @param {string} jid - Chat to send to
+     * @param {string} text
+     * @param {object} [options] - { mentions }
+     * @returns {Promise<string|null>} Id of the sent message
+     */
+    async sendText(account, jid, text, options) {
+        const client = this.get(account);
+        if (!client) {
+            throw new Error(`Unknown WhatsApp account "${account}"`);
+        }
+        return client.sendText(jid, text, options);
+    }
+
+    /**
+     * Connection status of every account
+     * @returns {Array<{ account: string, isConnected: boolean, reconnectAttempts: number }>}
+     */
+    getStatus() {
+        return [...this.clients.values()].map(client => client.getConnectionStatus());
+    }
+
+    /**
+     * Whether at least one account is connected
+     */
+    isConnected() {
+        return this.getStatus().some(status => status.isConnected);
+    }
+}
+
+export default new WhatsAppAccounts();
@@ -0,0 +1,271 @@
+import { readFileSync, existsSync, watchFile, unwatchFile } from 'fs';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import database from '../database/sqlite.js';
+import { parseSenderId } from './senderKey.js';
+
+// Built-in templates; the templates file overrides them one by one (null disables one)
+const DEFAULT_TEMPLATES = {
+    missing_details: 'Thank you! We got your {received}. Please share your {missing} to complete the order.',
+    invalid_mobile: 'The mobile number {mobile} does not look right. Please send a 10-digit mobile number.',
+    low_confidence: 'Please check the details we noted:\n{summary}\nReply to this message with any corrections.',
+    confirmation: 'Thank you! We have noted:\n{summary}',
+};
+
+const FIELD_LABELS = { name: 'name', mobile: 'mobile number', address: 'address' };
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Join labels for a sentence ("name, mobile number and address")
+ * @param {Array<string>} labels
+ */
+function listLabels(labels) {
+    return labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+        : labels[0] || '';
+}
+
+/**
+ * Fill {placeholders} in a template (unknown placeholders are left as they are)
+ * @param {string} template
+ * @param {object} values
+ */
+export function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
+
+/**
+ * Optional automated replies to the sender of a processed session: ask for missing
+ * details, flag an invalid mobile, ask to check uncertain details or confirm them.
+ *
+ * Templates file format (see reply-templates.example.json), placeholders in braces:
+ * {
+ *   "missing_details": "... {received} ... {missing} ...",
+ *   "invalid_mobile": "... {mobile} ...",
+ *   "low_confidence": "... {summary} ...",
+ *   "confirmation": "... {summary} ..."
+ * }
+ * Also available: {name}, {address}, {pushName}. A template set to null is not sent.
+ *
+ * Every reply is logged in outbound_messages, including rate-limited and failed ones.
+ * Replies go out through the sender given to setSender() (the WhatsApp account manager).
+ */
+class AutoResponder {
+    constructor() {
+        this.path = config.responder.templatesPath;
+        this.templates = { ...DEFAULT_TEMPLATES };
+        this.loadedAt = null;
+        this.lastError = null;
+        this.isWatching = false;
+        this.sender = null;
+    }
+
+    /**
+     * Set what sends the replies
+     * @param {object} sender - Has sendText(account, jid, text, { mentions }), e.g. the WhatsApp account manager
+     */
+    setSender(sender) {
+        this.sender = sender;
+    }
+
+    /**
+     * Load (or reload) the templates file
+     * @returns {boolean} Whether the file was applied
+     */
+    load() {
+        if (!existsSync(this.path)) {
+            this.templates = { ...DEFAULT_TEMPLATES };
+            this.loadedAt = null;
+            return false;
+        }
+
+        try {
+            const file = JSON.parse(readFileSync(this.path, 'utf-8'));
+            if (!file || typeof file !== 'object' || Array.isArray(file)) {
+                throw new Error('expected a JSON object of templates');
+            }
+
+            for (const [key, template] of Object.entries(file)) {
+                if (!(key in DEFAULT_TEMPLATES)) {
+                    throw new Error(`unknown template "${key}" (use ${Object.keys(DEFAULT_TEMPLATES).join(', ')})`);
+                }
+                if (template !== null && (typeof template !== 'string' || !template.trim())) {
+                    throw new Error(`${key}: expected a message text or null`);
+                }
+            }
+
+            this.templates = { ...DEFAULT_TEMPLATES, ...file };
+            this.loadedAt = Date.now();
+            this.lastError = null;
+
+            logger.info('🔁 Reply templates loaded', { path: this.path });
+            return true;
+        } catch (error) {
+            this.lastError = error.message;
+            logger.error('Invalid reply templates, keeping previous templates', { path: this.path, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Load the file and reload it whenever it changes
+     */
+    watch() {
+        this.load();
+        if (this.isWatching) return;
+
+        watchFile(this.path, { interval: 2000 }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                this.load();
+            }
+        });
+        this.isWatching = true;
+    }
+
+    /**
+     * Stop watching the templates file
+     */
+    unwatch() {
+        if (!this.isWatching) return;
+        unwatchFile(this.path);
+        this.isWatching = false;
+    }
+
+    /**
+     * Pick the reply for a processed session
+     * @param {object} session - Session as processed
+     * @param {Array<object>} contacts - Processed contacts (with `extracted` and `status`)
+     * @returns {{ template: string, values: object }|null} null when nothing should be sent
+     */
+    chooseReply(session, contacts) {
+        const usable = contacts.filter(c => c.status !== 'failed');
+        if (usable.length === 0) return null;
+
+        const first = usable[0].extracted;
+        const values = {
+            pushName: session.pushName || '',
+            name: first.name || '',
+            mobile: first.mobile || '',
+            address: first.address || '',
+            summary: usable.map(({ extracted }) => [
+                `Name: ${extracted.name || '-'}`,
+                `Mobile: ${extracted.phone?.e164 || extracted.mobile || '-'}`,
+                `Address: ${extracted.address || '-'}`,
+            ].join('\n')).join('\n\n'),
+        };
+
+        const invalid = usable.find(c => c.status === 'invalid_mobile');
+        if (invalid) {
+            return { template: 'invalid_mobile', values: { ...values, mobile: invalid.extracted.mobile } };
+        }
+
+        const fields = Object.keys(FIELD_LABELS);
+        const missing = fields.filter(field => usable.some(c => !c.extracted[field]));
+        if (missing.length > 0) {
+            const received = fields.filter(field => !missing.includes(field));
+            return {
+                template: 'missing_details',
+                values: {
+                    ...values,
+                    missing: listLabels(missing.map(field => FIELD_LABELS[field])),
+                    received: received.length > 0 ? listLabels(received.map(field => FIELD_LABELS[field])) : 'message',
+                },
+            };
+        }
+
+        if (usable.some(c => (c.extracted.confidence || 0) < config.responder.minConfidence)) {
+            return { template: 'low_confidence', values };
+        }
+
+        return config.responder.confirm ? { template: 'confirmation', values } : null;
+    }
+
+    /**
+     * Why a reply may not be sent now, or null when it may
+     * @param {string} senderId
+     * @param {string} template
+     */
+    rateLimitReason(senderId, template) {
+        const { maxPerMinute, maxPerSenderPerDay, cooldownMinutes } = config.responder;
+        const now = Date.now();
+
+        if (database.countSentOutboundMessages({ since: now - MINUTE_MS }) >= maxPerMinute) {
+            return `more than ${maxPerMinute} replies in the last minute`;
+        }
+        if (database.countSentOutboundMessages({ since: now - DAY_MS, senderId }) >= maxPerSenderPerDay) {
+            return `more than ${maxPerSenderPerDay} replies to this sender today`;
+        }
+        if (database.countSentOutboundMessages({ since: now - cooldownMinutes * MINUTE_MS, senderId, template }) > 0) {
+            return `"${template}" already sent in the last ${cooldownMinutes} minutes`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Reply to the sender of a processed session, if enabled and allowed
+     * @param {object} session - Session as processed
+     * @param {Array<object>} contacts - Processed contacts
+     * @returns {Promise<string|null>} Outbound status (sent, rate_limited, failed) or null when no reply applies
+     */
+    async respond(session, contacts) {
+        if (!config.responder.enabled) return null;
+
+        // The sender withdrew their messages; don't chase them for details
+        if (session.amended?.reason === 'revoke') return null;
+        if (session.group && !config.responder.groups) return null;
+
+        const reply = this.chooseReply(session, contacts);
+        const template = reply && this.templates[reply.template];
+        if (!template) return null;
+
+        const { account, chatJid, participant } = parseSenderId(session.senderId);
+        const outbound = {
+            account,
+            sessionId: session.sessionId,
+            senderId: session.senderId,
+            recipient: chatJid,
+            template: reply.template,
+            // In groups, mention the participant the reply is meant for
+            text: (participant ? `@${session.senderNumber} ` : '') + renderTemplate(template, reply.values),
+        };
+
+        const limited = this.rateLimitReason(session.senderId, reply.template);
+        if (limited) {
+            logger.info('Auto-reply rate limited', { sender: session.senderNumber, template: reply.template, reason: limited });
+            database.saveOutboundMessage({ ...outbound, status: 'rate_limited', error: limited });
+            return 'rate_limited';
+        }
+
+        try {
+            const messageId = await this.sender.sendText(account, outbound.recipient, outbound.text, {
+                mentions: participant ? [participant] : [],
+            });
+            database.saveOutboundMessage({ ...outbound, messageId, status: 'sent' });
+
+            logger.info('📤 Auto-reply sent', { sender: session.senderNumber, template: reply.template, sessionId: session.sessionId });
+            return 'sent';
+        } catch (error) {
+            logger.warn('Auto-reply failed', { sender: session.senderNumber, template: reply.template, error: error.message });
+            database.saveOutboundMessage({ ...outbound, status: 'failed', error: error.message });
+            return 'failed';
+        }
+    }
+
+    /**
+     * Responder settings for health/status reporting
+     */
+    getInfo() {
+        return {
+            enabled: config.responder.enabled,
+            templatesPath: this.path,
+            loadedAt: this.loadedAt,
+            error: this.lastError,
+            templates: Object.keys(this.templates).filter(key => this.templates[key]),
+        };
+    }
+}
+
+export default new AutoResponder();
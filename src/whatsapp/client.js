@@ -3,6 +3,7 @@ import makeWASocket, {
     useMultiFileAuthState,
     fetchLatestBaileysVersion,
     makeCacheableSignalKeyStore,
+    downloadMediaMessage,
 } from '@whiskeysockets/baileys';
 import { Boom } from '@hapi/boom';
 import qrcode from 'qrcode-terminal';
@@ -10,6 +11,108 @@ import pino from 'pino';
 import { EventEmitter } from 'events';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import mediaStore from '../media/mediaStore.js';
+import { parseVCard } from '../utils/vcard.js';
+import senderFilter from './senderFilter.js';
+import { senderOf, isGroupAllowed } from './senderKey.js';
+
+// protocolMessage types (WAProto.Message.ProtocolMessage.Type)
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// WhatsApp media message keys and the media type they carry
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    documentMessage: 'document',
+    audioMessage: 'audio',
+};
+
+/**
+ * Unwrap container messages (disappearing, view-once, document with caption, edit)
+ * @param {object} content - message.message from Baileys
+ */
+function unwrapMessage(content) {
+    const inner = content?.ephemeralMessage?.message ||
+        content?.viewOnceMessage?.message ||
+        content?.viewOnceMessageV2?.message ||
+        content?.documentWithCaptionMessage?.message ||
+        content?.editedMessage?.message;
+
+    return inner ? unwrapMessage(inner) : content;
+}
+
+/**
+ * Text of a message: plain text, or the caption of an image/video/document
+ * @param {object} content - Unwrapped message content
+ */
+function readText(content) {
+    const mediaKey = Object.keys(MEDIA_TYPES).find(key => content?.[key]);
+
+    return content?.conversation ||
+        content?.extendedTextMessage?.text ||
+        (mediaKey && content[mediaKey].caption) ||
+        '';
+}
+
+/**
+ * Message this one replies to (quoted), from its contextInfo
+ * @param {object} content - Unwrapped message content
+ * @returns {{ id: string, participant: string|null, text: string|null }|null}
+ */
+function readReply(content) {
+    const contextInfo = Object.values(content || {}).find(part => part?.contextInfo?.stanzaId)?.contextInfo;
+    if (!contextInfo) return null;
+
+    return {
+        id: contextInfo.stanzaId,
+        participant: contextInfo.participant || null,
+        text: readText(unwrapMessage(contextInfo.quotedMessage)) || null,
+    };
+}
+
+/**
+ * Contact cards shared in a message (contactMessage / contactsArrayMessage)
+ * @param {object} content - Unwrapped message content
+ * @returns {Array<object>} { name, mobile, phones, address, addressParts } per card
+ */
+function readContactCards(content) {
+    const shared = content?.contactMessage
+        ? [content.contactMessage]
+        : content?.contactsArrayMessage?.contacts || [];
+
+    return shared
+        .map(({ displayName, vcard }) => {
+            const card = parseVCard(vcard) || { name: null, phones: [], address: null, addressParts: null };
+            const [phone] = card.phones;
+
+            return {
+                ...card,
+                name: card.name || displayName || null,
+                mobile: phone ? phone.number || `+${phone.waid}` : null,
+            };
+        })
+        .filter(card => card.name || card.mobile);
+}
+
+/**
+ * Location pin in a message (locationMessage / liveLocationMessage)
+ * @param {object} content - Unwrapped message content
+ * @returns {{ latitude: number, longitude: number, name: string|null, address: string|null }|null}
+ */
+function readLocation(content) {
+    const pin = content?.locationMessage || content?.liveLocationMessage;
+    if (!pin || typeof pin.degreesLatitude !== 'number' || typeof pin.degreesLongitude !== 'number') {
+        return null;
+    }
+
+    return {
+        latitude: pin.degreesLatitude,
+        longitude: pin.degreesLongitude,
+        name: pin.name || null,
+        address: pin.address || null,
+    };
+}
 
 /**
  * WhatsApp client using Baileys library.
@@ -17,16 +120,29 @@ import logger from '../utils/logger.js';
  * - QR code display in terminal for authentication
  * - Persistent session storage (12-15+ hours)
  * - Auto-reconnection with exponential backoff
- * - Message filtering by sender
+ * - Message filtering by sender (allow/block lists, 'filtered' event)
+ * - Media messages: captions read as text, files saved to the local media store
+ * - Shared contact cards (vCard) and location pins
+ * - Edits and revokes of earlier messages ('edit' / 'revoke' events)
+ * - Reply references (quoted message id) and our own outgoing messages ('outgoing' event)
+ * - Group chats: per-participant sender keys, group names and group allow/deny lists
+ * - Sending text replies (used by the auto-responder)
+ * - One instance per WhatsApp account (see accountManager.js); every event carries the account name
  * - Graceful disconnect handling
  */
-class WhatsAppClient extends EventEmitter {
-    constructor() {
+export default class WhatsAppClient extends EventEmitter {
+    /**
+     * @param {object} account - Entry of config.whatsapp.accounts ({ name, sessionPath, allowedSender, groups })
+     */
+    constructor(account) {
         super();
+        this.account = account;
+        this.name = account.name;
         this.socket = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.sessionName = 'whatsapp-session';
+        this.groupNames = new Map(); // group JID -> subject
     }
 
     /**
@@ -34,17 +150,18 @@ class WhatsAppClient extends EventEmitter {
      */
     async connect() {
         try {
-            logger.info('Initializing WhatsApp connection...');
+            logger.info('Initializing WhatsApp connection...', { account: this.name });
 
             // Get latest Baileys version
             const { version, isLatest } = await fetchLatestBaileysVersion();
             logger.info(`Using Baileys version: ${version.join('.')}, isLatest: ${isLatest}`);
 
             // Load authentication state from disk (persistent sessions)
-            const { state, saveCreds } = await useMultiFileAuthState(config.whatsapp.sessionPath);
+            const { state, saveCreds } = await useMultiFileAuthState(this.account.sessionPath);
 
             // Create silent pino logger for Baileys (we use our own Winston logger)
             const baileysLogger = pino({ level: 'silent' });
+            this.baileysLogger = baileysLogger;
 
             // Create WhatsApp socket
             this.socket = makeWASocket({
@@ -70,7 +187,7 @@ class WhatsAppClient extends EventEmitter {
 
             return this.socket;
         } catch (error) {
-            logger.error('Failed to initialize WhatsApp', { error: error.message });
+            logger.error('Failed to initialize WhatsApp', { account: this.name, error: error.message });
             throw error;
         }
     }
@@ -87,6 +204,7 @@ class WhatsAppClient extends EventEmitter {
             if (qr) {
                 logger.info('═══════════════════════════════════════════════════════════');
                 logger.info('   SCAN THIS QR CODE WITH YOUR WHATSAPP TO CONNECT   ');
+                logger.info(`   Account: ${this.name}`);
                 logger.info('═══════════════════════════════════════════════════════════');
                 qrcode.generate(qr, { small: true });
                 logger.info('═══════════════════════════════════════════════════════════');
@@ -97,9 +215,9 @@ class WhatsAppClient extends EventEmitter {
             if (connection === 'open') {
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
-                logger.info('✅ WhatsApp connected successfully!');
+                logger.info('✅ WhatsApp connected successfully!', { account: this.name });
                 logger.info(`Session will persist for ${config.whatsapp.sessionHours} hours`);
-                this.emit('connected');
+                this.emit('connected', this.name);
             }
 
             if (connection === 'close') {
@@ -108,14 +226,15 @@ class WhatsAppClient extends EventEmitter {
                 const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
 
                 logger.warn('WhatsApp connection closed', {
+                    account: this.name,
                     statusCode,
                     reason: DisconnectReason[statusCode] || 'Unknown',
                     shouldReconnect,
                 });
 
                 if (statusCode === DisconnectReason.loggedOut) {
-                    logger.error('Session logged out. Please delete sessions folder and restart to re-authenticate.');
-                    this.emit('loggedOut');
+                    logger.error(`Session logged out. Please delete ${this.account.sessionPath} and restart to re-authenticate.`, { account: this.name });
+                    this.emit('loggedOut', this.name);
                 } else if (shouldReconnect) {
                     this.handleReconnect();
                 }
@@ -130,16 +249,37 @@ class WhatsAppClient extends EventEmitter {
 
         // Message handler
         this.socket.ev.on('messages.upsert', async ({ messages, type }) => {
+            // Only live messages; 'append' batches and history sync are old messages
             if (type !== 'notify') return;
 
             for (const message of messages) {
-                await this.handleIncomingMessage(message);
+                if (message.key.fromMe) {
+                    // Sent from the phone or by us: remembered so customer replies to it can be matched
+                    this.handleOutgoingMessage(message);
+                } else {
+                    await this.handleIncomingMessage(message);
+                }
             }
         });
 
-        // Message update handler (for revokes/deletes)
+        // Keep cached group names current when a group is renamed
+        this.socket.ev.on('groups.update', (updates) => {
+            for (const { id, subject } of updates) {
+                if (id && subject) {
+                    this.groupNames.set(id, subject);
+                }
+            }
+        });
+
+        // Message update handler (for revokes/deletes and edits)
         this.socket.ev.on('messages.update', async (items) => {
             for (const item of items) {
+                const protocol = unwrapMessage(item.update?.message)?.protocolMessage;
+                if (protocol?.type === PROTOCOL_MESSAGE_EDIT) {
+                    this.handleProtocolMessage(item.key, protocol);
+                    continue;
+                }
+
                 if (item.update && item.update.message === null) {
                     // This is a common pattern for revoked messages in some Baileys versions
                     // but we also check for protocolMessage below
@@ -147,10 +287,10 @@ class WhatsAppClient extends EventEmitter {
 
                 // Check if message was revoked
                 if (item.update?.protocolMessage?.type === 0 || item.update?.message === null) {
-                    const senderId = item.key.remoteJid;
+                    const { senderId } = senderOf(item.key, this.name);
                     const messageId = item.key.id;
                     logger.info('🗑️ Message revoked/deleted', { from: senderId, id: messageId });
-                    this.emit('revoke', { senderId, messageId });
+                    this.emit('revoke', { account: this.name, senderId, messageId });
                 }
             }
         });
@@ -164,44 +304,118 @@ class WhatsAppClient extends EventEmitter {
             // Ignore messages sent by us
             if (message.key.fromMe) return;
 
-            // Ignore non-text messages for now
-            const textContent = message.message?.conversation ||
-                message.message?.extendedTextMessage?.text;
+            const content = unwrapMessage(message.message);
+
+            // Edits and deletes of earlier messages arrive as protocol messages
+            if (content?.protocolMessage) {
+                this.handleProtocolMessage(message.key, content.protocolMessage);
+                return;
+            }
+
+            const mediaKey = Object.keys(MEDIA_TYPES).find(key => content?.[key]);
+            const cards = readContactCards(content);
+            const location = readLocation(content);
+
+            // Text, or the caption of an image/video/document
+            // Pins carry their place name/address as text
+            const textContent = readText(content) ||
+                (location && [location.name, location.address].filter(Boolean).join(', ')) ||
+                '';
 
-            if (!textContent) {
-                logger.debug('Skipping non-text message', { type: Object.keys(message.message || {}) });
+            if (!textContent && !mediaKey && cards.length === 0 && !location) {
+                logger.debug('Skipping unsupported message', { type: Object.keys(message.message || {}) });
                 return;
             }
 
-            // Extract sender info
-            const senderId = message.key.remoteJid;
-            const senderNumber = senderId.replace('@s.whatsapp.net', '').replace('@g.us', '');
-            const isGroup = senderId.endsWith('@g.us');
+            // Extract sender info (the participant, in groups)
+            const { senderId, senderNumber, groupId } = senderOf(message.key, this.name);
+            const isGroup = !!groupId;
 
-            // Filter by allowed sender if configured
-            if (config.whatsapp.allowedSender) {
-                const allowedNumber = config.whatsapp.allowedSender.replace(/[^0-9]/g, '');
-                if (!senderNumber.includes(allowedNumber)) {
-                    logger.debug('Message from non-allowed sender, ignoring', { sender: senderNumber });
+            // Ignored messages are reported ('filtered') so they still show up in stats
+            const filtered = (reason, ruleId = null) => this.emit('filtered', {
+                account: this.name,
+                messageId: message.key.id,
+                senderNumber,
+                groupId,
+                pushName: message.pushName || null,
+                reason,
+                ruleId,
+                receivedAt: Date.now(),
+            });
+
+            let group = null;
+            if (isGroup) {
+                const name = await this.getGroupName(groupId);
+                if (!this.isGroupAllowed(groupId, name)) {
+                    logger.debug('Message from filtered group, ignoring', { group: name || groupId });
+                    filtered('group_filtered');
                     return;
                 }
+                group = { id: groupId, name };
+            }
+
+            // Allow/block lists (exact numbers, prefixes, group JIDs)
+            const verdict = senderFilter.check({ senderNumber, groupId, account: this.name });
+            if (!verdict.allowed) {
+                logger.debug('Message from filtered sender, ignoring', { sender: senderNumber, reason: verdict.reason });
+                filtered(verdict.reason, verdict.rule?.id);
+                return;
             }
 
             // Create message object
             const messageData = {
                 id: message.key.id,
+                account: this.name,
                 senderId,
                 senderNumber,
                 isGroup,
+                group,
                 text: textContent,
                 timestamp: message.messageTimestamp ? Number(message.messageTimestamp) * 1000 : Date.now(),
                 receivedAt: Date.now(),
                 pushName: message.pushName || 'Unknown',
             };
 
+            if (mediaKey) {
+                messageData.media = await this.saveMedia(message, content[mediaKey], MEDIA_TYPES[mediaKey]);
+            }
+
+            if (location) {
+                messageData.location = location;
+            }
+
+            const replyTo = readReply(content);
+            if (replyTo) {
+                messageData.replyTo = replyTo;
+            }
+
+            // One message per shared card, so each card becomes its own contact
+            if (cards.length > 0) {
+                cards.forEach((card, index) => {
+                    const cardText = [card.name, card.mobile, card.address].filter(Boolean).join('\n');
+
+                    logger.info('📇 Contact card received', {
+                        from: messageData.pushName,
+                        number: messageData.senderNumber,
+                        card: card.name,
+                    });
+
+                    this.emit('message', {
+                        ...messageData,
+                        id: index === 0 ? messageData.id : `${messageData.id}:${index}`,
+                        text: cardText,
+                        card,
+                    });
+                });
+                return;
+            }
+
             logger.info('📩 Message received', {
                 from: messageData.pushName,
                 number: messageData.senderNumber,
+                group: group?.name || group?.id,
+                media: messageData.media?.type,
+                location: location ? `${location.latitude},${location.longitude}` : undefined,
                 preview: textContent.substring(0, 50) + (textContent.length > 50 ? '...' : ''),
             });
 
@@ -213,13 +427,151 @@ class WhatsAppClient extends EventEmitter {
         }
     }
 
+    /**
+     * Name (subject) of a group, cached after the first lookup
+     * @param {string} groupId - Group JID
+     * @returns {Promise<string|null>}
+     */
+    async getGroupName(groupId) {
+        if (this.groupNames.has(groupId)) {
+            return this.groupNames.get(groupId);
+        }
+
+        try {
+            const metadata = await this.socket.groupMetadata(groupId);
+            this.groupNames.set(groupId, metadata.subject || null);
+            return metadata.subject || null;
+        } catch (error) {
+            logger.warn('Failed to fetch group metadata', { group: groupId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Whether messages from a group are processed (the account's group settings).
+     * List entries match the group JID, its numeric id or its name (case-insensitive).
+     * @param {string} groupId - Group JID
+     * @param {string|null} groupName
+     */
+    isGroupAllowed(groupId, groupName) {
+        return isGroupAllowed(this.account.groups, groupId, groupName);
+    }
+
+    /**
+     * Emit 'outgoing' for a text message we sent (e.g. "please send your address").
+     * In a group it belongs to the participant we quoted, if any.
+     * @param {object} message - Raw Baileys message with key.fromMe
+     */
+    handleOutgoingMessage(message) {
+        const content = unwrapMessage(message.message);
+        const text = readText(content);
+        if (!text || content?.protocolMessage) return;
+
+        const participant = message.key.remoteJid?.endsWith('@g.us') ? readReply(content)?.participant : null;
+        const { senderId, senderNumber, groupId } = senderOf({ remoteJid: message.key.remoteJid, participant }, this.name);
+        this.emit('outgoing', {
+            id: message.key.id,
+            account: this.name,
+            senderId,
+            senderNumber,
+            group: groupId ? { id: groupId, name: this.groupNames.get(groupId) || null } : null,
+            text,
+            timestamp: message.messageTimestamp ? Number(message.messageTimestamp) * 1000 : Date.now(),
+            receivedAt: Date.now(),
+        });
+    }
+
+    /**
+     * Emit 'edit' or 'revoke' for a protocol message about an earlier message
+     * @param {object} key - Key of the protocol message ({ remoteJid, participant })
+     * @param {object} protocol - protocolMessage ({ type, key, editedMessage })
+     */
+    handleProtocolMessage(key, protocol) {
+        const messageId = protocol.key?.id;
+        if (!messageId) return;
+
+        // In groups the edited/revoked message's author (an admin may revoke someone else's)
+        const { senderId } = senderOf({
+            remoteJid: key.remoteJid,
+            participant: protocol.key.participant || key.participant,
+        }, this.name);
+
+        if (protocol.type === PROTOCOL_MESSAGE_EDIT) {
+            const text = readText(unwrapMessage(protocol.editedMessage));
+            if (!text) return;
+
+            logger.info('✏️ Message edited', { from: senderId, id: messageId });
+            this.emit('edit', { account: this.name, senderId, messageId, text, editedAt: Date.now() });
+        } else if (protocol.type === PROTOCOL_REVOKE) {
+            logger.info('🗑️ Message revoked/deleted', { from: senderId, id: messageId });
+            this.emit('revoke', { account: this.name, senderId, messageId });
+        }
+    }
+
+    /**
+     * Send a text message
+     * @param {string} jid - Chat to send to
+     * @param {string} text
+     * @param {object} [options]
+     * @param {Array<string>} [options.mentions] - JIDs mentioned in the text (groups)
+     * @returns {Promise<string|null>} Id of the sent message
+     */
+    async sendText(jid, text, { mentions = [] } = {}) {
+        if (!this.socket || !this.isConnected) {
+            throw new Error('WhatsApp is not connected');
+        }
+
+        const sent = await this.socket.sendMessage(jid, { text, ...(mentions.length > 0 && { mentions }) });
+        return sent?.key?.id || null;
+    }
+
+    /**
+     * Describe a media message and download it to the media store
+     * @param {object} message - Raw Baileys message
+     * @param {object} media - imageMessage / videoMessage / documentMessage / audioMessage
+     * @param {string} type - image, video, document or audio
+     * @returns {Promise<object>} { type, mimeType, fileName, size, caption, path }
+     */
+    async saveMedia(message, media, type) {
+        const size = Number(media.fileLength || 0);
+        const mediaData = {
+            type,
+            mimeType: media.mimetype || null,
+            fileName: media.fileName || null,
+            size,
+            caption: media.caption || null,
+            path: null,
+            ...(type === 'audio' && { voiceNote: !!media.ptt }),
+        };
+
+        if (!config.media.download) return mediaData;
+
+        if (size > config.media.maxBytes) {
+            logger.info('Media too large, keeping caption only', { id: message.key.id, type, size });
+            return mediaData;
+        }
+
+        try {
+            const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+                logger: this.baileysLogger,
+                reuploadRequest: this.socket.updateMediaMessage,
+            });
+            mediaData.path = mediaStore.save(message.key.id, buffer, mediaData);
+            mediaData.size = buffer.length;
+        } catch (error) {
+            logger.warn('Failed to download media', { id: message.key.id, type, error: error.message });
+        }
+
+        return mediaData;
+    }
+
     /**
      * Handle reconnection with exponential backoff
      */
     async handleReconnect() {
         if (this.reconnectAttempts >= config.whatsapp.maxReconnectAttempts) {
-            logger.error('Max reconnection attempts reached. Please restart the application.');
-            this.emit('maxReconnectAttempts');
+            logger.error('Max reconnection attempts reached. Please restart the application.', { account: this.name });
+            this.emit('maxReconnectAttempts', this.name);
             return;
         }
 
@@ -229,13 +581,13 @@ class WhatsAppClient extends EventEmitter {
             60000 // Max 1 minute delay
         );
 
-        logger.info(`Reconnecting in ${delay / 1000} seconds... (attempt ${this.reconnectAttempts}/${config.whatsapp.maxReconnectAttempts})`);
+        logger.info(`[${this.name}] Reconnecting in ${delay / 1000} seconds... (attempt ${this.reconnectAttempts}/${config.whatsapp.maxReconnectAttempts})`);
 
         setTimeout(async () => {
             try {
                 await this.connect();
             } catch (error) {
-                logger.error('Reconnection failed', { error: error.message });
+                logger.error('Reconnection failed', { account: this.name, error: error.message });
                 this.handleReconnect();
             }
         }, delay);
@@ -246,11 +598,11 @@ class WhatsAppClient extends EventEmitter {
      */
     async disconnect() {
         if (this.socket) {
-            logger.info('Disconnecting from WhatsApp...');
+            logger.info('Disconnecting from WhatsApp...', { account: this.name });
             await this.socket.end();
             this.isConnected = false;
-            this.emit('disconnected');
-            logger.info('WhatsApp disconnected');
+            this.emit('disconnected', this.name);
+            logger.info('WhatsApp disconnected', { account: this.name });
         }
     }
 
@@ -259,11 +611,9 @@ class WhatsAppClient extends EventEmitter {
      */
     getConnectionStatus() {
         return {
+            account: this.name,
             isConnected: this.isConnected,
             reconnectAttempts: this.reconnectAttempts,
         };
     }
 }
-
-// Export singleton instance
-export default new WhatsAppClient();
@@ -0,0 +1,195 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import database from '../database/sqlite.js';
+
+const LISTS = ['allow', 'block'];
+const TYPES = ['number', 'prefix', 'group'];
+
+/**
+ * Error raised for an invalid or duplicate sender rule
+ */
+export class SenderRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SenderRuleError';
+    }
+}
+
+/**
+ * Allow/block lists for incoming messages, stored in SQLite (sender_rules).
+ *
+ * Rule types:
+ * - number: exact number with country code ("919876543210")
+ * - prefix: numbers starting with it ("91" for India, "9198" for a series)
+ * - group:  a group JID ("120363...@g.us"), matching every participant
+ *
+ * A rule applies to every WhatsApp account, or only to the one named in `account`.
+ * A block rule always wins. When an account has at least one allow rule, only senders
+ * matching one are processed on it. WHATSAPP_ALLOWED_SENDER (and the per-account
+ * WHATSAPP_<NAME>_ALLOWED_SENDER) still works as a read-only exact allow rule.
+ */
+class SenderFilter {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Load the rules from the database (after database.init())
+     */
+    load() {
+        this.rules = [...database.getSenderRules(), ...this.legacyRules()];
+
+        logger.info('Sender rules loaded', {
+            allow: this.rules.filter(r => r.list === 'allow').length,
+            block: this.rules.filter(r => r.list === 'block').length,
+        });
+    }
+
+    /**
+     * WHATSAPP_ALLOWED_SENDER of each account as an exact allow rule for that account
+     */
+    legacyRules() {
+        const multiple = config.whatsapp.accounts.length > 1;
+
+        return config.whatsapp.accounts.flatMap(({ name, allowedSender }) => {
+            const number = (allowedSender || '').split('@')[0].replace(/\D/g, '');
+            if (!number) return [];
+
+            return [{
+                id: null,
+                list: 'allow',
+                type: 'number',
+                value: number,
+                // A single account keeps the rule global, as before accounts existed
+                account: multiple ? name : null,
+                note: 'WHATSAPP_ALLOWED_SENDER',
+                source: 'config',
+            }];
+        });
+    }
+
+    /**
+     * Validate and normalize a rule from the API
+     * @param {object} input - { list, type, value, account, note }
+     * @returns {object} Normalized rule
+     */
+    normalizeRule({ list, type, value, account = null, note = null } = {}) {
+        if (!LISTS.includes(list)) {
+            throw new SenderRuleError(`list must be one of ${LISTS.join(', ')}`);
+        }
+        if (!TYPES.includes(type)) {
+            throw new SenderRuleError(`type must be one of ${TYPES.join(', ')}`);
+        }
+
+        const accounts = config.whatsapp.accounts.map(a => a.name);
+        if (account && !accounts.includes(account)) {
+            throw new SenderRuleError(`account must be one of ${accounts.join(', ')} (or empty for all accounts)`);
+        }
+
+        const raw = String(value ?? '').trim();
+        let normalized;
+
+        if (type === 'group') {
+            // Accept the bare group id too
+            normalized = raw.endsWith('@g.us') ? raw : `${raw.replace(/\D/g, '')}@g.us`;
+            if (!/^[\d-]+@g\.us$/.test(normalized)) {
+                throw new SenderRuleError('value must be a group JID (120363...@g.us)');
+            }
+        } else {
+            normalized = raw.split('@')[0].replace(/\D/g, '');
+            if (type === 'number' && normalized.length < 8) {
+                throw new SenderRuleError('value must be a full number with country code (919876543210)');
+            }
+            if (type === 'prefix' && normalized.length === 0) {
+                throw new SenderRuleError('value must be a country code or number prefix (91)');
+            }
+        }
+
+        return { list, type, value: normalized, account: account || null, note: note ? String(note).trim() || null : null };
+    }
+
+    /**
+     * Add a rule
+     * @param {object} input - { list, type, value, account, note }
+     * @returns {object} Saved rule
+     */
+    addRule(input) {
+        const rule = this.normalizeRule(input);
+        if (this.rules.some(r => r.list === rule.list && r.type === rule.type && r.value === rule.value &&
+            (r.account || null) === rule.account)) {
+            throw new SenderRuleError(`${rule.value} is already on the ${rule.list} list${rule.account ? ` of ${rule.account}` : ''}`);
+        }
+
+        const saved = database.addSenderRule(rule);
+        this.load();
+
+        logger.info('Sender rule added', { list: saved.list, type: saved.type, value: saved.value, account: saved.account });
+        return saved;
+    }
+
+    /**
+     * Remove a rule
+     * @param {number} id
+     * @returns {boolean} Whether a rule was removed
+     */
+    removeRule(id) {
+        const removed = database.deleteSenderRule(id);
+        if (removed) {
+            this.load();
+            logger.info('Sender rule removed', { id });
+        }
+        return removed;
+    }
+
+    /**
+     * Whether a rule matches a sender
+     * @param {object} rule
+     * @param {string} number - Sender number (digits)
+     * @param {string|null} groupId - Group JID for group messages
+     */
+    matches(rule, number, groupId) {
+        switch (rule.type) {
+            case 'number':
+                return rule.value === number;
+            case 'prefix':
+                return number.startsWith(rule.value);
+            case 'group':
+                return !!groupId && rule.value === groupId;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Decide whether a message is processed
+     * @param {object} sender - { senderNumber, groupId, account }
+     * @returns {{ allowed: boolean, reason: string|null, rule: object|null }}
+     *   reason is 'blocked' (matched a block rule) or 'not_allowed' (no allow rule matched)
+     */
+    check({ senderNumber, groupId = null, account = 'default' }) {
+        const number = (senderNumber || '').replace(/\D/g, '');
+        const rules = this.rules.filter(r => !r.account || r.account === account);
+
+        const blocked = rules.find(r => r.list === 'block' && this.matches(r, number, groupId));
+        if (blocked) {
+            return { allowed: false, reason: 'blocked', rule: blocked };
+        }
+
+        const allowRules = rules.filter(r => r.list === 'allow');
+        if (allowRules.length === 0 || allowRules.some(r => this.matches(r, number, groupId))) {
+            return { allowed: true, reason: null, rule: null };
+        }
+
+        return { allowed: false, reason: 'not_allowed', rule: null };
+    }
+
+    /**
+     * Rules with how many messages each filtered, for the API
+     */
+    describe() {
+        const hits = database.getFilteredCountsByRule();
+        return this.rules.map(rule => ({ source: 'database', ...rule, hits: rule.id ? hits[rule.id] || 0 : null }));
+    }
+}
+
+export default new SenderFilter();
@@ -0,0 +1,68 @@
+/**
+ * WhatsApp JIDs and the sender keys sessions are correlated by.
+ * Kept apart from the client so the API and auto-responder can read sender keys
+ * without loading the WhatsApp connection.
+ */
+
+/**
+ * Phone number (or group id) part of a JID ("919876543210:12@s.whatsapp.net" -> "919876543210")
+ * @param {string} jid
+ */
+export function jidToNumber(jid) {
+    return (jid || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Who wrote a message. Direct chats are keyed by the chat JID; in groups every
+ * participant gets their own key ("<group JID>/<participant JID>") so members'
+ * messages are never merged into one session. Accounts other than "default"
+ * prefix the key with their name ("sales#9198...@s.whatsapp.net"), so a customer
+ * writing to two of our numbers gets a session on each.
+ * @param {object} key - Baileys message key ({ remoteJid, participant })
+ * @param {string} account - Receiving account name
+ * @returns {{ senderId: string, senderNumber: string, groupId: string|null }}
+ */
+export function senderOf({ remoteJid, participant }, account) {
+    const prefix = account === 'default' ? '' : `${account}#`;
+
+    if (!remoteJid?.endsWith('@g.us')) {
+        return { senderId: `${prefix}${remoteJid}`, senderNumber: jidToNumber(remoteJid), groupId: null };
+    }
+
+    return {
+        senderId: `${prefix}${participant ? `${remoteJid}/${participant}` : remoteJid}`,
+        senderNumber: jidToNumber(participant || remoteJid),
+        groupId: remoteJid,
+    };
+}
+
+/**
+ * Split a sender key back into its parts (inverse of senderOf)
+ * @param {string} senderId
+ * @returns {{ account: string, chatJid: string, participant: string|null }}
+ */
+export function parseSenderId(senderId) {
+    const hash = senderId.indexOf('#');
+    const key = hash === -1 ? senderId : senderId.slice(hash + 1);
+    const [chatJid, participant = null] = key.split('/');
+
+    return { account: hash === -1 ? 'default' : senderId.slice(0, hash), chatJid, participant };
+}
+
+/**
+ * Whether messages from a group are processed under an account's group settings.
+ * List entries match the group JID, its numeric id or its name (case-insensitive).
+ * @param {{ enabled: boolean, allow: string[], deny: string[] }} groups - Account group settings
+ * @param {string} groupId - Group JID
+ * @param {string|null} groupName
+ */
+export function isGroupAllowed({ enabled, allow, deny }, groupId, groupName) {
+    if (!enabled) return false;
+
+    const matches = (entry) => entry === groupId ||
+        entry === jidToNumber(groupId) ||
+        (!!groupName && entry.toLowerCase() === groupName.toLowerCase());
+
+    if (deny.some(matches)) return false;
+    return allow.length === 0 || allow.some(matches);
+}
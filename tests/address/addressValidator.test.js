@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import addressValidator from '../../src/address/addressValidator.js';
+import pincodeDirectory from '../../src/address/pincodeDirectory.js';
+import { ADDRESS_PARTS } from '../../src/llm/extractionSchema.js';
+
+const validate = (address, parts = {}) => {
+    const extracted = {
+        name: 'Ramesh Kumar',
+        address,
+        addressParts: { ...Object.fromEntries(ADDRESS_PARTS.map(part => [part, null])), ...parts },
+        notes: null,
+    };
+    const parsedData = addressValidator.validate({ sessionId: 'session-1', extracted });
+
+    return { ...parsedData.addressValidation, parts: extracted.addressParts, notes: extracted.notes };
+};
+
+describe('AddressValidator', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fills state and district from a known pincode', () => {
+        const result = validate('MG Road, Pune 411001', { city: 'Pune', pincode: '411001' });
+
+        expect(result.status).toBe('enriched');
+        expect(result.issues).toEqual([]);
+        expect(result.parts).toMatchObject({ city: 'Pune', district: 'Pune', state: 'Maharashtra' });
+        expect(result.notes).toBe('Address check (enriched): state Maharashtra filled from pincode; district Pune filled from pincode');
+    });
+
+    test('is valid when everything is already consistent', () => {
+        expect(validate('MG Road, Pune', { city: 'Pune', district: 'Pune', state: 'Maharashtra', pincode: '411001' }))
+            .toMatchObject({ status: 'valid', issues: [], enrichments: [], notes: null });
+    });
+
+    test('takes the pincode from the free-text address', () => {
+        const result = validate('MG Road, Pune ४११ ००१', { city: 'Pune', district: 'Pune', state: 'Maharashtra' });
+
+        expect(result.parts.pincode).toBe('411001');
+        expect(result.enrichments).toEqual(['pincode 411001 taken from address']);
+    });
+
+    test('corrects a misspelled city', () => {
+        const result = validate('MG Road', { city: 'Pnue', pincode: '411001' });
+
+        expect(result.status).toBe('enriched');
+        expect(result.parts.city).toBe('Pune');
+        expect(result.enrichments).toContain('city "Pnue" corrected to Pune');
+    });
+
+    test('flags a state that does not match the pincode and fills nothing', () => {
+        const result = validate('MG Road', { state: 'Karnataka', pincode: '411001' });
+
+        expect(result.status).toBe('mismatch');
+        expect(result.issues).toEqual(['pincode 411001 is in Pune, Maharashtra but state is "Karnataka"']);
+        expect(result.parts).toMatchObject({ state: 'Karnataka', district: null });
+    });
+
+    test('flags a city that belongs to another state', () => {
+        const result = validate('MG Road', { city: 'Jaipur', pincode: '411001' });
+
+        expect(result.status).toBe('mismatch');
+        expect(result.issues[0]).toMatch(/^pincode 411001 is in Pune, Maharashtra but city "Jaipur" is in .*Rajasthan/);
+        expect(result.parts.state).toBeNull();
+    });
+
+    test('flags a pincode missing from the directory', () => {
+        expect(validate('MG Road', { pincode: '999999' })).toMatchObject({
+            status: 'unknown_pincode',
+            issues: ['pincode 999999 not found in India Post directory'],
+        });
+    });
+
+    test('leaves contacts without an address alone', () => {
+        const parsedData = { sessionId: 'session-1', extracted: { name: 'Ramesh Kumar', address: null, addressParts: null } };
+
+        expect(addressValidator.validate(parsedData).addressValidation).toBeUndefined();
+    });
+
+    describe('init', () => {
+        test('loads the bundled dataset', () => {
+            expect(() => addressValidator.init()).not.toThrow();
+            expect(pincodeDirectory.lookup('302001')).toEqual([{ district: 'Jaipur', state: 'Rajasthan', taluks: ['Jaipur'] }]);
+        });
+
+        test('fails startup when the dataset is missing', () => {
+            jest.spyOn(pincodeDirectory, 'isAvailable').mockReturnValue(false);
+
+            expect(() => addressValidator.init()).toThrow(/Pincode dataset not found or empty at .*ADDRESS_VALIDATION=false/);
+        });
+
+        test('does not need the dataset when validation is off', () => {
+            jest.spyOn(pincodeDirectory, 'isAvailable').mockReturnValue(false);
+            jest.replaceProperty(addressValidator, 'enabled', false);
+
+            expect(() => addressValidator.init()).not.toThrow();
+        });
+    });
+});
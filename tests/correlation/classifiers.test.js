@@ -0,0 +1,66 @@
+import { createClassifier, LatinClassifier } from '../../src/correlation/classifiers/index.js';
+
+const NOISE = /^(hi|hello|hii+|ok|okay|thanks|namaste|नमस्ते|હાય)$/i;
+
+describe('LatinClassifier', () => {
+    const classifier = new LatinClassifier();
+
+    test('detects mobile numbers with or without prefix', () => {
+        expect(classifier.identifySlot('9876543210')).toBe('mobile');
+        expect(classifier.identifySlot('+919876543210')).toBe('mobile');
+    });
+
+    test('detects capitalized names', () => {
+        expect(classifier.identifySlot('Ramesh Kumar')).toBe('name');
+        expect(classifier.identifySlot('ramesh kumar')).toBe('unknown');
+    });
+
+    test('detects addresses by keyword or length', () => {
+        expect(classifier.identifySlot('Flat 4, MG Road')).toBe('address');
+        expect(classifier.identifySlot('behind the old temple at the main gate')).toBe('address');
+    });
+
+    test('keeps extractor-only address words out of slot detection', () => {
+        expect(classifier.identifySlot('pin please')).toBe('unknown');
+        expect(classifier.identifySlot('house 12')).toBe('unknown');
+    });
+
+    test('treats short greetings as noise', () => {
+        expect(classifier.isNoise('Hello', NOISE)).toBe(true);
+        expect(classifier.isNoise('Ramesh Kumar', NOISE)).toBe(false);
+    });
+});
+
+describe('ScriptAwareClassifier', () => {
+    const classifier = createClassifier();
+
+    test('reads Indic digits as mobile numbers', () => {
+        expect(classifier.identifySlot('९८७६५४३२१०')).toBe('mobile');
+        expect(classifier.identifySlot('૯૮૭૬૫૪૩૨૧૦')).toBe('mobile');
+    });
+
+    test('detects Devanagari names, labels and addresses', () => {
+        expect(classifier.identifySlot('रमेश कुमार')).toBe('name');
+        expect(classifier.identifySlot('नाम: रमेश')).toBe('name');
+        expect(classifier.identifySlot('गांधी नगर, पुणे')).toBe('address');
+        expect(classifier.identifySlot('पिन ४११००१')).toBe('address');
+    });
+
+    test('does not take a Hindi question for a name', () => {
+        expect(classifier.identifySlot('क्या हाल')).toBe('unknown');
+    });
+
+    test('detects Gujarati names and addresses', () => {
+        expect(classifier.identifySlot('રમેશ પટેલ')).toBe('name');
+        expect(classifier.identifySlot('સરનામું: ૧૨ રિંગ રોડ')).toBe('address');
+    });
+
+    test('asks the other scripts about mixed messages', () => {
+        expect(classifier.identifySlot('Flat 4, गांधी नगर')).toBe('address');
+    });
+
+    test('treats greetings in any script as noise', () => {
+        expect(classifier.isNoise('नमस्ते', NOISE)).toBe(true);
+        expect(classifier.isNoise('hi', NOISE)).toBe(true);
+    });
+});
@@ -0,0 +1,124 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import correlationRules from '../../src/correlation/correlationRules.js';
+import { SessionCorrelator } from '../../src/correlation/sessionCorrelator.js';
+
+const RAMESH = '919876543210@s.whatsapp.net';
+const GROUP = '120363012345678901@g.us';
+
+describe('CorrelationRules', () => {
+    let dir;
+
+    const writeRules = (rules) => {
+        writeFileSync(correlationRules.path, typeof rules === 'string' ? rules : JSON.stringify(rules));
+    };
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'correlation-rules-'));
+        correlationRules.path = join(dir, 'correlation-rules.json');
+        correlationRules.load();
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('uses the built-in defaults without a file', () => {
+        expect(correlationRules.loadedAt).toBeNull();
+        expect(correlationRules.forSender(RAMESH, '919876543210')).toMatchObject({
+            timeouts: { complete: 10, partial: 30 },
+            aggregatorMode: true,
+        });
+    });
+
+    test('layers sender rules over the file defaults', () => {
+        writeRules({
+            defaults: { timeouts: { partial: 45 }, noise: ['Jai Hind'] },
+            senders: [{ match: '+91 98765 43210', maxMessages: 3, aggregatorMode: false }],
+        });
+
+        expect(correlationRules.load()).toBe(true);
+
+        const rule = correlationRules.forSender(RAMESH, '919876543210');
+        expect(rule).toMatchObject({ timeouts: { complete: 10, partial: 45 }, maxMessages: 3, aggregatorMode: false });
+        expect(rule.noisePattern.test('jai hind')).toBe(true);
+        expect(correlationRules.forSender('919123456780@s.whatsapp.net', '919123456780')).toBe(correlationRules.defaults);
+    });
+
+    test('matches a whole group by its JID', () => {
+        writeRules({ senders: [{ match: [GROUP], maxMessages: 5 }] });
+        correlationRules.load();
+
+        expect(correlationRules.forSender(`${GROUP}/${RAMESH}`, '919876543210', GROUP).maxMessages).toBe(5);
+        expect(correlationRules.forSender(RAMESH, '919876543210').maxMessages).toBe(correlationRules.defaults.maxMessages);
+    });
+
+    test.each([
+        ['not json', /JSON/],
+        [[], 'expected a JSON object with "defaults" and "senders"'],
+        [{ defaults: { timeouts: { soon: 5 } } }, 'defaults.timeouts: unknown profile "soon" (use complete, partial, empty)'],
+        [{ defaults: { timeouts: { partial: 0 } } }, 'defaults.timeouts.partial: expected a positive number of seconds'],
+        [{ senders: {} }, 'senders: expected an array'],
+        [{ senders: [{ match: '919876543210', maxMessages: 2.5 }] }, 'senders[0].maxMessages: expected a positive integer'],
+        [{ senders: [{ match: '919876543210', noise: 'hi' }] }, 'senders[0].noise: expected an array of strings'],
+        [{ senders: [{ match: '919876543210', aggregatorMode: 'no' }] }, 'senders[0].aggregatorMode: expected true or false'],
+        [{ senders: [{ maxMessages: 3 }] }, 'senders[0].match: expected a sender number, JID or list of them'],
+    ])('rejects %j and keeps the previous rules', (rules, error) => {
+        writeRules({ senders: [{ match: '919876543210', maxMessages: 3 }] });
+        correlationRules.load();
+
+        writeRules(rules);
+
+        expect(correlationRules.load()).toBe(false);
+        expect(correlationRules.lastError).toMatch(error);
+        expect(correlationRules.forSender(RAMESH, '919876543210').maxMessages).toBe(3);
+    });
+
+    test('picks up changes on reload and clears the last error', () => {
+        writeRules({ senders: [{ match: '919876543210', maxMessages: 3 }] });
+        correlationRules.load();
+        writeRules('{');
+        correlationRules.load();
+
+        writeRules({ senders: [{ match: '919876543210', maxMessages: 4 }] });
+        correlationRules.load();
+
+        expect(correlationRules.lastError).toBeNull();
+        expect(correlationRules.forSender(RAMESH, '919876543210').maxMessages).toBe(4);
+        expect(correlationRules.describe().senders).toEqual([expect.objectContaining({ match: ['919876543210'], maxMessages: 4 })]);
+    });
+
+    test('falls back to the defaults when the file is removed', () => {
+        writeRules({ senders: [{ match: '919876543210', maxMessages: 3 }] });
+        correlationRules.load();
+        rmSync(correlationRules.path);
+
+        expect(correlationRules.load()).toBe(false);
+        expect(correlationRules.senders).toEqual([]);
+        expect(correlationRules.loadedAt).toBeNull();
+    });
+
+    test('are applied by the correlator for that sender', () => {
+        writeRules({ senders: [{ match: '919876543210', maxMessages: 2, aggregatorMode: false, noise: ['jai hind'] }] });
+        correlationRules.load();
+
+        const correlator = new SessionCorrelator();
+        const emitted = [];
+        correlator.on('session', (session) => emitted.push(session));
+        let sequence = 0;
+        const send = (text) => correlator.addMessage({
+            id: `rule-${++sequence}`, senderId: RAMESH, senderNumber: '919876543210', pushName: 'Ramesh', text, timestamp: sequence,
+        });
+
+        send('jai hind');
+        send('Ramesh Kumar');
+        send('Ramesh Kumar Sharma');
+
+        // Second name replaces the first (no aggregator), and two messages complete the session
+        expect(emitted).toHaveLength(1);
+        expect(emitted[0].slots.name).toBe('Ramesh Kumar Sharma');
+        expect(emitted[0].combinedText).toBe('Ramesh Kumar\nRamesh Kumar Sharma');
+        correlator.destroy();
+    });
+});
@@ -0,0 +1,430 @@
+import { jest } from '@jest/globals';
+import database from '../../src/database/sqlite.js';
+import { SessionCorrelator } from '../../src/correlation/sessionCorrelator.js';
+
+const RAMESH = '919876543210@s.whatsapp.net';
+const SURESH = '919123456780@s.whatsapp.net';
+
+let sequence = 0;
+
+const message = (text, fields = {}) => ({
+    id: `m${++sequence}`,
+    senderId: RAMESH,
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    account: 'default',
+    text,
+    timestamp: 1700000000 + sequence,
+    ...fields,
+});
+
+// What the app does with an emitted session: link its messages to it and save what was extracted
+const saveProcessed = (session, contacts = [{ name: session.slots.name }]) => {
+    for (const m of session.messages) {
+        database.saveRawMessage({ ...m, senderNumber: session.senderNumber, account: session.account, group: session.group, sessionId: session.sessionId });
+    }
+    contacts.forEach((extracted, contactIndex) => database.saveContact({
+        ...session,
+        contactIndex,
+        extracted,
+        rawMessages: session.messages,
+    }));
+};
+
+describe('SessionCorrelator', () => {
+    let correlator;
+
+    beforeAll(async () => {
+        await database.init();
+    });
+
+    beforeEach(() => {
+        correlator = new SessionCorrelator();
+    });
+
+    afterEach(() => {
+        correlator.destroy();
+        jest.useRealTimers();
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    describe('unsent sessions', () => {
+        beforeEach(() => {
+            correlator.persist = true;
+        });
+
+        test('are emitted again on a timer until the listener acknowledges them', () => {
+            jest.useFakeTimers();
+            const sends = [];
+            correlator.on('session', (session) => {
+                sends.push(session.sessionId);
+                // The first send fails (broker down), the retry succeeds
+                if (sends.length > 1) correlator.acknowledge(session.sessionId);
+            });
+            correlator.restore();
+
+            correlator.addMessage(message('Ramesh Kumar'));
+            const { sessionId } = correlator.flushSession(RAMESH);
+            expect(database.getUnsentSessions().map(s => s.sessionId)).toEqual([sessionId]);
+
+            // Not retried while the first send may still be in flight
+            jest.advanceTimersByTime(correlator.unsentRetryMs / 2);
+            expect(sends).toEqual([sessionId]);
+
+            jest.advanceTimersByTime(correlator.unsentRetryMs * 2);
+            expect(sends).toEqual([sessionId, sessionId]);
+            expect(database.getUnsentSessions()).toEqual([]);
+
+            jest.advanceTimersByTime(correlator.unsentRetryMs * 2);
+            expect(sends).toHaveLength(2);
+        });
+
+        test('left from before a restart are emitted when restoring', () => {
+            database.saveUnsentSession({ sessionId: 'left-over', messages: [] });
+            const sends = [];
+            correlator.on('session', (session) => {
+                sends.push(session.sessionId);
+                correlator.acknowledge(session.sessionId);
+            });
+
+            correlator.restore();
+
+            expect(sends).toEqual(['left-over']);
+            expect(database.getUnsentSessions()).toEqual([]);
+        });
+    });
+
+    describe('operator actions', () => {
+        let emitted;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            emitted = [];
+            correlator.on('session', (session) => emitted.push(session));
+        });
+
+        const fromSuresh = (text) => message(text, { senderId: SURESH, senderNumber: '919123456780', pushName: 'Suresh' });
+
+        test('flush processes a pending session now', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(message('9876543210'));
+
+            const flushed = correlator.flushSession(RAMESH);
+
+            expect(flushed).toMatchObject({ combinedText: 'Ramesh Kumar\n9876543210', slots: { name: 'Ramesh Kumar', mobile: '9876543210' } });
+            expect(emitted).toEqual([flushed]);
+            expect(correlator.getPendingSessions()).toEqual([]);
+            expect(correlator.flushSession(RAMESH)).toBeNull();
+        });
+
+        test('discard drops a pending session without processing it', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+
+            expect(correlator.discardSession(RAMESH)).toBe(true);
+            jest.advanceTimersByTime(correlator.timeoutMs * 2);
+
+            expect(emitted).toEqual([]);
+            expect(correlator.getPendingSessions()).toEqual([]);
+            expect(correlator.discardSession(RAMESH)).toBe(false);
+        });
+
+        test('merge moves one session into another, in message order', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(fromSuresh('9876543210'));
+            correlator.addMessage(message('MG Road, Pune 411001'));
+
+            const merged = correlator.mergeSessions(RAMESH, SURESH);
+
+            expect(merged.messages.map(m => m.text)).toEqual(['Ramesh Kumar', '9876543210', 'MG Road, Pune 411001']);
+            expect(merged.slots).toEqual({ name: 'Ramesh Kumar', mobile: '9876543210', address: 'MG Road, Pune 411001' });
+            expect(correlator.getPendingSessions().map(s => s.senderId)).toEqual([RAMESH]);
+
+            // The merged session gets a fresh timeout
+            jest.advanceTimersByTime(merged.expiresAt - Date.now());
+            expect(emitted.map(s => s.senderId)).toEqual([RAMESH]);
+        });
+
+        test('merge refuses missing sessions and sessions from different accounts', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            expect(correlator.mergeSessions(RAMESH, SURESH)).toBeNull();
+            expect(correlator.mergeSessions(RAMESH, RAMESH)).toBeNull();
+
+            correlator.addMessage({ ...fromSuresh('9876543210'), account: 'support' });
+            expect(correlator.mergeSessions(RAMESH, SURESH)).toBeNull();
+            expect(correlator.getPendingSessions()).toHaveLength(2);
+        });
+
+        test('split processes the messages before the cut and keeps the rest pending', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(message('9876543210'));
+            const cut = message('MG Road, Pune 411001');
+            correlator.addMessage(cut);
+            correlator.addMessage(message('deliver before sunday please'));
+            jest.advanceTimersByTime(1000);
+
+            const { processed, pending } = correlator.splitSession(RAMESH, cut.id);
+
+            expect(processed.combinedText).toBe('Ramesh Kumar\n9876543210');
+            expect(emitted).toEqual([processed]);
+            expect(pending.slots).toEqual({ name: null, mobile: null, address: 'MG Road, Pune 411001' });
+
+            const rest = correlator.flushSession(RAMESH);
+            expect(rest.combinedText).toBe('MG Road, Pune 411001\ndeliver before sunday please');
+            expect(rest.sessionId).not.toBe(processed.sessionId);
+        });
+
+        test('split needs a known message after the first', () => {
+            const first = message('Ramesh Kumar');
+            correlator.addMessage(first);
+            correlator.addMessage(message('9876543210'));
+
+            expect(correlator.splitSession(RAMESH, first.id)).toBeNull();
+            expect(correlator.splitSession(RAMESH, 'unknown')).toBeNull();
+            expect(correlator.splitSession(SURESH, first.id)).toBeNull();
+            expect(emitted).toEqual([]);
+        });
+
+        test('tells listeners when the pending sessions change', () => {
+            const updates = [];
+            correlator.on('pending', (pending) => updates.push(pending.length));
+
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(fromSuresh('9876543210'));
+            correlator.discardSession(SURESH);
+
+            expect(updates).toEqual([1, 2, 1]);
+        });
+    });
+
+    describe('edits and revokes', () => {
+        let emitted;
+
+        beforeEach(() => {
+            emitted = [];
+            correlator.on('session', (session) => emitted.push(session));
+        });
+
+        test('an edit of a buffered message replaces its text and slots', () => {
+            const typo = message('98765');
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(typo);
+
+            expect(correlator.editMessage(RAMESH, typo.id, '9876543210')).toBe(true);
+
+            const [pending] = correlator.getPendingSessions();
+            expect(pending.slots).toMatchObject({ name: 'Ramesh Kumar', mobile: '9876543210' });
+            expect(pending.messages[1]).toMatchObject({ text: '9876543210', editedAt: expect.any(Number) });
+            expect(correlator.editMessage(RAMESH, 'unknown', 'text')).toBe(false);
+        });
+
+        test('a revoke drops the buffered message, and the session once it is empty', () => {
+            const name = message('Ramesh Kumar');
+            const mobile = message('9876543210');
+            correlator.addMessage(name);
+            correlator.addMessage(mobile);
+
+            expect(correlator.removeMessage(RAMESH, mobile.id)).toBe(true);
+            expect(correlator.getPendingSessions()[0].slots.mobile).toBeNull();
+
+            expect(correlator.removeMessage(RAMESH, name.id)).toBe(true);
+            expect(correlator.getPendingSessions()).toEqual([]);
+            expect(correlator.removeMessage(RAMESH, name.id)).toBe(false);
+        });
+
+        test('an edit of a processed session extracts it again under the same id', () => {
+            const typo = message('98765');
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(typo);
+            const processed = correlator.flushSession(RAMESH);
+            saveProcessed(processed);
+
+            const edit = (messages) => messages.map(m => (m.id === typo.id ? { ...m, text: '9876543210' } : m));
+            expect(correlator.amendProcessedSession(RAMESH, typo.id, edit, 'edit')).toEqual({ sessionId: processed.sessionId, reprocessed: true });
+
+            expect(emitted).toHaveLength(2);
+            expect(emitted[1]).toMatchObject({
+                sessionId: processed.sessionId,
+                combinedText: 'Ramesh Kumar\n9876543210',
+                slots: { name: 'Ramesh Kumar', mobile: '9876543210' },
+                amended: { reason: 'edit', messageId: typo.id },
+            });
+
+            // The same edit arriving twice changes nothing
+            saveProcessed(emitted[1]);
+            expect(correlator.amendProcessedSession(RAMESH, typo.id, edit, 'edit')).toBeNull();
+            expect(emitted).toHaveLength(2);
+        });
+
+        test('a revoke of a processed message extracts the session again without it', () => {
+            const mobile = message('9876543210');
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(mobile);
+            saveProcessed(correlator.flushSession(RAMESH));
+
+            correlator.amendProcessedSession(RAMESH, mobile.id, (messages) => messages.filter(m => m.id !== mobile.id), 'revoke');
+
+            expect(emitted[1]).toMatchObject({ combinedText: 'Ramesh Kumar', slots: { mobile: null }, amended: { reason: 'revoke' } });
+        });
+
+        test('revoking every message of a processed session revokes its contacts, except reviewed ones', () => {
+            const only = message('Ramesh Kumar\n9876543210\n\nSuresh Patel\n9123456780');
+            correlator.addMessage(only);
+            const processed = correlator.flushSession(RAMESH);
+            saveProcessed(processed, [{ name: 'Ramesh Kumar' }, { name: 'Suresh Patel' }]);
+            database.updateContactStatus(processed.sessionId, 'reviewed', 1);
+
+            expect(correlator.amendProcessedSession(RAMESH, only.id, () => [], 'revoke'))
+                .toEqual({ sessionId: processed.sessionId, reprocessed: false });
+
+            expect(emitted).toHaveLength(1);
+            expect(database.getContactsBySessionId(processed.sessionId).map(c => c.status)).toEqual(['revoked', 'reviewed']);
+        });
+
+        test('a message that never reached a processed session is not amended', () => {
+            expect(correlator.amendProcessedSession(RAMESH, 'unknown', () => [], 'revoke')).toBeNull();
+        });
+    });
+
+    describe('quoted replies', () => {
+        let emitted;
+
+        beforeEach(() => {
+            emitted = [];
+            correlator.on('session', (session) => emitted.push(session));
+        });
+
+        const replyTo = (quoted, text) => message(text, { replyTo: { id: quoted.id, text: quoted.text } });
+
+        test('a reply within the pending session corrects it instead of starting a new one', () => {
+            const mobile = message('9876543211');
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(mobile);
+
+            correlator.addMessage(replyTo(mobile, '9876543210'));
+
+            expect(emitted).toEqual([]);
+            const [pending] = correlator.getPendingSessions();
+            expect(pending.slots.mobile).toBe('9876543210');
+            expect(pending.messages[2].replyTo).toEqual({ id: mobile.id, text: '9876543211' });
+        });
+
+        test('a late reply to a processed session is added to it and extracted again', () => {
+            const name = message('Ramesh Kumar');
+            correlator.addMessage(name);
+            correlator.addMessage(message('9876543210'));
+            const processed = correlator.flushSession(RAMESH);
+            saveProcessed(processed);
+
+            correlator.addMessage(replyTo(name, 'MG Road, Pune 411001'));
+
+            expect(correlator.getPendingSessions()).toEqual([]);
+            expect(emitted[1]).toMatchObject({
+                sessionId: processed.sessionId,
+                combinedText: 'Ramesh Kumar\n9876543210\nMG Road, Pune 411001',
+                amended: { reason: 'reply', messageId: name.id },
+            });
+        });
+
+        test('a reply to our own message goes to the session that message was sent in', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(message('9876543210'));
+            const processed = correlator.flushSession(RAMESH);
+            saveProcessed(processed);
+
+            // Our question, sent after the session was processed, is linked to it
+            const question = { id: `out-${++sequence}`, text: 'Please send your pincode', timestamp: 1700000000 + sequence, receivedAt: Date.now() };
+            expect(correlator.currentSessionId(RAMESH, '919876543210')).toBe(processed.sessionId);
+            database.saveRawMessage({ ...question, senderNumber: '919876543210', fromMe: true, sessionId: processed.sessionId });
+
+            correlator.addMessage(replyTo(question, '411001'));
+
+            expect(emitted[1]).toMatchObject({ sessionId: processed.sessionId, combinedText: 'Ramesh Kumar\n9876543210\n411001' });
+        });
+
+        test('our message is linked to the session still collecting', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            const [pending] = correlator.getPendingSessions();
+
+            expect(correlator.currentSessionId(RAMESH, '919876543210')).toBe(`${RAMESH}_${pending.startedAt}`);
+        });
+
+        test('a reply to an unknown message is treated as a new message', () => {
+            correlator.addMessage(replyTo({ id: 'unknown', text: 'Hi' }, 'Ramesh Kumar'));
+
+            expect(emitted).toEqual([]);
+            expect(correlator.getPendingSessions()[0].slots.name).toBe('Ramesh Kumar');
+        });
+    });
+
+    describe('group chats', () => {
+        const GROUP = '120363012345678901@g.us';
+        const group = { id: GROUP, name: 'Pune Orders' };
+        const inGroup = (participant, number, text) => message(text, { senderId: `${GROUP}/${participant}`, senderNumber: number, group });
+
+        test('keeps each participant in their own session', () => {
+            const emitted = [];
+            correlator.on('session', (session) => emitted.push(session));
+
+            correlator.addMessage(inGroup(RAMESH, '919876543210', 'Ramesh Kumar'));
+            correlator.addMessage(inGroup(SURESH, '919123456780', 'Suresh Patel'));
+            correlator.addMessage(inGroup(RAMESH, '919876543210', '9876543210'));
+
+            expect(emitted).toEqual([]);
+            expect(correlator.getPendingSessions().map(s => [s.senderNumber, s.slots.name, s.group])).toEqual([
+                ['919876543210', 'Ramesh Kumar', group],
+                ['919123456780', 'Suresh Patel', group],
+            ]);
+
+            const flushed = correlator.flushSession(`${GROUP}/${RAMESH}`);
+            expect(flushed).toMatchObject({ senderNumber: '919876543210', group, combinedText: 'Ramesh Kumar\n9876543210' });
+        });
+
+        test('finds the last session of a participant in that group only', () => {
+            // Someone no other test writes as, so their latest session is unambiguous
+            const MAHESH = '919000000001@s.whatsapp.net';
+            correlator.addMessage(inGroup(MAHESH, '919000000001', 'Mahesh Joshi'));
+            const inGroupSession = correlator.flushSession(`${GROUP}/${MAHESH}`);
+            saveProcessed(inGroupSession);
+
+            correlator.addMessage(message('Mahesh Joshi', { senderId: MAHESH, senderNumber: '919000000001' }));
+            const direct = correlator.flushSession(MAHESH);
+            saveProcessed(direct);
+
+            expect(correlator.currentSessionId(`${GROUP}/${MAHESH}`, '919000000001', GROUP)).toBe(inGroupSession.sessionId);
+            expect(correlator.currentSessionId(MAHESH, '919000000001')).toBe(direct.sessionId);
+            expect(correlator.currentSessionId(`120363999999999999@g.us/${MAHESH}`, '919000000001', '120363999999999999@g.us')).toBeNull();
+        });
+    });
+
+    describe('accounts', () => {
+        // A customer writing to two of our numbers (sender keys as built by senderOf)
+        const toSales = (text) => message(text, { senderId: `sales#${RAMESH}`, account: 'sales' });
+
+        test('keep a session per receiving account, tagged with it', () => {
+            correlator.addMessage(message('Ramesh Kumar'));
+            correlator.addMessage(toSales('Ramesh Kumar'));
+            correlator.addMessage(toSales('9876543210'));
+
+            expect(correlator.getPendingSessions().map(s => [s.account, s.messageCount])).toEqual([['default', 1], ['sales', 2]]);
+
+            const sales = correlator.flushSession(`sales#${RAMESH}`);
+            expect(sales).toMatchObject({ account: 'sales', combinedText: 'Ramesh Kumar\n9876543210' });
+            expect(correlator.flushSession(RAMESH)).toMatchObject({ account: 'default', combinedText: 'Ramesh Kumar' });
+        });
+
+        test('find the last processed session on the same account only', () => {
+            // Someone no other test writes as, so their latest session is unambiguous
+            const SUNITA = '919000000002@s.whatsapp.net';
+            correlator.addMessage(message('Sunita Rao', { senderId: `sales#${SUNITA}`, senderNumber: '919000000002', account: 'sales' }));
+            const sales = correlator.flushSession(`sales#${SUNITA}`);
+            saveProcessed(sales);
+
+            expect(database.getContactsBySessionId(sales.sessionId)[0].account).toBe('sales');
+            expect(correlator.currentSessionId(`sales#${SUNITA}`, '919000000002', null, 'sales')).toBe(sales.sessionId);
+            expect(correlator.currentSessionId(SUNITA, '919000000002')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import database from '../../src/database/sqlite.js';
+import kafkaClient from '../../src/kafka/client.js';
+import deadLetters, { DeadLetterError } from '../../src/kafka/deadLetters.js';
+
+const TOPIC = 'replay-test';
+
+const addDeadLetter = (fields = {}) => database.saveDeadLetter({
+    sourceTopic: TOPIC,
+    key: '919876543210',
+    refId: null,
+    payload: { sessionId: 'session-1', combinedText: 'Ramesh Kumar' },
+    error: 'Processing failed',
+    ...fields,
+});
+
+describe('DeadLetterQueue', () => {
+    beforeAll(async () => {
+        await database.init();
+        await kafkaClient.initProducer();
+    });
+
+    afterAll(async () => {
+        await kafkaClient.disconnect();
+        database.close();
+    });
+
+    beforeEach(() => {
+        deadLetters.purge({ all: true });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a message failing again updates its dead letter', () => {
+        const id = addDeadLetter({ refId: 'session-1' });
+        const again = addDeadLetter({ refId: 'session-1', error: 'Failed again' });
+
+        expect(again).toBe(id);
+        expect(deadLetters.get(id)).toMatchObject({ attempts: 2, status: 'pending', error: 'Failed again' });
+    });
+
+    test('replays to the source topic and marks it replayed', async () => {
+        const id = addDeadLetter();
+        const queued = database.countQueuedMessages(TOPIC);
+
+        expect(await deadLetters.replay(id)).toMatchObject({ status: 'replayed' });
+        expect(database.countQueuedMessages(TOPIC)).toBe(queued + 1);
+        expect(JSON.parse(database.getQueuedMessages(TOPIC, 50).at(-1).value)).toEqual({ sessionId: 'session-1', combinedText: 'Ramesh Kumar' });
+    });
+
+    test('stays pending when the replay cannot be sent', async () => {
+        const id = addDeadLetter();
+        jest.spyOn(kafkaClient, 'send').mockRejectedValueOnce(new Error('broker down'));
+
+        await expect(deadLetters.replay(id)).rejects.toThrow('broker down');
+        expect(deadLetters.get(id).status).toBe('pending');
+    });
+
+    test('refuses to replay a payload that is not an object', async () => {
+        const id = addDeadLetter({ payload: 'not json' });
+
+        await expect(deadLetters.replay(id)).rejects.toThrow(DeadLetterError);
+    });
+
+    test('edits the payload of a dead letter', () => {
+        const id = addDeadLetter();
+
+        expect(deadLetters.edit(id, { sessionId: 'session-1', combinedText: 'Ramesh Kumar\n9876543210' }).payload.combinedText)
+            .toBe('Ramesh Kumar\n9876543210');
+        expect(() => deadLetters.edit(id, ['not', 'an', 'object'])).toThrow('payload must be a JSON object');
+        expect(deadLetters.edit(999999, {})).toBeNull();
+    });
+
+    test('replays every pending dead letter, oldest first', async () => {
+        const first = addDeadLetter({ refId: 'session-1', payload: { sessionId: 'session-1' } });
+        const second = addDeadLetter({ refId: 'session-2', payload: { sessionId: 'session-2' } });
+        const send = jest.spyOn(kafkaClient, 'send');
+
+        expect(await deadLetters.replayAll()).toEqual({ replayed: 2, failed: [] });
+        expect(send.mock.calls.map(([, payload]) => payload.sessionId)).toEqual(['session-1', 'session-2']);
+        expect(deadLetters.get(first).status).toBe('replayed');
+        expect(deadLetters.get(second).status).toBe('replayed');
+    });
+
+    test('purges by status and only purges everything when asked to', async () => {
+        const pending = addDeadLetter({ refId: 'session-1' });
+        const replayed = addDeadLetter({ refId: 'session-2' });
+        await deadLetters.replay(replayed);
+
+        expect(() => deadLetters.purge()).toThrow(DeadLetterError);
+        expect(() => deadLetters.purge({ status: 'unknown' })).toThrow('status must be one of pending, replayed');
+
+        expect(deadLetters.purge({ status: 'replayed' })).toBe(1);
+        expect(deadLetters.get(pending)).not.toBeNull();
+        expect(deadLetters.purge({ all: true })).toBe(1);
+        expect(deadLetters.getStats()).toMatchObject({ pending: 0, replayed: 0 });
+    });
+});
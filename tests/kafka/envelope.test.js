@@ -0,0 +1,112 @@
+import { MESSAGE_TYPES, SCHEMA_VERSIONS, EnvelopeError, createEnvelope, openEnvelope } from '../../src/kafka/envelope.js';
+
+const session = (fields = {}) => ({
+    sessionId: 'session-1',
+    senderId: '919876543210@s.whatsapp.net',
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    group: null,
+    account: 'default',
+    messageCount: 1,
+    combinedText: 'Ramesh Kumar',
+    messages: [{ id: 'm1', text: 'Ramesh Kumar' }],
+    slots: { name: 'Ramesh Kumar', mobile: null, address: null },
+    startedAt: 1700000000000,
+    completedAt: 1700000060000,
+    ...fields,
+});
+
+const contact = (fields = {}) => ({
+    sessionId: 'session-1',
+    contactIndex: 0,
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    group: null,
+    account: 'default',
+    extracted: { name: 'Ramesh Kumar', mobile: '9876543210' },
+    status: 'processed',
+    processedAt: 1700000060000,
+    ...fields,
+});
+
+describe('createEnvelope', () => {
+    test('wraps a payload with the current version and a trace', () => {
+        const envelope = createEnvelope(MESSAGE_TYPES.session, session());
+
+        expect(envelope).toMatchObject({ schemaVersion: SCHEMA_VERSIONS[MESSAGE_TYPES.session], type: MESSAGE_TYPES.session });
+        expect(envelope.id).toEqual(expect.any(String));
+        expect(envelope.traceId).toEqual(expect.any(String));
+    });
+
+    test('continues a trace and keeps a given id', () => {
+        const envelope = createEnvelope(MESSAGE_TYPES.contact, contact(), { traceId: 'trace-1', id: 'session-1:0:abc' });
+
+        expect(envelope).toMatchObject({ traceId: 'trace-1', id: 'session-1:0:abc' });
+    });
+
+    test('rejects an unknown type', () => {
+        expect(() => createEnvelope('whatsapp.unknown', {})).toThrow('Unknown message type "whatsapp.unknown"');
+    });
+
+    test('rejects an invalid payload with its failing fields', () => {
+        const { sessionId, ...payload } = session({ messageCount: '1' });
+
+        try {
+            createEnvelope(MESSAGE_TYPES.session, payload);
+            throw new Error('expected an EnvelopeError');
+        } catch (error) {
+            expect(error).toBeInstanceOf(EnvelopeError);
+            expect(error.fieldErrors).toEqual([
+                { field: 'payload.sessionId', message: 'is required' },
+                { field: 'payload.messageCount', message: 'expected integer, got string' },
+            ]);
+        }
+    });
+});
+
+describe('openEnvelope', () => {
+    test('round-trips a current envelope', () => {
+        const envelope = JSON.parse(JSON.stringify(createEnvelope(MESSAGE_TYPES.session, session())));
+
+        expect(openEnvelope(envelope, MESSAGE_TYPES.session)).toEqual(envelope);
+    });
+
+    test('upcasts a bare session from before envelopes', () => {
+        const { pushName, group, account, messageCount, slots, completedAt, ...bare } = session();
+        const envelope = openEnvelope(bare, MESSAGE_TYPES.session);
+
+        expect(envelope).toMatchObject({ schemaVersion: 1, type: MESSAGE_TYPES.session, id: 'session-1' });
+        expect(envelope.payload).toMatchObject({
+            pushName: null,
+            group: null,
+            account: 'default',
+            messageCount: 1,
+            slots: { name: null, mobile: null, address: null },
+            completedAt: bare.startedAt,
+        });
+    });
+
+    test('upcasts a bare contact from before envelopes', () => {
+        const { contactIndex, account, status, ...bare } = contact();
+        const { payload } = openEnvelope(bare, MESSAGE_TYPES.contact);
+
+        expect(payload).toMatchObject({ contactIndex: 0, account: 'default', status: 'processed' });
+    });
+
+    test.each([
+        ['a non-object', 'not json', 'Message is not a JSON object'],
+        ['a message of another type', { ...createEnvelope(MESSAGE_TYPES.contact, contact()) }, 'Unexpected message type "whatsapp.contact"'],
+        ['a newer version', { ...createEnvelope(MESSAGE_TYPES.session, session()), schemaVersion: 2 }, 'version 2 is newer than supported (1)'],
+        ['an envelope without a trace', { ...createEnvelope(MESSAGE_TYPES.session, session()), traceId: undefined }, 'traceId: is required'],
+        ['an invalid payload', { ...createEnvelope(MESSAGE_TYPES.session, session()), payload: session({ messages: 'm1' }) }, 'payload.messages: expected array, got string'],
+    ])('rejects %s', (_, message, expected) => {
+        expect(() => openEnvelope(message, MESSAGE_TYPES.session)).toThrow(EnvelopeError);
+        expect(() => openEnvelope(message, MESSAGE_TYPES.session)).toThrow(expected);
+    });
+
+    test('rejects a bare payload that the upcaster cannot complete', () => {
+        const { sessionId, ...bare } = session();
+
+        expect(() => openEnvelope(bare, MESSAGE_TYPES.session)).toThrow('Invalid whatsapp.session payload: payload.sessionId: is required');
+    });
+});
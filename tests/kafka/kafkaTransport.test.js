@@ -0,0 +1,105 @@
+import KafkaTransport from '../../src/kafka/transports/kafkaTransport.js';
+import WorkerPool from '../../src/utils/workerPool.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A KafkaJS eachBatch payload for one partition; messages are [key, value]
+const batchOf = (entries) => {
+    const resolved = [];
+    return {
+        resolved,
+        payload: {
+            batch: {
+                topic: 'raw-messages',
+                partition: 0,
+                messages: entries.map(([key, value], offset) => ({
+                    key: key === null ? null : Buffer.from(key),
+                    value: Buffer.from(value),
+                    offset: String(offset),
+                })),
+            },
+            resolveOffset: (offset) => resolved.push(offset),
+            heartbeat: async () => { },
+            isRunning: () => true,
+            isStale: () => false,
+        },
+    };
+};
+
+describe('KafkaTransport.deliverBatch', () => {
+    let transport;
+
+    beforeEach(() => {
+        transport = new KafkaTransport({
+            clientId: 'test',
+            brokers: ['localhost:9092'],
+            topics: {},
+            groupId: 'test',
+            partitionsConsumedConcurrently: 3,
+            concurrency: 2,
+        });
+    });
+
+    test('runs keys side by side, each in order, and resolves offsets in order', async () => {
+        const { payload, resolved } = batchOf([['a', 'a1'], ['b', 'b1'], ['a', 'a2'], ['b', 'b2']]);
+        const handled = [];
+        const resolvedWhenHandled = {};
+        let active = 0;
+        let maxActive = 0;
+
+        await transport.deliverBatch(payload, async ({ key, value }) => {
+            maxActive = Math.max(maxActive, ++active);
+            await sleep(key === 'a' ? 20 : 1);
+            handled.push(value);
+            resolvedWhenHandled[value] = [...resolved];
+            active--;
+        }, new WorkerPool(2));
+
+        expect(handled).toEqual(['b1', 'b2', 'a1', 'a2']);
+        expect(maxActive).toBe(2);
+        // b1 and b2 are done first, but offset 1 waits for offset 0 (a1)
+        expect(resolvedWhenHandled.b2).toEqual([]);
+        expect(resolved).toEqual(['0', '1', '2', '3']);
+    });
+
+    test('runs up to the pool size at once within one partition', async () => {
+        const { payload } = batchOf([['a', 'a1'], ['b', 'b1'], ['c', 'c1'], [null, 'x1']]);
+        let active = 0;
+        let maxActive = 0;
+
+        await transport.deliverBatch(payload, async () => {
+            maxActive = Math.max(maxActive, ++active);
+            await sleep(5);
+            active--;
+        }, new WorkerPool(4));
+
+        expect(maxActive).toBe(4);
+    });
+
+    test('stops a key at a failed message and leaves it unresolved', async () => {
+        const { payload, resolved } = batchOf([['b', 'b1'], ['a', 'a1'], ['a', 'a2'], ['c', 'c1']]);
+        const handled = [];
+
+        await expect(transport.deliverBatch(payload, async ({ value }) => {
+            if (value === 'a1') throw new Error('handler failed');
+            handled.push(value);
+        }, new WorkerPool(2))).rejects.toThrow('handler failed');
+
+        expect(handled).toEqual(['b1', 'c1']);
+        // c1 ran but stays unresolved behind a1, so both are fetched again
+        expect(resolved).toEqual(['0']);
+    });
+
+    test('hands out nothing more while the topic is paused', async () => {
+        const { payload, resolved } = batchOf([['a', 'a1'], ['a', 'a2']]);
+        const handled = [];
+
+        await transport.deliverBatch(payload, async ({ value }) => {
+            handled.push(value);
+            transport.pause('raw-messages');
+        }, new WorkerPool(2));
+
+        expect(handled).toEqual(['a1']);
+        expect(resolved).toEqual(['0']);
+    });
+});
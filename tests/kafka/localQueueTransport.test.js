@@ -0,0 +1,97 @@
+import database from '../../src/database/sqlite.js';
+import LocalQueueTransport from '../../src/kafka/transports/localQueueTransport.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+        await sleep(5);
+    }
+};
+
+describe('LocalQueueTransport', () => {
+    let transport;
+
+    beforeAll(async () => {
+        await database.init();
+    });
+
+    beforeEach(async () => {
+        transport = new LocalQueueTransport({ pollIntervalMs: 20, retentionHours: 1, concurrency: 2 });
+        await transport.connect();
+    });
+
+    afterEach(async () => {
+        await transport.disconnect();
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    test('delivers a message again after its handler failed', async () => {
+        const attempts = [];
+        await transport.subscribe('retry-topic', async ({ value }) => {
+            attempts.push(value);
+            if (attempts.length === 1) throw new Error('handler failed');
+        });
+
+        await transport.send('retry-topic', 'session-1', 'sender-1');
+        await waitFor(() => database.countQueuedMessages('retry-topic') === 0);
+
+        expect(attempts).toEqual(['session-1', 'session-1']);
+    });
+
+    test('keeps each key in order while different keys run side by side', async () => {
+        for (const value of ['a1', 'b1', 'a2', 'b2', 'a3', 'c1']) {
+            await transport.send('order-topic', value, value[0]);
+        }
+
+        const handled = [];
+        let active = 0;
+        let maxActive = 0;
+        await transport.subscribe('order-topic', async ({ key, value }) => {
+            maxActive = Math.max(maxActive, ++active);
+            await sleep(key === 'a' ? 15 : 5);
+            handled.push(value);
+            active--;
+        });
+        await waitFor(() => handled.length === 6);
+
+        expect(handled.filter(v => v.startsWith('a'))).toEqual(['a1', 'a2', 'a3']);
+        expect(handled.filter(v => v.startsWith('b'))).toEqual(['b1', 'b2']);
+        expect(maxActive).toBe(2);
+    });
+
+    test('holds a key back until its failed message is delivered', async () => {
+        await transport.send('blocked-topic', 'first', 'sender-1');
+        await transport.send('blocked-topic', 'second', 'sender-1');
+
+        const handled = [];
+        let failures = 0;
+        await transport.subscribe('blocked-topic', async ({ value }) => {
+            if (value === 'first' && failures++ === 0) throw new Error('handler failed');
+            handled.push(value);
+        });
+        await waitFor(() => handled.length === 2);
+
+        expect(handled).toEqual(['first', 'second']);
+    });
+
+    test('hands out nothing while paused', async () => {
+        const handled = [];
+        await transport.subscribe('paused-topic', async ({ value }) => {
+            handled.push(value);
+        });
+        transport.pause('paused-topic');
+
+        await transport.send('paused-topic', 'session-1', 'sender-1');
+        await sleep(60);
+        expect(handled).toEqual([]);
+
+        transport.resume('paused-topic');
+        await waitFor(() => handled.length === 1);
+    });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import database from '../../src/database/sqlite.js';
+import kafkaClient from '../../src/kafka/client.js';
+import contactExtractor from '../../src/llm/index.js';
+import messageProcessor from '../../src/kafka/processor.js';
+import { RateLimiter } from '../../src/llm/rateLimiter.js';
+
+let sequence = 0;
+
+const session = (texts) => {
+    const sessionId = `session-${++sequence}`;
+    const messages = texts.map((text, i) => ({ id: `${sessionId}-m${i}`, text, timestamp: 1700000000 + i, receivedAt: Date.now() }));
+
+    return {
+        sessionId,
+        senderId: '919876543210@s.whatsapp.net',
+        senderNumber: '919876543210',
+        pushName: 'Ramesh',
+        group: null,
+        account: 'default',
+        messageCount: messages.length,
+        combinedText: texts.join('\n'),
+        messages,
+        slots: { name: null, mobile: null, address: null },
+        startedAt: Date.now(),
+        completedAt: Date.now(),
+    };
+};
+
+const contactAt = (sessionId, index = 0) => database.getContactsBySessionId(sessionId).find(c => c.contact_index === index);
+
+beforeAll(async () => {
+    await database.init();
+    await kafkaClient.initProducer();
+});
+
+afterAll(async () => {
+    await messageProcessor.stop();
+    await kafkaClient.disconnect();
+    database.close();
+});
+
+describe('MessageProcessor ledger', () => {
+    let published;
+
+    beforeEach(() => {
+        published = jest.spyOn(kafkaClient, 'sendParsedMessage');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('skips a redelivered session', async () => {
+        const data = session(['Ramesh Kumar', '9876543210', 'Flat 4, MG Road, Pune 411001']);
+
+        expect(await messageProcessor.process(data, 'trace-1')).toHaveLength(1);
+        expect(await messageProcessor.process({ ...data, messages: data.messages.map(m => ({ ...m, receivedAt: 0 })) }, 'trace-1')).toBeNull();
+
+        expect(published).toHaveBeenCalledTimes(1);
+        expect(database.getProcessedSession(data.sessionId)).toMatchObject({ revisions: 1, unpublished: [] });
+    });
+
+    test('keeps a reviewed contact when the session changes', async () => {
+        const data = session(['Ramesh Kumar', '9876543210']);
+        await messageProcessor.process(data);
+        database.updateContactStatus(data.sessionId, 'reviewed', 0);
+
+        const edited = { ...data, combinedText: 'Suresh Patel\n9876543210', messages: [{ ...data.messages[0], text: 'Suresh Patel' }, data.messages[1]] };
+        await messageProcessor.process(edited);
+
+        expect(contactAt(data.sessionId)).toMatchObject({ status: 'reviewed', extracted_name: 'Ramesh Kumar' });
+        expect(published).toHaveBeenCalledTimes(1);
+        expect(database.getProcessedSession(data.sessionId).revisions).toBe(2);
+    });
+
+    test('publishes saved contacts again after a failed publish, without extracting again', async () => {
+        const data = session(['Ramesh Kumar', '9876543210']);
+        const extract = jest.spyOn(contactExtractor, 'extractContacts');
+        published.mockRejectedValueOnce(new Error('broker down'));
+
+        await expect(messageProcessor.process(data)).rejects.toThrow('broker down');
+
+        // The saved contact is not replaced by a failure entry
+        expect(contactAt(data.sessionId)).toMatchObject({ status: 'processed', extracted_name: 'Ramesh Kumar' });
+        expect(database.getProcessedSession(data.sessionId).unpublished).toHaveLength(1);
+
+        await messageProcessor.process(data);
+
+        expect(extract).toHaveBeenCalledTimes(1);
+        expect(published).toHaveBeenCalledTimes(2);
+        const [first, second] = published.mock.calls.map(([, options]) => options.id);
+        expect(second).toBe(first);
+        expect(second).toMatch(new RegExp(`^${data.sessionId}:0:`));
+        expect(database.getProcessedSession(data.sessionId)).toMatchObject({ unpublished: [] });
+        expect(await messageProcessor.process(data)).toBeNull();
+    });
+
+    test('saves and publishes each person in a session separately', async () => {
+        const data = session(['Ramesh Kumar', '9876543210', '', 'Suresh Patel', '9123456780']);
+
+        expect(await messageProcessor.process(data)).toHaveLength(2);
+
+        expect(contactAt(data.sessionId, 0)).toMatchObject({ extracted_name: 'Ramesh Kumar', extracted_mobile: '9876543210' });
+        expect(contactAt(data.sessionId, 1)).toMatchObject({ extracted_name: 'Suresh Patel', extracted_mobile: '9123456780' });
+        expect(published.mock.calls.map(([, options]) => options.id)).toEqual([
+            expect.stringMatching(new RegExp(`^${data.sessionId}:0:`)),
+            expect.stringMatching(new RegExp(`^${data.sessionId}:1:`)),
+        ]);
+    });
+
+    test('tags saved and published contacts with the receiving account', async () => {
+        const data = { ...session(['Ramesh Kumar', '9876543210']), senderId: 'sales#919876543210@s.whatsapp.net', account: 'sales' };
+
+        await messageProcessor.process(data);
+
+        expect(contactAt(data.sessionId).account).toBe('sales');
+        expect(published.mock.calls[0][0]).toMatchObject({ sessionId: data.sessionId, account: 'sales' });
+        expect(database.getContacts({ account: 'sales' }).map(c => c.session_id)).toContain(data.sessionId);
+        expect(database.getContacts({ account: 'default' }).map(c => c.session_id)).not.toContain(data.sessionId);
+    });
+
+    test('records a failure when nothing was extracted', async () => {
+        const data = session(['Ramesh Kumar']);
+        jest.spyOn(contactExtractor, 'extractContacts').mockRejectedValueOnce(new Error('provider down'));
+
+        await expect(messageProcessor.process(data)).rejects.toThrow('provider down');
+
+        expect(contactAt(data.sessionId)).toMatchObject({ status: 'failed' });
+        expect(database.getProcessedSession(data.sessionId)).toBeNull();
+    });
+});
+
+describe('MessageProcessor backpressure', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('pauses the consumer while LLM calls wait for the rate limit', async () => {
+        const limiter = new RateLimiter({ requestsPerMinute: 1 });
+        jest.spyOn(contactExtractor, 'limiter', 'get').mockReturnValue(limiter);
+        await messageProcessor.start();
+
+        jest.useFakeTimers();
+        limiter.acquire();
+        limiter.acquire();
+        expect(kafkaClient.isConsumerPaused).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        expect(kafkaClient.isConsumerPaused).toBe(false);
+    });
+});
@@ -0,0 +1,61 @@
+import ExtractionProvider from '../../src/llm/providers/baseProvider.js';
+
+// Provider that answers with canned responses instead of calling an API
+class CannedProvider extends ExtractionProvider {
+    constructor(responses) {
+        super({ name: 'canned', model: 'test', maxRetries: 1 });
+        this.responses = responses;
+        this.prompts = [];
+    }
+
+    async complete(systemPrompt, userPrompt) {
+        this.prompts.push(userPrompt);
+        return this.responses.shift();
+    }
+}
+
+const session = {
+    sessionId: 'session-1',
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    combinedText: 'Ramesh Kumar 9876543210\nSuresh Patel 9123456780',
+    messages: [],
+};
+
+describe('ExtractionProvider', () => {
+    test('returns one contact per person in the answer', async () => {
+        const provider = new CannedProvider([JSON.stringify({
+            contacts: [
+                { name: 'Ramesh Kumar', mobile: '9876543210', addressParts: { city: 'Pune' }, confidence: 0.9 },
+                { name: 'Suresh Patel', mobile: '9123456780', confidence: 0.8 },
+            ],
+        })]);
+
+        const result = await provider.extractContactInfo(session);
+
+        expect(result).toMatchObject({ extractionSource: 'llm', llmProvider: 'canned', llmRepaired: false });
+        expect(result.contacts.map(c => [c.name, c.mobile])).toEqual([['Ramesh Kumar', '9876543210'], ['Suresh Patel', '9123456780']]);
+        expect(result.contacts[0].addressParts).toMatchObject({ city: 'Pune', pincode: null });
+        expect(result.contacts[1].addressParts).toMatchObject({ city: null });
+    });
+
+    test('reads an answer in the single-contact shape as a list of one', () => {
+        const { value, errors } = new CannedProvider([]).parseResponse(JSON.stringify({ name: 'Ramesh Kumar', confidence: 0.9 }));
+
+        expect(errors).toEqual([]);
+        expect(value.contacts).toEqual([expect.objectContaining({ name: 'Ramesh Kumar' })]);
+    });
+
+    test('asks once for a repair with the failing contact fields', async () => {
+        const provider = new CannedProvider([
+            JSON.stringify({ contacts: [{ name: 'Ramesh Kumar', confidence: 0.9 }, { name: 'Suresh Patel', confidence: 'high' }] }),
+            JSON.stringify({ contacts: [{ name: 'Ramesh Kumar', confidence: 0.9 }, { name: 'Suresh Patel', confidence: 0.7 }] }),
+        ]);
+
+        const result = await provider.extractContactInfo(session);
+
+        expect(provider.prompts[1]).toMatch('- contacts[1].confidence: expected number, got "high"');
+        expect(result).toMatchObject({ llmRepaired: true });
+        expect(result.contacts).toHaveLength(2);
+    });
+});
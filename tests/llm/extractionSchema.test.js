@@ -0,0 +1,76 @@
+import { validateExtraction, formatValidationErrors } from '../../src/llm/extractionSchema.js';
+
+const contact = (fields) => ({ contacts: [{ name: 'Ramesh Kumar', mobile: '9876543210', confidence: 0.9, ...fields }] });
+
+describe('validateExtraction', () => {
+    test('accepts a valid result and fills defaults', () => {
+        const { value, errors } = validateExtraction(contact({}));
+
+        expect(errors).toEqual([]);
+        expect(value.contacts[0]).toMatchObject({ name: 'Ramesh Kumar', address: null, addressParts: null, notes: null });
+    });
+
+    test('coerces numeric strings and explicit percentages', () => {
+        expect(validateExtraction(contact({ confidence: '0.8' })).value.contacts[0].confidence).toBe(0.8);
+        expect(validateExtraction(contact({ confidence: '85%' })).value.contacts[0].confidence).toBe(0.85);
+    });
+
+    test.each(['', '   ', '%'])('rejects the empty confidence %p instead of reading it as 0', (confidence) => {
+        const { value, errors } = validateExtraction(contact({ confidence }));
+
+        expect(value).toBeNull();
+        expect(errors).toEqual([{ field: 'contacts[0].confidence', message: `expected number, got "${confidence}"` }]);
+    });
+
+    test.each([1.5, 50, -0.2])('rejects confidence %p outside 0-1 instead of rescaling it', (confidence) => {
+        const { value, errors } = validateExtraction(contact({ confidence }));
+
+        expect(value).toBeNull();
+        expect(formatValidationErrors(errors)).toMatch(/contacts\[0\]\.confidence: expected number between 0 and 1/);
+    });
+
+    test('turns placeholder strings into null', () => {
+        const { value } = validateExtraction(contact({ name: 'N/A', address: 'not found' }));
+
+        expect(value.contacts[0].name).toBeNull();
+        expect(value.contacts[0].address).toBeNull();
+    });
+
+    test('normalizes and checks pincodes', () => {
+        const ok = validateExtraction(contact({ addressParts: { pincode: '४११ ००१' } }));
+        expect(ok.value.contacts[0].addressParts.pincode).toBe('411001');
+
+        const bad = validateExtraction(contact({ addressParts: { pincode: '12345' } }));
+        expect(formatValidationErrors(bad.errors)).toMatch(/pincode/);
+    });
+
+    test('requires a non-empty contacts list', () => {
+        expect(validateExtraction({ contacts: [] }).errors).not.toEqual([]);
+        expect(validateExtraction('text').errors[0].field).toBe('$');
+    });
+
+    test('validates every contact and reports errors by position', () => {
+        const { value, errors } = validateExtraction({
+            contacts: [
+                { name: 'Ramesh Kumar', confidence: 0.9 },
+                { name: 'Suresh Patel', confidence: 'high' },
+            ],
+        });
+
+        expect(value).toBeNull();
+        expect(errors).toEqual([{ field: 'contacts[1].confidence', message: 'expected number, got "high"' }]);
+    });
+
+    test('reads a lone contact object as a list of one', () => {
+        const { value, warnings } = validateExtraction({ contacts: { name: 'Ramesh Kumar', confidence: 0.9 } });
+
+        expect(value.contacts).toHaveLength(1);
+        expect(warnings).toContain('contacts coerced from single object');
+    });
+
+    test('caps the number of contacts', () => {
+        const contacts = Array.from({ length: 21 }, () => ({ name: 'Ramesh Kumar', confidence: 0.9 }));
+
+        expect(formatValidationErrors(validateExtraction({ contacts }).errors)).toMatch(/contacts: expected at most 20 items/);
+    });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { RateLimiter } from '../../src/llm/rateLimiter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('RateLimiter', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // Names of the acquires that went through so far
+    const track = (limiter, requests) => {
+        const through = [];
+        for (const [name, tokens] of requests) {
+            limiter.acquire(tokens).then(() => through.push(name));
+        }
+        return through;
+    };
+
+    test('lets everything through when no limit is set', async () => {
+        const limiter = new RateLimiter();
+
+        expect(limiter.isEnabled).toBe(false);
+        await expect(limiter.acquire(100000)).resolves.toBeUndefined();
+    });
+
+    test('makes requests wait for the request budget and reports saturation', async () => {
+        const limiter = new RateLimiter({ requestsPerMinute: 2 });
+        const events = [];
+        limiter.on('saturated', (info) => events.push(['saturated', info]));
+        limiter.on('available', () => events.push(['available']));
+
+        const through = track(limiter, [['a', 0], ['b', 0], ['c', 0]]);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(through).toEqual(['a', 'b']);
+        expect(events).toEqual([['saturated', { waiting: 1, waitMs: MINUTE_MS / 2 }]]);
+        expect(limiter.getStatus()).toMatchObject({ availableRequests: 0, waiting: 1, saturated: true });
+
+        await jest.advanceTimersByTimeAsync(MINUTE_MS / 2);
+
+        expect(through).toEqual(['a', 'b', 'c']);
+        expect(events.at(-1)).toEqual(['available']);
+        expect(limiter.getStatus()).toMatchObject({ waiting: 0, saturated: false });
+    });
+
+    test('counts tokens and refills them over time', async () => {
+        const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+
+        const through = track(limiter, [['a', 600], ['b', 600]]);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(through).toEqual(['a']);
+        expect(limiter.getStatus()).toMatchObject({ tokensPerMinute: 1000, availableTokens: 400 });
+
+        // 200 more tokens take 12 seconds at 1000 per minute
+        await jest.advanceTimersByTimeAsync(11900);
+        expect(through).toEqual(['a']);
+        await jest.advanceTimersByTimeAsync(100);
+        expect(through).toEqual(['a', 'b']);
+        expect(limiter.getStatus().availableTokens).toBe(0);
+    });
+
+    test('serves waiting requests in order, so a large one is not starved', async () => {
+        const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+
+        const through = track(limiter, [['first', 900], ['large', 800], ['small', 10]]);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(through).toEqual(['first']);
+
+        await jest.advanceTimersByTimeAsync(MINUTE_MS);
+        expect(through).toEqual(['first', 'large', 'small']);
+    });
+
+    test('lets a request larger than the budget through once the bucket is full', async () => {
+        const limiter = new RateLimiter({ tokensPerMinute: 1000 });
+
+        const through = track(limiter, [['a', 500], ['huge', 5000]]);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(through).toEqual(['a']);
+
+        await jest.advanceTimersByTimeAsync(MINUTE_MS / 2);
+        expect(through).toEqual(['a', 'huge']);
+    });
+});
@@ -0,0 +1,87 @@
+import config from '../../src/config/index.js';
+import rulesExtractor from '../../src/llm/rulesExtractor.js';
+
+const extract = (combinedText) => rulesExtractor.extractContactInfo({
+    sessionId: 'session-1',
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    combinedText,
+    messages: [],
+}, 'no LLM configured');
+
+describe('RulesExtractor', () => {
+    test('reads a labelled name, mobile number and address', () => {
+        const result = extract('Name: Ramesh Kumar\n+91 98765-43210\nFlat 4, MG Road\nPune 411001');
+
+        expect(result.extractionSource).toBe('rules');
+        expect(result.status).toBeUndefined();
+        expect(result.contacts).toHaveLength(1);
+        expect(result.contacts[0]).toMatchObject({
+            name: 'Ramesh Kumar',
+            mobile: '+91 98765-43210',
+            address: 'Flat 4, MG Road, Pune 411001',
+            addressParts: { city: 'Pune', pincode: '411001', state: null },
+            notes: 'Rule-based extraction (no LLM configured)',
+        });
+    });
+
+    test('takes a capitalized line as the name when there is no label', () => {
+        expect(extract('Ramesh Kumar\n9876543210').contacts[0]).toMatchObject({ name: 'Ramesh Kumar', mobile: '9876543210', address: null });
+    });
+
+    test('does not read the mobile number as a pincode', () => {
+        const [contact] = extract('Sector 5 Road\n9876543210').contacts;
+
+        expect(contact.mobile).toBe('9876543210');
+        expect(contact.addressParts.pincode).toBeNull();
+    });
+
+    test('reads Indic digits', () => {
+        expect(extract('Ramesh Kumar\n९८७६५ ४३२१०').contacts[0].mobile).toBe('98765 43210');
+    });
+
+    test('scales confidence with the fields found, capped at rulesMaxConfidence', () => {
+        const cap = config.llm.rulesMaxConfidence;
+
+        expect(extract('Name: Ramesh Kumar\n9876543210\nMG Road, Pune 411001').contacts[0].confidence).toBe(cap);
+        expect(extract('Ramesh Kumar\n9876543210').contacts[0].confidence).toBe(Math.round((2 / 3) * cap * 100) / 100);
+        expect(extract('9876543210').contacts[0].confidence).toBe(Math.round((1 / 3) * cap * 100) / 100);
+    });
+
+    test('marks the result failed when nothing is found', () => {
+        const result = extract('hello, how are you?');
+
+        expect(result).toMatchObject({ status: 'failed', error: 'No contact details found (no LLM configured)' });
+        expect(result.contacts).toEqual([expect.objectContaining({ name: null, mobile: null, address: null, confidence: 0 })]);
+    });
+
+    describe('several people in one session', () => {
+        const people = (text) => extract(text).contacts.map(({ name, mobile, address }) => ({ name, mobile, address }));
+
+        const expected = [
+            { name: 'Ramesh Kumar', mobile: '9876543210', address: 'MG Road, Pune 411001' },
+            { name: 'Suresh Patel', mobile: '9123456780', address: 'Station Road, Jaipur 302001' },
+        ];
+
+        test('splits blank-line separated blocks', () => {
+            expect(people('Ramesh Kumar\n9876543210\nMG Road, Pune 411001\n\nSuresh Patel\n9123456780\nStation Road, Jaipur 302001'))
+                .toEqual(expected);
+        });
+
+        test('splits after each number when numbers come last', () => {
+            expect(people('Ramesh Kumar\nMG Road, Pune 411001\n9876543210\nSuresh Patel\nStation Road, Jaipur 302001\n9123456780'))
+                .toEqual(expected);
+        });
+
+        test('splits before each number when numbers come first', () => {
+            expect(people('9876543210\nRamesh Kumar\nMG Road, Pune 411001\n9123456780\nSuresh Patel\nStation Road, Jaipur 302001'))
+                .toEqual(expected);
+        });
+
+        test('keeps one person who writes the same number twice', () => {
+            expect(people('Ramesh Kumar\n9876543210\ncall +91 98765 43210')).toEqual([
+                { name: 'Ramesh Kumar', mobile: '9876543210', address: null },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+import structuredExtractor from '../../src/llm/structuredExtractor.js';
+
+const ramesh = { name: 'Ramesh Sharma', mobile: '+91 98765 43210', address: '12 MG Road, Pune', addressParts: { city: 'Pune', pincode: '411001' } };
+const suresh = { name: 'Suresh Patel', mobile: '+91 91234 56780', address: null, addressParts: null };
+const pin = { latitude: 23.0225, longitude: 72.5714, name: 'Shanti Society', address: 'Ahmedabad' };
+
+const session = (messages) => ({
+    sessionId: 'session-1',
+    senderNumber: '919876543210',
+    pushName: 'Ramesh',
+    combinedText: messages.map(m => m.text).join('\n'),
+    messages: messages.map((m, i) => ({ id: `m${i}`, timestamp: i, ...m })),
+});
+
+describe('StructuredExtractor', () => {
+    test('extracts a session of cards without the LLM', () => {
+        const data = session([{ text: 'Ramesh Sharma', card: ramesh }, { text: 'Suresh Patel', card: suresh }, { text: '', location: pin }]);
+
+        expect(structuredExtractor.canExtract(data)).toBe(true);
+
+        const result = structuredExtractor.extractContactInfo(data);
+        expect(result.extractionSource).toBe('vcard');
+        expect(result.contacts).toEqual([
+            expect.objectContaining({ name: 'Ramesh Sharma', mobile: '+91 98765 43210', address: '12 MG Road, Pune', confidence: 0.95 }),
+            // No address on the card: the pin's place is used
+            expect.objectContaining({ name: 'Suresh Patel', address: 'Shanti Society, Ahmedabad' }),
+        ]);
+        expect(result.contacts[0].addressParts).toMatchObject({ city: 'Pune', pincode: '411001', state: null });
+    });
+
+    test('leaves sessions with typed text to the extractor', () => {
+        expect(structuredExtractor.canExtract(session([{ text: 'Ramesh Sharma', card: ramesh }, { text: 'deliver on Sunday' }]))).toBe(false);
+        expect(structuredExtractor.canExtract(session([{ text: '', location: pin }]))).toBe(false);
+    });
+
+    test('fills fields the extractor missed from the card at the same position', () => {
+        const contacts = [{ name: null, mobile: null, address: 'Flat 4, FC Road, Pune' }, { name: 'Suresh', mobile: null, address: null }];
+
+        structuredExtractor.fillFromCards(contacts, session([{ text: 'Ramesh Sharma', card: ramesh }, { text: 'Suresh Patel', card: suresh }]));
+
+        expect(contacts).toEqual([
+            { name: 'Ramesh Sharma', mobile: '+91 98765 43210', address: 'Flat 4, FC Road, Pune' },
+            { name: 'Suresh', mobile: '+91 91234 56780', address: null },
+        ]);
+    });
+
+    test('uses the last location pin of a session', () => {
+        const later = { ...pin, name: 'Gandhi Nagar' };
+
+        expect(structuredExtractor.getLocation(session([{ text: '', location: pin }, { text: '', location: later }]))).toBe(later);
+        expect(structuredExtractor.getLocation(session([{ text: 'Ramesh' }]))).toBeNull();
+    });
+});
@@ -0,0 +1,6 @@
+// Environment for unit tests: no LLM, in-memory database, local queue instead of Kafka
+process.env.LLM_PROVIDER = 'none';
+process.env.DATABASE_PATH = ':memory:';
+process.env.MESSAGE_TRANSPORT = 'local';
+process.env.PERSIST_PENDING_SESSIONS = 'false';
+process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,48 @@
+import { parsePhoneNumber } from '../../src/utils/phone.js';
+
+describe('parsePhoneNumber', () => {
+    test('returns null when there is no number', () => {
+        expect(parsePhoneNumber(null)).toBeNull();
+        expect(parsePhoneNumber('  ')).toBeNull();
+    });
+
+    test.each([
+        ['9876543210'],
+        ['+91 98765-43210'],
+        ['098765 43210'],
+        ['919876543210'],
+        ['091-9876543210'],
+        ['००९१ ९८७६५ ४३२१०'],
+    ])('reads %p as the same mobile', (raw) => {
+        expect(parsePhoneNumber(raw)).toMatchObject({ e164: '+919876543210', type: 'mobile', valid: true });
+    });
+
+    test.each([
+        ['011-2345 6789', '+911123456789'],
+        ['080-22345678', '+918022345678'],
+        ['(0265) 2345678', '+912652345678'],
+        ['02612345678', '+912612345678'],
+        ['+91 11 2345 6789', '+911123456789'],
+    ])('reads %p as a landline', (raw, e164) => {
+        expect(parsePhoneNumber(raw)).toMatchObject({ e164, type: 'landline', valid: true });
+    });
+
+    test.each([
+        ['5876543210'],
+        ['1234567890'],
+        ['+915876543210'],
+    ])('rejects %p: not a mobile and no STD code', (raw) => {
+        const phone = parsePhoneNumber(raw);
+        expect(phone.valid).toBe(false);
+        expect(phone.reason).toMatch(/start with 6-9/);
+    });
+
+    test('rejects wrong lengths', () => {
+        expect(parsePhoneNumber('98765').valid).toBe(false);
+        expect(parsePhoneNumber('98765432109').valid).toBe(false);
+    });
+
+    test('keeps foreign numbers as international', () => {
+        expect(parsePhoneNumber('+44 20 7946 0958')).toMatchObject({ e164: '+442079460958', type: 'international', valid: true });
+    });
+});
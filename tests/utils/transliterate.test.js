@@ -0,0 +1,67 @@
+import database from '../../src/database/sqlite.js';
+import { transliterate, hasIndicScript } from '../../src/utils/transliterate.js';
+
+describe('transliterate', () => {
+    test.each([
+        ['शर्मा', 'Sharma'],
+        ['रमेश पटेल', 'Ramesh Patel'],
+        ['રમેશ પટેલ', 'Ramesh Patel'],
+        ['राम', 'Ram'],
+        ['कमला', 'Kamla'],
+        ['नरेंद्र', 'Narendra'],
+        ['अंबर', 'Ambar'],
+        ['ज्ञान', 'Gyan'],
+        ['ज़मीन', 'Zamin'],
+        ['फ़ातिमा', 'Fatima'],
+        ['दुःख', 'Duhkh'],
+    ])('spells %p as %p', (text, latin) => {
+        expect(transliterate(text)).toBe(latin);
+    });
+
+    test('keeps Latin text and converts Indic digits in mixed addresses', () => {
+        expect(transliterate('Flat 4, सेक्टर ५')).toBe('Flat 4, Sektar 5');
+        expect(transliterate('રાજકોટ ૩૬૦૦૦૧')).toBe('Rajkot 360001');
+    });
+
+    test.each([null, '', 'Ramesh Kumar', '9876543210'])('returns null for %p', (text) => {
+        expect(transliterate(text)).toBeNull();
+        expect(hasIndicScript(text)).toBe(false);
+    });
+});
+
+describe('contact search across scripts', () => {
+    beforeAll(async () => {
+        await database.init();
+        database.saveContact({
+            sessionId: 'transliterate-1',
+            senderNumber: '919876543210',
+            extracted: {
+                name: 'रमेश शर्मा',
+                address: 'गांधी नगर, जयपुर',
+                latin: { name: transliterate('रमेश शर्मा'), address: transliterate('गांधी नगर, जयपुर') },
+            },
+            rawMessages: [],
+            combinedText: 'रमेश शर्मा\nगांधी नगर, जयपुर',
+        });
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    test.each(['Sharma', 'gandhi nagar', 'शर्मा'])('finds the Devanagari contact by %p', (search) => {
+        expect(database.getContacts({ search }).map(c => c.session_id)).toContain('transliterate-1');
+    });
+
+    test('finds a Latin contact by its Devanagari spelling', () => {
+        database.saveContact({
+            sessionId: 'transliterate-2',
+            senderNumber: '919123456780',
+            extracted: { name: 'Suresh Patel', address: null },
+            rawMessages: [],
+            combinedText: 'Suresh Patel',
+        });
+
+        expect(database.getContacts({ search: 'पटेल' }).map(c => c.session_id)).toEqual(['transliterate-2']);
+    });
+});
@@ -0,0 +1,61 @@
+import { parseVCard } from '../../src/utils/vcard.js';
+
+const card = (...lines) => ['BEGIN:VCARD', 'VERSION:3.0', ...lines, 'END:VCARD'].join('\r\n');
+
+describe('parseVCard', () => {
+    test('reads the card WhatsApp shares', () => {
+        expect(parseVCard(card(
+            'FN:Ramesh Sharma',
+            'item1.TEL;waid=919876543210:+91 98765 43210',
+            'item1.X-ABLabel:Mobile',
+            'ADR;TYPE=HOME:;;12 MG Road;Pune;Maharashtra;411001;India',
+        ))).toEqual({
+            name: 'Ramesh Sharma',
+            phones: [{ number: '+91 98765 43210', waid: '919876543210' }],
+            address: '12 MG Road, Pune, Maharashtra, 411001, India',
+            addressParts: { street: '12 MG Road', city: 'Pune', state: 'Maharashtra', pincode: '411001' },
+        });
+    });
+
+    test('builds the name from N when there is no FN', () => {
+        expect(parseVCard(card('N:Sharma;Ramesh;Kumar;;')).name).toBe('Ramesh Kumar Sharma');
+    });
+
+    test('keeps every phone, with or without waid', () => {
+        expect(parseVCard(card('FN:Ramesh', 'TEL;TYPE=CELL:98765 43210', 'TEL;VALUE=uri:tel:+91-22-2345-6789')).phones).toEqual([
+            { number: '98765 43210', waid: null },
+            { number: '+91-22-2345-6789', waid: null },
+        ]);
+    });
+
+    test('unfolds continuation lines and unescapes values', () => {
+        const parsed = parseVCard(card(
+            'FN:Ramesh\\, Sharma',
+            'ADR:;Flat 4\\; Shanti Society;Station Road\\nNear Bus Stand;Ahme',
+            ' dabad;Gujarat;380001;',
+        ));
+
+        expect(parsed.name).toBe('Ramesh, Sharma');
+        expect(parsed.addressParts).toEqual({
+            street: 'Station Road\nNear Bus Stand',
+            city: 'Ahmedabad',
+            state: 'Gujarat',
+            pincode: '380001',
+        });
+        expect(parsed.address).toBe('Flat 4; Shanti Society, Station Road\nNear Bus Stand, Ahmedabad, Gujarat, 380001');
+    });
+
+    test('uses only the first address', () => {
+        const parsed = parseVCard(card('FN:Ramesh', 'ADR;TYPE=HOME:;;MG Road;Pune;;;', 'ADR;TYPE=WORK:;;FC Road;Mumbai;;;'));
+
+        expect(parsed.addressParts.city).toBe('Pune');
+    });
+
+    test('has no address parts without an address', () => {
+        expect(parseVCard(card('FN:Ramesh'))).toEqual({ name: 'Ramesh', phones: [], address: null, addressParts: null });
+    });
+
+    test.each([null, '', 'Ramesh Sharma 9876543210'])('returns null for %p', (text) => {
+        expect(parseVCard(text)).toBeNull();
+    });
+});
@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../../src/config/index.js';
+import database from '../../src/database/sqlite.js';
+import autoResponder, { renderTemplate } from '../../src/whatsapp/autoResponder.js';
+
+const GROUP = '120363012345678901@g.us';
+
+let sequence = 0;
+
+// Each session comes from a new sender so rate limits of other tests don't apply
+const session = (fields = {}) => {
+    const number = `9198765${String(++sequence).padStart(5, '0')}`;
+    return {
+        sessionId: `reply-session-${sequence}`,
+        senderId: `${number}@s.whatsapp.net`,
+        senderNumber: number,
+        pushName: 'Ramesh',
+        group: null,
+        ...fields,
+    };
+};
+
+const contact = (extracted, status = 'processed') => ({
+    status,
+    extracted: { name: 'Ramesh Kumar', mobile: '9876543210', address: 'MG Road, Pune 411001', confidence: 0.9, ...extracted },
+});
+
+describe('AutoResponder', () => {
+    let sendText;
+
+    beforeAll(async () => {
+        await database.init();
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    beforeEach(() => {
+        sendText = jest.fn(async () => `sent-${sequence}`);
+        autoResponder.setSender({ sendText });
+        jest.replaceProperty(config, 'responder', { ...config.responder, enabled: true });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('chooseReply', () => {
+        const choose = (contacts) => autoResponder.chooseReply(session(), contacts);
+
+        test('asks for the missing details, naming what was received', () => {
+            expect(choose([contact({ address: null, mobile: null })])).toMatchObject({
+                template: 'missing_details',
+                values: { received: 'name', missing: 'mobile number and address' },
+            });
+            expect(choose([contact({ name: null, mobile: null, address: null })]).values.received).toBe('message');
+        });
+
+        test('flags an invalid mobile first', () => {
+            expect(choose([contact({ mobile: '12345', address: null }, 'invalid_mobile')])).toMatchObject({
+                template: 'invalid_mobile',
+                values: { mobile: '12345' },
+            });
+        });
+
+        test('asks to check details extracted with low confidence', () => {
+            expect(choose([contact({ confidence: config.responder.minConfidence - 0.1 })]).template).toBe('low_confidence');
+        });
+
+        test('confirms complete details with a summary of every person', () => {
+            const reply = choose([contact({ phone: { e164: '+919876543210' } }), contact({ name: 'Suresh Patel', mobile: '9123456780' })]);
+
+            expect(reply.template).toBe('confirmation');
+            expect(reply.values.summary).toBe([
+                'Name: Ramesh Kumar\nMobile: +919876543210\nAddress: MG Road, Pune 411001',
+                'Name: Suresh Patel\nMobile: 9123456780\nAddress: MG Road, Pune 411001',
+            ].join('\n\n'));
+        });
+
+        test('sends no confirmation when it is turned off', () => {
+            jest.replaceProperty(config, 'responder', { ...config.responder, confirm: false });
+
+            expect(choose([contact({})])).toBeNull();
+        });
+
+        test('does not reply when every extraction failed', () => {
+            expect(choose([contact({ name: null }, 'failed')])).toBeNull();
+        });
+    });
+
+    test('fills known placeholders and leaves unknown ones', () => {
+        expect(renderTemplate('Hi {name}, {unknown}', { name: 'Ramesh' })).toBe('Hi Ramesh, {unknown}');
+    });
+
+    describe('respond', () => {
+        const logged = (data) => database.getOutboundMessages({ sessionId: data.sessionId });
+
+        test('sends the reply and logs it', async () => {
+            const data = session();
+
+            expect(await autoResponder.respond(data, [contact({ address: null })])).toBe('sent');
+
+            expect(sendText).toHaveBeenCalledWith('default', data.senderId,
+                'Thank you! We got your name and mobile number. Please share your address to complete the order.', { mentions: [] });
+            expect(logged(data)).toEqual([expect.objectContaining({ template: 'missing_details', status: 'sent', message_id: expect.any(String) })]);
+        });
+
+        test('does nothing while disabled', async () => {
+            jest.replaceProperty(config, 'responder', { ...config.responder, enabled: false });
+
+            expect(await autoResponder.respond(session(), [contact({})])).toBeNull();
+            expect(sendText).not.toHaveBeenCalled();
+        });
+
+        test('does not chase a sender who revoked their messages', async () => {
+            expect(await autoResponder.respond(session({ amended: { reason: 'revoke' } }), [contact({ address: null })])).toBeNull();
+        });
+
+        test('does not send the same template to the same sender within the cooldown', async () => {
+            const data = session();
+
+            expect(await autoResponder.respond(data, [contact({ address: null })])).toBe('sent');
+            expect(await autoResponder.respond(data, [contact({ address: null })])).toBe('rate_limited');
+            expect(await autoResponder.respond(data, [contact({})])).toBe('sent');
+
+            expect(sendText).toHaveBeenCalledTimes(2);
+            expect(logged(data)[1]).toMatchObject({
+                status: 'rate_limited',
+                error: `"missing_details" already sent in the last ${config.responder.cooldownMinutes} minutes`,
+            });
+        });
+
+        test('caps replies to one sender per day', async () => {
+            jest.replaceProperty(config, 'responder', { ...config.responder, enabled: true, maxPerSenderPerDay: 1 });
+            const data = session();
+
+            await autoResponder.respond(data, [contact({ address: null })]);
+
+            expect(await autoResponder.respond(data, [contact({})])).toBe('rate_limited');
+            expect(logged(data)[0].error).toBe('more than 1 replies to this sender today');
+        });
+
+        test('caps replies across all chats per minute', async () => {
+            await autoResponder.respond(session(), [contact({})]);
+            jest.replaceProperty(config, 'responder', { ...config.responder, enabled: true, maxPerMinute: 1 });
+
+            expect(await autoResponder.respond(session(), [contact({})])).toBe('rate_limited');
+        });
+
+        test('logs a reply that could not be sent', async () => {
+            const data = session();
+            sendText.mockRejectedValueOnce(new Error('not connected'));
+
+            expect(await autoResponder.respond(data, [contact({})])).toBe('failed');
+            expect(logged(data)).toEqual([expect.objectContaining({ status: 'failed', error: 'not connected' })]);
+        });
+
+        test('replies in groups only when enabled, mentioning the participant', async () => {
+            const number = '919123456780';
+            const data = session({ senderId: `sales#${GROUP}/${number}@s.whatsapp.net`, senderNumber: number, group: { id: GROUP, name: 'Pune Orders' } });
+
+            expect(await autoResponder.respond(data, [contact({})])).toBeNull();
+
+            jest.replaceProperty(config, 'responder', { ...config.responder, enabled: true, groups: true });
+            expect(await autoResponder.respond(data, [contact({})])).toBe('sent');
+
+            const [account, recipient, text, options] = sendText.mock.calls[0];
+            expect([account, recipient, options]).toEqual(['sales', GROUP, { mentions: [`${number}@s.whatsapp.net`] }]);
+            expect(text).toMatch(new RegExp(`^@${number} Thank you! We have noted:`));
+        });
+    });
+
+    describe('templates file', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = mkdtempSync(join(tmpdir(), 'reply-templates-'));
+            jest.replaceProperty(autoResponder, 'path', join(dir, 'reply-templates.json'));
+        });
+
+        afterEach(() => {
+            rmSync(dir, { recursive: true, force: true });
+            autoResponder.load();
+        });
+
+        test('overrides templates and disables the ones set to null', async () => {
+            writeFileSync(autoResponder.path, JSON.stringify({ missing_details: 'Namaste {pushName}, please send your {missing}.', confirmation: null }));
+
+            expect(autoResponder.load()).toBe(true);
+            await autoResponder.respond(session(), [contact({ address: null })]);
+            expect(await autoResponder.respond(session(), [contact({})])).toBeNull();
+
+            expect(sendText).toHaveBeenCalledTimes(1);
+            expect(sendText.mock.calls[0][2]).toBe('Namaste Ramesh, please send your address.');
+            expect(autoResponder.getInfo().templates).toEqual(['missing_details', 'invalid_mobile', 'low_confidence']);
+        });
+
+        test.each([
+            [{ welcome: 'Hi' }, 'unknown template "welcome" (use missing_details, invalid_mobile, low_confidence, confirmation)'],
+            [{ confirmation: '  ' }, 'confirmation: expected a message text or null'],
+            [['Hi'], 'expected a JSON object of templates'],
+        ])('rejects %j and keeps the previous templates', (file, error) => {
+            writeFileSync(autoResponder.path, JSON.stringify({ confirmation: 'Noted, thanks!' }));
+            autoResponder.load();
+            writeFileSync(autoResponder.path, JSON.stringify(file));
+
+            expect(autoResponder.load()).toBe(false);
+            expect(autoResponder.lastError).toBe(error);
+            expect(autoResponder.templates.confirmation).toBe('Noted, thanks!');
+        });
+    });
+});
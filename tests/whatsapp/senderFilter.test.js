@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import config from '../../src/config/index.js';
+import database from '../../src/database/sqlite.js';
+import senderFilter, { SenderRuleError } from '../../src/whatsapp/senderFilter.js';
+
+const GROUP = '120363012345678901@g.us';
+
+const account = (name, allowedSender = null) => ({ name, allowedSender, groups: { enabled: true, allow: [], deny: [] } });
+
+describe('SenderFilter', () => {
+    beforeAll(async () => {
+        await database.init();
+    });
+
+    afterAll(() => {
+        database.close();
+    });
+
+    beforeEach(() => {
+        jest.replaceProperty(config.whatsapp, 'accounts', [account('default')]);
+        for (const rule of database.getSenderRules()) {
+            database.deleteSenderRule(rule.id);
+        }
+        senderFilter.load();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const check = (senderNumber, fields = {}) => senderFilter.check({ senderNumber, ...fields });
+
+    test('allows everyone without rules', () => {
+        expect(check('919876543210')).toEqual({ allowed: true, reason: null, rule: null });
+    });
+
+    test('blocks an exact number only', () => {
+        const rule = senderFilter.addRule({ list: 'block', type: 'number', value: '+91 98765 43210' });
+
+        expect(rule.value).toBe('919876543210');
+        expect(check('919876543210')).toEqual({ allowed: false, reason: 'blocked', rule });
+        expect(check('9198765432101').allowed).toBe(true);
+    });
+
+    test('allows only numbers with an allowed prefix once there is an allow rule', () => {
+        senderFilter.addRule({ list: 'allow', type: 'prefix', value: '91' });
+
+        expect(check('919876543210').allowed).toBe(true);
+        expect(check('14155550123')).toEqual({ allowed: false, reason: 'not_allowed', rule: null });
+    });
+
+    test('lets a block rule win over an allow rule', () => {
+        senderFilter.addRule({ list: 'allow', type: 'prefix', value: '91' });
+        senderFilter.addRule({ list: 'block', type: 'prefix', value: '9198765' });
+
+        expect(check('919876543210').reason).toBe('blocked');
+        expect(check('919123456780').allowed).toBe(true);
+    });
+
+    test('matches every participant of a group', () => {
+        senderFilter.addRule({ list: 'allow', type: 'group', value: '120363012345678901' });
+
+        expect(check('919876543210', { groupId: GROUP }).allowed).toBe(true);
+        expect(check('919123456780', { groupId: GROUP }).allowed).toBe(true);
+        expect(check('919876543210').reason).toBe('not_allowed');
+        expect(check('919876543210', { groupId: '120363999999999999@g.us' }).reason).toBe('not_allowed');
+    });
+
+    test('applies a rule for one account only to that account', () => {
+        jest.replaceProperty(config.whatsapp, 'accounts', [account('sales'), account('support')]);
+        senderFilter.addRule({ list: 'block', type: 'number', value: '919876543210', account: 'sales' });
+
+        expect(check('919876543210', { account: 'sales' }).allowed).toBe(false);
+        expect(check('919876543210', { account: 'support' }).allowed).toBe(true);
+    });
+
+    test.each([
+        [{ list: 'deny', type: 'number', value: '919876543210' }, 'list must be one of allow, block'],
+        [{ list: 'block', type: 'name', value: 'Ramesh' }, 'type must be one of number, prefix, group'],
+        [{ list: 'block', type: 'number', value: '98765' }, 'value must be a full number with country code (919876543210)'],
+        [{ list: 'block', type: 'prefix', value: '+' }, 'value must be a country code or number prefix (91)'],
+        [{ list: 'block', type: 'group', value: 'Pune Orders' }, 'value must be a group JID (120363...@g.us)'],
+        [{ list: 'block', type: 'number', value: '919876543210', account: 'unknown' }, 'account must be one of default (or empty for all accounts)'],
+    ])('refuses %j', (input, error) => {
+        expect(() => senderFilter.addRule(input)).toThrow(new SenderRuleError(error));
+    });
+
+    test('refuses a duplicate rule', () => {
+        senderFilter.addRule({ list: 'block', type: 'number', value: '919876543210' });
+
+        expect(() => senderFilter.addRule({ list: 'block', type: 'number', value: '91-98765-43210' }))
+            .toThrow('919876543210 is already on the block list');
+    });
+
+    test('removes a rule', () => {
+        const rule = senderFilter.addRule({ list: 'block', type: 'number', value: '919876543210' });
+
+        expect(senderFilter.removeRule(rule.id)).toBe(true);
+        expect(check('919876543210').allowed).toBe(true);
+        expect(senderFilter.removeRule(rule.id)).toBe(false);
+    });
+
+    test('counts the messages each rule filtered', () => {
+        const rule = senderFilter.addRule({ list: 'block', type: 'number', value: '919876543210' });
+        database.saveFilteredMessage({ senderNumber: '919876543210', reason: 'blocked', ruleId: rule.id });
+        database.saveFilteredMessage({ senderNumber: '919876543210', reason: 'blocked', ruleId: rule.id });
+
+        expect(senderFilter.describe()).toEqual([expect.objectContaining({ id: rule.id, source: 'database', hits: 2 })]);
+    });
+
+    describe('WHATSAPP_ALLOWED_SENDER', () => {
+        test('still allows only that sender', () => {
+            jest.replaceProperty(config.whatsapp, 'accounts', [account('default', '919876543210@s.whatsapp.net')]);
+            senderFilter.load();
+
+            expect(check('919876543210').allowed).toBe(true);
+            expect(check('919123456780').reason).toBe('not_allowed');
+            expect(senderFilter.describe()).toEqual([
+                expect.objectContaining({ list: 'allow', type: 'number', value: '919876543210', account: null, source: 'config', hits: null }),
+            ]);
+        });
+
+        test('applies per account when there are several', () => {
+            jest.replaceProperty(config.whatsapp, 'accounts', [account('sales', '919876543210'), account('support')]);
+            senderFilter.load();
+
+            expect(check('919123456780', { account: 'sales' }).reason).toBe('not_allowed');
+            expect(check('919123456780', { account: 'support' }).allowed).toBe(true);
+        });
+
+        test('is combined with the stored rules', () => {
+            senderFilter.addRule({ list: 'allow', type: 'number', value: '919123456780' });
+            jest.replaceProperty(config.whatsapp, 'accounts', [account('default', '919876543210')]);
+            senderFilter.load();
+
+            expect(check('919876543210').allowed).toBe(true);
+            expect(check('919123456780').allowed).toBe(true);
+            expect(check('14155550123').allowed).toBe(false);
+        });
+    });
+});
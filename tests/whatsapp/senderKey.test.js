@@ -0,0 +1,71 @@
+import { jidToNumber, senderOf, parseSenderId, isGroupAllowed } from '../../src/whatsapp/senderKey.js';
+
+const GROUP = '120363012345678901@g.us';
+const RAMESH = '919876543210@s.whatsapp.net';
+const SURESH = '919123456780@s.whatsapp.net';
+
+describe('senderOf', () => {
+    test('keys a direct chat by its JID', () => {
+        expect(senderOf({ remoteJid: RAMESH }, 'default')).toEqual({ senderId: RAMESH, senderNumber: '919876543210', groupId: null });
+    });
+
+    test('keys every group participant separately', () => {
+        const ramesh = senderOf({ remoteJid: GROUP, participant: RAMESH }, 'default');
+        const suresh = senderOf({ remoteJid: GROUP, participant: SURESH }, 'default');
+
+        expect(ramesh).toEqual({ senderId: `${GROUP}/${RAMESH}`, senderNumber: '919876543210', groupId: GROUP });
+        expect(suresh.senderId).toBe(`${GROUP}/${SURESH}`);
+    });
+
+    test('prefixes keys of accounts other than default', () => {
+        expect(senderOf({ remoteJid: RAMESH }, 'sales').senderId).toBe(`sales#${RAMESH}`);
+        expect(senderOf({ remoteJid: GROUP, participant: RAMESH }, 'sales').senderId).toBe(`sales#${GROUP}/${RAMESH}`);
+    });
+
+    test('drops the device suffix from numbers', () => {
+        expect(jidToNumber('919876543210:12@s.whatsapp.net')).toBe('919876543210');
+        expect(jidToNumber(null)).toBe('');
+    });
+});
+
+describe('parseSenderId', () => {
+    test.each([
+        [RAMESH, { account: 'default', chatJid: RAMESH, participant: null }],
+        [`${GROUP}/${RAMESH}`, { account: 'default', chatJid: GROUP, participant: RAMESH }],
+        [`sales#${GROUP}/${RAMESH}`, { account: 'sales', chatJid: GROUP, participant: RAMESH }],
+    ])('splits %p', (senderId, parts) => {
+        expect(parseSenderId(senderId)).toEqual(parts);
+    });
+
+    test('undoes senderOf', () => {
+        const { senderId } = senderOf({ remoteJid: GROUP, participant: SURESH }, 'support');
+
+        expect(parseSenderId(senderId)).toEqual({ account: 'support', chatJid: GROUP, participant: SURESH });
+    });
+});
+
+describe('isGroupAllowed', () => {
+    const groups = (settings) => ({ enabled: true, allow: [], deny: [], ...settings });
+
+    test('allows every group when the allow list is empty', () => {
+        expect(isGroupAllowed(groups(), GROUP, 'Pune Orders')).toBe(true);
+    });
+
+    test('ignores groups when they are disabled', () => {
+        expect(isGroupAllowed(groups({ enabled: false }), GROUP, 'Pune Orders')).toBe(false);
+    });
+
+    test.each([GROUP, '120363012345678901', 'pune orders'])('matches the group by %p', (entry) => {
+        expect(isGroupAllowed(groups({ allow: [entry] }), GROUP, 'Pune Orders')).toBe(true);
+        expect(isGroupAllowed(groups({ deny: [entry] }), GROUP, 'Pune Orders')).toBe(false);
+    });
+
+    test('lets the deny list win over the allow list', () => {
+        expect(isGroupAllowed(groups({ allow: ['Pune Orders'], deny: [GROUP] }), GROUP, 'Pune Orders')).toBe(false);
+    });
+
+    test('refuses groups missing from a non-empty allow list', () => {
+        expect(isGroupAllowed(groups({ allow: ['Jaipur Orders'] }), GROUP, 'Pune Orders')).toBe(false);
+        expect(isGroupAllowed(groups({ allow: ['Jaipur Orders'] }), GROUP, null)).toBe(false);
+    });
+});